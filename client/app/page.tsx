@@ -5,6 +5,10 @@ import styles from './page.module.css';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
 const ADMIN_SECRET = (process.env.NEXT_PUBLIC_ADMIN_SECRET ?? '').trim() || 'admin123';
+// 실시간 진행 로그 최대 줄 수 (서버 MAX_PROGRESS_LOG_LINES와 동일)
+const MAX_PROGRESS_LOG_LINES = 500;
+// SSE 연결이 완전히 닫혔을 때 다시 연결하기까지 대기 시간
+const EVENTS_RECONNECT_MS = 3000;
 
 // 환경 변수 확인 및 경고
 if (typeof window !== 'undefined') {
@@ -25,6 +29,15 @@ interface Job {
   success_count: number;
   error_count: number;
   error_message: string | null;
+  date_filter?: string | null;
+  company_name?: string | null;
+  portals?: string[] | null;
+  source?: string | null;
+  retry_of_job_id?: number | null;
+  retryable_items?: number;
+  unfinished_items?: number;
+  blocked_items?: number;
+  resumed_by_job_id?: number | null;
   created_at: string;
 }
 
@@ -33,8 +46,22 @@ interface Progress {
   portal: string | null;
   attempt: number | null;
   phase: string | null;
+  worker?: number;
 }
 
+// 진행 상황 한 줄 표시 (로그 누적 X)
+const formatProgressLine = (p: Progress | null, running: boolean) => {
+  if (running && p) {
+    const workerText = p.worker != null ? `[워커 ${p.worker}] ` : '';
+    const companyText = p.company ? `${p.company}` : '-';
+    const portalText = p.portal ? `${p.portal}` : '-';
+    const attemptText = p.attempt ? `${p.attempt}` : '-';
+    const phaseText = p.phase ? `${p.phase}` : '-';
+    return `${workerText}진행: 기업=${companyText} | 포털=${portalText} | 시도=${attemptText} | 상태=${phaseText}`;
+  }
+  return running ? '진행: 준비 중...' : '';
+};
+
 interface Company {
   id: number;
   company_name: string;
@@ -45,13 +72,116 @@ interface Company {
   yanolja_url: string | null;
   agoda_url: string | null;
   google_url: string | null;
+  place_matches?: Record<string, PlaceMatch> | null;
+  archived_at?: string | null;
+}
+
+interface Portal {
+  id: string;
+  name: string;
+  nameEn: string;
+  baseUrl: string;
+  /** false면 스크래핑 작업에서 건너뜀 (portals.enabled) */
+  enabled: boolean;
+  urlColumn: string;
+  requiresUrl: boolean;
+  resolvable: boolean;
+}
+
+interface PlaceCandidate {
+  name: string;
+  address: string;
+  category: string;
+  url: string;
+  score?: number;
+}
+
+interface PlaceMatch {
+  status: 'matched' | 'needs_review' | 'not_found' | 'confirmed';
+  url: string | null;
+  confidence: number;
+  candidates: PlaceCandidate[];
+  resolvedAt: string;
+}
+
+interface PlacePicker {
+  companyId: number;
+  portal: string;
+  loading: boolean;
+  match: PlaceMatch | null;
+  manualUrl: string;
+}
+
+interface ImportRowResult {
+  line: number;
+  companyName: string | null;
+  action: 'create' | 'update' | null;
+  status: 'valid' | 'saved' | 'invalid' | 'failed';
+  errors: string[];
+  warnings: string[];
+}
+
+interface ImportReport {
+  dryRun: boolean;
+  summary: { total: number; valid: number; invalid: number; created: number; updated: number; failed: number };
+  ignoredColumns: string[];
+  rows: ImportRowResult[];
+}
+
+interface JobItem {
+  id: number;
+  company_name: string;
+  portal: string;
+  status: string;
+  attempts: number;
+  extracted_count: number;
+  saved_count: number;
+  duplicate_count: number;
+  filtered_count: number;
+  skip_reason: string | null;
+  last_error: string | null;
+  error_category: string | null;
+  artifacts: string[] | null;
+  duration_ms: number | null;
+}
+
+interface JobLog {
+  id: number;
+  logged_at: string;
+  level: 'info' | 'warn' | 'error';
+  company_name: string | null;
+  portal: string | null;
+  message: string;
+}
+
+// 작업 상세 (항목별 결과 + 저장된 로그, 로그 필터)
+interface JobDetail {
+  jobId: number;
+  loading: boolean;
+  items: JobItem[];
+  logs: JobLog[];
+  totalLogs: number;
+  level: string;
+  company: string;
+  portal: string;
 }
 
 interface Statistics {
   totalReviews: number;
-  byPortal: Array<{ portal_url: string; count: string }>;
-  byCompany: Array<{ company_name: string; count: string }>;
-  byCompanyAndPortal: Array<{ company_name: string; portal_url: string; count: string }>;
+  /** 최근 일주일/2주 (대략적인 날짜는 가장 이른 작성일 기준, "1개월 전"은 포함 안 함) */
+  lastWeek?: number;
+  lastTwoWeeks?: number;
+  /** portal_code가 null이면 포털 코드를 찾지 못한 옛 리뷰 (portal_url: 저장된 표시 이름) */
+  byPortal: Array<{ portal_code: string | null; portal_url: string; name_en: string | null; count: string }>;
+  /** company_id가 null이면 기업과 연결되지 않은 옛 리뷰 */
+  byCompany: Array<{ company_id: number | null; company_name: string; count: string }>;
+  byCompanyAndPortal: Array<{
+    company_id: number | null;
+    company_name: string;
+    portal_code: string | null;
+    portal_url: string;
+    count: string;
+  }>;
 }
 
 type DateFilter = 'all' | 'week' | 'twoWeeks';
@@ -59,34 +189,37 @@ type DateFilter = 'all' | 'week' | 'twoWeeks';
 export default function Home() {
   const [isRunning, setIsRunning] = useState(false);
   const [currentJob, setCurrentJob] = useState<Job | null>(null);
+  const [queuedJobs, setQueuedJobs] = useState<Job[]>([]);
   const [recentJobs, setRecentJobs] = useState<Job[]>([]);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState<string | null>(null);
   const [progressLine, setProgressLine] = useState<string>('');
+  /** 동시 실행 중 워커별 진행 상황 (워커 ID → progress) */
+  const [workerProgress, setWorkerProgress] = useState<Record<number, Progress>>({});
   const [dateFilter, setDateFilter] = useState<DateFilter>('week');
   const [companyName, setCompanyName] = useState<string>('');
   const [companies, setCompanies] = useState<Company[]>([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [importFile, setImportFile] = useState<File | null>(null);
+  const [importReport, setImportReport] = useState<ImportReport | null>(null);
+  const [importLoading, setImportLoading] = useState(false);
   const [statistics, setStatistics] = useState<Statistics | null>(null);
-  const [selectedPortals, setSelectedPortals] = useState<string[]>(['naver', 'kakao', 'yanolja', 'agoda', 'google']);
+  const [availablePortals, setAvailablePortals] = useState<Portal[]>([]);
+  const [selectedPortals, setSelectedPortals] = useState<string[]>([]);
   const [breakpointMode, setBreakpointMode] = useState(false);
   const [showBrowser, setShowBrowser] = useState(false);
   const [progressLog, setProgressLog] = useState<string[]>([]);
   const [waitingForContinue, setWaitingForContinue] = useState(false);
   const [scheduleEnabled, setScheduleEnabled] = useState<boolean>(true);
   const [scheduleLoading, setScheduleLoading] = useState(false);
-  
-  const availablePortals = [
-    { id: 'naver', name: '네이버맵' },
-    { id: 'kakao', name: '카카오맵' },
-    { id: 'yanolja', name: '야놀자' },
-    { id: 'agoda', name: '아고다' },
-    { id: 'google', name: '구글' },
-  ];
-
-  // 상태 조회
+  const [placePicker, setPlacePicker] = useState<PlacePicker | null>(null);
+  const [jobDetail, setJobDetail] = useState<JobDetail | null>(null);
+  const portalsLoadedRef = useRef(false);
+
+  // 상태 조회 (진행 로그/진행 상황은 SSE로 받으므로 log=0)
   const fetchStatus = async () => {
     try {
-      const response = await fetch(`${API_URL}/api/admin/jobs/status`, {
+      const response = await fetch(`${API_URL}/api/admin/jobs/status?log=0`, {
         headers: {
           'x-admin-secret': ADMIN_SECRET,
         },
@@ -94,22 +227,7 @@ export default function Home() {
       const data = await response.json();
       setIsRunning(data.isRunning);
       setCurrentJob(data.currentJob);
-      setProgressLog(Array.isArray(data.progressLog) ? data.progressLog : []);
-      setWaitingForContinue(data.waitingForContinue === true);
-
-      // 진행 상황 한 줄 표시 (로그 누적 X)
-      const p: Progress | null = data.progress || null;
-      if (data.isRunning && p) {
-        const companyText = p.company ? `${p.company}` : '-';
-        const portalText = p.portal ? `${p.portal}` : '-';
-        const attemptText = p.attempt ? `${p.attempt}` : '-';
-        const phaseText = p.phase ? `${p.phase}` : '-';
-        setProgressLine(`진행: 기업=${companyText} | 포털=${portalText} | 시도=${attemptText} | 상태=${phaseText}`);
-      } else if (data.isRunning) {
-        setProgressLine('진행: 준비 중...');
-      } else {
-        setProgressLine('');
-      }
+      setQueuedJobs(Array.isArray(data.queue) ? data.queue : []);
     } catch (error) {
       console.error('상태 조회 실패:', error);
     }
@@ -147,10 +265,11 @@ export default function Home() {
     }
   };
 
-  // 기업 목록 조회
-  const fetchCompanies = async () => {
+  // 기업 목록 조회 (보관된 기업은 토글을 켰을 때만)
+  const fetchCompanies = async (includeArchived = showArchived) => {
     try {
-      const response = await fetch(`${API_URL}/api/admin/companies`, {
+      const query = includeArchived ? '?includeArchived=1' : '';
+      const response = await fetch(`${API_URL}/api/admin/companies${query}`, {
         headers: {
           'x-admin-secret': ADMIN_SECRET,
         },
@@ -163,6 +282,162 @@ export default function Home() {
     }
   };
 
+  // 포털 목록 조회 (서버 포털 레지스트리 기준)
+  const fetchPortals = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/admin/portals`, {
+        headers: {
+          'x-admin-secret': ADMIN_SECRET,
+        },
+      });
+      const data = await response.json();
+      const portals: Portal[] = Array.isArray(data) ? data : [];
+      setAvailablePortals(portals);
+      // 처음 불러올 때만 전체 선택 (이후에는 사용자 선택 유지)
+      if (!portalsLoadedRef.current && portals.length > 0) {
+        portalsLoadedRef.current = true;
+        setSelectedPortals(portals.filter((p) => p.enabled !== false).map((p) => p.id));
+      }
+    } catch (error) {
+      console.error('포털 목록 조회 실패:', error);
+    }
+  };
+
+  // 매칭 후보 조회 (refresh: 포털에서 다시 검색)
+  const openPlacePicker = async (companyId: number, portal: string, refresh = false) => {
+    setPlacePicker({ companyId, portal, loading: true, match: null, manualUrl: '' });
+    try {
+      const response = await fetch(
+        `${API_URL}/api/admin/companies/${companyId}/candidates?portal=${encodeURIComponent(portal)}${refresh ? '&refresh=1' : ''}`,
+        { headers: { 'x-admin-secret': ADMIN_SECRET } }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        setMessage(`오류: ${data.error || '후보 조회 실패'}`);
+        setPlacePicker(null);
+        return;
+      }
+      setPlacePicker({ companyId, portal, loading: false, match: data, manualUrl: '' });
+    } catch (error) {
+      console.error('매칭 후보 조회 실패:', error);
+      setMessage('매칭 후보 조회 요청 실패');
+      setPlacePicker(null);
+    }
+  };
+
+  // 후보(또는 직접 입력한 URL)로 장소 확정
+  const handleConfirmPlace = async (companyId: number, portal: string, url: string) => {
+    if (!url.trim()) return;
+    try {
+      const response = await fetch(`${API_URL}/api/admin/companies/${companyId}/confirm-place`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-admin-secret': ADMIN_SECRET,
+        },
+        body: JSON.stringify({ portal, url: url.trim() }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setMessage(data.message || '장소가 확정되었습니다.');
+        setPlacePicker(null);
+        fetchCompanies();
+      } else {
+        setMessage(`오류: ${data.error || '장소 확정 실패'}`);
+      }
+    } catch (error) {
+      console.error('장소 확정 실패:', error);
+      setMessage('장소 확정 요청 실패');
+    }
+  };
+
+  // 기업 보관 (soft delete: 리뷰는 유지, 스크래핑 대상에서 제외)
+  const handleArchiveCompany = async (company: Company) => {
+    if (!window.confirm(`${company.company_name}을(를) 보관할까요? 리뷰는 그대로 남고 스크래핑 대상에서 제외됩니다.`)) return;
+    try {
+      const response = await fetch(`${API_URL}/api/admin/companies/${company.id}`, {
+        method: 'DELETE',
+        headers: { 'x-admin-secret': ADMIN_SECRET },
+      });
+      const data = await response.json();
+      setMessage(response.ok ? data.message : `오류: ${data.error}`);
+      fetchCompanies();
+    } catch (error) {
+      console.error('기업 보관 실패:', error);
+      setMessage('기업 보관 요청 실패');
+    }
+  };
+
+  // 보관된 기업 복원
+  const handleRestoreCompany = async (company: Company) => {
+    try {
+      const response = await fetch(`${API_URL}/api/admin/companies/${company.id}/restore`, {
+        method: 'POST',
+        headers: { 'x-admin-secret': ADMIN_SECRET },
+      });
+      const data = await response.json();
+      setMessage(response.ok ? data.message : `오류: ${data.error}`);
+      fetchCompanies();
+    } catch (error) {
+      console.error('기업 복원 실패:', error);
+      setMessage('기업 복원 요청 실패');
+    }
+  };
+
+  // 기업 완전 삭제 (리뷰 삭제 여부를 한 번 더 확인)
+  const handleDeleteCompany = async (company: Company) => {
+    if (!window.confirm(`${company.company_name}을(를) 완전히 삭제할까요? 되돌릴 수 없습니다.`)) return;
+    const deleteReviews = window.confirm(
+      '이 기업의 리뷰도 함께 삭제할까요?\n확인: 리뷰도 삭제 / 취소: 리뷰는 남겨 둠'
+    );
+    try {
+      const response = await fetch(
+        `${API_URL}/api/admin/companies/${company.id}?mode=hard&reviews=${deleteReviews ? 'delete' : 'keep'}`,
+        {
+          method: 'DELETE',
+          headers: { 'x-admin-secret': ADMIN_SECRET },
+        }
+      );
+      const data = await response.json();
+      setMessage(response.ok ? data.message : `오류: ${data.error}`);
+      fetchCompanies();
+      fetchStatistics();
+    } catch (error) {
+      console.error('기업 삭제 실패:', error);
+      setMessage('기업 삭제 요청 실패');
+    }
+  };
+
+  // 기업 CSV 일괄 등록 (dryRun이면 저장 없이 행별 검사 결과만)
+  const handleImportCompanies = async (dryRun: boolean) => {
+    if (!importFile) return;
+    setImportLoading(true);
+    try {
+      const response = await fetch(`${API_URL}/api/admin/companies/import${dryRun ? '?dryRun=1' : ''}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'text/csv',
+          'x-admin-secret': ADMIN_SECRET,
+        },
+        body: importFile,
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setMessage(data.message);
+        setImportReport(data);
+        if (!dryRun) fetchCompanies();
+      } else {
+        setMessage(`오류: ${data.error}`);
+        setImportReport(null);
+      }
+    } catch (error) {
+      console.error('기업 가져오기 실패:', error);
+      setMessage('기업 가져오기 요청 실패');
+    } finally {
+      setImportLoading(false);
+    }
+  };
+
   // 스케줄 상태 조회
   const fetchScheduleStatus = async () => {
     try {
@@ -282,7 +557,8 @@ export default function Home() {
       const portalText = selectedPortals.length < availablePortals.length 
         ? ` (포털: ${selectedPortals.map(id => availablePortals.find(p => p.id === id)?.name).join(', ')})`
         : '';
-      setMessage(`✅ 시작 요청 완료 (${filterText}${companyText}${portalText})`);
+      const queueText = data.ahead > 0 ? `대기열 추가 - 앞선 작업 ${data.ahead}개 이후 실행` : '시작 요청 완료';
+      setMessage(`✅ ${queueText} (${filterText}${companyText}${portalText})`);
       setTimeout(() => {
         fetchStatus();
         fetchRecentJobs();
@@ -314,6 +590,124 @@ export default function Home() {
     }
   };
 
+  // 실패 항목 재시도 / 중단된 작업 이어서 실행 (해당 기업 × 포털만 새 작업으로 대기열에 추가)
+  const handleRequeueJob = async (jobId: number, action: 'retry-failed' | 'resume') => {
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_URL}/api/admin/jobs/${jobId}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-admin-secret': ADMIN_SECRET,
+        },
+      });
+      const data = await response.json();
+      setMessage(response.ok ? `✅ ${data.message}` : `오류: ${data.error}`);
+      fetchStatus();
+      fetchRecentJobs();
+    } catch (error) {
+      setMessage(action === 'resume' ? '이어서 실행 요청 실패' : '실패 항목 재시도 요청 실패');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 작업 로그 조회 (level/company/portal 필터)
+  const fetchJobLogs = async (detail: JobDetail) => {
+    const params = new URLSearchParams({ limit: '1000' });
+    if (detail.level) params.set('level', detail.level);
+    if (detail.company.trim()) params.set('company', detail.company.trim());
+    if (detail.portal) params.set('portal', detail.portal);
+    const response = await fetch(`${API_URL}/api/admin/jobs/${detail.jobId}/logs?${params.toString()}`, {
+      headers: { 'x-admin-secret': ADMIN_SECRET },
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || '로그 조회 실패');
+    }
+    return { logs: Array.isArray(data.logs) ? data.logs : [], totalLogs: data.total || 0 };
+  };
+
+  // 작업 상세 열기/닫기 (항목별 결과 + 로그)
+  const toggleJobDetail = async (jobId: number) => {
+    if (jobDetail?.jobId === jobId) {
+      setJobDetail(null);
+      return;
+    }
+    const detail: JobDetail = { jobId, loading: true, items: [], logs: [], totalLogs: 0, level: '', company: '', portal: '' };
+    setJobDetail(detail);
+    try {
+      const response = await fetch(`${API_URL}/api/admin/jobs/${jobId}`, {
+        headers: { 'x-admin-secret': ADMIN_SECRET },
+      });
+      const job = await response.json();
+      const logs = await fetchJobLogs(detail);
+      setJobDetail({ ...detail, loading: false, items: Array.isArray(job.items) ? job.items : [], ...logs });
+    } catch (error) {
+      setMessage(`작업 상세 조회 실패: ${error instanceof Error ? error.message : '알 수 없는 오류'}`);
+      setJobDetail({ ...detail, loading: false });
+    }
+  };
+
+  // 실패 파일(스크린샷/HTML/trace) 열기: 인증 헤더가 필요해 fetch로 받아 새 창에서 연다
+  const openJobArtifact = async (jobId: number, name: string) => {
+    try {
+      const response = await fetch(`${API_URL}/api/admin/jobs/${jobId}/artifacts/${encodeURIComponent(name)}`, {
+        headers: { 'x-admin-secret': ADMIN_SECRET },
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setMessage(`오류: ${data.error || '파일 다운로드 실패'}`);
+        return;
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      // trace(zip)는 내려받고, 스크린샷/HTML은 새 창에서 바로 확인
+      if (name.endsWith('.zip')) link.download = name;
+      else link.target = '_blank';
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      setMessage('파일 다운로드 요청 실패');
+    }
+  };
+
+  // 로그 필터 변경
+  const updateJobLogFilter = async (changes: Partial<Pick<JobDetail, 'level' | 'company' | 'portal'>>) => {
+    if (!jobDetail) return;
+    const next = { ...jobDetail, ...changes, loading: true };
+    setJobDetail(next);
+    try {
+      const logs = await fetchJobLogs(next);
+      setJobDetail({ ...next, loading: false, ...logs });
+    } catch (error) {
+      setMessage(`로그 조회 실패: ${error instanceof Error ? error.message : '알 수 없는 오류'}`);
+      setJobDetail({ ...next, loading: false });
+    }
+  };
+
+  // 대기 중인 작업 취소
+  const handleCancelQueued = async (jobId: number) => {
+    try {
+      const response = await fetch(`${API_URL}/api/admin/jobs/${jobId}/cancel`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-admin-secret': ADMIN_SECRET,
+        },
+      });
+      const data = await response.json();
+      setMessage(response.ok ? data.message : `오류: ${data.error}`);
+      fetchStatus();
+      fetchRecentJobs();
+    } catch (error) {
+      setMessage('작업 취소 실패');
+      console.error(error);
+    }
+  };
+
   // 작업 중지
   const handleStop = async () => {
     setLoading(true);
@@ -344,15 +738,103 @@ export default function Home() {
     }
   };
 
-  // 초기 로드 및 주기적 업데이트 (실행 중일 때는 1초마다, 아니면 5초마다)
+  // 실시간 진행 상황 (SSE): 현재 상태, 진행 한 줄, 실시간 진행 로그, 브레이크포인트 대기
+  // 끊기면 EventSource가 Last-Event-ID로 자동 재연결하고, 완전히 닫히면 마지막 이벤트 ID부터 다시 연결
+  const lastEventIdRef = useRef('');
+  useEffect(() => {
+    let source: EventSource | null = null;
+    let retryTimer: ReturnType<typeof setTimeout> | null = null;
+    let disposed = false;
+
+    const parse = (e: Event) => {
+      const event = e as MessageEvent;
+      if (event.lastEventId) lastEventIdRef.current = event.lastEventId;
+      return JSON.parse(event.data);
+    };
+
+    const connect = () => {
+      const params = new URLSearchParams({ secret: ADMIN_SECRET });
+      if (lastEventIdRef.current) params.set('lastEventId', lastEventIdRef.current);
+      source = new EventSource(`${API_URL}/api/admin/jobs/current/events?${params.toString()}`);
+
+      source.addEventListener('snapshot', (e) => {
+        const data = parse(e);
+        const running = data.isRunning === true;
+        setIsRunning(running);
+        if (data.job) setCurrentJob(data.job);
+        setProgressLog(Array.isArray(data.progressLog) ? data.progressLog : []);
+        setWaitingForContinue(data.waitingForContinue === true);
+        setProgressLine(formatProgressLine(data.progress || null, running));
+        const workers: Record<number, Progress> = {};
+        for (const p of (Array.isArray(data.activeProgress) ? data.activeProgress : []) as Progress[]) {
+          if (p.worker != null) workers[p.worker] = p;
+        }
+        setWorkerProgress(workers);
+      });
+      source.addEventListener('log', (e) => {
+        const { line } = parse(e);
+        setProgressLog((prev) => [...prev, line].slice(-MAX_PROGRESS_LOG_LINES));
+      });
+      source.addEventListener('progress', (e) => {
+        const p: Progress = parse(e);
+        if (p.worker == null) {
+          // 작업 전체 단계(stopping/completed/failed)는 워커별 표시를 지우고 한 줄로
+          setWorkerProgress({});
+          setProgressLine(formatProgressLine(p, true));
+          return;
+        }
+        const workerId = p.worker;
+        setWorkerProgress((prev) => {
+          const next = { ...prev };
+          if (p.phase === 'idle') delete next[workerId];
+          else next[workerId] = p;
+          return next;
+        });
+      });
+      source.addEventListener('breakpoint', (e) => {
+        setWaitingForContinue(parse(e).waiting === true);
+      });
+      source.addEventListener('status', (e) => {
+        const job: Job = parse(e);
+        setCurrentJob(job);
+        if (job.status === 'running') {
+          // 새 작업 시작: 서버도 진행 로그를 비우고 시작함
+          setIsRunning(true);
+          setProgressLog([]);
+          setProgressLine(formatProgressLine(null, true));
+        } else {
+          setIsRunning(false);
+          setWaitingForContinue(false);
+          setProgressLine('');
+        }
+        setWorkerProgress({});
+      });
+      source.onerror = () => {
+        if (!disposed && source?.readyState === EventSource.CLOSED) {
+          source.close();
+          retryTimer = setTimeout(connect, EVENTS_RECONNECT_MS);
+        }
+      };
+    };
+
+    connect();
+    return () => {
+      disposed = true;
+      if (retryTimer) clearTimeout(retryTimer);
+      source?.close();
+    };
+  }, []);
+
+  // 초기 로드 및 주기적 업데이트 (진행 상황은 SSE, 대기열/작업 목록은 5초마다)
   useEffect(() => {
     fetchStatus();
     fetchRecentJobs();
     fetchCompanies();
     fetchStatistics();
     fetchScheduleStatus();
+    fetchPortals();
 
-    const intervalMs = isRunning ? 1000 : 5000;
+    const intervalMs = 5000;
     const interval = setInterval(() => {
       fetchStatus();
       if (!isRunning) {
@@ -385,6 +867,8 @@ export default function Home() {
       completed: '완료',
       failed: '실패',
       stopped: '중지됨',
+      interrupted: '중단됨 (서버 재시작)',
+      skipped: '건너뜀',
     };
     return statusMap[status] || status;
   };
@@ -397,6 +881,8 @@ export default function Home() {
       completed: '#4CAF50',
       failed: '#F44336',
       stopped: '#FF9800',
+      interrupted: '#9C27B0',
+      skipped: '#9E9E9E',
     };
     return colorMap[status] || '#666';
   };
@@ -424,7 +910,7 @@ export default function Home() {
                   value="all"
                   checked={dateFilter === 'all'}
                   onChange={(e) => setDateFilter(e.target.value as DateFilter)}
-                  disabled={loading || isRunning}
+                  disabled={loading}
                   className={styles.radioInput}
                 />
                 <span>전체</span>
@@ -436,7 +922,7 @@ export default function Home() {
                   value="week"
                   checked={dateFilter === 'week'}
                   onChange={(e) => setDateFilter(e.target.value as DateFilter)}
-                  disabled={loading || isRunning}
+                  disabled={loading}
                   className={styles.radioInput}
                 />
                 <span>일주일 간격</span>
@@ -448,7 +934,7 @@ export default function Home() {
                   value="twoWeeks"
                   checked={dateFilter === 'twoWeeks'}
                   onChange={(e) => setDateFilter(e.target.value as DateFilter)}
-                  disabled={loading || isRunning}
+                  disabled={loading}
                   className={styles.radioInput}
                 />
                 <span>2주 간격</span>
@@ -473,7 +959,7 @@ export default function Home() {
               type="text"
               value={companyName}
               onChange={(e) => setCompanyName(e.target.value)}
-              disabled={loading || isRunning}
+              disabled={loading}
               placeholder="기업명을 입력하면 해당 기업만 스크랩합니다 (비워두면 전체 기업)"
               className={styles.companyInput}
             />
@@ -500,10 +986,10 @@ export default function Home() {
                         setSelectedPortals(selectedPortals.filter((p) => p !== portal.id));
                       }
                     }}
-                    disabled={loading || isRunning}
+                    disabled={loading}
                     className={styles.checkboxInput}
                   />
-                  <span>{portal.name}</span>
+                  <span>{portal.enabled === false ? `${portal.name} (사용 안 함)` : portal.name}</span>
                 </label>
               ))}
             </div>
@@ -523,7 +1009,7 @@ export default function Home() {
                 type="checkbox"
                 checked={showBrowser}
                 onChange={(e) => setShowBrowser(e.target.checked)}
-                disabled={loading || isRunning}
+                disabled={loading}
                 className={styles.radioInput}
               />
               <span>브라우저 화면 표시 (디버깅용)</span>
@@ -539,7 +1025,7 @@ export default function Home() {
                 type="checkbox"
                 checked={breakpointMode}
                 onChange={(e) => setBreakpointMode(e.target.checked)}
-                disabled={loading || isRunning}
+                disabled={loading}
                 className={styles.radioInput}
               />
               <span>디버그: 단계마다 클릭하여 진행 (브레이크포인트)</span>
@@ -560,10 +1046,10 @@ export default function Home() {
           <div className={styles.controls}>
             <button
               onClick={handleStart}
-              disabled={loading || isRunning}
+              disabled={loading}
               className={`${styles.button} ${styles.buttonPrimary}`}
             >
-              {loading ? '실행 중...' : isRunning ? '실행 중' : '지금 실행'}
+              {loading ? '요청 중...' : isRunning ? '대기열에 추가' : '지금 실행'}
             </button>
             <button
               onClick={handleStop}
@@ -615,13 +1101,21 @@ export default function Home() {
               💡 <strong>지금 실행</strong> 버튼을 클릭하면 설정한 조건(기간, 기업)에 따라 즉시 스크래핑을 시작합니다.
               <br />
               자동 스케줄(매주 일요일 오전 2시)과는 별개로 수동으로 실행할 수 있습니다.
+              <br />
+              다른 작업이 실행 중이면 대기열에 추가되어 순서대로 실행됩니다.
             </p>
           </div>
           {message && (
             <div className={styles.message}>{message}</div>
           )}
-          {isRunning && progressLine && (
-            <div className={styles.message}>{progressLine}</div>
+          {isRunning && Object.keys(workerProgress).length > 0 ? (
+            <div className={styles.message}>
+              {Object.values(workerProgress).map((p) => (
+                <div key={p.worker}>{formatProgressLine(p, true)}</div>
+              ))}
+            </div>
+          ) : (
+            isRunning && progressLine && <div className={styles.message}>{progressLine}</div>
           )}
         </section>
 
@@ -689,6 +1183,38 @@ export default function Home() {
             )}
           </div>
 
+          {/* 대기열 */}
+          {queuedJobs.length > 0 && (
+            <div className={styles.queueSection}>
+              <h3 className={styles.progressLogTitle}>대기열 ({queuedJobs.length})</h3>
+              <div className={styles.queueList}>
+                {queuedJobs.map((job) => (
+                  <div key={job.id} className={styles.queueItem}>
+                    <span>
+                      #{job.id} · {job.source === 'schedule'
+                        ? '스케줄'
+                        : job.source === 'retry'
+                        ? `#${job.retry_of_job_id} 재시도`
+                        : job.source === 'resume'
+                        ? `#${job.retry_of_job_id} 이어하기`
+                        : '수동'} · {job.company_name || '전체 기업'}
+                      {job.portals && job.portals.length > 0
+                        ? ` · ${job.portals.map((id) => availablePortals.find((p) => p.id === id)?.name ?? id).join(', ')}`
+                        : ''}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => handleCancelQueued(job.id)}
+                      className={styles.matchButton}
+                    >
+                      취소
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* 실시간 진행 로그 */}
           {(isRunning || progressLog.length > 0) && (
             <div className={styles.progressLogSection}>
@@ -727,9 +1253,23 @@ export default function Home() {
                 <div className={styles.statLabel}>전체 리뷰</div>
                 <div className={styles.statValue}>{(statistics.totalReviews ?? 0).toLocaleString()}</div>
               </div>
+              {statistics.lastWeek !== undefined && (
+                <div className={styles.statCard}>
+                  <div className={styles.statLabel}>최근 7일</div>
+                  <div className={styles.statValue}>{statistics.lastWeek.toLocaleString()}</div>
+                </div>
+              )}
+              {statistics.lastTwoWeeks !== undefined && (
+                <div className={styles.statCard}>
+                  <div className={styles.statLabel}>최근 14일</div>
+                  <div className={styles.statValue}>{statistics.lastTwoWeeks.toLocaleString()}</div>
+                </div>
+              )}
               {(statistics.byPortal ?? []).map((portal) => (
-                <div key={portal.portal_url} className={styles.statCard}>
-                  <div className={styles.statLabel}>{portal.portal_url}</div>
+                <div key={portal.portal_code ?? portal.portal_url} className={styles.statCard}>
+                  <div className={styles.statLabel}>
+                    {availablePortals.find((p) => p.id === portal.portal_code)?.name ?? portal.portal_url}
+                  </div>
                   <div className={styles.statValue}>{(Number(portal?.count) || 0).toLocaleString()}</div>
                 </div>
               ))}
@@ -740,33 +1280,207 @@ export default function Home() {
         {/* 기업 목록 */}
         <section className={styles.companiesPanel}>
           <h2>기업 목록 ({(Array.isArray(companies) ? companies : []).length}개)</h2>
+          <label className={styles.archiveToggle}>
+            <input
+              type="checkbox"
+              checked={showArchived}
+              onChange={(e) => {
+                setShowArchived(e.target.checked);
+                fetchCompanies(e.target.checked);
+              }}
+              className={styles.checkboxInput}
+            />
+            보관된 기업 보기
+          </label>
+          <div className={styles.importSection}>
+            <div className={styles.manualUrlRow}>
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                onChange={(e) => {
+                  setImportFile(e.target.files?.[0] ?? null);
+                  setImportReport(null);
+                }}
+              />
+              <button
+                type="button"
+                onClick={() => handleImportCompanies(true)}
+                disabled={!importFile || importLoading}
+                className={styles.matchButton}
+              >
+                CSV 미리보기
+              </button>
+              <button
+                type="button"
+                onClick={() => handleImportCompanies(false)}
+                disabled={!importFile || importLoading || !importReport?.dryRun || importReport.summary.valid === 0}
+                className={styles.matchButton}
+              >
+                가져오기
+              </button>
+            </div>
+            <p className={styles.importHint}>
+              첫 줄은 컬럼명 헤더 (company_name, type 필수 / is_member, address, email, phone, manager, naver_url 등). 미리보기 후 오류 없는 행만 저장되며, 이미 등록된 기업은 값이 있는 칸만 덮어씁니다.
+              XLSX는 지원하지 않으니 엑셀에서 &quot;CSV UTF-8(쉼표로 분리)&quot;로 저장해 올려 주세요.
+            </p>
+            {importReport && (
+              <>
+                {importReport.ignoredColumns.length > 0 && (
+                  <p className={styles.importHint}>무시한 컬럼: {importReport.ignoredColumns.join(', ')}</p>
+                )}
+                <ul className={styles.importRows}>
+                  {importReport.rows.map((row) => (
+                    <li
+                      key={row.line}
+                      className={row.errors.length > 0 ? styles.importRowError : styles.importRowOk}
+                    >
+                      <strong>{row.line}행 {row.companyName ?? '(기업명 없음)'}</strong>{' '}
+                      {{ valid: row.action === 'update' ? '갱신 예정' : '추가 예정', saved: row.action === 'update' ? '갱신됨' : '추가됨', invalid: '오류', failed: '저장 실패' }[row.status]}
+                      {[...row.errors, ...row.warnings].map((text) => (
+                        <span key={text} className={styles.importNote}>{text}</span>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
           {(Array.isArray(companies) ? companies : []).length === 0 ? (
             <p className={styles.empty}>등록된 기업이 없습니다.</p>
           ) : (
             <div className={styles.companiesList}>
               {(Array.isArray(companies) ? companies : []).map((company) => {
                 const companyStats = (statistics?.byCompanyAndPortal ?? []).filter(
-                  (s) => s.company_name === company.company_name
+                  (s) => s.company_id === company.id
                 ) || [];
                 const totalCompanyReviews = companyStats.reduce(
                   (sum, s) => sum + parseInt(s.count),
                   0
                 );
+                const pendingMatches = Object.entries(company.place_matches ?? {}).filter(
+                  ([, match]) => match?.status === 'needs_review'
+                );
+                const pickerOpen = placePicker?.companyId === company.id;
 
                 return (
-                  <div key={company.id} className={styles.companyItem}>
+                  <div
+                    key={company.id}
+                    className={`${styles.companyItem} ${company.archived_at ? styles.companyArchived : ''}`}
+                  >
                     <div className={styles.companyHeader}>
                       <h3>{company.company_name}</h3>
-                      <span className={styles.companyType}>{company.type}</span>
+                      <div className={styles.companyBadges}>
+                        {company.archived_at && <span className={styles.archivedBadge}>보관됨</span>}
+                        {pendingMatches.length > 0 && (
+                          <span className={styles.matchBadge}>매칭 확인 필요</span>
+                        )}
+                        <span className={styles.companyType}>{company.type}</span>
+                        {company.archived_at ? (
+                          <button type="button" onClick={() => handleRestoreCompany(company)} className={styles.matchButton}>
+                            복원
+                          </button>
+                        ) : (
+                          <button type="button" onClick={() => handleArchiveCompany(company)} className={styles.matchButton}>
+                            보관
+                          </button>
+                        )}
+                        <button type="button" onClick={() => handleDeleteCompany(company)} className={styles.deleteButton}>
+                          삭제
+                        </button>
+                      </div>
                     </div>
                     <div className={styles.companyInfo}>
+                      {pendingMatches.length > 0 && (
+                        <div className={styles.matchActions}>
+                          {pendingMatches.map(([portalId, match]) => (
+                            <button
+                              key={portalId}
+                              type="button"
+                              onClick={() => openPlacePicker(company.id, portalId)}
+                              className={styles.matchButton}
+                            >
+                              {availablePortals.find((p) => p.id === portalId)?.name ?? portalId} 후보 선택 (신뢰도 {Math.round((match.confidence ?? 0) * 100)}%)
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                      {pickerOpen && placePicker && (
+                        <div className={styles.placePicker}>
+                          <div className={styles.placePickerHeader}>
+                            <strong>
+                              {availablePortals.find((p) => p.id === placePicker.portal)?.name ?? placePicker.portal} 장소 후보
+                            </strong>
+                            <div className={styles.placePickerTools}>
+                              <button
+                                type="button"
+                                onClick={() => openPlacePicker(company.id, placePicker.portal, true)}
+                                disabled={placePicker.loading}
+                                className={styles.matchButton}
+                              >
+                                다시 검색
+                              </button>
+                              <button type="button" onClick={() => setPlacePicker(null)} className={styles.matchButton}>
+                                닫기
+                              </button>
+                            </div>
+                          </div>
+                          {placePicker.loading ? (
+                            <p className={styles.empty}>후보를 불러오는 중...</p>
+                          ) : (placePicker.match?.candidates ?? []).length === 0 ? (
+                            <p className={styles.empty}>검색된 후보가 없습니다. URL을 직접 입력해 주세요.</p>
+                          ) : (
+                            <ul className={styles.candidateList}>
+                              {(placePicker.match?.candidates ?? []).map((candidate) => (
+                                <li key={candidate.url} className={styles.candidateItem}>
+                                  <div className={styles.candidateInfo}>
+                                    <span className={styles.candidateName}>{candidate.name || '(이름 없음)'}</span>
+                                    <span className={styles.candidateMeta}>
+                                      {[candidate.category, candidate.address].filter(Boolean).join(' · ') || '-'}
+                                    </span>
+                                    <a href={candidate.url} target="_blank" rel="noreferrer" className={styles.candidateLink}>
+                                      {candidate.url}
+                                    </a>
+                                  </div>
+                                  <span className={styles.candidateScore}>
+                                    {Math.round((candidate.score ?? 0) * 100)}%
+                                  </span>
+                                  <button
+                                    type="button"
+                                    onClick={() => handleConfirmPlace(company.id, placePicker.portal, candidate.url)}
+                                    className={styles.matchButton}
+                                  >
+                                    이 장소로 확정
+                                  </button>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                          <div className={styles.manualUrlRow}>
+                            <input
+                              type="text"
+                              value={placePicker.manualUrl}
+                              onChange={(e) => setPlacePicker({ ...placePicker, manualUrl: e.target.value })}
+                              placeholder="후보에 없으면 장소 URL을 직접 입력"
+                              className={styles.companyInput}
+                            />
+                            <button
+                              type="button"
+                              onClick={() => handleConfirmPlace(company.id, placePicker.portal, placePicker.manualUrl)}
+                              disabled={!placePicker.manualUrl.trim()}
+                              className={styles.matchButton}
+                            >
+                              URL로 확정
+                            </button>
+                          </div>
+                        </div>
+                      )}
                       <div className={styles.companyReviews}>
                         <strong>저장된 리뷰: {totalCompanyReviews}개</strong>
                         {companyStats.length > 0 ? (
                           <div className={styles.portalBreakdown}>
                             {companyStats.map((stat) => (
-                              <span key={stat.portal_url} className={styles.portalStat}>
-                                {stat.portal_url}: {stat.count}개
+                              <span key={stat.portal_code ?? stat.portal_url} className={styles.portalStat}>
+                                {availablePortals.find((p) => p.id === stat.portal_code)?.name ?? stat.portal_url}: {stat.count}개
                               </span>
                             ))}
                           </div>
@@ -824,12 +1538,169 @@ export default function Home() {
                         <strong>오류:</strong> {job.error_count}건
                       </div>
                     )}
+                    {(job.blocked_items ?? 0) > 0 && (
+                      <div className={styles.errorMessage}>
+                        <strong>차단 감지:</strong> {job.blocked_items}건 (CAPTCHA/보안 확인 페이지)
+                      </div>
+                    )}
+                    {job.retry_of_job_id && (
+                      <div>
+                        <strong>{job.source === 'resume' ? '이어하기' : '재시도'}:</strong> 작업 #{job.retry_of_job_id}의{' '}
+                        {job.source === 'resume' ? '남은 항목' : '실패 항목'}
+                      </div>
+                    )}
+                    {job.resumed_by_job_id && (
+                      <div>
+                        <strong>이어하기:</strong> 작업 #{job.resumed_by_job_id}
+                      </div>
+                    )}
                     {job.error_message && (
                       <div className={styles.errorMessage}>
                         <strong>오류 메시지:</strong> {job.error_message}
                       </div>
                     )}
                   </div>
+                  <div className={styles.jobActions}>
+                    <button
+                      type="button"
+                      onClick={() => toggleJobDetail(job.id)}
+                      className={styles.matchButton}
+                    >
+                      {jobDetail?.jobId === job.id ? '상세 닫기' : '상세 보기'}
+                    </button>
+                    {job.status === 'interrupted' && !job.resumed_by_job_id && (job.unfinished_items ?? 0) > 0 && (
+                      <button
+                        type="button"
+                        onClick={() => handleRequeueJob(job.id, 'resume')}
+                        disabled={loading}
+                        className={styles.matchButton}
+                      >
+                        이어서 실행 ({job.unfinished_items}건 남음)
+                      </button>
+                    )}
+                    {(job.retryable_items ?? 0) > 0 && (
+                      <button
+                        type="button"
+                        onClick={() => handleRequeueJob(job.id, 'retry-failed')}
+                        disabled={loading}
+                        className={styles.matchButton}
+                      >
+                        실패 항목 재시도 ({job.retryable_items}건)
+                      </button>
+                      )}
+                  </div>
+                  {jobDetail?.jobId === job.id && (
+                    <div className={styles.jobDetail}>
+                      <h4 className={styles.jobDetailTitle}>기업 × 포털 항목 ({jobDetail.items.length})</h4>
+                      {jobDetail.items.length === 0 ? (
+                        <p className={styles.empty}>{jobDetail.loading ? '불러오는 중...' : '항목이 없습니다.'}</p>
+                      ) : (
+                        <div className={styles.jobItemTableWrap}>
+                          <table className={styles.jobItemTable}>
+                            <thead>
+                              <tr>
+                                <th>기업</th>
+                                <th>포털</th>
+                                <th>상태</th>
+                                <th>시도</th>
+                                <th>추출/저장/중복/제외</th>
+                                <th>소요</th>
+                                <th>사유/오류</th>
+                                <th>실패 파일</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {jobDetail.items.map((item) => (
+                                <tr key={item.id}>
+                                  <td>{item.company_name}</td>
+                                  <td>{availablePortals.find((p) => p.id === item.portal)?.name || item.portal}</td>
+                                  <td style={{ color: getStatusColor(item.status) }}>
+                                    {getStatusText(item.status)}
+                                    {item.error_category === 'blocked' && ' (차단)'}
+                                  </td>
+                                  <td>{item.attempts}</td>
+                                  <td>
+                                    {item.extracted_count} / {item.saved_count} / {item.duplicate_count} / {item.filtered_count}
+                                  </td>
+                                  <td>{item.duration_ms != null ? `${(item.duration_ms / 1000).toFixed(1)}초` : '-'}</td>
+                                  <td>{item.skip_reason || item.last_error || ''}</td>
+                                  <td>
+                                    <div className={styles.artifactLinks}>
+                                      {(item.artifacts || []).map((name) => (
+                                        <button
+                                          key={name}
+                                          type="button"
+                                          onClick={() => openJobArtifact(jobDetail.jobId, name)}
+                                          className={styles.artifactLink}
+                                          title={name}
+                                        >
+                                          {name.endsWith('.png') ? '스크린샷' : name.endsWith('.html') ? 'HTML' : 'trace'}
+                                        </button>
+                                      ))}
+                                    </div>
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      )}
+
+                      <h4 className={styles.jobDetailTitle}>작업 로그 ({jobDetail.totalLogs})</h4>
+                      <div className={styles.jobLogFilters}>
+                        <select
+                          value={jobDetail.level}
+                          onChange={(e) => updateJobLogFilter({ level: e.target.value })}
+                          className={styles.companyInput}
+                        >
+                          <option value="">전체 레벨</option>
+                          <option value="info">info</option>
+                          <option value="warn">warn</option>
+                          <option value="error">error</option>
+                          <option value="warn,error">warn + error</option>
+                        </select>
+                        <select
+                          value={jobDetail.portal}
+                          onChange={(e) => updateJobLogFilter({ portal: e.target.value })}
+                          className={styles.companyInput}
+                        >
+                          <option value="">전체 포털</option>
+                          {availablePortals.map((portal) => (
+                            <option key={portal.id} value={portal.id}>
+                              {portal.name}
+                            </option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          value={jobDetail.company}
+                          onChange={(e) => setJobDetail({ ...jobDetail, company: e.target.value })}
+                          onKeyDown={(e) => e.key === 'Enter' && updateJobLogFilter({})}
+                          placeholder="기업명 (Enter로 검색)"
+                          className={styles.companyInput}
+                        />
+                      </div>
+                      <div className={styles.progressLogBox} role="log">
+                        {jobDetail.logs.length === 0 ? (
+                          <div className={styles.progressLogLine}>
+                            {jobDetail.loading ? '불러오는 중...' : '저장된 로그가 없습니다.'}
+                          </div>
+                        ) : (
+                          jobDetail.logs.map((log) => (
+                            <div
+                              key={log.id}
+                              className={styles.progressLogLine}
+                              style={{ color: log.level === 'error' ? '#FF8A80' : log.level === 'warn' ? '#FFD180' : undefined }}
+                            >
+                              [{new Date(log.logged_at).toLocaleString('ko-KR')}] [{log.level}]
+                              {log.company_name ? ` [${log.company_name}]` : ''}
+                              {log.portal ? ` [${log.portal}]` : ''} {log.message}
+                            </div>
+                          ))
+                        )}
+                      </div>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -1,47 +1,75 @@
 import pg from 'pg';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { getMigrationStatus, migrateDown, migrateUp } from './migrationRunner.js';
 
 dotenv.config();
 
 const { Client } = pg;
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
-async function migrate() {
+const USAGE = `사용법: node src/db/migrate.js [up|down [단계 수]|status]
+  up      적용 안 된 마이그레이션을 순서대로 적용 (기본값)
+  down    마지막 마이그레이션부터 되돌리기 (기본 1단계)
+  status  마이그레이션별 적용 여부`;
+
+function printStatus(rows) {
+  if (rows.length === 0) {
+    console.log('마이그레이션 파일이 없습니다.');
+    return;
+  }
+  for (const row of rows) {
+    const mark = row.applied ? '✅' : '⏳';
+    const when = row.appliedAt ? new Date(row.appliedAt).toISOString() : '미적용';
+    const notes = [row.changed ? '⚠️ 적용 후 파일이 바뀜' : '', row.missing ? '⚠️ 파일 없음' : ''].filter(Boolean).join(' ');
+    console.log(`${mark} ${row.version}_${row.name}  ${when}${notes ? `  ${notes}` : ''}`);
+  }
+  const pending = rows.filter((row) => !row.applied).length;
+  console.log(`\n적용 ${rows.length - pending}개, 대기 ${pending}개`);
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL이 설정되지 않아 마이그레이션을 실행할 수 없습니다.');
+    process.exit(1);
+  }
+
   const client = new Client({
     connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
   });
 
   try {
     await client.connect();
     console.log('데이터베이스 연결 성공');
 
-    // 스키마 파일 읽기
-    const schemaPath = path.join(__dirname, 'schema.sql');
-    const schema = fs.readFileSync(schemaPath, 'utf8');
-
-    // 스키마 실행
-    await client.query(schema);
-    console.log('스키마 생성 완료');
-
-    console.log('마이그레이션 완료');
-  } catch (error) {
-    console.error('마이그레이션 실패:', error);
-    // Railway 배포 시 마이그레이션이 이미 완료된 경우를 고려하여
-    // 에러가 발생해도 프로세스를 종료하지 않음
-    if (error.message && error.message.includes('already exists')) {
-      console.log('⚠️ 테이블이 이미 존재합니다. 마이그레이션을 건너뜁니다.');
-      process.exit(0);
+    if (command === 'status') {
+      printStatus(await getMigrationStatus(client));
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`되돌릴 단계 수가 올바르지 않습니다: ${arg}`);
+      }
+      const reverted = await migrateDown(client, { steps });
+      console.log(reverted.length > 0 ? `되돌리기 완료: ${reverted.join(', ')}` : '되돌릴 마이그레이션이 없습니다.');
+    } else {
+      const { baseline, applied } = await migrateUp(client);
+      if (baseline) {
+        console.log(`스키마 생성 완료 (마이그레이션 ${applied.length}개 적용으로 기록)`);
+      } else {
+        console.log(applied.length > 0 ? `마이그레이션 완료: ${applied.join(', ')}` : '적용할 마이그레이션이 없습니다.');
+      }
     }
-    // 다른 에러의 경우에도 배포를 계속 진행
-    console.log('⚠️ 마이그레이션 에러가 발생했지만 배포를 계속 진행합니다.');
-    process.exit(0);
+  } catch (error) {
+    // 배포(Pre-deploy Command)가 실패한 스키마로 계속 진행되지 않도록 0이 아닌 코드로 종료
+    console.error('❌ 마이그레이션 실패:', error.message);
+    process.exitCode = 1;
   } finally {
-    await client.end();
+    await client.end().catch(() => {});
   }
 }
 
-migrate();
+main();
@@ -0,0 +1,236 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+/**
+ * 버전 관리 마이그레이션 실행기
+ * migrations/NNN_이름.sql(up)과 NNN_이름.down.sql(down)을 버전 순서대로, 파일마다 트랜잭션 안에서 실행하고
+ * 적용한 버전을 schema_migrations 테이블에 기록한다. 실패하면 그 파일은 롤백하고 예외를 던진다.
+ *
+ * 새 DB(companies 테이블 없음)는 schema.sql(현재 전체 스키마)을 실행한 뒤 모든 마이그레이션을 적용한 것으로 기록한다.
+ * schema_migrations 없이 운영되던 기존 DB는 001부터 순서대로 적용한다 (모든 마이그레이션은 다시 실행해도 안전하게 작성).
+ *
+ * @typedef {object} MigrationFile
+ * @property {string} version - 파일 이름 앞 숫자 ('001')
+ * @property {string} name - 버전 뒤 이름 ('add_portal_urls')
+ * @property {string} upPath - up SQL 경로
+ * @property {string|null} downPath - down SQL 경로 (없으면 되돌릴 수 없음)
+ * @property {string} checksum - up SQL의 sha256 (적용 후 파일이 바뀌었는지 확인용)
+ *
+ * @typedef {object} MigrationStatus
+ * @property {string} version
+ * @property {string} name
+ * @property {boolean} applied
+ * @property {Date|null} appliedAt
+ * @property {boolean} changed - 적용 후 up SQL이 바뀜
+ * @property {boolean} missing - 기록은 있는데 파일이 없음
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+export const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
+
+/** 배포가 겹쳐도 마이그레이션은 한 곳에서만 실행 (pg_advisory_lock 키) */
+const MIGRATION_LOCK_KEY = 72010523;
+
+const UP_FILE = /^(\d+)_([\w-]+)\.sql$/;
+const DOWN_FILE = /^(\d+)_([\w-]+)\.down\.sql$/;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * 마이그레이션 파일 목록 (버전 순)
+ * @param {string} dir
+ * @returns {MigrationFile[]}
+ */
+export function listMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir).sort();
+  const downs = new Map();
+  for (const file of files) {
+    const m = file.match(DOWN_FILE);
+    if (m) downs.set(m[1], path.join(dir, file));
+  }
+
+  const migrations = [];
+  const seen = new Set();
+  for (const file of files) {
+    if (DOWN_FILE.test(file)) continue;
+    const m = file.match(UP_FILE);
+    if (!m) continue;
+    const [, version, name] = m;
+    if (seen.has(version)) {
+      throw new Error(`마이그레이션 버전 ${version}이(가) 중복되었습니다 (${file}).`);
+    }
+    seen.add(version);
+    const upPath = path.join(dir, file);
+    migrations.push({
+      version,
+      name,
+      upPath,
+      downPath: downs.get(version) || null,
+      checksum: sha256(fs.readFileSync(upPath, 'utf8')),
+    });
+  }
+  for (const version of downs.keys()) {
+    if (!seen.has(version)) {
+      throw new Error(`마이그레이션 ${version}의 down 파일만 있고 up 파일이 없습니다.`);
+    }
+  }
+  return migrations.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version VARCHAR(20) PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       checksum VARCHAR(64),
+       applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+}
+
+async function getAppliedRows(client) {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+/** 트랜잭션 안에서 실행 (실패하면 롤백 후 다시 던짐) */
+async function inTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+async function withLock(client, fn) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+  try {
+    await ensureMigrationsTable(client);
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+  }
+}
+
+/**
+ * 마이그레이션 상태 (파일 기준 + 파일이 없어진 기록)
+ * @param {import('pg').Client} client
+ * @param {{dir?: string}} options
+ * @returns {Promise<MigrationStatus[]>}
+ */
+export async function getMigrationStatus(client, { dir = MIGRATIONS_DIR } = {}) {
+  await ensureMigrationsTable(client);
+  const migrations = listMigrations(dir);
+  const applied = new Map((await getAppliedRows(client)).map((row) => [row.version, row]));
+  const status = migrations.map((migration) => {
+    const row = applied.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      applied: Boolean(row),
+      appliedAt: row?.applied_at || null,
+      changed: Boolean(row?.checksum && row.checksum !== migration.checksum),
+      missing: false,
+    };
+  });
+  const known = new Set(migrations.map((migration) => migration.version));
+  for (const row of applied.values()) {
+    if (known.has(row.version)) continue;
+    status.push({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, changed: false, missing: true });
+  }
+  return status.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/**
+ * 적용 안 된 마이그레이션 실행
+ * @param {import('pg').Client} client
+ * @param {{dir?: string, schemaPath?: string, log?: (message: string) => void}} options
+ * @returns {Promise<{baseline: boolean, applied: string[]}>} baseline: 새 DB에 schema.sql을 실행했는지
+ */
+export async function migrateUp(client, { dir = MIGRATIONS_DIR, schemaPath = SCHEMA_PATH, log = console.log } = {}) {
+  const migrations = listMigrations(dir);
+  return withLock(client, async () => {
+    const appliedRows = await getAppliedRows(client);
+
+    if (appliedRows.length === 0) {
+      const existing = await client.query(`SELECT to_regclass('public.companies') AS name`);
+      if (!existing.rows[0].name) {
+        log('새 데이터베이스: schema.sql 실행 후 모든 마이그레이션을 적용한 것으로 기록합니다.');
+        await inTransaction(client, async () => {
+          await client.query(fs.readFileSync(schemaPath, 'utf8'));
+          for (const migration of migrations) {
+            await client.query('INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)', [
+              migration.version,
+              migration.name,
+              migration.checksum,
+            ]);
+          }
+        });
+        return { baseline: true, applied: migrations.map((migration) => migration.version) };
+      }
+      log('schema_migrations 기록이 없는 기존 데이터베이스: 001부터 순서대로 적용합니다.');
+    }
+
+    const appliedVersions = new Set(appliedRows.map((row) => row.version));
+    const applied = [];
+    for (const migration of migrations) {
+      if (appliedVersions.has(migration.version)) continue;
+      log(`▶ ${migration.version}_${migration.name} 적용 중...`);
+      try {
+        await inTransaction(client, async () => {
+          await client.query(fs.readFileSync(migration.upPath, 'utf8'));
+          await client.query('INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)', [
+            migration.version,
+            migration.name,
+            migration.checksum,
+          ]);
+        });
+      } catch (error) {
+        error.message = `마이그레이션 ${migration.version}_${migration.name} 실패 (롤백됨): ${error.message}`;
+        throw error;
+      }
+      applied.push(migration.version);
+    }
+    return { baseline: false, applied };
+  });
+}
+
+/**
+ * 마지막으로 적용한 마이그레이션부터 되돌리기
+ * @param {import('pg').Client} client
+ * @param {{steps?: number, dir?: string, log?: (message: string) => void}} options
+ * @returns {Promise<string[]>} 되돌린 버전
+ */
+export async function migrateDown(client, { steps = 1, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  const migrations = new Map(listMigrations(dir).map((migration) => [migration.version, migration]));
+  return withLock(client, async () => {
+    const appliedRows = (await getAppliedRows(client)).sort((a, b) => Number(b.version) - Number(a.version));
+    const reverted = [];
+    for (const row of appliedRows.slice(0, steps)) {
+      const migration = migrations.get(row.version);
+      if (!migration?.downPath) {
+        throw new Error(`마이그레이션 ${row.version}_${row.name}은(는) down 파일이 없어 되돌릴 수 없습니다.`);
+      }
+      log(`◀ ${migration.version}_${migration.name} 되돌리는 중...`);
+      try {
+        await inTransaction(client, async () => {
+          await client.query(fs.readFileSync(migration.downPath, 'utf8'));
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        });
+      } catch (error) {
+        error.message = `마이그레이션 ${migration.version}_${migration.name} 되돌리기 실패 (롤백됨): ${error.message}`;
+        throw error;
+      }
+      reverted.push(migration.version);
+    }
+    return reverted;
+  });
+}
@@ -0,0 +1,12 @@
+-- 001 되돌리기: 포털 URL 컬럼 삭제
+
+DROP INDEX IF EXISTS idx_companies_naver_url;
+
+ALTER TABLE companies
+DROP COLUMN IF EXISTS naver_url,
+DROP COLUMN IF EXISTS kakao_url,
+DROP COLUMN IF EXISTS yanolja_url,
+DROP COLUMN IF EXISTS goodchoice_url,
+DROP COLUMN IF EXISTS google_url,
+DROP COLUMN IF EXISTS tripadvisor_url,
+DROP COLUMN IF EXISTS agoda_url;
@@ -0,0 +1,5 @@
+-- 002 되돌리기: reviews.title, reviews.additional_info 삭제
+
+ALTER TABLE reviews
+DROP COLUMN IF EXISTS title,
+DROP COLUMN IF EXISTS additional_info;
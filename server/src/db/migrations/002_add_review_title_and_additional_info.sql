@@ -0,0 +1,6 @@
+-- reviews 테이블에 title과 additional_info 필드 추가 (예전 migration_add_title_and_additional_info.sql)
+-- null 값 허용. 이 컬럼이 없는 DB에서는 saveReview가 실패하므로 다른 리뷰 마이그레이션보다 먼저 적용합니다.
+
+ALTER TABLE reviews
+ADD COLUMN IF NOT EXISTS title VARCHAR(500),
+ADD COLUMN IF NOT EXISTS additional_info TEXT;
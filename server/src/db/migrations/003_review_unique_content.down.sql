@@ -0,0 +1,9 @@
+-- 003 되돌리기: 중복 방지 키를 초기 schema.sql의 UNIQUE(company_name, nickname, portal_url, content) 제약으로 되돌림
+-- 인덱스 크기 제한을 넘는 긴 content가 있으면 제약 생성이 실패하고 전체가 롤백됩니다.
+
+DROP INDEX IF EXISTS reviews_company_nickname_portal_content_unique;
+
+ALTER TABLE reviews DROP CONSTRAINT IF EXISTS reviews_company_name_nickname_portal_url_content_key;
+ALTER TABLE reviews
+ADD CONSTRAINT reviews_company_name_nickname_portal_url_content_key
+UNIQUE (company_name, nickname, portal_url, content);
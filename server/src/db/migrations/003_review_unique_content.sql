@@ -0,0 +1,31 @@
+-- 리뷰 중복 방지 키를 (company_name, nickname, portal_url, content 앞 2000자)로 통일
+-- 예전 migration_fix_unique_constraint.sql(review_date 포함 키)과 migration_unique_content.sql을 합친 것입니다.
+-- DB마다 남아 있는 키가 달라서(3컬럼 키, review_date 포함 키, 초기 schema.sql의 content 전체 키) reviews의 UNIQUE 제약은 모두 지우고 인덱스 하나로 맞춥니다.
+-- content 전체를 키로 쓰면 긴 리뷰에서 btree 인덱스 크기 제한(약 2712 bytes)에 걸리므로 LEFT(content, 2000)을 사용합니다.
+
+DO $$
+DECLARE
+    constraint_name TEXT;
+BEGIN
+    FOR constraint_name IN
+        SELECT conname
+        FROM pg_constraint
+        WHERE conrelid = 'reviews'::regclass
+          AND contype = 'u'
+    LOOP
+        EXECUTE format('ALTER TABLE reviews DROP CONSTRAINT IF EXISTS %I', constraint_name);
+        RAISE NOTICE '기존 UNIQUE 제약조건 삭제: %', constraint_name;
+    END LOOP;
+END $$;
+
+-- 중복 행 제거 (같은 키를 가진 행 중 id가 가장 작은 것만 남김)
+DELETE FROM reviews a
+USING reviews b
+WHERE a.id > b.id
+  AND a.company_name = b.company_name
+  AND a.nickname = b.nickname
+  AND a.portal_url = b.portal_url
+  AND COALESCE(LEFT(a.content, 2000), '') = COALESCE(LEFT(b.content, 2000), '');
+
+CREATE UNIQUE INDEX IF NOT EXISTS reviews_company_nickname_portal_content_unique
+ON reviews (company_name, nickname, portal_url, COALESCE(LEFT(content, 2000), ''));
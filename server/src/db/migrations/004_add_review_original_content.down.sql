@@ -0,0 +1,4 @@
+-- 004 되돌리기: reviews.original_content 삭제
+
+ALTER TABLE reviews
+DROP COLUMN IF EXISTS original_content;
@@ -0,0 +1,5 @@
+-- reviews 테이블에 원문 컬럼 추가
+-- 외국어 리뷰(트립어드바이저 등)는 content에 한국어 번역본, original_content에 원문(제목 + 본문)을 저장합니다.
+
+ALTER TABLE reviews
+ADD COLUMN IF NOT EXISTS original_content TEXT;
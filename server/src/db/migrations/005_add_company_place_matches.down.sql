@@ -0,0 +1,4 @@
+-- 005 되돌리기: companies.place_matches 삭제
+
+ALTER TABLE companies
+DROP COLUMN IF EXISTS place_matches;
@@ -0,0 +1,6 @@
+-- companies 테이블에 포털별 장소 매칭 결과 컬럼 추가
+-- URL 없이 기업명으로 검색하는 포털은 후보를 점수화해 결과(URL, 신뢰도, 후보 목록)를 저장합니다.
+-- status: matched(자동 확정), needs_review(확인 필요), not_found(후보 없음), confirmed(수동 확정)
+
+ALTER TABLE companies
+ADD COLUMN IF NOT EXISTS place_matches JSONB DEFAULT '{}'::jsonb;
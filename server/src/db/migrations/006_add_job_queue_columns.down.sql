@@ -0,0 +1,10 @@
+-- 006 되돌리기: scraping_jobs 대기열 컬럼 삭제
+
+DROP INDEX IF EXISTS idx_scraping_jobs_status;
+
+ALTER TABLE scraping_jobs
+DROP COLUMN IF EXISTS date_filter,
+DROP COLUMN IF EXISTS company_name,
+DROP COLUMN IF EXISTS portals,
+DROP COLUMN IF EXISTS options,
+DROP COLUMN IF EXISTS source;
@@ -0,0 +1,12 @@
+-- scraping_jobs 테이블에 대기열 실행 파라미터 컬럼 추가
+-- 작업은 pending 상태로 파라미터와 함께 저장되고, 워커가 생성 순서대로 꺼내 실행합니다.
+-- 서버가 재시작되어도 pending 작업은 그대로 남아 이어서 실행됩니다.
+
+ALTER TABLE scraping_jobs
+ADD COLUMN IF NOT EXISTS date_filter VARCHAR(20) DEFAULT 'week',
+ADD COLUMN IF NOT EXISTS company_name VARCHAR(255),
+ADD COLUMN IF NOT EXISTS portals JSONB,
+ADD COLUMN IF NOT EXISTS options JSONB DEFAULT '{}'::jsonb,
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'manual';
+
+CREATE INDEX IF NOT EXISTS idx_scraping_jobs_status ON scraping_jobs(status, created_at);
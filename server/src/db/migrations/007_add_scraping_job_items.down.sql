@@ -0,0 +1,3 @@
+-- 007 되돌리기: 작업 항목 테이블 삭제
+
+DROP TABLE IF EXISTS scraping_job_items;
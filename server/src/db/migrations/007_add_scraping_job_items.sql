@@ -0,0 +1,26 @@
+-- 작업 항목 테이블 추가 (작업 × 기업 × 포털 한 쌍마다 한 행)
+-- scraping_jobs.error_message(8000자 제한 텍스트)만으로는 어떤 기업/포털 조합이 실패했는지 알 수 없어
+-- 항목별 상태, 시도 횟수, 추출/저장/중복/제외 건수, 소요 시간, 마지막 오류를 따로 기록합니다.
+
+CREATE TABLE IF NOT EXISTS scraping_job_items (
+  id SERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL REFERENCES scraping_jobs(id) ON DELETE CASCADE,
+  company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL,
+  company_name VARCHAR(255) NOT NULL,
+  portal VARCHAR(50) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  extracted_count INTEGER DEFAULT 0,
+  saved_count INTEGER DEFAULT 0,
+  duplicate_count INTEGER DEFAULT 0,
+  filtered_count INTEGER DEFAULT 0,
+  skip_reason TEXT,
+  last_error TEXT,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  duration_ms INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(job_id, company_name, portal)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scraping_job_items_job_id ON scraping_job_items(job_id, status);
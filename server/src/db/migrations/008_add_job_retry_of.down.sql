@@ -0,0 +1,4 @@
+-- 008 되돌리기: scraping_jobs.retry_of_job_id 삭제
+
+ALTER TABLE scraping_jobs
+DROP COLUMN IF EXISTS retry_of_job_id;
@@ -0,0 +1,5 @@
+-- scraping_jobs 테이블에 재시도 원본 작업 컬럼 추가
+-- POST /jobs/:id/retry-failed 로 만든 작업은 원래 작업의 실패 항목만 scraping_job_items로 미리 만들어 두고 그 항목만 실행합니다.
+
+ALTER TABLE scraping_jobs
+ADD COLUMN IF NOT EXISTS retry_of_job_id INTEGER REFERENCES scraping_jobs(id) ON DELETE SET NULL;
@@ -0,0 +1,3 @@
+-- 009 되돌리기: 작업 로그 테이블 삭제
+
+DROP TABLE IF EXISTS scraping_job_logs;
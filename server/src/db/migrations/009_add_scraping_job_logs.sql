@@ -0,0 +1,15 @@
+-- 작업 로그 테이블 추가
+-- 진행 로그는 메모리(JobService.progressLog)에만 있어 다음 작업 시작이나 서버 재시작 시 사라졌습니다.
+-- 한 줄마다 작업 ID, 시각, 레벨, 기업, 포털과 함께 저장해 지난 작업도 조회할 수 있게 합니다.
+
+CREATE TABLE IF NOT EXISTS scraping_job_logs (
+  id BIGSERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL REFERENCES scraping_jobs(id) ON DELETE CASCADE,
+  logged_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  level VARCHAR(10) NOT NULL DEFAULT 'info',
+  company_name VARCHAR(255),
+  portal VARCHAR(50),
+  message TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_scraping_job_logs_job_id ON scraping_job_logs(job_id, id);
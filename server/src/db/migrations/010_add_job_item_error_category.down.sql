@@ -0,0 +1,5 @@
+-- 010 되돌리기: scraping_job_items 오류 분류/디버깅 파일 컬럼 삭제
+
+ALTER TABLE scraping_job_items
+DROP COLUMN IF EXISTS error_category,
+DROP COLUMN IF EXISTS artifacts;
@@ -0,0 +1,6 @@
+-- scraping_job_items 테이블에 오류 분류/디버깅 파일 컬럼 추가
+-- 포털이 CAPTCHA/"unusual traffic" 페이지를 보여주면 error_category = 'blocked'로 기록하고 스크린샷 파일 이름을 artifacts에 남깁니다.
+
+ALTER TABLE scraping_job_items
+ADD COLUMN IF NOT EXISTS error_category VARCHAR(30),
+ADD COLUMN IF NOT EXISTS artifacts JSONB DEFAULT '[]'::jsonb;
@@ -0,0 +1,5 @@
+-- 011 되돌리기: reviews 날짜 정밀도/원문 날짜 텍스트 컬럼 삭제
+
+ALTER TABLE reviews
+DROP COLUMN IF EXISTS review_date_precision,
+DROP COLUMN IF EXISTS review_date_raw;
@@ -0,0 +1,7 @@
+-- reviews 테이블에 날짜 정밀도/원문 날짜 텍스트 컬럼 추가
+-- "1개월 전", "2주 전"처럼 대략적인 날짜는 review_date에 계산한 날짜를, review_date_precision에 단위(day/week/month/year)를,
+-- review_date_raw에 포털 화면의 날짜 텍스트를 저장합니다. 기존 리뷰는 정확한 날짜(day)로 봅니다.
+
+ALTER TABLE reviews
+ADD COLUMN IF NOT EXISTS review_date_precision VARCHAR(10) NOT NULL DEFAULT 'day',
+ADD COLUMN IF NOT EXISTS review_date_raw VARCHAR(100);
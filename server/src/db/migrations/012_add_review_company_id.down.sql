@@ -0,0 +1,9 @@
+-- 012 되돌리기: 중복 방지 키를 company_name 기준으로 되돌리고 reviews.company_id 삭제
+-- 그사이 기업명이 바뀌어 같은 이름 기준으로 중복되는 리뷰가 있으면 인덱스 생성이 실패하고 전체가 롤백됩니다.
+
+DROP INDEX IF EXISTS reviews_company_id_nickname_portal_content_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS reviews_company_nickname_portal_content_unique
+ON reviews (company_name, nickname, portal_url, COALESCE(LEFT(content, 2000), ''));
+
+ALTER TABLE reviews
+DROP COLUMN IF EXISTS company_id;
@@ -0,0 +1,51 @@
+-- reviews 테이블을 기업명 텍스트 대신 companies.id(company_id)로 연결
+-- 기업명을 바꿔도(PUT /companies/:id) 리뷰가 그대로 연결되고, 중복 판정도 company_id 기준으로 합니다.
+-- reviews.company_name은 표시용 사본으로 남겨 둡니다 (기업과 연결하지 못한 옛 리뷰는 이 이름으로 표시).
+
+ALTER TABLE reviews
+ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL;
+
+-- 기존 리뷰 채우기 1: 기업명이 같은 기업
+UPDATE reviews r
+SET company_id = c.id
+FROM companies c
+WHERE r.company_id IS NULL
+  AND c.company_name = r.company_name;
+
+-- 기존 리뷰 채우기 2: 공백만 다른 기업 ("춘천베어스호텔" ↔ "춘천 베어스호텔", 후보가 하나일 때만)
+UPDATE reviews r
+SET company_id = m.id
+FROM (
+  SELECT REPLACE(company_name, ' ', '') AS name_key, MIN(id) AS id
+  FROM companies
+  GROUP BY REPLACE(company_name, ' ', '')
+  HAVING COUNT(*) = 1
+) m
+WHERE r.company_id IS NULL
+  AND REPLACE(r.company_name, ' ', '') = m.name_key;
+
+DO $$
+DECLARE
+    orphan_count INTEGER;
+BEGIN
+    SELECT COUNT(*) INTO orphan_count FROM reviews WHERE company_id IS NULL;
+    IF orphan_count > 0 THEN
+        RAISE NOTICE '기업과 연결하지 못한 리뷰: %개 (company_name으로만 표시됩니다)', orphan_count;
+    END IF;
+END $$;
+
+-- 중복 행 제거 (공백만 다른 기업명으로 따로 저장됐던 같은 리뷰)
+-- 같은 키를 가진 행 중 id가 가장 작은 것만 남김
+DELETE FROM reviews a
+USING reviews b
+WHERE a.id > b.id
+  AND a.company_id = b.company_id
+  AND a.nickname = b.nickname
+  AND a.portal_url = b.portal_url
+  AND COALESCE(LEFT(a.content, 2000), '') = COALESCE(LEFT(b.content, 2000), '');
+
+-- 중복 방지 키를 company_name → company_id로 교체
+ALTER TABLE reviews DROP CONSTRAINT IF EXISTS reviews_company_name_nickname_portal_url_content_key;
+DROP INDEX IF EXISTS reviews_company_nickname_portal_content_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS reviews_company_id_nickname_portal_content_unique
+ON reviews (company_id, nickname, portal_url, COALESCE(LEFT(content, 2000), ''));
@@ -0,0 +1,11 @@
+-- 013 되돌리기: 중복 방지 키를 portal_url 기준으로 되돌리고 reviews.portal_code, portals 테이블 삭제
+
+DROP INDEX IF EXISTS reviews_company_id_nickname_portal_code_content_unique;
+DROP INDEX IF EXISTS idx_reviews_portal_code;
+CREATE UNIQUE INDEX IF NOT EXISTS reviews_company_id_nickname_portal_content_unique
+ON reviews (company_id, nickname, portal_url, COALESCE(LEFT(content, 2000), ''));
+
+ALTER TABLE reviews
+DROP COLUMN IF EXISTS portal_code;
+
+DROP TABLE IF EXISTS portals;
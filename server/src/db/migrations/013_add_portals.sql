@@ -0,0 +1,67 @@
+-- 포털 참조 테이블(portals) 추가 및 reviews.portal_code 연결
+-- reviews.portal_url에는 '네이버맵' 같은 한국어 표시 이름이 들어 있어, 리뷰는 이제 portals.code로 포털을 참조합니다.
+-- 포털 이름/주소/순서는 서버 시작 시 portalRegistry.js 기준으로 갱신되고, enabled만 DB에서 관리합니다.
+-- reviews.portal_url은 표시용 사본으로 남겨 둡니다.
+
+CREATE TABLE IF NOT EXISTS portals (
+  code VARCHAR(30) PRIMARY KEY,
+  name_ko VARCHAR(50) NOT NULL,
+  name_en VARCHAR(50) NOT NULL,
+  base_url TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO portals (code, name_ko, name_en, base_url, sort_order) VALUES
+  ('naver', '네이버맵', 'Naver Map', 'https://map.naver.com', 0),
+  ('kakao', '카카오맵', 'Kakao Map', 'https://map.kakao.com', 1),
+  ('yanolja', '야놀자', 'Yanolja', 'https://www.yanolja.com', 2),
+  ('goodchoice', '여기어때', 'Yeogieottae', 'https://www.yeogi.com', 3),
+  ('tripadvisor', '트립어드바이저', 'Tripadvisor', 'https://www.tripadvisor.co.kr', 4),
+  ('agoda', '아고다', 'Agoda', 'https://www.agoda.com', 5),
+  ('google', '구글', 'Google', 'https://www.google.com/travel', 6)
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE reviews
+ADD COLUMN IF NOT EXISTS portal_code VARCHAR(30) REFERENCES portals(code);
+
+-- 기존 리뷰 채우기: 표시 이름 → 코드 ('굿초이스'는 여기어때의 예전 표시 이름)
+UPDATE reviews r
+SET portal_code = p.code
+FROM portals p
+WHERE r.portal_code IS NULL
+  AND r.portal_url = p.name_ko;
+
+UPDATE reviews
+SET portal_code = 'goodchoice'
+WHERE portal_code IS NULL
+  AND portal_url = '굿초이스';
+
+DO $$
+DECLARE
+    unknown_count INTEGER;
+BEGIN
+    SELECT COUNT(*) INTO unknown_count FROM reviews WHERE portal_code IS NULL;
+    IF unknown_count > 0 THEN
+        RAISE NOTICE '포털 코드를 찾지 못한 리뷰: %개 (portal_url로만 표시됩니다)', unknown_count;
+    END IF;
+END $$;
+
+-- 중복 행 제거 (예전 표시 이름으로 따로 저장됐던 같은 리뷰)
+-- 같은 키를 가진 행 중 id가 가장 작은 것만 남김
+DELETE FROM reviews a
+USING reviews b
+WHERE a.id > b.id
+  AND a.company_id = b.company_id
+  AND a.nickname = b.nickname
+  AND a.portal_code = b.portal_code
+  AND COALESCE(LEFT(a.content, 2000), '') = COALESCE(LEFT(b.content, 2000), '');
+
+-- 중복 방지 키의 포털을 portal_url → portal_code로 교체
+DROP INDEX IF EXISTS reviews_company_id_nickname_portal_content_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS reviews_company_id_nickname_portal_code_content_unique
+ON reviews (company_id, nickname, portal_code, COALESCE(LEFT(content, 2000), ''));
+
+CREATE INDEX IF NOT EXISTS idx_reviews_portal_code ON reviews(portal_code);
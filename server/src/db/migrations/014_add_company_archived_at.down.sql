@@ -0,0 +1,6 @@
+-- 014 되돌리기: 기업 보관 컬럼 삭제 (보관된 기업은 다시 목록에 표시됨)
+
+DROP INDEX IF EXISTS idx_companies_archived_at;
+
+ALTER TABLE companies
+DROP COLUMN IF EXISTS archived_at;
@@ -0,0 +1,7 @@
+-- 기업 보관(soft delete) 컬럼 추가
+-- archived_at이 있는 기업은 기업 목록과 스크래핑 대상에서 빠지고, 리뷰와 매칭 정보는 그대로 남습니다.
+
+ALTER TABLE companies
+ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_companies_archived_at ON companies(archived_at);
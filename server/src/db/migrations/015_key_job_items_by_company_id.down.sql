@@ -0,0 +1,9 @@
+-- 015 되돌리기: 작업 항목 고유 키를 (job_id, company_name, portal)로 되돌림
+
+DROP INDEX IF EXISTS scraping_job_items_job_id_company_id_portal_unique;
+
+ALTER TABLE scraping_job_items
+DROP CONSTRAINT IF EXISTS scraping_job_items_job_id_company_name_portal_key;
+
+ALTER TABLE scraping_job_items
+ADD CONSTRAINT scraping_job_items_job_id_company_name_portal_key UNIQUE (job_id, company_name, portal);
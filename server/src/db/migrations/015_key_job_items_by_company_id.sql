@@ -0,0 +1,14 @@
+-- 작업 항목을 기업명 대신 기업 ID로 식별
+-- 작업 사이에 기업명이 바뀌면 (job_id, company_name, portal)로는 재시도/이어하기 항목을 찾지 못해
+-- company_id를 채우고 (job_id, company_id, portal)을 고유 키로 씁니다. company_name은 표시용으로 남깁니다.
+
+UPDATE scraping_job_items i
+SET company_id = c.id
+FROM companies c
+WHERE i.company_id IS NULL AND c.company_name = i.company_name;
+
+ALTER TABLE scraping_job_items
+DROP CONSTRAINT IF EXISTS scraping_job_items_job_id_company_name_portal_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS scraping_job_items_job_id_company_id_portal_unique
+ON scraping_job_items (job_id, company_id, portal);
@@ -0,0 +1,4 @@
+-- 016 되돌리기: 작업 하트비트 컬럼 삭제
+
+ALTER TABLE scraping_jobs
+DROP COLUMN IF EXISTS heartbeat_at;
@@ -0,0 +1,6 @@
+-- 작업 하트비트 컬럼 추가
+-- 실행 중인 인스턴스가 주기적으로 갱신하며, 서버 시작 시 하트비트가 오래된 running 작업만 interrupted로 정리합니다.
+-- (배포 중 이전/새 컨테이너가 겹쳐도 아직 실행 중인 작업을 중단 처리하지 않도록)
+
+ALTER TABLE scraping_jobs
+ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP;
@@ -15,19 +15,48 @@ CREATE TABLE IF NOT EXISTS companies (
   google_url TEXT, -- 구글 URL
   tripadvisor_url TEXT, -- 트립어드바이저 URL
   agoda_url TEXT, -- 아고다 URL
+  place_matches JSONB DEFAULT '{}'::jsonb, -- 포털별 장소 매칭 결과 ({ kakao: { status, url, confidence, candidates, resolvedAt } })
+  archived_at TIMESTAMP, -- 보관(soft delete) 시각, 있으면 목록/스크래핑에서 제외
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- 포털 참조 테이블 (이름/주소/순서는 서버 시작 시 portalRegistry.js 기준으로 갱신, enabled만 DB에서 관리)
+CREATE TABLE IF NOT EXISTS portals (
+  code VARCHAR(30) PRIMARY KEY, -- 포털 코드 (naver, kakao, yanolja 등)
+  name_ko VARCHAR(50) NOT NULL, -- 한국어 표시 이름 (네이버맵)
+  name_en VARCHAR(50) NOT NULL, -- 영어 표시 이름 (Naver Map)
+  base_url TEXT NOT NULL, -- 포털 기본 주소
+  enabled BOOLEAN NOT NULL DEFAULT TRUE, -- false면 스크래핑 작업에서 건너뜀
+  sort_order INTEGER NOT NULL DEFAULT 0, -- 표시/실행 순서
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO portals (code, name_ko, name_en, base_url, sort_order) VALUES
+  ('naver', '네이버맵', 'Naver Map', 'https://map.naver.com', 0),
+  ('kakao', '카카오맵', 'Kakao Map', 'https://map.kakao.com', 1),
+  ('yanolja', '야놀자', 'Yanolja', 'https://www.yanolja.com', 2),
+  ('goodchoice', '여기어때', 'Yeogieottae', 'https://www.yeogi.com', 3),
+  ('tripadvisor', '트립어드바이저', 'Tripadvisor', 'https://www.tripadvisor.co.kr', 4),
+  ('agoda', '아고다', 'Agoda', 'https://www.agoda.com', 5),
+  ('google', '구글', 'Google', 'https://www.google.com/travel', 6)
+ON CONFLICT (code) DO NOTHING;
+
 -- 리뷰 정보 테이블
 CREATE TABLE IF NOT EXISTS reviews (
   id SERIAL PRIMARY KEY,
-  portal_url VARCHAR(255) NOT NULL, -- 네이버맵, 카카오맵, 아고다 등
-  company_name VARCHAR(255) NOT NULL,
+  portal_code VARCHAR(30) REFERENCES portals(code), -- 포털 (중복 판정 기준)
+  portal_url VARCHAR(255) NOT NULL, -- 포털 표시 이름 사본 (네이버맵, 카카오맵, 아고다 등)
+  company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL, -- 기업 (리뷰 연결/중복 판정 기준)
+  company_name VARCHAR(255) NOT NULL, -- 기업명 사본 (표시용, 기업명 변경 시 함께 바뀜)
   review_date DATE NOT NULL,
+  review_date_precision VARCHAR(10) NOT NULL DEFAULT 'day', -- 날짜 정밀도 (day/week/month/year, "1개월 전" → month)
+  review_date_raw VARCHAR(100), -- 포털 화면의 날짜 텍스트 ("1개월 전", "2024.05.12.")
   content TEXT,
   title VARCHAR(500), -- 리뷰 제목
   additional_info TEXT, -- 추가 정보
+  original_content TEXT, -- 원문 (번역 전 제목 + 본문, 번역된 리뷰만)
   rating DECIMAL(3, 2), -- 평점
   nickname VARCHAR(100) NOT NULL,
   visit_keyword VARCHAR(255), -- 방문키워드
@@ -39,27 +68,77 @@ CREATE TABLE IF NOT EXISTS reviews (
   n_emotion VARCHAR(50), -- 종합 분석 감정
   n_char_count INTEGER, -- 종합 분석 글자수
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  -- 중복 방지를 위한 유니크 제약조건 (기업명, 닉네임, 포털, 본문)
-  UNIQUE(company_name, nickname, portal_url, content)
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- 스크래핑 작업 로그 테이블
 CREATE TABLE IF NOT EXISTS scraping_jobs (
   id SERIAL PRIMARY KEY,
-  status VARCHAR(20) NOT NULL, -- pending, running, completed, failed, stopped
+  status VARCHAR(20) NOT NULL, -- pending, running, completed, failed, stopped, interrupted(서버 재시작으로 중단)
   started_at TIMESTAMP,
   completed_at TIMESTAMP,
   total_reviews INTEGER DEFAULT 0,
   success_count INTEGER DEFAULT 0,
   error_count INTEGER DEFAULT 0,
   error_message TEXT,
+  date_filter VARCHAR(20) DEFAULT 'week', -- all, week, twoWeeks
+  company_name VARCHAR(255), -- NULL이면 전체 기업
+  portals JSONB, -- NULL이면 전체 포털
+  options JSONB DEFAULT '{}'::jsonb, -- breakpointMode, headed
+  source VARCHAR(20) DEFAULT 'manual', -- manual, schedule, retry, resume
+  retry_of_job_id INTEGER REFERENCES scraping_jobs(id) ON DELETE SET NULL, -- 실패 항목 재시도/이어하기 작업이면 원래 작업 ID
+  heartbeat_at TIMESTAMP, -- 실행 중인 인스턴스가 주기적으로 갱신 (오래되면 재시작 시 interrupted로 정리)
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 작업 항목 테이블 (작업 × 기업 × 포털 단위 실행 결과)
+CREATE TABLE IF NOT EXISTS scraping_job_items (
+  id SERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL REFERENCES scraping_jobs(id) ON DELETE CASCADE,
+  company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL,
+  company_name VARCHAR(255) NOT NULL,
+  portal VARCHAR(50) NOT NULL, -- 포털 코드 (naver, kakao, ...)
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, running, completed, failed, skipped, stopped
+  attempts INTEGER DEFAULT 0, -- 재시도 포함 시도 횟수
+  extracted_count INTEGER DEFAULT 0, -- 추출한 리뷰 수
+  saved_count INTEGER DEFAULT 0, -- 새로 저장한 리뷰 수
+  duplicate_count INTEGER DEFAULT 0, -- 중복(또는 저장 실패)으로 건너뛴 수
+  filtered_count INTEGER DEFAULT 0, -- 날짜 필터/빈 데이터/날짜 파싱 실패로 제외한 수
+  skip_reason TEXT, -- skipped일 때 사유 (URL 없음, 매칭 확인 필요 등)
+  last_error TEXT, -- 마지막 시도의 오류 메시지
+  error_category VARCHAR(30), -- 오류 분류 (blocked: 차단/보안 확인 페이지 감지)
+  artifacts JSONB DEFAULT '[]'::jsonb, -- 디버깅 파일 이름 목록 (차단 페이지 스크린샷 등)
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  duration_ms INTEGER,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- 작업 로그 테이블 (진행 로그 한 줄마다 한 행, 재시작 후에도 작업별로 조회)
+CREATE TABLE IF NOT EXISTS scraping_job_logs (
+  id BIGSERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL REFERENCES scraping_jobs(id) ON DELETE CASCADE,
+  logged_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  level VARCHAR(10) NOT NULL DEFAULT 'info', -- info, warn, error
+  company_name VARCHAR(255), -- 처리 중이던 기업 (작업 전체 로그면 NULL)
+  portal VARCHAR(50), -- 처리 중이던 포털 코드
+  message TEXT NOT NULL
+);
+
 -- 인덱스 생성
 CREATE INDEX IF NOT EXISTS idx_reviews_company_name ON reviews(company_name);
 CREATE INDEX IF NOT EXISTS idx_reviews_review_date ON reviews(review_date);
 CREATE INDEX IF NOT EXISTS idx_reviews_portal_url ON reviews(portal_url);
+CREATE INDEX IF NOT EXISTS idx_reviews_portal_code ON reviews(portal_code);
 CREATE INDEX IF NOT EXISTS idx_companies_company_name ON companies(company_name);
-CREATE INDEX IF NOT EXISTS idx_companies_naver_url ON companies(naver_url) WHERE naver_url IS NOT NULL;
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_companies_archived_at ON companies(archived_at);
+CREATE INDEX IF NOT EXISTS idx_scraping_jobs_status ON scraping_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_scraping_job_items_job_id ON scraping_job_items(job_id, status);
+-- 작업 항목 고유 키 (기업명이 바뀌어도 재시도/이어하기 항목을 찾도록 기업 ID 기준)
+CREATE UNIQUE INDEX IF NOT EXISTS scraping_job_items_job_id_company_id_portal_unique
+ON scraping_job_items (job_id, company_id, portal);
+CREATE INDEX IF NOT EXISTS idx_scraping_job_logs_job_id ON scraping_job_logs(job_id, id);
+CREATE INDEX IF NOT EXISTS idx_companies_naver_url ON companies(naver_url) WHERE naver_url IS NOT NULL;
+-- 중복 방지 (기업, 닉네임, 포털, 본문 앞 2000자 / btree 인덱스 키 크기 제한)
+CREATE UNIQUE INDEX IF NOT EXISTS reviews_company_id_nickname_portal_code_content_unique
+ON reviews (company_id, nickname, portal_code, COALESCE(LEFT(content, 2000), ''));
\ No newline at end of file
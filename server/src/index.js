@@ -4,6 +4,7 @@ import dotenv from 'dotenv';
 import adminRoutes from './routes/admin.js';
 import jobService from './services/jobService.js';
 import { initSchedule } from './services/scheduleService.js';
+import { syncPortalCatalog } from './services/portalCatalog.js';
 
 dotenv.config();
 
@@ -82,6 +83,14 @@ app.get('/', (req, res) => {
 // 매주 일요일 새벽 2시 자동 실행 (scheduleService에서 제어)
 initSchedule();
 
+// 포털 참조 테이블(portals)을 레지스트리에 맞춤 (새 포털 추가, 이름/주소 갱신)
+syncPortalCatalog().catch((error) => {
+  console.error('[서버 시작] 포털 목록 동기화 실패:', error.message);
+});
+
+// 작업 대기열 워커 시작 (재시작 전에 남아 있던 pending 작업도 이어서 실행, running으로 남은 작업은 interrupted 처리)
+jobService.startWorker();
+
 // 서버 시작
 let serverReady = false;
 
@@ -144,8 +153,8 @@ process.on('SIGTERM', () => {
   
   // 실행 중인 스크래핑 작업이 있으면 먼저 중지 시도
   if (jobService.getIsRunning()) {
-    console.log('⚠️ 실행 중인 스크래핑 작업을 중지합니다...');
-    jobService.stopJob().catch((err) => {
+    console.log('⚠️ 실행 중인 스크래핑 작업을 중지합니다... (interrupted로 남겨 재시작 후 이어서 실행 가능)');
+    jobService.stopJob({ shutdown: true }).catch((err) => {
       console.error('⚠️ 작업 중지 실패:', err);
     });
   }
@@ -1,6 +1,11 @@
 import express from 'express';
 import jobService from '../services/jobService.js';
 import { getScheduleStatus, setScheduleEnabled } from '../services/scheduleService.js';
+import { getPortal, getPortalIds } from '../services/portalRegistry.js';
+import { getPlaceCandidates, confirmPlace } from '../services/placeResolver.js';
+import { resolveArtifactPath } from '../services/artifacts.js';
+import { listPublicPortals, setPortalEnabled } from '../services/portalCatalog.js';
+import { CompanyImportError, decodeCsvBuffer, importCompaniesCsv } from '../services/companyImport.js';
 
 const router = express.Router();
 
@@ -18,7 +23,9 @@ const authenticateAdmin = (req, res, next) => {
     return next();
   }
 
-  const adminSecret = (req.headers['x-admin-secret'] || '').trim();
+  // EventSource(SSE)는 헤더를 보낼 수 없어 /events 경로만 쿼리스트링 secret 허용
+  const querySecret = req.path.endsWith('/events') ? req.query.secret : '';
+  const adminSecret = String(req.headers['x-admin-secret'] || querySecret || '').trim();
   if (adminSecret === expectedAdminSecret) {
     next();
   } else {
@@ -31,14 +38,11 @@ const authenticateAdmin = (req, res, next) => {
 router.use(authenticateAdmin);
 
 /**
- * 스크래핑 작업 시작
+ * 스크래핑 작업 시작 (대기열에 추가)
+ * 실행 중인 작업이 있으면 거절하지 않고 대기열에서 순서를 기다린다.
  */
 router.post('/jobs/start', async (req, res) => {
   try {
-    if (jobService.getIsRunning()) {
-      return res.status(400).json({ error: '이미 실행 중인 작업이 있습니다.' });
-    }
-
     // 날짜 필터 옵션 (기본값: 'week'), breakpointMode: 디버그 시 단계마다 클릭하여 진행, headed: 브라우저 화면 표시
     const { dateFilter = 'week', companyName = null, portals = null, breakpointMode = false, headed = false } = req.body;
     
@@ -52,7 +56,7 @@ router.post('/jobs/start', async (req, res) => {
     }
     
     // portals 값 검증: 유효한 포털 이름만 허용
-    const validPortals = ['naver', 'kakao', 'yanolja', 'agoda', 'google'];
+    const validPortals = getPortalIds();
     if (portals && Array.isArray(portals)) {
       const invalidPortals = portals.filter(p => !validPortals.includes(p));
       if (invalidPortals.length > 0) {
@@ -63,12 +67,17 @@ router.post('/jobs/start', async (req, res) => {
     // portals 로깅
     console.log(`[작업 시작] dateFilter: ${dateFilter}, companyName: ${companyName || 'null'}, portals: ${portals ? JSON.stringify(portals) : 'null'}`);
 
-    // 비동기로 실행 (응답은 즉시 반환)
-    jobService.runScrapingJob(dateFilter, companyName, portals, {
-      breakpointMode: breakpointMode === true,
-      headed: headed === true,
-    }).catch((error) => {
-      console.error('스크래핑 작업 실행 오류:', error);
+    // 대기열에 추가 (실행은 워커가 비동기로, 응답은 즉시 반환)
+    const ahead = (await jobService.getPendingJobs()).length + (jobService.getIsRunning() ? 1 : 0);
+    const job = await jobService.enqueueJob({
+      dateFilter,
+      companyName,
+      portals,
+      options: {
+        breakpointMode: breakpointMode === true,
+        headed: headed === true,
+      },
+      source: 'manual',
     });
 
     let filterText = '';
@@ -84,7 +93,47 @@ router.post('/jobs/start', async (req, res) => {
     const portalText = portals && Array.isArray(portals) && portals.length > 0 
       ? ` (포털: ${portals.join(', ')})` 
       : '';
-    res.json({ message: `스크래핑 작업이 시작되었습니다. (${filterText}${companyText}${portalText})` });
+    const queueText = ahead > 0 ? `앞선 작업 ${ahead}개가 끝나면 시작됩니다.` : '곧 시작됩니다.';
+    res.json({
+      message: `스크래핑 작업 #${job.id}이(가) 대기열에 추가되었습니다. ${queueText} (${filterText}${companyText}${portalText})`,
+      job,
+      ahead,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * 스크래핑 가능한 포털 목록 (포털 레지스트리 기준 + portals 테이블의 사용 여부)
+ */
+router.get('/portals', async (req, res) => {
+  try {
+    res.json(await listPublicPortals());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * 포털 사용 여부 변경 (꺼진 포털은 스크래핑 작업에서 건너뜀)
+ * PUT /portals/:code { enabled: boolean }
+ */
+router.put('/portals/:code', async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { enabled } = req.body;
+    if (!getPortal(code)) {
+      return res.status(400).json({ error: `유효하지 않은 포털: ${code}. 유효한 포털: ${getPortalIds().join(', ')}` });
+    }
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled는 true 또는 false여야 합니다.' });
+    }
+    const portal = await setPortalEnabled(code, enabled);
+    if (!portal) {
+      return res.status(404).json({ error: `portals 테이블에 "${code}" 포털이 없습니다.` });
+    }
+    res.json({ message: `${portal.name_ko} 포털을 ${enabled ? '사용' : '사용 안 함'}으로 설정했습니다.`, portal });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -103,7 +152,71 @@ router.post('/jobs/stop', async (req, res) => {
 });
 
 /**
- * 현재 작업 상태 조회 (실시간 진행 로그 포함)
+ * 대기 중인 작업 취소
+ */
+router.post('/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await jobService.cancelPendingJob(req.params.id);
+    res.json({ message: `작업 #${job.id}이(가) 대기열에서 취소되었습니다.`, job });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * 실패 항목 재시도 (원래 작업에서 실패한 기업 × 포털 항목만 새 작업으로 대기열에 추가)
+ */
+router.post('/jobs/:id/retry-failed', async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: '작업을 찾을 수 없습니다.' });
+    }
+    let retryJob;
+    try {
+      retryJob = await jobService.enqueueRetryFailed(job);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const items = await jobService.getJobItems(retryJob.id);
+    res.json({
+      message: `작업 #${job.id}의 실패 항목 ${items.length}개를 재시도하는 작업 #${retryJob.id}이(가) 대기열에 추가되었습니다.`,
+      job: retryJob,
+      items,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * 중단된(interrupted) 작업 이어서 실행 (원래 조건으로, 끝나지 않은 기업 × 포털 항목부터)
+ */
+router.post('/jobs/:id/resume', async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: '작업을 찾을 수 없습니다.' });
+    }
+    let resumeJob;
+    try {
+      resumeJob = await jobService.enqueueResume(job);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const items = await jobService.getJobItems(resumeJob.id);
+    res.json({
+      message: `작업 #${job.id}의 남은 항목 ${items.length}개를 이어서 실행하는 작업 #${resumeJob.id}이(가) 대기열에 추가되었습니다.`,
+      job: resumeJob,
+      items,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * 현재 작업 상태 조회 (실시간 진행 로그, 대기열 포함)
  */
 router.get('/jobs/status', async (req, res) => {
   try {
@@ -111,13 +224,18 @@ router.get('/jobs/status', async (req, res) => {
     const currentJob = await jobService.getCurrentJob();
     const isRunning = jobService.getIsRunning();
     const progress = jobService.getProgress ? jobService.getProgress() : null;
-    const progressLog = jobService.getProgressLog ? jobService.getProgressLog() : [];
+    // log=0: 실시간 로그는 SSE로 받는 클라이언트용 (매 폴링마다 최대 500줄을 다시 보내지 않도록)
+    const includeLog = req.query.log !== '0';
+    const progressLog = includeLog && jobService.getProgressLog ? jobService.getProgressLog() : [];
     const waitingForContinue = jobService.waitingForContinue === true;
+    const queue = await jobService.getPendingJobs();
 
     res.json({
       isRunning,
       currentJob: currentJob || null,
+      queue,
       progress: progress || null,
+      activeProgress: [...jobService.activeProgress.values()],
       progressLog: progressLog || [],
       waitingForContinue: waitingForContinue || false,
     });
@@ -126,6 +244,135 @@ router.get('/jobs/status', async (req, res) => {
   }
 });
 
+/**
+ * 작업 로그 조회 (DB에 저장된 진행 로그)
+ * - level: info, warn, error (쉼표로 여러 개)
+ * - company: 기업명, portal: 포털 코드
+ * - limit(기본 500, 최대 5000), offset
+ */
+router.get('/jobs/:id/logs', async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: '작업을 찾을 수 없습니다.' });
+    }
+    const levels = req.query.level ? String(req.query.level).split(',').map((l) => l.trim()).filter(Boolean) : [];
+    const invalidLevels = levels.filter((l) => !['info', 'warn', 'error'].includes(l));
+    if (invalidLevels.length > 0) {
+      return res.status(400).json({ error: `유효하지 않은 level: ${invalidLevels.join(', ')}. 유효한 값: info, warn, error` });
+    }
+    const portal = req.query.portal ? String(req.query.portal) : null;
+    if (portal && !getPortal(portal)) {
+      return res.status(400).json({ error: `유효하지 않은 포털: ${portal}. 유효한 포털: ${getPortalIds().join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 5000);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const { logs, total } = await jobService.getJobLogs(job.id, {
+      levels,
+      company: req.query.company ? String(req.query.company).trim() : null,
+      portal,
+      limit,
+      offset,
+    });
+    res.json({ jobId: job.id, total, limit, offset, logs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * 작업 실패 파일 다운로드 (스크린샷, HTML, Playwright trace)
+ * - 작업 항목의 artifacts에 기록된 파일만 허용
+ */
+router.get('/jobs/:id/artifacts/:name', async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: '작업을 찾을 수 없습니다.' });
+    }
+    const filePath = resolveArtifactPath(req.params.name);
+    if (!filePath || !(await jobService.hasJobArtifact(job.id, req.params.name))) {
+      return res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+    }
+    res.download(filePath, req.params.name, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: '파일이 삭제되었거나 읽을 수 없습니다.' });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * 작업 실시간 이벤트 (Server-Sent Events)
+ * - :id가 'current'이면 실행되는 작업을 바꿔 가며 계속 전달
+ * - 이벤트: snapshot(연결 시 현재 상태), progress, log, breakpoint, status
+ * - 재연결 시 Last-Event-ID 헤더(또는 ?lastEventId=) 이후 이벤트만 다시 보내고, 버퍼에 없으면 snapshot부터 다시 보냄
+ */
+router.get('/jobs/:id/events', async (req, res) => {
+  try {
+    const followCurrent = req.params.id === 'current';
+    const jobId = followCurrent ? null : parseInt(req.params.id, 10);
+    let job = null;
+    if (!followCurrent) {
+      job = Number.isNaN(jobId) ? null : await jobService.getJob(jobId);
+      if (!job) {
+        return res.status(404).json({ error: '작업을 찾을 수 없습니다.' });
+      }
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // 프록시 버퍼링 방지
+    });
+    res.flushHeaders();
+
+    const isTarget = (event) => followCurrent || event.jobId === jobId;
+    const send = (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+    const sendSnapshot = () => {
+      const live = jobService.getLiveSnapshot();
+      const isCurrent = followCurrent || live.currentJob?.id === jobId;
+      send({
+        id: jobService.eventSeq,
+        type: 'snapshot',
+        data: isCurrent
+          ? { ...live, job: live.currentJob }
+          : { isRunning: false, job, progress: null, progressLog: [], waitingForContinue: false },
+      });
+    };
+
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10);
+    const missed = Number.isNaN(lastEventId) ? null : jobService.getJobEventsSince(lastEventId);
+    if (missed) {
+      missed.filter(isTarget).forEach(send);
+    } else {
+      sendSnapshot();
+    }
+
+    const unsubscribe = jobService.onJobEvent((event) => {
+      if (isTarget(event)) send(event);
+    });
+    // Railway 등 프록시가 유휴 연결을 끊지 않도록 주기적으로 주석 전송
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
 /**
  * 디버그 브레이크포인트: 다음 단계로 진행 (클릭 시 호출)
  */
@@ -183,7 +430,7 @@ router.get('/jobs', async (req, res) => {
 });
 
 /**
- * 특정 작업 상세 조회
+ * 특정 작업 상세 조회 (기업 × 포털 항목 포함)
  */
 router.get('/jobs/:id', async (req, res) => {
   try {
@@ -191,7 +438,9 @@ router.get('/jobs/:id', async (req, res) => {
     if (!job) {
       return res.status(404).json({ error: '작업을 찾을 수 없습니다.' });
     }
-    res.json(job);
+    // 기업 × 포털 항목별 결과 (어떤 조합이 실패했는지 확인용)
+    const items = await jobService.getJobItems(job.id);
+    res.json({ ...job, items });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -199,11 +448,17 @@ router.get('/jobs/:id', async (req, res) => {
 
 /**
  * 기업 목록 조회
+ * GET /companies[?includeArchived=1] - 기본은 보관된 기업 제외
  */
 router.get('/companies', async (req, res) => {
   try {
+    const includeArchived = req.query.includeArchived === '1' || req.query.includeArchived === 'true';
     const { pool } = await import('../db/connection.js');
-    const result = await pool.query('SELECT * FROM companies ORDER BY created_at DESC');
+    const result = await pool.query(
+      `SELECT * FROM companies
+       ${includeArchived ? '' : 'WHERE archived_at IS NULL'}
+       ORDER BY created_at DESC`
+    );
     res.json(result.rows);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -257,7 +512,17 @@ router.post('/companies', async (req, res) => {
     });
 
     if (saved) {
-      res.json({ message: '기업 정보가 저장되었습니다.' });
+      // 같은 이름의 보관된 기업은 정보만 갱신되고 목록에는 나오지 않으므로 알려 줌
+      const { pool } = await import('../db/connection.js');
+      const archived = await pool.query(
+        'SELECT id FROM companies WHERE company_name = $1 AND archived_at IS NOT NULL',
+        [companyName]
+      );
+      res.json({
+        message: archived.rows.length > 0
+          ? '기업 정보가 저장되었습니다. 보관된 기업이므로 복원해야 목록에 표시됩니다.'
+          : '기업 정보가 저장되었습니다.',
+      });
     } else {
       res.status(500).json({ error: '기업 정보 저장 실패' });
     }
@@ -266,6 +531,32 @@ router.post('/companies', async (req, res) => {
   }
 });
 
+/**
+ * 기업 일괄 등록 (CSV)
+ * POST /companies/import[?dryRun=1] - 본문: CSV 파일 내용 (Content-Type: text/csv)
+ * 첫 줄은 companies 컬럼명 헤더 (company_name, type 필수). dryRun=1이면 저장하지 않고 행별 검사 결과만 반환
+ * 같은 기업명이면 값이 있는 칸만 덮어씀. XLSX는 받지 않음 (400, CSV로 저장해 올림)
+ */
+router.post('/companies/import', express.raw({ type: () => true, limit: '5mb' }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'CSV 파일 내용을 요청 본문으로 보내 주세요 (Content-Type: text/csv).' });
+    }
+    const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+
+    const ScraperService = (await import('../services/scraper.js')).default;
+    const report = await importCompaniesCsv(decodeCsvBuffer(req.body), { dryRun, scraper: new ScraperService() });
+
+    const { summary } = report;
+    const message = dryRun
+      ? `미리보기: ${summary.total}행 중 ${summary.valid}행 등록 가능, ${summary.invalid}행 오류`
+      : `가져오기 완료: 추가 ${summary.created}개, 갱신 ${summary.updated}개, 오류 ${summary.invalid + summary.failed}개`;
+    res.json({ message, ...report });
+  } catch (error) {
+    res.status(error instanceof CompanyImportError ? 400 : 500).json({ error: error.message });
+  }
+});
+
 /**
  * 기업 정보 수정
  */
@@ -321,12 +612,183 @@ router.put('/companies/:id', async (req, res) => {
       return res.status(404).json({ error: '기업을 찾을 수 없습니다.' });
     }
 
+    // 리뷰는 company_id로 연결되어 있으므로 표시용 기업명 사본만 맞춤
+    if (companyName) {
+      await pool.query('UPDATE reviews SET company_name = $1 WHERE company_id = $2', [result.rows[0].company_name, result.rows[0].id]);
+    }
+
     res.json({ message: '기업 정보가 수정되었습니다.', company: result.rows[0] });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * 기업 삭제
+ * DELETE /companies/:id - 기본은 보관(soft delete): archived_at 기록, 리뷰와 매칭 정보 유지
+ * DELETE /companies/:id?mode=hard[&reviews=keep|delete] - 완전 삭제
+ *   reviews=keep(기본): 리뷰는 company_id만 비우고 남김 (company_name 사본으로 표시)
+ *   reviews=delete: 이 기업의 리뷰도 함께 삭제
+ */
+router.delete('/companies/:id', async (req, res) => {
+  const { mode = 'archive', reviews = 'keep' } = req.query;
+  if (!['archive', 'hard'].includes(mode)) {
+    return res.status(400).json({ error: 'mode는 archive 또는 hard여야 합니다.' });
+  }
+  if (!['keep', 'delete'].includes(reviews)) {
+    return res.status(400).json({ error: 'reviews는 keep 또는 delete여야 합니다.' });
+  }
+
+  try {
+    const { pool } = await import('../db/connection.js');
+
+    if (mode === 'archive') {
+      const result = await pool.query(
+        `UPDATE companies
+         SET archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: '기업을 찾을 수 없습니다.' });
+      }
+      return res.json({
+        message: `${result.rows[0].company_name}이(가) 보관되었습니다. 스크래핑 대상에서 제외됩니다.`,
+        company: result.rows[0],
+      });
+    }
+
+    // 완전 삭제: 리뷰 삭제와 기업 삭제를 한 트랜잭션으로 (reviews.company_id는 ON DELETE SET NULL)
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const found = await client.query('SELECT * FROM companies WHERE id = $1 FOR UPDATE', [req.params.id]);
+      if (found.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: '기업을 찾을 수 없습니다.' });
+      }
+      const company = found.rows[0];
+      const reviewResult = reviews === 'delete'
+        ? await client.query('DELETE FROM reviews WHERE company_id = $1', [company.id])
+        : await client.query('SELECT COUNT(*)::int AS count FROM reviews WHERE company_id = $1', [company.id]);
+      const reviewCount = reviews === 'delete' ? reviewResult.rowCount : reviewResult.rows[0].count;
+      await client.query('DELETE FROM companies WHERE id = $1', [company.id]);
+      await client.query('COMMIT');
+
+      res.json({
+        message: reviews === 'delete'
+          ? `${company.company_name}과(와) 리뷰 ${reviewCount}개가 삭제되었습니다.`
+          : `${company.company_name}이(가) 삭제되었습니다. 리뷰 ${reviewCount}개는 남겨 두었습니다.`,
+        deletedReviews: reviews === 'delete' ? reviewCount : 0,
+        keptReviews: reviews === 'delete' ? 0 : reviewCount,
+      });
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * 보관된 기업 복원
+ * POST /companies/:id/restore
+ */
+router.post('/companies/:id/restore', async (req, res) => {
+  try {
+    const { pool } = await import('../db/connection.js');
+    const result = await pool.query(
+      `UPDATE companies SET archived_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: '기업을 찾을 수 없습니다.' });
+    }
+    res.json({ message: `${result.rows[0].company_name}이(가) 복원되었습니다.`, company: result.rows[0] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * 포털 장소 매칭 후보 조회
+ * GET /companies/:id/candidates?portal=kakao[&refresh=1]
+ * 저장된 후보가 없거나 refresh=1이면 기업명으로 다시 검색 (브라우저 실행, 수 초 소요)
+ */
+router.get('/companies/:id/candidates', async (req, res) => {
+  try {
+    const { portal, refresh } = req.query;
+    const adapter = portal ? getPortal(portal) : null;
+    if (!adapter) {
+      return res.status(400).json({ error: `portal이 필요합니다. 유효한 포털: ${getPortalIds().join(', ')}` });
+    }
+    if (!adapter.resolve) {
+      return res.status(400).json({ error: `${adapter.name}은(는) 후보 검색을 지원하지 않습니다. URL을 직접 입력해 주세요.` });
+    }
+
+    const { pool } = await import('../db/connection.js');
+    const result = await pool.query('SELECT * FROM companies WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: '기업을 찾을 수 없습니다.' });
+    }
+    const company = result.rows[0];
+
+    const match = await getPlaceCandidates(company, adapter, { refresh: refresh === '1' || refresh === 'true' });
+    res.json({
+      portal: adapter.id,
+      portalName: adapter.name,
+      currentUrl: company[adapter.urlColumn] || null,
+      ...match,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * 포털 장소 확정 (후보 중 하나 또는 직접 입력한 URL을 기업의 *_url 컬럼에 저장)
+ * POST /companies/:id/confirm-place { portal, url }
+ */
+router.post('/companies/:id/confirm-place', async (req, res) => {
+  try {
+    const { portal, url } = req.body;
+    const adapter = portal ? getPortal(portal) : null;
+    if (!adapter) {
+      return res.status(400).json({ error: `portal이 필요합니다. 유효한 포털: ${getPortalIds().join(', ')}` });
+    }
+    if (!url || typeof url !== 'string' || !url.trim()) {
+      return res.status(400).json({ error: 'url이 필요합니다.' });
+    }
+    if (!adapter.hosts.some((host) => url.includes(host))) {
+      return res.status(400).json({ error: `${adapter.name} URL이 아닙니다: ${url}` });
+    }
+
+    const { pool } = await import('../db/connection.js');
+    const result = await pool.query('SELECT * FROM companies WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: '기업을 찾을 수 없습니다.' });
+    }
+
+    const ScraperService = (await import('../services/scraper.js')).default;
+    const match = await confirmPlace(result.rows[0], adapter, url, new ScraperService());
+    const updated = await pool.query('SELECT * FROM companies WHERE id = $1', [req.params.id]);
+
+    res.json({
+      message: `${adapter.name} 장소가 확정되었습니다.`,
+      match,
+      company: updated.rows[0],
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * 스크래핑 테스트 (단일 URL 테스트)
  */
@@ -369,43 +831,81 @@ router.post('/test/scrape', async (req, res) => {
   }
 });
 
+/**
+ * 정밀도까지 고려한 가장 이른 작성일 (parsers/reviewDate.js earliestReviewDate와 같은 계산)
+ * "1개월 전"(month)은 한 달 전 다음 날부터, "1주 전"(week)은 6일 앞까지 작성일일 수 있다.
+ */
+const REVIEW_DATE_EARLIEST_SQL = `CASE review_date_precision
+  WHEN 'week' THEN review_date - 6
+  WHEN 'month' THEN (review_date - INTERVAL '1 month' + INTERVAL '1 day')::date
+  WHEN 'year' THEN (review_date - INTERVAL '1 year' + INTERVAL '1 day')::date
+  ELSE review_date
+END`;
+
 /**
  * 리뷰 통계 조회
  */
 router.get('/statistics', async (req, res) => {
   try {
     const { pool } = await import('../db/connection.js');
+    const { getKstDateInfo } = await import('../services/parsers/common.js');
     
     // 전체 리뷰 수
     const totalResult = await pool.query('SELECT COUNT(*) as count FROM reviews');
     const totalReviews = parseInt(totalResult.rows[0].count);
     
-    // 포털별 리뷰 수
+    // 포털별 리뷰 수 (portal_code 기준, 이름은 portals 테이블 / 코드가 없는 옛 리뷰는 저장된 표시 이름)
     const portalResult = await pool.query(
-      `SELECT portal_url, COUNT(*) as count 
-       FROM reviews 
-       GROUP BY portal_url 
+      `SELECT r.portal_code, COALESCE(p.name_ko, r.portal_url) as portal_url, p.name_en, COUNT(*) as count 
+       FROM reviews r 
+       LEFT JOIN portals p ON p.code = r.portal_code 
+       GROUP BY r.portal_code, COALESCE(p.name_ko, r.portal_url), p.name_en 
        ORDER BY count DESC`
     );
     
-    // 기업별 리뷰 수
+    // 기업별 리뷰 수 (company_id 기준, 현재 기업명 / 기업과 연결되지 않은 옛 리뷰는 저장된 기업명)
     const companyResult = await pool.query(
-      `SELECT company_name, COUNT(*) as count 
-       FROM reviews 
-       GROUP BY company_name 
+      `SELECT r.company_id, COALESCE(c.company_name, r.company_name) as company_name, COUNT(*) as count 
+       FROM reviews r 
+       LEFT JOIN companies c ON c.id = r.company_id 
+       GROUP BY r.company_id, COALESCE(c.company_name, r.company_name) 
        ORDER BY count DESC`
     );
     
     // 기업별 포털별 리뷰 수
     const companyPortalResult = await pool.query(
-      `SELECT company_name, portal_url, COUNT(*) as count 
-       FROM reviews 
-       GROUP BY company_name, portal_url 
+      `SELECT r.company_id, COALESCE(c.company_name, r.company_name) as company_name,
+              r.portal_code, COALESCE(p.name_ko, r.portal_url) as portal_url, COUNT(*) as count 
+       FROM reviews r 
+       LEFT JOIN companies c ON c.id = r.company_id 
+       LEFT JOIN portals p ON p.code = r.portal_code 
+       GROUP BY r.company_id, COALESCE(c.company_name, r.company_name), r.portal_code, COALESCE(p.name_ko, r.portal_url) 
        ORDER BY company_name, count DESC`
     );
     
+    // 최근 일주일/2주 리뷰 수 (KST, 스크래핑 날짜 필터와 같은 기준일 / "1개월 전" 같은 대략적인 날짜는 가장 이른 작성일로 비교)
+    const kst = getKstDateInfo();
+    const recentResult = await pool.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE ${REVIEW_DATE_EARLIEST_SQL} >= $1::date) as last_week,
+         COUNT(*) FILTER (WHERE ${REVIEW_DATE_EARLIEST_SQL} >= $2::date) as last_two_weeks
+       FROM reviews`,
+      [kst.filterDateWeek, kst.filterDateTwoWeeks]
+    );
+
+    // 날짜 정밀도별 리뷰 수 (day: 정확한 날짜, week/month/year: "2주 전", "1개월 전" 등)
+    const precisionResult = await pool.query(
+      `SELECT review_date_precision as precision, COUNT(*) as count 
+       FROM reviews 
+       GROUP BY review_date_precision 
+       ORDER BY count DESC`
+    );
+
     res.json({
       totalReviews,
+      lastWeek: parseInt(recentResult.rows[0].last_week),
+      lastTwoWeeks: parseInt(recentResult.rows[0].last_two_weeks),
+      byDatePrecision: precisionResult.rows,
       byPortal: portalResult.rows,
       byCompany: companyResult.rows,
       byCompanyAndPortal: companyPortalResult.rows,
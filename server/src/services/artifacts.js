@@ -0,0 +1,50 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * 실패 디버깅 파일(스크린샷, HTML, Playwright trace) 저장 위치/이름 규칙
+ * 파일 이름은 scraping_job_items.artifacts에 기록하고 GET /jobs/:id/artifacts/:name으로 내려받는다.
+ */
+
+/** 저장 디렉터리 (SCRAPE_ARTIFACTS_DIR, 기본: 서버 실행 위치의 artifacts/) */
+export function getArtifactsDir() {
+  return path.resolve(process.env.SCRAPE_ARTIFACTS_DIR || 'artifacts');
+}
+
+/** SCRAPE_TRACE=1이면 포털 작업마다 Playwright trace를 기록하고 실패 시에만 저장 */
+export function isTraceEnabled() {
+  return process.env.SCRAPE_TRACE === '1';
+}
+
+const SAFE_NAME = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * 실패 파일 이름 접두어 (job12-naver-blocked-1718000000000)
+ * @param {{jobId?: number|null, portal?: string|null, label: string}} parts
+ */
+export function createArtifactPrefix({ jobId = null, portal = null, label }) {
+  return [jobId ? `job${jobId}` : null, portal, label, Date.now()]
+    .filter(Boolean)
+    .join('-')
+    .replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+/**
+ * 저장 경로 (디렉터리 생성 포함)
+ * @param {string} name
+ */
+export async function prepareArtifactPath(name) {
+  const dir = getArtifactsDir();
+  await fs.mkdir(dir, { recursive: true });
+  return path.join(dir, name);
+}
+
+/**
+ * 다운로드할 파일 경로 (이름 검증, 디렉터리 밖 경로 차단)
+ * @param {string} name
+ * @returns {string|null} 허용되지 않는 이름이면 null
+ */
+export function resolveArtifactPath(name) {
+  if (!name || !SAFE_NAME.test(name) || name.startsWith('.')) return null;
+  return path.join(getArtifactsDir(), name);
+}
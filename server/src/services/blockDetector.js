@@ -0,0 +1,74 @@
+/**
+ * 차단/보안 확인(CAPTCHA, "unusual traffic") 페이지 감지
+ * 포털이 차단 페이지를 보여주면 선택자를 하나도 못 찾아 "리뷰 0개 성공"처럼 보이므로,
+ * 페이지 이동 직후와 리뷰를 하나도 못 찾았을 때 알려진 차단 페이지인지 확인한다.
+ *
+ * 포털별 패턴은 어댑터의 blockSignatures에 두고, 여기 공통 패턴과 함께 검사한다.
+ *
+ * @typedef {object} BlockSignatures
+ * @property {string[]} [urls] - 현재 URL에 포함되면 차단 (리다이렉트된 보안 확인 페이지)
+ * @property {string[]} [texts] - 제목/본문 앞부분에 포함되면 차단
+ * @property {string[]} [selectors] - 존재하면 차단 (CAPTCHA 위젯 등)
+ */
+
+/** 포털 차단 감지 오류 (재시도하지 않고, 이번 실행에서 해당 포털 요청을 멈춘다) */
+export class PortalBlockedError extends Error {
+  /**
+   * @param {string} portal - 포털 코드
+   * @param {string} reason - 감지 근거 (일치한 URL/문구/선택자)
+   * @param {{url?: string|null, screenshot?: string|null}} details
+   */
+  constructor(portal, reason, { url = null, screenshot = null } = {}) {
+    super(`${portal} 차단/보안 확인 페이지 감지 (${reason})`);
+    this.name = 'PortalBlockedError';
+    this.category = 'blocked';
+    this.portal = portal;
+    this.reason = reason;
+    this.url = url;
+    this.screenshot = screenshot;
+  }
+}
+
+/** @type {BlockSignatures} 모든 포털 공통 (Cloudflare, reCAPTCHA/hCaptcha 등) */
+const COMMON_BLOCK_SIGNATURES = {
+  urls: ['/cdn-cgi/challenge', '/captcha'],
+  texts: ['Attention Required! | Cloudflare', 'Please verify you are a human', 'Verify you are human'],
+  selectors: ['iframe[src*="recaptcha/api2/anchor"]', 'iframe[src*="hcaptcha.com"]', '#challenge-form'],
+};
+
+/** 본문은 앞부분만 확인 (리뷰 본문에 같은 문구가 섞여 오탐하지 않도록) */
+const BODY_TEXT_LIMIT = 3000;
+
+/**
+ * 현재 페이지가 알려진 차단 페이지인지 확인
+ * @param {import('playwright').Page} page
+ * @param {{blockSignatures?: BlockSignatures}|null} adapter
+ * @returns {Promise<string|null>} 감지 근거, 차단 페이지가 아니면 null
+ */
+export async function detectBlockPage(page, adapter) {
+  const portal = adapter?.blockSignatures || {};
+  const urls = [...COMMON_BLOCK_SIGNATURES.urls, ...(portal.urls || [])];
+  const texts = [...COMMON_BLOCK_SIGNATURES.texts, ...(portal.texts || [])];
+  const selectors = [...COMMON_BLOCK_SIGNATURES.selectors, ...(portal.selectors || [])];
+
+  const url = page.url();
+  const matchedUrl = urls.find((pattern) => url.includes(pattern));
+  if (matchedUrl) return `URL: ${matchedUrl}`;
+
+  try {
+    const found = await page.evaluate(
+      ({ texts, selectors, limit }) => {
+        const head = `${document.title}\n${(document.body?.innerText || '').slice(0, limit)}`;
+        const text = texts.find((t) => head.includes(t));
+        if (text) return `문구: ${text}`;
+        const selector = selectors.find((s) => document.querySelector(s));
+        return selector ? `요소: ${selector}` : null;
+      },
+      { texts, selectors, limit: BODY_TEXT_LIMIT }
+    );
+    return found;
+  } catch {
+    // 페이지가 이동 중이거나 닫힌 경우는 판단하지 않음
+    return null;
+  }
+}
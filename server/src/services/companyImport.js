@@ -0,0 +1,337 @@
+import { pool } from '../db/connection.js';
+import { listPortals } from './portalRegistry.js';
+
+/**
+ * 기업 일괄 등록 (CSV)
+ * 첫 줄은 companies 테이블 컬럼명(company_name, type, is_member, naver_url ...) 또는 POST /companies 필드명(companyName ...)인 헤더.
+ * 행마다 형식과 포털 URL 도메인을 검사하고, 통과한 행만 저장한다.
+ * 같은 기업명이 이미 있으면 CSV에 값이 있는 칸을 모두 덮어쓰고(빈 칸은 기존 값 유지), 바뀌는 컬럼을 행 경고로 알려 준다.
+ * dryRun이면 저장하지 않고 행별 결과(추가/갱신/오류)만 돌려준다.
+ *
+ * XLSX는 의존성 없이 읽을 수 없어 받지 않는다 (엑셀에서 "CSV UTF-8"로 저장해 올림).
+ *
+ * @typedef {object} ImportRowResult
+ * @property {number} line - CSV 행 번호 (헤더가 1행)
+ * @property {string|null} companyName
+ * @property {'create'|'update'|null} action - 새 기업 추가 / 기존 기업 갱신 (오류 행은 null)
+ * @property {'valid'|'saved'|'invalid'|'failed'} status - valid: 미리보기에서 통과, saved: 저장됨, invalid: 검사 실패, failed: 저장 실패
+ * @property {string[]} errors
+ * @property {string[]} warnings
+ *
+ * @typedef {object} ImportReport
+ * @property {boolean} dryRun
+ * @property {{total: number, valid: number, invalid: number, created: number, updated: number, failed: number}} summary
+ * @property {string[]} ignoredColumns - 알 수 없어 무시한 헤더
+ * @property {ImportRowResult[]} rows
+ */
+
+/** 파일 전체를 받을 수 없는 경우 (형식, 헤더, 행 수) - 라우트에서 400으로 응답 */
+export class CompanyImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CompanyImportError';
+  }
+}
+
+/** 한 번에 받는 최대 행 수 (헤더 제외) */
+export const MAX_IMPORT_ROWS = 1000;
+
+/** 일반 컬럼 → 최대 길이 (schema.sql의 VARCHAR 길이, address는 TEXT) */
+const TEXT_COLUMNS = {
+  company_name: 255,
+  type: 50,
+  address: null,
+  email: 255,
+  phone: 50,
+  manager: 100,
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/** company_name → companyName */
+const toCamel = (column) => column.replace(/_(\w)/g, (_, c) => c.toUpperCase());
+
+/** 가져올 수 있는 컬럼 (URL 컬럼은 포털 레지스트리 기준) */
+function importColumns() {
+  return [...Object.keys(TEXT_COLUMNS), 'is_member', ...listPortals().map((adapter) => adapter.urlColumn)];
+}
+
+/**
+ * CSV 텍스트 → 행 배열 (RFC 4180: 큰따옴표 안의 쉼표/줄바꿈, "" 이스케이프)
+ * 빈 줄도 행으로 남겨 두어(['']) 행 번호가 파일과 맞게 한다 (검사 단계에서 건너뜀).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) {
+    throw new CompanyImportError('CSV 형식 오류: 닫히지 않은 큰따옴표가 있습니다.');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * 업로드 본문 → 텍스트 (UTF-8이 아니면 엑셀 기본 저장 형식인 EUC-KR(CP949)로 읽음)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export function decodeCsvBuffer(buffer) {
+  // XLSX(zip)는 'PK'로 시작
+  if (buffer.length >= 2 && buffer[0] === 0x50 && buffer[1] === 0x4b) {
+    throw new CompanyImportError('XLSX 파일은 지원하지 않습니다. 엑셀에서 "CSV UTF-8(쉼표로 분리)"로 저장해 올려 주세요.');
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('euc-kr').decode(buffer);
+  }
+}
+
+/** 헤더 한 칸 → companies 컬럼명 (모르는 헤더는 null) */
+function resolveHeader(header, columns) {
+  const name = header.trim();
+  if (columns.includes(name)) return name;
+  return columns.find((column) => toCamel(column) === name) || null;
+}
+
+/** URL이 어댑터 도메인인지 (www.naver.com, map.naver.com 등 하위 도메인 포함) */
+function matchesPortalHost(url, adapter) {
+  let hostname;
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+    hostname = parsed.hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  return adapter.hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * CSV 행 검사 → 저장할 기업 값 (DB 불필요, 빈 칸은 null)
+ * @param {string[][]} rows - parseCsv 결과 (첫 행은 헤더)
+ * @param {object} scraper - 포털 URL 정규화용 ScraperService (브라우저 초기화 불필요)
+ * @returns {{ignoredColumns: string[], records: Array<ImportRowResult & {company: object|null}>}}
+ */
+export function validateCompanyRows(rows, scraper) {
+  const [headerRow, ...dataRows] = rows;
+  if (!headerRow) {
+    throw new CompanyImportError('CSV가 비어 있습니다.');
+  }
+  const columns = importColumns();
+  const headerColumns = headerRow.map((header) => resolveHeader(header, columns));
+  const ignoredColumns = headerRow.filter((header, index) => header.trim() && !headerColumns[index]).map((header) => header.trim());
+  const missing = ['company_name', 'type'].filter((column) => !headerColumns.includes(column));
+  if (missing.length > 0) {
+    throw new CompanyImportError(`필수 컬럼이 없습니다: ${missing.join(', ')}`);
+  }
+  const nonEmptyRows = dataRows.filter((row) => row.some((value) => value.trim()));
+  if (nonEmptyRows.length > MAX_IMPORT_ROWS) {
+    throw new CompanyImportError(`한 번에 ${MAX_IMPORT_ROWS}행까지 가져올 수 있습니다 (${nonEmptyRows.length}행).`);
+  }
+
+  const urlAdapters = new Map(listPortals().map((adapter) => [adapter.urlColumn, adapter]));
+  const seenNames = new Map();
+  const records = [];
+
+  dataRows.forEach((row, index) => {
+    if (!row.some((value) => value.trim())) return;
+    const line = index + 2;
+    const errors = [];
+    const warnings = [];
+    const values = {};
+    headerColumns.forEach((column, columnIndex) => {
+      if (column) values[column] = (row[columnIndex] ?? '').trim();
+    });
+    if (row.length > headerRow.length && row.slice(headerRow.length).some((value) => value.trim())) {
+      warnings.push(`헤더보다 칸이 많아 뒤쪽 ${row.length - headerRow.length}칸은 무시했습니다.`);
+    }
+
+    const company = {};
+    for (const [column, maxLength] of Object.entries(TEXT_COLUMNS)) {
+      const value = values[column] || '';
+      if (!value) {
+        if (column === 'company_name' || column === 'type') errors.push(`${column}이(가) 비어 있습니다.`);
+        company[toCamel(column)] = null;
+        continue;
+      }
+      if (maxLength && value.length > maxLength) {
+        errors.push(`${column}은(는) ${maxLength}자 이하여야 합니다 (${value.length}자).`);
+      }
+      company[toCamel(column)] = value;
+    }
+    if (company.email && !EMAIL_PATTERN.test(company.email)) {
+      errors.push(`email 형식이 올바르지 않습니다: ${company.email}`);
+    }
+
+    // 비어 있으면 null (새 기업은 N, 기존 기업은 값 유지)
+    const isMember = values.is_member ? values.is_member.toUpperCase() : null;
+    if (isMember && isMember !== 'Y' && isMember !== 'N') {
+      errors.push(`is_member는 Y 또는 N이어야 합니다: ${values.is_member}`);
+    }
+    company.isMember = isMember;
+
+    for (const [column, adapter] of urlAdapters) {
+      const url = values[column] || '';
+      company[toCamel(column)] = null;
+      if (!url) continue;
+      if (!matchesPortalHost(url, adapter)) {
+        errors.push(`${column}은(는) ${adapter.name} URL이어야 합니다 (${adapter.hosts.join(', ')}): ${url}`);
+        continue;
+      }
+      company[toCamel(column)] = adapter.normalizeUrl(scraper, url);
+    }
+
+    if (company.companyName) {
+      const firstLine = seenNames.get(company.companyName);
+      if (firstLine) {
+        errors.push(`같은 기업명이 ${firstLine}행에 이미 있습니다.`);
+      } else {
+        seenNames.set(company.companyName, line);
+      }
+    }
+
+    records.push({
+      line,
+      companyName: company.companyName,
+      action: null,
+      status: errors.length > 0 ? 'invalid' : 'valid',
+      errors,
+      warnings,
+      company: errors.length > 0 ? null : company,
+    });
+  });
+
+  return { ignoredColumns, records };
+}
+
+/** 기존 기업에서 CSV 값으로 바뀌는 컬럼 (빈 칸은 기존 값 유지라 제외) */
+function changedColumns(company, current) {
+  return importColumns().filter((column) => {
+    const value = company[toCamel(column)];
+    return value !== null && value !== undefined && value !== current[column];
+  });
+}
+
+/**
+ * 기업 추가 또는 갱신 (기존 기업이면 값이 있는 칸만 덮어씀)
+ * companies.company_name에는 고유 제약이 없어 ON CONFLICT 대신 미리 조회한 기존 행의 id로 갱신한다.
+ * @param {object} company - validateCompanyRows의 company
+ * @param {object|null} current - 같은 기업명의 기존 companies 행 (없으면 추가)
+ */
+async function saveImportedCompany(company, current) {
+  if (current) {
+    const columns = importColumns().filter((column) => column !== 'company_name');
+    const updates = columns.map((column, index) => `${column} = COALESCE($${index + 1}, ${column})`);
+    await pool.query(
+      `UPDATE companies SET
+         ${updates.join(',\n         ')},
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${columns.length + 1}`,
+      [...columns.map((column) => company[toCamel(column)] ?? null), current.id]
+    );
+    return;
+  }
+  const columns = importColumns();
+  const values = columns.map((column) => company[toCamel(column)] ?? null);
+  const placeholders = columns.map((column, index) => (column === 'is_member' ? `COALESCE($${index + 1}, 'N')` : `$${index + 1}`));
+  await pool.query(
+    `INSERT INTO companies (${columns.join(', ')})
+     VALUES (${placeholders.join(', ')})`,
+    values
+  );
+}
+
+/**
+ * CSV 가져오기 (검사 → 기존 기업 확인 → dryRun이 아니면 저장)
+ * @param {string} text - CSV 본문
+ * @param {{dryRun?: boolean, scraper: object}} options - scraper: URL 정규화에 쓰는 ScraperService
+ * @returns {Promise<ImportReport>}
+ */
+export async function importCompaniesCsv(text, { dryRun = false, scraper }) {
+  const { ignoredColumns, records } = validateCompanyRows(parseCsv(text), scraper);
+
+  const names = records.filter((record) => record.company).map((record) => record.companyName);
+  const existing = new Map();
+  if (names.length > 0) {
+    const result = await pool.query('SELECT * FROM companies WHERE company_name = ANY($1) ORDER BY id ASC', [names]);
+    // 같은 이름이 여러 행이면 먼저 등록된 기업을 갱신
+    for (const row of result.rows) {
+      if (!existing.has(row.company_name)) existing.set(row.company_name, row);
+    }
+  }
+
+  for (const record of records) {
+    if (!record.company) continue;
+    const current = existing.get(record.companyName);
+    record.action = current ? 'update' : 'create';
+    if (current) {
+      const changed = changedColumns(record.company, current);
+      record.warnings.push(
+        changed.length > 0
+          ? `이미 등록된 기업: ${changed.join(', ')} 갱신 (빈 칸은 기존 값 유지)`
+          : '이미 등록된 기업: 바뀌는 값이 없습니다.'
+      );
+      if (current.archived_at) record.warnings.push('보관된 기업: 복원해야 목록에 표시됩니다.');
+    }
+    if (dryRun) continue;
+    try {
+      await saveImportedCompany(record.company, current);
+      record.status = 'saved';
+    } catch (error) {
+      console.error(`기업 CSV ${record.line}행 저장 실패:`, error);
+      record.status = 'failed';
+      record.errors.push(`저장 실패: ${error.message}`);
+    }
+  }
+
+  const count = (predicate) => records.filter(predicate).length;
+  return {
+    dryRun,
+    summary: {
+      total: records.length,
+      valid: count((record) => record.company),
+      invalid: count((record) => record.status === 'invalid'),
+      created: dryRun ? 0 : count((record) => record.status === 'saved' && record.action === 'create'),
+      updated: dryRun ? 0 : count((record) => record.status === 'saved' && record.action === 'update'),
+      failed: count((record) => record.status === 'failed'),
+    },
+    ignoredColumns,
+    rows: records.map(({ company, ...rest }) => rest),
+  };
+}
@@ -1,41 +1,238 @@
+import { EventEmitter } from 'node:events';
 import { pool } from '../db/connection.js';
-import ScraperService from './scraper.js';
+import ScraperPool from './scraperPool.js';
+import { resolvePortals } from './portalRegistry.js';
+import { getDisabledPortalCodes } from './portalCatalog.js';
+import { resolveCompanyPlace } from './placeResolver.js';
+import { PortalBlockedError } from './blockDetector.js';
+import { describeRateLimit, onRateLimitEvent, reportPortalFailure, reportPortalSuccess } from './rateLimiter.js';
 
 /**
  * 스크래핑 작업 관리 서비스
  */
 const MAX_PROGRESS_LOG_LINES = 500;
+/** 최소 간격 대기는 평소에도 계속 일어나므로 이보다 길 때만 작업 로그에 남김 */
+const RATE_LIMIT_LOG_MIN_WAIT_MS = 10000;
+/** SSE 재연결 시 다시 보내기 위해 보관하는 최근 이벤트 수 (현재 작업 기준) */
+const MAX_JOB_EVENTS = 1000;
+/** 대기열 폴링 간격 (재시작 후 남은 pending 작업, 다른 경로로 추가된 작업 처리용) */
+const QUEUE_POLL_INTERVAL_MS = 15000;
+/** 실행 중인 작업의 하트비트(heartbeat_at) 갱신 간격 */
+const JOB_HEARTBEAT_INTERVAL_MS = 30000;
+/** 하트비트가 이보다 오래된 running 작업만 죽은 인스턴스의 작업으로 보고 interrupted로 정리 (여러 인스턴스 겹침 대비) */
+const STALE_JOB_AFTER_MS = 3 * 60 * 1000;
+/**
+ * 재시도 대상 항목 조건 (i: scraping_job_items, j: scraping_jobs)
+ * - 실패한 항목
+ * - 포털 차단 감지로 이번 실행에서 건너뛴 항목
+ * - 작업이 오류로 중단되어 pending/running으로 남은 항목
+ */
+const RETRYABLE_ITEM_CONDITION = `(i.status = 'failed'
+  OR (i.status = 'skipped' AND i.error_category = 'blocked')
+  OR (i.status IN ('pending', 'running') AND j.status = 'failed'))`;
+/** 포털별 동시 실행 기본값 (같은 사이트에 요청이 몰리지 않도록) */
+const DEFAULT_PORTAL_CONCURRENCY = 1;
+
+/**
+ * 동시 실행 설정 (환경 변수)
+ * - SCRAPE_CONCURRENCY: 동시에 돌릴 브라우저 컨텍스트 수 (기본 1 = 순차 실행)
+ * - SCRAPE_PORTAL_CONCURRENCY: 포털별 최대 동시 실행 수 (예: "naver=2,google=1", 나머지는 1)
+ */
+function getConcurrencySettings() {
+  const concurrency = Math.max(1, parseInt(process.env.SCRAPE_CONCURRENCY, 10) || 1);
+  const portalLimits = {};
+  for (const pair of String(process.env.SCRAPE_PORTAL_CONCURRENCY || '').split(',')) {
+    const [portal, value] = pair.split('=').map((v) => v && v.trim());
+    const limit = parseInt(value, 10);
+    if (portal && limit > 0) portalLimits[portal] = limit;
+  }
+  return {
+    concurrency,
+    portalLimit: (portalId) => portalLimits[portalId] || DEFAULT_PORTAL_CONCURRENCY,
+  };
+}
+
+/** 중지 요청으로 끝난 작업의 오류 (runJob은 name으로 중지/실패를 구분) */
+function createJobCancelledError() {
+  const err = new Error('사용자에 의해 작업이 중지되었습니다.');
+  err.name = 'JobCancelledError';
+  return err;
+}
+
+/** 이어하기 대상 항목 조건 (아직 끝나지 않았거나 중지 신호로 끊긴 항목) */
+const UNFINISHED_ITEM_CONDITION = `i.status IN ('pending', 'running', 'stopped')`;
 
 class JobService {
   constructor() {
     this.currentJob = null;
+    /**
+     * runJob이 실행 중인 작업 ID (로그/이벤트용)
+     * stopJob은 상태 조회가 바로 바뀌도록 currentJob을 먼저 비우므로, 마무리 중인 로그는 이 값으로 남긴다
+     */
+    this.runningJobId = null;
     this.isRunning = false;
     this.cancelRequested = false;
-    this.currentProgress = null; // { companyName, portal, attempt, phase }
-    this.scraper = null; // 현재 실행 중인 ScraperService 인스턴스 (중지 시 강제 종료용)
+    this.currentProgress = null; // { company, portal, attempt, phase, worker } 가장 최근 변경
+    /** 워커별 진행 상황 (동시 실행 시 워커 ID → progress) */
+    this.activeProgress = new Map();
+    this.scraperPool = null; // 현재 실행 중인 ScraperPool (중지 시 강제 종료용)
+    /** 현재 작업의 중지 신호 (stopJob에서 abort → 포털 속도 제한 대기 중인 워커도 바로 끝남) */
+    this.abortController = null;
     /** 실시간 진행 로그 (최근 N줄) */
     this.progressLog = [];
     /** 디버그: 단계마다 클릭하여 진행 */
     this.breakpointMode = false;
-    /** 브레이크포인트에서 대기 중일 때 resolve */
-    this.continueResolve = null;
+    /** 브레이크포인트에서 대기 중인 워커들의 resolve (먼저 멈춘 순서대로 하나씩 재개) */
+    this.continueWaiters = [];
     this.waitingForContinue = false;
+    /** 대기열 워커: 한 번에 하나의 루프만 돌도록 */
+    this.workerActive = false;
+    this.workerTimer = null;
+    this.recoveryTimer = null;
+    /** 중지 시 기록할 상태 (서버 종료로 인한 중지는 interrupted → 재시작 후 이어하기 가능) */
+    this.stopStatus = null;
+    /**
+     * 실시간 이벤트 (GET /jobs/:id/events SSE)
+     * - id는 프로세스 시작 시각에서 출발해 1씩 증가 (재시작 후 예전 Last-Event-ID와 겹치지 않도록)
+     * - jobEvents: 현재 작업의 최근 이벤트 (재연결 시 Last-Event-ID 이후만 다시 전송)
+     */
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this.eventSeq = Date.now();
+    this.jobEvents = [];
+    /** 로그 DB 저장 순서 보장용 체인 */
+    this.logWriteChain = Promise.resolve();
+  }
+
+  /**
+   * 실시간 이벤트 발행 (progress, log, breakpoint, status)
+   */
+  emitJobEvent(type, data, jobId = this.runningJobId ?? this.currentJob?.id ?? null) {
+    const event = { id: ++this.eventSeq, jobId, type, data };
+    this.jobEvents.push(event);
+    if (this.jobEvents.length > MAX_JOB_EVENTS) {
+      this.jobEvents = this.jobEvents.slice(-MAX_JOB_EVENTS);
+    }
+    this.events.emit('event', event);
+    return event;
+  }
+
+  /**
+   * 실시간 이벤트 구독 (반환값: 구독 해제 함수)
+   */
+  onJobEvent(listener) {
+    this.events.on('event', listener);
+    return () => this.events.off('event', listener);
+  }
+
+  /**
+   * lastEventId 이후 이벤트 (버퍼에 빠진 구간이 있으면 null → 호출 측에서 스냅샷 전송)
+   */
+  getJobEventsSince(lastEventId) {
+    if (!Number.isFinite(lastEventId) || lastEventId > this.eventSeq) return null;
+    if (lastEventId === this.eventSeq) return [];
+    const first = this.jobEvents[0];
+    if (!first || first.id > lastEventId + 1) return null;
+    return this.jobEvents.filter((event) => event.id > lastEventId);
+  }
+
+  /**
+   * SSE 연결 직후 보낼 현재 상태 스냅샷
+   */
+  getLiveSnapshot() {
+    return {
+      isRunning: this.isRunning,
+      currentJob: this.currentJob,
+      progress: this.currentProgress,
+      activeProgress: [...this.activeProgress.values()],
+      progressLog: this.getProgressLog(),
+      waitingForContinue: this.waitingForContinue === true,
+    };
   }
 
   setProgress(progress) {
     this.currentProgress = progress;
+    if (progress?.worker != null) {
+      this.activeProgress.set(progress.worker, progress);
+    }
+    this.emitJobEvent('progress', progress);
   }
 
   getProgress() {
     return this.currentProgress;
   }
 
-  appendProgressLog(msg) {
-    const line = `[${new Date().toISOString().slice(11, 23)}] ${msg}`;
+  /**
+   * 진행 로그 한 줄 추가 (메모리 + SSE + scraping_job_logs)
+   * @param {string} msg
+   * @param {{level?: 'info'|'warn'|'error', company?: string|null, portal?: string|null}} meta
+   *   동시 실행 중에는 어느 기업/포털의 로그인지 호출하는 쪽에서 넘긴다
+   */
+  appendProgressLog(msg, { level = 'info', company = null, portal = null } = {}) {
+    const loggedAt = new Date();
+    const line = `[${loggedAt.toISOString().slice(11, 23)}] ${msg}`;
     this.progressLog.push(line);
     if (this.progressLog.length > MAX_PROGRESS_LOG_LINES) {
       this.progressLog = this.progressLog.slice(-MAX_PROGRESS_LOG_LINES);
     }
+    const context = { company, portal };
+    const jobId = this.runningJobId ?? this.currentJob?.id ?? null;
+    this.emitJobEvent('log', { line, level, ...context }, jobId);
+    this.persistLogLine(jobId, loggedAt, level, context, msg);
+  }
+
+  /**
+   * 진행 로그를 scraping_job_logs에 저장 (재시작 후에도 작업별로 조회 가능)
+   * appendProgressLog를 동기로 유지하기 위해 기다리지 않고, 체인으로 순서만 보장
+   * @param {number|null} jobId - 로그를 남길 작업 (없으면 저장하지 않음)
+   */
+  persistLogLine(jobId, loggedAt, level, { company, portal }, message) {
+    if (!pool || !jobId) return;
+    this.logWriteChain = this.logWriteChain
+      .then(() =>
+        pool.query(
+          `INSERT INTO scraping_job_logs (job_id, logged_at, level, company_name, portal, message)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [jobId, loggedAt, level, company || null, portal || null, message]
+        )
+      )
+      .catch((e) => {
+        // 로그 저장 실패가 작업을 멈추지 않도록 콘솔에만 남김
+        console.error('scraping_job_logs 저장 실패:', e.message);
+      });
+  }
+
+  /**
+   * 작업 로그 조회 (level/company/portal 필터)
+   * @param {number} jobId
+   * @param {{levels?: string[], company?: string, portal?: string, limit?: number, offset?: number}} filters
+   * @returns {Promise<{logs: object[], total: number}>}
+   */
+  async getJobLogs(jobId, { levels = [], company = null, portal = null, limit = 500, offset = 0 } = {}) {
+    this.requirePool();
+    const conditions = ['job_id = $1'];
+    const values = [jobId];
+    if (levels.length > 0) {
+      values.push(levels);
+      conditions.push(`level = ANY($${values.length})`);
+    }
+    if (company) {
+      values.push(company);
+      conditions.push(`company_name = $${values.length}`);
+    }
+    if (portal) {
+      values.push(portal);
+      conditions.push(`portal = $${values.length}`);
+    }
+    const where = conditions.join(' AND ');
+    const total = await pool.query(`SELECT COUNT(*)::int AS count FROM scraping_job_logs WHERE ${where}`, values);
+    const result = await pool.query(
+      `SELECT * FROM scraping_job_logs WHERE ${where}
+       ORDER BY id ASC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+    return { logs: result.rows, total: total.rows[0].count };
   }
 
   getProgressLog() {
@@ -44,31 +241,39 @@ class JobService {
 
   clearProgressLog() {
     this.progressLog = [];
+    this.jobEvents = [];
   }
 
   /**
    * 디버그 브레이크포인트: breakpointMode일 때만 다음 단계로 넘어가기 전에 대기.
    * 클라이언트가 POST /jobs/continue 호출 시 재개됨.
    */
-  async waitForUserContinue() {
+  async waitForUserContinue(meta = {}) {
     if (!this.breakpointMode) return;
-    this.waitingForContinue = true;
-    this.appendProgressLog('⏸ [대기] 다음 단계로 진행하려면 화면에서 "다음 단계"를 클릭하세요.');
+    this.appendProgressLog('⏸ [대기] 다음 단계로 진행하려면 화면에서 "다음 단계"를 클릭하세요.', meta);
     await new Promise((resolve) => {
-      this.continueResolve = resolve;
+      this.continueWaiters.push(resolve);
+      this.waitingForContinue = true;
+      this.emitJobEvent('breakpoint', { waiting: true, waiters: this.continueWaiters.length });
     });
-    this.waitingForContinue = false;
-    this.continueResolve = null;
-    this.appendProgressLog('▶ 진행 재개');
+    this.appendProgressLog('▶ 진행 재개', meta);
   }
 
-  /** 클라이언트가 "다음 단계" 클릭 시 호출 */
+  /** 클라이언트가 "다음 단계" 클릭 시 호출 (동시 실행 중이면 먼저 멈춘 워커 하나만 재개) */
   continueFromBreakpoint() {
-    if (this.continueResolve) {
-      this.continueResolve();
-      this.continueResolve = null;
-    }
+    const resolve = this.continueWaiters.shift();
+    this.waitingForContinue = this.continueWaiters.length > 0;
+    this.emitJobEvent('breakpoint', { waiting: this.waitingForContinue, waiters: this.continueWaiters.length });
+    if (resolve) resolve();
+  }
+
+  /** 대기 중인 브레이크포인트 모두 해제 (작업 종료/중지 시) */
+  releaseBreakpoints() {
+    const waiters = this.continueWaiters.splice(0);
     this.waitingForContinue = false;
+    for (const resolve of waiters) {
+      try { resolve(); } catch (_) {}
+    }
   }
 
   /**
@@ -76,9 +281,7 @@ class JobService {
    */
   ensureNotCancelled() {
     if (this.cancelRequested) {
-      const err = new Error('사용자에 의해 작업이 중지되었습니다.');
-      err.name = 'JobCancelledError';
-      throw err;
+      throw createJobCancelledError();
     }
   }
 
@@ -112,14 +315,281 @@ class JobService {
   }
 
   /**
-   * 새 작업 생성
+   * 작업을 대기열에 추가 (pending + 실행 파라미터 저장 후 워커 깨우기)
+   * 실행 중인 작업이 있어도 거절하지 않고 순서대로 실행된다.
+   * @param {object} params
+   * @param {string} params.dateFilter - 'all' | 'week' | 'twoWeeks'
+   * @param {string|null} params.companyName - 특정 기업명 (null이면 전체 기업)
+   * @param {string[]|null} params.portals - 포털 코드 배열 (null이면 전체)
+   * @param {{breakpointMode?: boolean, headed?: boolean}} params.options
+   * @param {'manual'|'schedule'|'retry'|'resume'} params.source - 요청 출처
+   * @param {number|null} params.retryOfJobId - 재시도/이어하기 작업이면 원래 작업 ID
+   * @param {Array<{company_id: number|null, company_name: string, portal: string}>|null} params.items
+   *   지정하면 이 항목(기업 × 포털)만 실행 (작업과 같은 트랜잭션에서 pending으로 생성)
+   * @returns {Promise<object>} 생성된 scraping_jobs 행
+   */
+  async enqueueJob({
+    dateFilter = 'week',
+    companyName = null,
+    portals = null,
+    options = {},
+    source = 'manual',
+    retryOfJobId = null,
+    items = null,
+  } = {}) {
+    this.requirePool();
+    const client = await pool.connect();
+    let job;
+    try {
+      // 항목이 다 만들어지기 전에 워커가 작업을 꺼내지 않도록 한 트랜잭션으로 생성
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO scraping_jobs (status, date_filter, company_name, portals, options, source, retry_of_job_id)
+         VALUES ('pending', $1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [
+          dateFilter,
+          companyName && companyName.trim() ? companyName.trim() : null,
+          Array.isArray(portals) && portals.length > 0 ? JSON.stringify(portals) : null,
+          JSON.stringify({
+            breakpointMode: options.breakpointMode === true,
+            headed: options.headed === true,
+          }),
+          source,
+          retryOfJobId,
+        ]
+      );
+      job = result.rows[0];
+      if (Array.isArray(items) && items.length > 0) {
+        await client.query(
+          `INSERT INTO scraping_job_items (job_id, company_id, company_name, portal)
+           SELECT $1, u.company_id, u.company_name, u.portal
+           FROM UNNEST($2::int[], $3::text[], $4::text[]) AS u(company_id, company_name, portal)
+           ON CONFLICT (job_id, company_id, portal) DO NOTHING`,
+          [
+            job.id,
+            items.map((item) => item.company_id ?? null),
+            items.map((item) => item.company_name),
+            items.map((item) => item.portal),
+          ]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+    console.log(`[대기열] 작업 #${job.id} 추가 (source: ${source}, dateFilter: ${dateFilter}, companyName: ${job.company_name || '전체'})`);
+    // 응답을 막지 않도록 기다리지 않음
+    this.processQueue();
+    return job;
+  }
+
+  /**
+   * 이전 작업의 실패 항목만 다시 실행하는 작업을 대기열에 추가 (같은 dateFilter)
+   * @param {object} job - 원래 scraping_jobs 행
+   */
+  async enqueueRetryFailed(job) {
+    this.requirePool();
+    if (job.status === 'pending' || job.status === 'running') {
+      throw new Error('아직 끝나지 않은 작업은 재시도할 수 없습니다.');
+    }
+    const result = await pool.query(
+      `SELECT i.company_id, i.company_name, i.portal
+       FROM scraping_job_items i
+       JOIN scraping_jobs j ON j.id = i.job_id
+       WHERE i.job_id = $1 AND i.company_id IS NOT NULL AND ${RETRYABLE_ITEM_CONDITION}
+       ORDER BY i.id ASC`,
+      [job.id]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('재시도할 실패 항목이 없습니다.');
+    }
+    const portals = [...new Set(result.rows.map((item) => item.portal))];
+    return this.enqueueJob({
+      dateFilter: job.date_filter || 'week',
+      portals,
+      options: { headed: job.options?.headed === true },
+      source: 'retry',
+      retryOfJobId: job.id,
+      items: result.rows,
+    });
+  }
+
+  /**
+   * 중단된(interrupted) 작업을 남은 항목부터 이어서 실행하는 작업을 대기열에 추가
+   * 원래 작업의 조건(dateFilter, 기업, 포털)을 그대로 쓰고, 끝나지 않은 기업 × 포털 항목만 순서대로 실행한다.
+   * @param {object} job - 원래 scraping_jobs 행
+   */
+  async enqueueResume(job) {
+    this.requirePool();
+    if (job.status !== 'interrupted') {
+      throw new Error('중단된(interrupted) 작업만 이어서 실행할 수 있습니다.');
+    }
+    const existing = await pool.query(
+      "SELECT id FROM scraping_jobs WHERE retry_of_job_id = $1 AND source = 'resume' LIMIT 1",
+      [job.id]
+    );
+    if (existing.rows.length > 0) {
+      throw new Error(`이미 이어하기 작업 #${existing.rows[0].id}이(가) 있습니다.`);
+    }
+    const result = await pool.query(
+      `SELECT i.company_id, i.company_name, i.portal
+       FROM scraping_job_items i
+       WHERE i.job_id = $1 AND i.company_id IS NOT NULL AND ${UNFINISHED_ITEM_CONDITION}
+       ORDER BY i.id ASC`,
+      [job.id]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('이어서 실행할 남은 항목이 없습니다.');
+    }
+    return this.enqueueJob({
+      dateFilter: job.date_filter || 'week',
+      companyName: job.company_name,
+      portals: job.portals,
+      options: { headed: job.options?.headed === true },
+      source: 'resume',
+      retryOfJobId: job.id,
+      items: result.rows,
+    });
+  }
+
+  /**
+   * running으로 남은 작업 정리 (서버 시작 시, 이후 STALE_JOB_AFTER_MS마다)
+   * (컨테이너 재시작 등으로 프로세스가 죽으면 DB 행이 running에 머물러 남은 기업이 영영 실행되지 않음)
+   * - 하트비트가 STALE_JOB_AFTER_MS보다 오래된 작업만 대상 (다른 인스턴스가 실행 중인 작업은 건드리지 않음)
+   * - 작업은 interrupted, 실행 중이던 항목은 pending으로 되돌림
+   * - JOB_AUTO_RESUME=1이면 이어하기 작업이 없는 interrupted 작업을 모두 대기열에 추가
+   *   (SIGTERM 종료는 stopJob({ shutdown: true })가 이미 interrupted로 바꿔 두므로 running만 보면 놓침)
+   */
+  async recoverInterruptedJobs() {
+    if (!pool) return [];
+    try {
+      const result = await pool.query(
+        `UPDATE scraping_jobs
+         SET status = 'interrupted',
+             completed_at = CURRENT_TIMESTAMP,
+             error_message = RIGHT(COALESCE(error_message, '') || $1, 8000)
+         WHERE status = 'running'
+           AND COALESCE(heartbeat_at, started_at, created_at) < CURRENT_TIMESTAMP - ($2 * INTERVAL '1 millisecond')
+         RETURNING *`,
+        [`\n[${new Date().toISOString()}] 서버 재시작으로 작업이 중단되었습니다.`, STALE_JOB_AFTER_MS]
+      );
+      if (result.rows.length > 0) {
+        const jobIds = result.rows.map((job) => job.id);
+        await pool.query(
+          "UPDATE scraping_job_items SET status = 'pending', started_at = NULL WHERE job_id = ANY($1) AND status = 'running'",
+          [jobIds]
+        );
+        console.warn(`[대기열] 서버 재시작 전 실행 중이던 작업 ${jobIds.map((id) => `#${id}`).join(', ')} → interrupted`);
+      }
+
+      if (process.env.JOB_AUTO_RESUME === '1') {
+        const interrupted = await pool.query(
+          `SELECT j.* FROM scraping_jobs j
+           WHERE j.status = 'interrupted'
+             AND NOT EXISTS (
+               SELECT 1 FROM scraping_jobs r WHERE r.retry_of_job_id = j.id AND r.source = 'resume'
+             )
+           ORDER BY j.id ASC`
+        );
+        for (const job of interrupted.rows) {
+          try {
+            const resumeJob = await this.enqueueResume(job);
+            console.log(`[대기열] 작업 #${job.id} 자동 이어하기 → 작업 #${resumeJob.id}`);
+          } catch (e) {
+            console.warn(`[대기열] 작업 #${job.id} 자동 이어하기 건너뜀: ${e.message}`);
+          }
+        }
+      }
+      return result.rows;
+    } catch (e) {
+      console.error('[jobService] recoverInterruptedJobs 실패:', e.message);
+      return [];
+    }
+  }
+
+  /**
+   * 대기 중(pending)인 작업 목록 (실행 순서대로)
    */
-  async createJob() {
+  async getPendingJobs() {
     this.requirePool();
     const result = await pool.query(
-      'INSERT INTO scraping_jobs (status) VALUES ($1) RETURNING *',
-      ['pending']
+      "SELECT * FROM scraping_jobs WHERE status = 'pending' ORDER BY created_at ASC, id ASC"
     );
+    return result.rows;
+  }
+
+  /**
+   * 다음 pending 작업을 running으로 바꾸며 가져오기
+   * (SKIP LOCKED: 서버 인스턴스가 여러 개여도 같은 작업을 두 번 실행하지 않음)
+   */
+  async claimNextJob() {
+    this.requirePool();
+    const result = await pool.query(
+      `UPDATE scraping_jobs
+       SET status = 'running', started_at = CURRENT_TIMESTAMP, heartbeat_at = CURRENT_TIMESTAMP
+       WHERE id = (
+         SELECT id FROM scraping_jobs
+         WHERE status = 'pending'
+         ORDER BY created_at ASC, id ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 대기열 워커 시작 (index.js에서 서버 시작 시 호출)
+   * 재시작 전에 쌓여 있던 pending 작업도 이어서 실행하고, 하트비트가 끊긴 running 작업은 interrupted로 정리한다.
+   * 하트비트는 시작 직후엔 아직 오래되지 않았을 수 있어 정리는 주기적으로 반복한다.
+   */
+  async startWorker() {
+    if (!pool || this.workerTimer) return;
+    await this.recoverInterruptedJobs();
+    this.workerTimer = setInterval(() => this.processQueue(), QUEUE_POLL_INTERVAL_MS);
+    this.recoveryTimer = setInterval(() => this.recoverInterruptedJobs(), STALE_JOB_AFTER_MS);
+    this.processQueue();
+  }
+
+  /**
+   * pending 작업을 하나씩 꺼내 실행 (대기열이 빌 때까지)
+   */
+  async processQueue() {
+    if (!pool || this.workerActive) return;
+    this.workerActive = true;
+    try {
+      for (;;) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('[대기열] 작업 처리 중 오류:', error);
+    } finally {
+      this.workerActive = false;
+    }
+  }
+
+  /**
+   * 대기 중인 작업 취소 (실행 중인 작업은 stopJob 사용)
+   */
+  async cancelPendingJob(jobId) {
+    this.requirePool();
+    const result = await pool.query(
+      `UPDATE scraping_jobs
+       SET status = 'stopped', completed_at = CURRENT_TIMESTAMP, error_message = '대기열에서 취소됨'
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [jobId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('대기 중인 작업이 아닙니다.');
+    }
     return result.rows[0];
   }
 
@@ -170,10 +640,13 @@ class JobService {
 
     values.push(jobId);
 
-    await pool.query(
-      `UPDATE scraping_jobs SET ${updates.join(', ')} WHERE id = $${paramIndex}`,
+    const result = await pool.query(
+      `UPDATE scraping_jobs SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
       values
     );
+    if (result.rows[0]) {
+      this.emitJobEvent('status', result.rows[0], result.rows[0].id);
+    }
   }
 
   /**
@@ -185,13 +658,138 @@ class JobService {
     return result.rows[0];
   }
 
+  /**
+   * 작업 항목(기업 × 포털) 목록 조회
+   */
+  async getJobItems(jobId) {
+    this.requirePool();
+    const result = await pool.query(
+      'SELECT * FROM scraping_job_items WHERE job_id = $1 ORDER BY id ASC',
+      [jobId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * 작업 항목에 기록된 실패 파일인지 확인 (다운로드 허용 여부)
+   * @param {number} jobId
+   * @param {string} name
+   */
+  async hasJobArtifact(jobId, name) {
+    this.requirePool();
+    const result = await pool.query(
+      'SELECT 1 FROM scraping_job_items WHERE job_id = $1 AND artifacts ? $2 LIMIT 1',
+      [jobId, name]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * 작업 항목 일괄 생성 (실행 전에 모든 기업 × 포털 쌍을 pending으로 만들어 둠)
+   */
+  async createJobItems(jobId, companies, adapters) {
+    this.requirePool();
+    const companyIds = [];
+    const companyNames = [];
+    const portalIds = [];
+    for (const company of companies) {
+      for (const adapter of adapters) {
+        companyIds.push(company.id ?? null);
+        companyNames.push(company.company_name);
+        portalIds.push(adapter.id);
+      }
+    }
+    if (companyNames.length === 0) return;
+    try {
+      await pool.query(
+        `INSERT INTO scraping_job_items (job_id, company_id, company_name, portal)
+         SELECT $1, u.company_id, u.company_name, u.portal
+         FROM UNNEST($2::int[], $3::text[], $4::text[]) AS u(company_id, company_name, portal)
+         ON CONFLICT (job_id, company_id, portal) DO NOTHING`,
+        [jobId, companyIds, companyNames, portalIds]
+      );
+    } catch (e) {
+      console.error('scraping_job_items 생성 실패:', e);
+    }
+  }
+
+  /**
+   * 작업 항목 실행 시작 표시
+   */
+  async startJobItem(jobId, companyId, portal) {
+    try {
+      await pool.query(
+        `UPDATE scraping_job_items
+         SET status = 'running', started_at = CURRENT_TIMESTAMP, completed_at = NULL
+         WHERE job_id = $1 AND company_id = $2 AND portal = $3`,
+        [jobId, companyId, portal]
+      );
+    } catch (e) {
+      console.error('scraping_job_items 시작 기록 실패:', e);
+    }
+  }
+
+  /**
+   * 작업 항목 결과 기록 (시도 횟수, 건수, 소요 시간, 마지막 오류)
+   * @param {string} status - completed, failed, skipped, stopped
+   * @param {{attempts?: number, stats?: object, skipReason?: string, lastError?: string}} item
+   */
+  async finishJobItem(jobId, companyId, portal, status, item = {}) {
+    const stats = item.stats || {};
+    try {
+      await pool.query(
+        `UPDATE scraping_job_items
+         SET status = $4,
+             attempts = $5,
+             extracted_count = $6,
+             saved_count = $7,
+             duplicate_count = $8,
+             filtered_count = $9,
+             skip_reason = $10,
+             last_error = $11,
+             error_category = $12,
+             artifacts = $13::jsonb,
+             completed_at = CURRENT_TIMESTAMP,
+             duration_ms = CASE WHEN started_at IS NULL THEN NULL
+                                ELSE (EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at)) * 1000)::int END
+         WHERE job_id = $1 AND company_id = $2 AND portal = $3`,
+        [
+          jobId,
+          companyId,
+          portal,
+          status,
+          item.attempts || 0,
+          stats.extracted || 0,
+          stats.saved || 0,
+          stats.duplicate || 0,
+          stats.filtered || 0,
+          item.skipReason || null,
+          item.lastError || null,
+          item.errorCategory || null,
+          // 재시도 중 실패한 시도의 파일 + 빈 결과로 끝난 마지막 시도의 파일
+          JSON.stringify([...(item.artifacts || []), ...(stats.artifacts || [])]),
+        ]
+      );
+    } catch (e) {
+      console.error('scraping_job_items 결과 기록 실패:', e);
+    }
+  }
+
   /**
    * 최근 작업 목록 조회
    */
   async getRecentJobs(limit = 10) {
     this.requirePool();
+    // retryable_items: "실패 항목 재시도", unfinished_items/resumed_by_job_id: "이어서 실행" 버튼 표시용
     const result = await pool.query(
-      'SELECT * FROM scraping_jobs ORDER BY created_at DESC LIMIT $1',
+      `SELECT j.*,
+              (SELECT COUNT(*) FROM scraping_job_items i WHERE i.job_id = j.id AND ${RETRYABLE_ITEM_CONDITION})::int AS retryable_items,
+              (SELECT COUNT(*) FROM scraping_job_items i WHERE i.job_id = j.id AND ${UNFINISHED_ITEM_CONDITION})::int AS unfinished_items,
+              (SELECT COUNT(*) FROM scraping_job_items i WHERE i.job_id = j.id AND i.error_category = 'blocked')::int AS blocked_items,
+              (SELECT MAX(r.id) FROM scraping_jobs r WHERE r.retry_of_job_id = j.id AND r.source = 'resume') AS resumed_by_job_id
+       FROM scraping_jobs j
+       ORDER BY j.created_at DESC
+       LIMIT $1`,
       [limit]
     );
     return result.rows;
@@ -209,52 +807,61 @@ class JobService {
   }
 
   /**
-   * 스크래핑 작업 실행
-   * 실제로는 기업 목록을 조회하여 각 기업의 포털 URL을 스크래핑해야 합니다.
-   * @param {string} dateFilter - 'all' (전체), 'week' (일주일 간격), 'twoWeeks' (2주 간격)
-   * @param {string|null} companyName - 특정 기업명 (null이면 전체 기업)
+   * 스크래핑 작업 실행 (대기열 워커가 claimNextJob으로 꺼낸 작업)
+   * 실행 파라미터는 작업 행(date_filter, company_name, portals, options)에서 읽는다.
+   * @param {object} job - status가 running으로 바뀐 scraping_jobs 행
    */
-  async runScrapingJob(dateFilter = 'week', companyName = null, portals = null, options = {}) {
+  async runJob(job) {
     if (this.isRunning) {
       throw new Error('이미 실행 중인 작업이 있습니다.');
     }
 
+    const dateFilter = job.date_filter || 'week';
+    const companyName = job.company_name || null;
+    const portals = Array.isArray(job.portals) && job.portals.length > 0 ? job.portals : null;
+    const options = job.options || {};
+
     this.isRunning = true;
     this.cancelRequested = false;
     this.breakpointMode = options.breakpointMode === true;
     const wantHeadedOption = options.headed === true;
     this.clearProgressLog();
-    let job = null;
-    let scraper = null;
+    let scraperPool = null;
+    let stopRateLimitLog = null;
+    // 이 인스턴스가 작업을 실행 중임을 알림 (다른 인스턴스의 recoverInterruptedJobs가 중단 처리하지 않도록)
+    const heartbeatTimer = setInterval(() => {
+      pool
+        ?.query('UPDATE scraping_jobs SET heartbeat_at = CURRENT_TIMESTAMP WHERE id = $1', [job.id])
+        .catch((e) => console.error('scraping_jobs 하트비트 갱신 실패:', e.message));
+    }, JOB_HEARTBEAT_INTERVAL_MS);
 
     try {
-      this.appendProgressLog(`작업 시작 - dateFilter: ${dateFilter}, companyName: ${companyName || '전체'}, portals: ${portals ? JSON.stringify(portals) : '전체'}${this.breakpointMode ? ' [브레이크포인트 모드]' : ''}${wantHeadedOption ? ' [브라우저 화면 표시]' : ''}`);
-      this.requirePool();
-      job = await this.createJob();
       this.currentJob = job;
+      this.runningJobId = job.id;
+      this.abortController = new AbortController();
+      this.emitJobEvent('status', job);
+      this.appendProgressLog(`작업 #${job.id} 시작 - dateFilter: ${dateFilter}, companyName: ${companyName || '전체'}, portals: ${portals ? JSON.stringify(portals) : '전체'}${this.breakpointMode ? ' [브레이크포인트 모드]' : ''}${wantHeadedOption ? ' [브라우저 화면 표시]' : ''}`);
+      this.requirePool();
 
-      scraper = new ScraperService();
-      this.scraper = scraper;
-      let successCount = 0;
-      let errorCount = 0;
-      console.log(`[작업 시작] 스크래핑 작업 시작 - jobId: ${job.id}, dateFilter: ${dateFilter}, companyName: ${companyName || '전체'}, portals: ${portals ? JSON.stringify(portals) : '전체'}`);
-      this.appendProgressLog(`작업 #${job.id} 생성됨`);
-
-      await this.updateJobStatus(job.id, 'running', {
-        startedAt: new Date(),
-      });
+      console.log(`[작업 시작] 스크래핑 작업 시작 - jobId: ${job.id}, source: ${job.source || 'manual'}, dateFilter: ${dateFilter}, companyName: ${companyName || '전체'}, portals: ${portals ? JSON.stringify(portals) : '전체'}`);
 
-      this.appendProgressLog('브라우저 초기화 중...');
-      console.log(`[작업 시작] 브라우저 초기화 시작...`);
-      // 브라우저 화면 표시: 요청 옵션(headed) > PLAYWRIGHT_HEADED=1 > 개발 모드(NODE_ENV !== 'production')
-      const wantHeaded = wantHeadedOption || process.env.PLAYWRIGHT_HEADED === '1' || process.env.NODE_ENV !== 'production';
-      await scraper.init({ headless: !wantHeaded });
-      console.log(`[작업 시작] 브라우저 초기화 완료 (headless: ${!wantHeaded})`);
-      this.appendProgressLog(wantHeaded ? '브라우저 초기화 완료 (작업 화면 표시 모드)' : '브라우저 초기화 완료');
+      // 재시도/이어하기 작업: 작업 생성 시 함께 만든 항목(기업 × 포털)만 원래 순서대로 실행
+      const targetItems = job.retry_of_job_id ? await this.getJobItems(job.id) : null;
+      const targetKeys = targetItems
+        ? new Set(targetItems.map((item) => `${item.company_id}|${item.portal}`))
+        : null;
 
       // companies 테이블에서 기업 목록 조회
       let companies;
-      if (companyName && companyName.trim()) {
+      if (targetItems) {
+        // 기업명이 바뀌었어도 같은 기업을 찾도록 company_id로 조회
+        const targetIds = [...new Set(targetItems.map((item) => item.company_id))];
+        companies = await pool.query('SELECT * FROM companies WHERE id = ANY($1)', [targetIds]);
+        companies.rows.sort((a, b) => targetIds.indexOf(a.id) - targetIds.indexOf(b.id));
+        const targetText = job.source === 'resume' ? '남은 항목 이어서 실행' : '실패 항목 재시도';
+        console.log(`작업 #${job.retry_of_job_id} ${targetText}: ${targetItems.length}개 항목`);
+        this.appendProgressLog(`작업 #${job.retry_of_job_id} ${targetText} (${targetItems.length}개 항목)`);
+      } else if (companyName && companyName.trim()) {
         // 특정 기업만 조회 (공백 유무 무시: "춘천베어스호텔" ↔ "춘천 베어스호텔")
         const nameTrim = companyName.trim();
         companies = await pool.query(
@@ -270,10 +877,13 @@ class JobService {
         if (companies.rows.length === 0) {
           throw new Error(`기업 "${nameTrim}"을 찾을 수 없습니다.`);
         }
+        if (companies.rows[0].archived_at) {
+          throw new Error(`기업 "${companies.rows[0].company_name}"은(는) 보관된 기업입니다. 복원한 뒤 실행해 주세요.`);
+        }
         console.log(`특정 기업 스크래핑: "${companies.rows[0].company_name}"`);
       } else {
-        // 전체 기업 조회
-        companies = await pool.query('SELECT * FROM companies');
+        // 전체 기업 조회 (보관된 기업 제외)
+        companies = await pool.query('SELECT * FROM companies WHERE archived_at IS NULL');
         console.log('전체 기업 스크래핑');
       }
 
@@ -305,39 +915,58 @@ class JobService {
       /**
        * 포털별 안정성 강화:
        * - 2회 재시도(총 3회)
-       * - Playwright 치명 오류로 보이면 브라우저 재시작 후 재시도
+       * - Playwright 치명 오류로 보이면 해당 워커(브라우저 컨텍스트) 재시작 후 재시도
        */
-      const runWithRetry = async ({ portal, companyLabel }, fn) => {
+      const runWithRetry = async ({ worker, company, portal, item = null }, fn) => {
         const maxAttempts = 3;
+        const companyLabel = `company="${company}"`;
         for (let attempt = 1; attempt <= maxAttempts; attempt++) {
           this.ensureNotCancelled();
+          if (item) item.attempts++;
+          if (blockedPortals.has(portal)) {
+            // 다른 워커가 이미 차단을 감지한 포털은 더 요청하지 않음
+            throw blockedPortals.get(portal);
+          }
           try {
             this.setProgress({
-              company: companyLabel,
+              company,
               portal,
               attempt,
               phase: 'running',
+              worker: worker.id,
             });
-            return await fn();
+            const result = await fn(worker.scraper);
+            reportPortalSuccess(portal);
+            return result;
           } catch (error) {
             const message = error?.message || String(error);
             const isLast = attempt === maxAttempts;
+            if (item) item.lastError = message;
+            if (item && Array.isArray(error?.artifacts) && error.artifacts.length > 0) {
+              item.artifacts = [...(item.artifacts || []), ...error.artifacts];
+              this.appendProgressLog(`${portal} 실패 파일 저장: ${error.artifacts.join(', ')}`, { company, portal });
+            }
+            // 차단 페이지는 재시도해도 같은 결과이므로 바로 포기 (포털 휴식은 스크래퍼가 이미 보고함)
+            if (error instanceof PortalBlockedError) throw error;
+            // 중지 요청으로 끊긴 경우는 포털 오류로 세지 않음
+            if (!this.cancelRequested) reportPortalFailure(portal, { reason: message, company });
             console.error(`[재시도] ${portal} 실패 (${companyLabel}) attempt ${attempt}/${maxAttempts}:`, message);
+            if (!isLast) {
+              this.appendProgressLog(`${portal} 시도 ${attempt}/${maxAttempts} 실패, 재시도: ${message}`, { level: 'warn', company, portal });
+            }
             this.setProgress({
-              company: companyLabel,
+              company,
               portal,
               attempt,
               phase: isLast ? 'failed' : 'retrying',
+              worker: worker.id,
             });
 
-            // Playwright가 죽은 것으로 보이면 브라우저 재시작
-            if (isLikelyPlaywrightFatal(message)) {
+            // Playwright가 죽은 것으로 보이면 워커 재시작 (중지 요청으로 브라우저를 닫은 경우는 제외)
+            if (isLikelyPlaywrightFatal(message) && !this.cancelRequested) {
               await this.appendJobError(job.id, `${portal} 치명 오류로 브라우저 재시작 (${companyLabel}): ${message}`);
               try {
-                await scraper.close();
-              } catch {}
-              try {
-                await scraper.init();
+                await scraperPool.restartWorker(worker);
               } catch (reinitError) {
                 const reMsg = reinitError?.message || String(reinitError);
                 await this.appendJobError(job.id, `${portal} 브라우저 재시작 실패 (${companyLabel}): ${reMsg}`);
@@ -352,172 +981,263 @@ class JobService {
         }
       };
 
-      // portals가 null이면 모든 포털, 배열이면 선택된 포털만
-      const enabledPortals = portals && Array.isArray(portals) && portals.length > 0 
-        ? portals 
-        : ['naver', 'kakao', 'yanolja', 'agoda', 'google']; // 기본값: 모든 포털
+      // portals가 null이면 모든 포털, 배열이면 선택된 포털만 (레지스트리 등록 순서로 실행)
+      // 꺼진 포털(portals.enabled = false)은 새 작업에서 빼고, 재시도/이어하기 항목은 아래에서 건너뜀으로 기록
+      const disabledPortals = await getDisabledPortalCodes();
+      const requestedAdapters = resolvePortals(portals);
+      const enabledAdapters = targetItems
+        ? requestedAdapters
+        : requestedAdapters.filter((adapter) => !disabledPortals.has(adapter.id));
+      const enabledPortals = enabledAdapters.map((adapter) => adapter.id);
+      const skippedPortals = requestedAdapters.filter((adapter) => !enabledAdapters.includes(adapter)).map((adapter) => adapter.id);
+      if (skippedPortals.length > 0) {
+        this.appendProgressLog(`사용 안 함으로 설정된 포털 제외: ${skippedPortals.join(', ')}`, { level: 'warn' });
+      }
       
       const totalCompanies = companies.rows.length;
       console.log(`[작업 시작] 스크래핑할 포털: ${enabledPortals.join(', ')} (입력: ${portals ? JSON.stringify(portals) : 'null'})`);
       this.appendProgressLog(`기업 ${totalCompanies}개, 포털: ${enabledPortals.join(', ')}`);
-
-      let companyIndex = 0;
-      for (const company of companies.rows) {
-        companyIndex++;
-        try {
-          this.ensureNotCancelled();
-          const companyLabel = `company="${company.company_name}"`;
-          this.appendProgressLog(`--- 기업 ${companyIndex}/${totalCompanies}: ${company.company_name} ---`);
-          console.log(`[작업 진행] 기업 ${companyIndex}/${totalCompanies}: ${company.company_name}`);
-
-          // 포털별로 try/catch 분리: 한 포털 실패가 전체를 멈추지 않도록
-          if (enabledPortals.includes('naver')) {
-          try {
-            this.appendProgressLog(`[다음] ${company.company_name} - 네이버맵 스크래핑`);
-            await this.waitForUserContinue();
-            console.log(`기업 "${company.company_name}" 네이버맵 스크래핑 시작 (검색: ${company.company_name})`);
-            this.setProgress({ company: company.company_name, portal: 'naver', attempt: 1, phase: 'starting' });
-            const naverCount = await runWithRetry(
-              { portal: 'naver', companyLabel },
-              () =>
-                scraper.scrapeByPortal(
-                  company.naver_url || null,
-                  company.company_name,
-                  dateFilter,
-                  job.id,
-                  'naver'
-                )
-            );
-            successCount += naverCount;
-            this.appendProgressLog(`네이버맵 완료: ${naverCount}개 저장`);
-            console.log(`기업 "${company.company_name}" 네이버맵 스크래핑 완료: ${naverCount}개 리뷰 저장`);
-            this.setProgress({ company: company.company_name, portal: 'naver', attempt: 1, phase: 'done' });
-          } catch (error) {
-            errorCount++;
-            this.appendProgressLog(`네이버맵 실패: ${error?.message || String(error)}`);
-            console.error(`네이버맵 스크래핑 실패 (${companyLabel}):`, error);
-            await this.appendJobError(
-              job.id,
-              `naver 실패 (${companyLabel}): ${error?.message || String(error)}`
-            );
-          }
+      for (const portalId of enabledPortals) {
+        this.appendProgressLog(`[속도 제한] ${portalId}: ${describeRateLimit(portalId)}`, { portal: portalId });
+      }
+      stopRateLimitLog = onRateLimitEvent(({ type, portal, waitMs, reason, company }) => {
+        const seconds = (waitMs / 1000).toFixed(1);
+        if (type === 'cooldown') {
+          this.appendProgressLog(`[속도 제한] ${portal} ${seconds}초 휴식 시작 (${reason})`, { level: 'warn', company, portal });
+        } else if (reason !== 'gap' || waitMs >= RATE_LIMIT_LOG_MIN_WAIT_MS) {
+          const why = { cooldown: '휴식 중', perMinute: '분당 한도', gap: '최소 간격' }[reason] || reason;
+          this.appendProgressLog(`[속도 제한] ${portal} ${seconds}초 대기 (${why})`, { company, portal });
         }
+      });
+      if (!targetItems) {
+        await this.createJobItems(job.id, companies.rows, enabledAdapters);
+      }
 
-        if (enabledPortals.includes('kakao')) {
-          try {
-            this.appendProgressLog(`[다음] ${company.company_name} - 카카오맵 스크래핑`);
-            await this.waitForUserContinue();
-            console.log(`기업 "${company.company_name}" 카카오맵 스크래핑 시작 (검색: ${company.company_name})`);
-            this.setProgress({ company: company.company_name, portal: 'kakao', attempt: 1, phase: 'starting' });
-            const kakaoCount = await runWithRetry(
-              { portal: 'kakao', companyLabel },
-              () => scraper.scrapeByPortal(null, company.company_name, dateFilter, job.id, 'kakao')
-            );
-            successCount += kakaoCount;
-            this.appendProgressLog(`카카오맵 완료: ${kakaoCount}개 저장`);
-            console.log(`기업 "${company.company_name}" 카카오맵 스크래핑 완료: ${kakaoCount}개 리뷰 저장`);
-            this.setProgress({ company: company.company_name, portal: 'kakao', attempt: 1, phase: 'done' });
-          } catch (error) {
-            errorCount++;
-            this.appendProgressLog(`카카오맵 실패: ${error?.message || String(error)}`);
-            console.error(`카카오맵 스크래핑 실패 (${companyLabel}):`, error);
-            await this.appendJobError(
-              job.id,
-              `kakao 실패 (${companyLabel}): ${error?.message || String(error)}`
-            );
-          }
+      // 실행할 기업 × 포털 목록 (기업 순서 → 레지스트리 포털 순서)
+      const tasks = [];
+      companies.rows.forEach((company, index) => {
+        const companyAdapters = targetKeys
+          ? enabledAdapters.filter((adapter) => targetKeys.has(`${company.id}|${adapter.id}`))
+          : enabledAdapters;
+        for (const adapter of companyAdapters) {
+          tasks.push({ company, adapter, companyIndex: index + 1 });
         }
+      });
 
-        if (enabledPortals.includes('yanolja')) {
-          try {
-            this.appendProgressLog(`[다음] ${company.company_name} - 야놀자 스크래핑`);
-            await this.waitForUserContinue();
-            console.log(`기업 "${company.company_name}" 야놀자 스크래핑 시작 (검색: ${company.company_name})`);
-            this.setProgress({ company: company.company_name, portal: 'yanolja', attempt: 1, phase: 'starting' });
-            const yanoljaCount = await runWithRetry(
-              { portal: 'yanolja', companyLabel },
-              () => scraper.scrapeByPortal(null, company.company_name, dateFilter, job.id, 'yanolja')
-            );
-            successCount += yanoljaCount;
-            this.appendProgressLog(`야놀자 완료: ${yanoljaCount}개 저장`);
-            console.log(`기업 "${company.company_name}" 야놀자 스크래핑 완료: ${yanoljaCount}개 리뷰 저장`);
-            this.setProgress({ company: company.company_name, portal: 'yanolja', attempt: 1, phase: 'done' });
-          } catch (error) {
-            errorCount++;
-            this.appendProgressLog(`야놀자 실패: ${error?.message || String(error)}`);
-            console.error(`야놀자 스크래핑 실패 (${companyLabel}):`, error);
-            await this.appendJobError(
-              job.id,
-              `yanolja 실패 (${companyLabel}): ${error?.message || String(error)}`
-            );
-          }
+      // 동시 실행 설정: 워커 수는 항목 수를 넘지 않음
+      const { concurrency, portalLimit } = getConcurrencySettings();
+      const workerCount = Math.max(1, Math.min(concurrency, tasks.length));
+
+      this.appendProgressLog(`브라우저 초기화 중... (동시 실행 ${workerCount}개)`);
+      console.log(`[작업 시작] 브라우저 초기화 시작... (워커 ${workerCount}개)`);
+      // 브라우저 화면 표시: 요청 옵션(headed) > PLAYWRIGHT_HEADED=1 > 개발 모드(NODE_ENV !== 'production')
+      // PLAYWRIGHT_HEADED=0이면 개발 모드에서도 창 없이 실행 (목업 포털 e2e 테스트)
+      const wantHeaded =
+        wantHeadedOption ||
+        process.env.PLAYWRIGHT_HEADED === '1' ||
+        (process.env.PLAYWRIGHT_HEADED !== '0' && process.env.NODE_ENV !== 'production');
+      scraperPool = new ScraperPool({ size: workerCount, headless: !wantHeaded, signal: this.abortController.signal });
+      this.scraperPool = scraperPool;
+      await scraperPool.init();
+      console.log(`[작업 시작] 브라우저 초기화 완료 (headless: ${!wantHeaded})`);
+      this.appendProgressLog(wantHeaded ? '브라우저 초기화 완료 (작업 화면 표시 모드)' : '브라우저 초기화 완료');
+
+      /**
+       * 기업 × 포털 항목 하나 처리 (장소 매칭 → 스크래핑 → 항목 결과 기록)
+       * 항목 실패는 여기서 기록하고 다음 항목으로 넘어간다. 중지 요청(JobCancelledError)만 밖으로 던진다.
+       */
+      const startedCompanies = new Set();
+      /** 이번 실행에서 차단이 감지된 포털 → PortalBlockedError (남은 항목은 요청 없이 건너뜀) */
+      const blockedPortals = new Map();
+      const processTask = async (worker, { company, adapter, companyIndex }) => {
+        const companyLabel = `company="${company.company_name}"`;
+        const meta = { company: company.company_name, portal: adapter.id };
+        if (!startedCompanies.has(company.company_name)) {
+          startedCompanies.add(company.company_name);
+          this.appendProgressLog(`--- 기업 ${companyIndex}/${totalCompanies}: ${company.company_name} ---`, { company: company.company_name });
+          console.log(`[작업 진행] 기업 ${companyIndex}/${totalCompanies}: ${company.company_name}`);
         }
 
-        if (enabledPortals.includes('agoda') && company.agoda_url) {
-          try {
-            this.appendProgressLog(`[다음] ${company.company_name} - 아고다 스크래핑`);
-            await this.waitForUserContinue();
-            console.log(`기업 "${company.company_name}" 아고다 스크래핑 시작: ${company.agoda_url}`);
-            this.setProgress({ company: company.company_name, portal: 'agoda', attempt: 1, phase: 'starting' });
-            const agodaCount = await runWithRetry(
-              { portal: 'agoda', companyLabel },
-              () => scraper.scrapeByPortal(company.agoda_url, company.company_name, dateFilter, job.id, 'agoda')
-            );
-            successCount += agodaCount;
-            this.appendProgressLog(`아고다 완료: ${agodaCount}개 저장`);
-            console.log(`기업 "${company.company_name}" 아고다 스크래핑 완료: ${agodaCount}개 리뷰 저장`);
-            this.setProgress({ company: company.company_name, portal: 'agoda', attempt: 1, phase: 'done' });
-          } catch (error) {
-            errorCount++;
-            this.appendProgressLog(`아고다 실패: ${error?.message || String(error)}`);
-            console.error(`아고다 스크래핑 실패 (${companyLabel}):`, error);
-            await this.appendJobError(
-              job.id,
-              `agoda 실패 (${companyLabel}): ${error?.message || String(error)}`
+        let portalUrl = company[adapter.urlColumn] || null;
+        const itemKey = [job.id, company.id, adapter.id];
+        if (blockedPortals.has(adapter.id)) {
+          await this.finishJobItem(...itemKey, 'skipped', {
+            skipReason: '포털 차단 감지로 이번 실행에서 제외',
+            errorCategory: 'blocked',
+          });
+          return;
+        }
+        if (disabledPortals.has(adapter.id)) {
+          await this.finishJobItem(...itemKey, 'skipped', { skipReason: '사용 안 함으로 설정된 포털' });
+          return;
+        }
+        // 재시도/이어하기 항목의 기업이 그사이 보관된 경우
+        if (company.archived_at) {
+          await this.finishJobItem(...itemKey, 'skipped', { skipReason: '보관된 기업' });
+          return;
+        }
+        if (adapter.requiresUrl && !portalUrl) {
+          console.log(`기업 "${company.company_name}" ${adapter.name} 스크래핑 건너뜀 (${adapter.urlColumn} 없음)`);
+          await this.finishJobItem(...itemKey, 'skipped', { skipReason: `${adapter.urlColumn} 없음` });
+          return;
+        }
+        // 장소 매칭(resolve)이 없는 포털은 URL이 없으면 검색 첫 결과를 그대로 긁지 않도록 확인 요청 후 건너뜀
+        if (!portalUrl && !adapter.resolve) {
+          this.appendProgressLog(`${adapter.name} ${adapter.urlColumn} 없음, 매칭 확인 필요 → 건너뜀`, { level: 'warn', ...meta });
+          await this.finishJobItem(...itemKey, 'skipped', { skipReason: `매칭 확인 필요 (${adapter.urlColumn} 없음)` });
+          return;
+        }
+        // 매칭 확인 대기 중인 포털은 사용자가 확정할 때까지 건너뜀 (첫 번째 검색 결과를 그대로 긁지 않도록)
+        if (!portalUrl && adapter.resolve && company.place_matches?.[adapter.id]?.status === 'needs_review') {
+          this.appendProgressLog(`${adapter.name} 매칭 확인 필요 → 건너뜀`, { level: 'warn', ...meta });
+          console.log(`기업 "${company.company_name}" ${adapter.name} 스크래핑 건너뜀 (매칭 확인 필요)`);
+          await this.finishJobItem(...itemKey, 'skipped', { skipReason: '매칭 확인 필요' });
+          return;
+        }
+        const item = { attempts: 0, stats: {}, lastError: null, artifacts: [] };
+        await this.startJobItem(...itemKey);
+        try {
+          // URL이 없고 resolve를 지원하는 포털은 장소 매칭 먼저 (신뢰도가 낮으면 확인 요청 후 건너뜀)
+          if (!portalUrl && adapter.resolve) {
+            this.appendProgressLog(`[매칭] ${company.company_name} - ${adapter.name} 장소 후보 검색`, meta);
+            const match = await runWithRetry(
+              { worker, company: company.company_name, portal: adapter.id, item },
+              (scraper) => resolveCompanyPlace(scraper, adapter, company)
             );
+            if (match.status !== 'matched') {
+              this.appendProgressLog(
+                match.status === 'not_found'
+                  ? `${adapter.name} 매칭 후보 없음 → 건너뜀`
+                  : `${adapter.name} 매칭 확인 필요 (신뢰도 ${match.confidence}) → 건너뜀`,
+                { level: 'warn', ...meta }
+              );
+              await this.finishJobItem(...itemKey, 'skipped', {
+                ...item,
+                skipReason: match.status === 'not_found' ? '매칭 후보 없음' : '매칭 확인 필요',
+              });
+              return;
+            }
+            portalUrl = match.url;
+            this.appendProgressLog(`${adapter.name} 매칭 완료 (신뢰도 ${match.confidence}): ${portalUrl}`, meta);
           }
-        } else if (enabledPortals.includes('agoda') && !company.agoda_url) {
-          console.log(`기업 "${company.company_name}" 아고다 스크래핑 건너뜀 (agoda_url 없음)`);
-        }
 
-        if (enabledPortals.includes('google')) {
-          try {
-            this.appendProgressLog(`[다음] ${company.company_name} - 구글 스크래핑`);
-            await this.waitForUserContinue();
-            console.log(`기업 "${company.company_name}" 구글 스크래핑 시작 (검색: ${company.company_name})`);
-            this.setProgress({ company: company.company_name, portal: 'google', attempt: 1, phase: 'starting' });
-            const googleCount = await runWithRetry(
-              { portal: 'google', companyLabel },
-              () => scraper.scrapeByPortal(null, company.company_name, dateFilter, job.id, 'google')
-            );
-            successCount += googleCount;
-            this.appendProgressLog(`구글 완료: ${googleCount}개 저장`);
-            console.log(`기업 "${company.company_name}" 구글 스크래핑 완료: ${googleCount}개 리뷰 저장`);
-            this.setProgress({ company: company.company_name, portal: 'google', attempt: 1, phase: 'done' });
-          } catch (error) {
-            errorCount++;
-            this.appendProgressLog(`구글 실패: ${error?.message || String(error)}`);
-            console.error(`구글 스크래핑 실패 (${companyLabel}):`, error);
-            await this.appendJobError(
-              job.id,
-              `google 실패 (${companyLabel}): ${error?.message || String(error)}`
-            );
+          this.appendProgressLog(`[다음] ${company.company_name} - ${adapter.name} 스크래핑`, meta);
+          await this.waitForUserContinue(meta);
+          console.log(`기업 "${company.company_name}" ${adapter.name} 스크래핑 시작 (${portalUrl ? `URL: ${portalUrl}` : `검색: ${company.company_name}`})`);
+          this.setProgress({ company: company.company_name, portal: adapter.id, attempt: 1, phase: 'starting', worker: worker.id });
+          const savedCount = await runWithRetry(
+            { worker, company: company.company_name, portal: adapter.id, item },
+            (scraper) =>
+              scraper.scrapeByPortal(
+                portalUrl,
+                company.company_name,
+                dateFilter,
+                job.id,
+                adapter.id,
+                item.stats,
+                company.id
+              )
+          );
+          // 중지로 브라우저가 닫혀 스크래퍼가 빈 결과로 끝난 경우는 완료가 아님 (catch에서 stopped로 기록)
+          this.ensureNotCancelled();
+          await this.finishJobItem(...itemKey, 'completed', item);
+          const { extracted = 0, duplicate = 0, filtered = 0 } = item.stats;
+          this.appendProgressLog(
+            `${adapter.name} 완료: ${savedCount}개 저장 (추출 ${extracted}, 중복 ${duplicate}, 제외 ${filtered})`,
+            // 리뷰를 하나도 못 찾은 경우는 선택자/페이지 구조 문제일 수 있어 warn으로 남김
+            { level: extracted === 0 ? 'warn' : 'info', ...meta }
+          );
+          if (item.stats.artifacts?.length > 0) {
+            this.appendProgressLog(`${adapter.name} 리뷰 0개 → 페이지 상태 저장: ${item.stats.artifacts.join(', ')}`, { level: 'warn', ...meta });
           }
-        }
-        } catch (companyError) {
-          if (companyError?.name === 'JobCancelledError') {
-            throw companyError;
+          console.log(`기업 "${company.company_name}" ${adapter.name} 스크래핑 완료: ${savedCount}개 리뷰 저장`);
+          this.setProgress({ company: company.company_name, portal: adapter.id, attempt: 1, phase: 'done', worker: worker.id });
+        } catch (error) {
+          if (error?.name === 'JobCancelledError' || this.cancelRequested) {
+            await this.finishJobItem(...itemKey, 'stopped', item);
+            throw error;
           }
-          const msg = companyError?.message || String(companyError);
-          errorCount++;
-          this.appendProgressLog(`기업 "${company.company_name}" 처리 중 오류: ${msg}`);
-          console.error(`기업 "${company.company_name}" 스크래핑 중 오류 (다음 기업으로 계속):`, companyError);
+          if (error instanceof PortalBlockedError) {
+            const firstBlock = !blockedPortals.has(adapter.id);
+            if (firstBlock) blockedPortals.set(adapter.id, error);
+            await this.finishJobItem(...itemKey, 'failed', {
+              ...item,
+              lastError: error.message,
+              errorCategory: 'blocked',
+            });
+            if (firstBlock) {
+              this.appendProgressLog(
+                `${adapter.name} 차단 감지 (${error.reason}) → 이번 실행에서 ${adapter.name} 요청 중단`,
+                { level: 'error', ...meta }
+              );
+              await this.appendJobError(job.id, `[차단] ${adapter.id} (${companyLabel}): ${error.message}`);
+            }
+            return;
+          }
+          await this.finishJobItem(...itemKey, 'failed', { ...item, lastError: error?.message || String(error) });
+          this.appendProgressLog(`${adapter.name} 실패: ${error?.message || String(error)}`, { level: 'error', ...meta });
+          console.error(`${adapter.name} 스크래핑 실패 (${companyLabel}):`, error);
           await this.appendJobError(
             job.id,
-            `기업 "${company.company_name}" 오류: ${msg}`
+            `${adapter.id} 실패 (${companyLabel}): ${error?.message || String(error)}`
           );
         }
+      };
+
+      /**
+       * 항목 분배: 포털별 동시 실행 한도 안에서, 다른 워커가 처리 중이지 않은 기업을 우선 (여러 기업에 고르게 분산)
+       * 꺼낼 수 있는 항목이 없으면 다른 워커가 항목을 끝낼 때까지 대기
+       */
+      const runningByPortal = new Map();
+      const runningByCompany = new Map();
+      let slotWaiters = [];
+      const notifySlot = () => {
+        const waiters = slotWaiters;
+        slotWaiters = [];
+        waiters.forEach((resolve) => resolve());
+      };
+      const takeNextTask = () => {
+        const portalFree = (task) => (runningByPortal.get(task.adapter.id) || 0) < portalLimit(task.adapter.id);
+        let index = tasks.findIndex((task) => portalFree(task) && !runningByCompany.get(task.company.company_name));
+        if (index === -1) index = tasks.findIndex(portalFree);
+        return index === -1 ? null : tasks.splice(index, 1)[0];
+      };
+      const countTask = (task, delta) => {
+        runningByPortal.set(task.adapter.id, (runningByPortal.get(task.adapter.id) || 0) + delta);
+        runningByCompany.set(task.company.company_name, (runningByCompany.get(task.company.company_name) || 0) + delta);
+      };
+      const runWorker = async (worker) => {
+        try {
+          while (tasks.length > 0) {
+            this.ensureNotCancelled();
+            const task = takeNextTask();
+            if (!task) {
+              await new Promise((resolve) => slotWaiters.push(resolve));
+              continue;
+            }
+            countTask(task, 1);
+            try {
+              await processTask(worker, task);
+            } finally {
+              countTask(task, -1);
+              notifySlot();
+            }
+          }
+        } finally {
+          this.activeProgress.delete(worker.id);
+          this.emitJobEvent('progress', { worker: worker.id, phase: 'idle' });
+        }
+      };
+
+      const results = await Promise.allSettled(scraperPool.workers.map((worker) => runWorker(worker)));
+      // 중지 요청으로 끝난 워커가 있으면 그 오류를 우선 (중지 상태로 기록되도록)
+      const rejected =
+        results.find((result) => result.status === 'rejected' && result.reason?.name === 'JobCancelledError') ||
+        results.find((result) => result.status === 'rejected');
+      if (rejected) {
+        throw rejected.reason;
       }
+      this.ensureNotCancelled();
 
       this.appendProgressLog(`모든 기업 처리 완료 (총 ${totalCompanies}개)`);
       console.log(`[작업 완료] 기업 ${totalCompanies}개 모두 처리 완료`);
@@ -528,43 +1248,43 @@ class JobService {
       });
       this.setProgress({ company: null, portal: null, attempt: null, phase: 'completed' });
 
-      await scraper.close();
+      await scraperPool.close();
     } catch (error) {
       console.error('스크래핑 작업 실패:', error);
       const msg = error?.message || String(error);
       this.setProgress({ company: null, portal: null, attempt: null, phase: 'failed' });
+      this.appendProgressLog(`작업 종료: ${msg}`, { level: error?.name === 'JobCancelledError' ? 'warn' : 'error' });
 
-      if (job) {
-        await this.appendJobError(job.id, `job 실패: ${msg}`);
-        if (this.cancelRequested || error?.name === 'JobCancelledError') {
-          await this.updateJobStatus(job.id, 'stopped', {
-            completedAt: new Date(),
-            errorMessage: msg,
-          });
-        } else {
-          await this.updateJobStatus(job.id, 'failed', {
-            completedAt: new Date(),
-            errorMessage: msg,
-          });
-        }
+      await this.appendJobError(job.id, `job 실패: ${msg}`);
+      try {
+        const stoppedStatus = this.stopStatus || 'stopped';
+        await this.updateJobStatus(job.id, this.cancelRequested || error?.name === 'JobCancelledError' ? stoppedStatus : 'failed', {
+          completedAt: new Date(),
+          errorMessage: msg,
+        });
+      } catch (e) {
+        // 상태 저장 실패가 대기열 워커를 멈추지 않도록 로그만 남김
+        console.error('scraping_jobs 상태 업데이트 실패:', e);
       }
       try {
-        if (scraper) await scraper.close();
+        if (scraperPool) await scraperPool.close();
       } catch (e) {
         // close 실패 시 무시
       }
     } finally {
       this.isRunning = false;
       this.currentJob = null;
+      this.runningJobId = null;
+      this.abortController = null;
       this.cancelRequested = false;
+      this.stopStatus = null;
       this.currentProgress = null;
-      this.scraper = null;
+      this.activeProgress.clear();
+      this.scraperPool = null;
       this.breakpointMode = false;
-      this.waitingForContinue = false;
-      if (this.continueResolve) {
-        try { this.continueResolve(); } catch (_) {}
-        this.continueResolve = null;
-      }
+      this.releaseBreakpoints();
+      if (stopRateLimitLog) stopRateLimitLog();
+      clearInterval(heartbeatTimer);
     }
 
     return job;
@@ -572,36 +1292,48 @@ class JobService {
 
   /**
    * 작업 중지
+   * @param {{shutdown?: boolean}} options - shutdown: 서버 종료로 인한 중지 (interrupted로 남겨 재시작 후 이어하기 가능)
    */
-  async stopJob() {
+  async stopJob({ shutdown = false } = {}) {
     if (!this.isRunning) {
       throw new Error('실행 중인 작업이 없습니다.');
     }
     if (!this.currentJob || this.currentJob.id == null) {
       this.isRunning = false;
       this.currentJob = null;
-      this.scraper = null;
+      this.scraperPool = null;
       throw new Error('실행 중인 작업이 없습니다. (작업 정보가 초기화되지 않은 상태입니다.)');
     }
 
     const jobId = this.currentJob.id;
     this.cancelRequested = true;
+    this.stopStatus = shutdown ? 'interrupted' : 'stopped';
+    // 속도 제한 대기(cooldown은 최대 수 분)를 기다리지 않고 바로 끝내도록
+    this.abortController?.abort(createJobCancelledError());
     this.setProgress({ company: null, portal: null, attempt: null, phase: 'stopping' });
-    await this.appendJobError(jobId, '사용자가 중지 요청을 보냈습니다. 브라우저를 종료하여 즉시 중단합니다.');
+    await this.appendJobError(
+      jobId,
+      shutdown
+        ? '서버 종료 신호를 받아 작업을 중단합니다. 재시작 후 이어서 실행할 수 있습니다.'
+        : '사용자가 중지 요청을 보냈습니다. 브라우저를 종료하여 즉시 중단합니다.'
+    );
+
+    // 브레이크포인트에서 대기 중인 워커를 풀어 중지 요청을 확인하게 한다
+    this.releaseBreakpoints();
 
     // 가능하면 즉시 Playwright를 종료해서 현재 대기/네비게이션을 끊는다
     try {
-      if (this.scraper) {
-        await this.scraper.close();
+      if (this.scraperPool) {
+        await this.scraperPool.close();
       }
     } catch (e) {
       // close 실패해도 계속 진행
     }
 
-    // UI/상태 조회가 즉시 반영되도록 stopped로 업데이트
-    await this.updateJobStatus(jobId, 'stopped', {
+    // UI/상태 조회가 즉시 반영되도록 stopped(서버 종료 시 interrupted)로 업데이트
+    await this.updateJobStatus(jobId, this.stopStatus, {
       completedAt: new Date(),
-      errorMessage: '사용자 중지 요청',
+      errorMessage: shutdown ? '서버 종료로 중단됨' : '사용자 중지 요청',
     });
 
     // 즉시 상태 플래그도 내려서 /jobs/status에서 running이 안 뜨게
@@ -636,14 +1368,9 @@ class JobService {
         this.currentJob = null;
         this.cancelRequested = false;
         this.currentProgress = null;
-        this.waitingForContinue = false;
-        this.scraper = null;
-        if (this.continueResolve) {
-          try {
-            this.continueResolve();
-          } catch (_) {}
-          this.continueResolve = null;
-        }
+        this.activeProgress.clear();
+        this.scraperPool = null;
+        this.releaseBreakpoints();
       }
     } catch (e) {
       console.error('[jobService] reconcileStaleRunningFlag 실패:', e.message);
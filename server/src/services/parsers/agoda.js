@@ -0,0 +1,94 @@
+import { parseNumber, placeholderNickname } from './common.js';
+import { parseReviewDate } from './reviewDate.js';
+
+/**
+ * 아고다 리뷰 파서
+ * - extract: 브라우저에서 실행 (page.evaluate)
+ * - normalize: Node에서 실행, 원문 그대로 반환 (번역은 스크래퍼에서)
+ */
+
+/** 리뷰 카드 선택자 (앞에서부터 시도, 리뷰가 나타날 때까지 스크래퍼가 스크롤) */
+export const AGODA_REVIEW_CARD_SELECTORS = [
+  'div.Review-comment[id^="review-"]', // 실제 리뷰 아이템만 선택 (review-footer-legend 제외)
+  '[id^="review-"]:not([id*="footer"]):not([id*="legend"])', // fallback: footer/legend 제외
+  'li.Review-comment',
+  'div.Review-comment',
+  'li[class*="Review-comment"]',
+  'div[class*="Review-comment"]',
+  '[class*="Review"]',
+  '[data-testid*="review"]',
+];
+
+/**
+ * @param {string} selector - 리뷰 카드 선택자
+ */
+export function extractAgodaReviewCards(selector) {
+  const textOf = (root, selectors) => {
+    for (const sel of selectors) {
+      const el = root.querySelector(sel);
+      const t = el && (el.textContent || '').trim();
+      if (t) return t;
+    }
+    return '';
+  };
+  return Array.from(document.querySelectorAll(selector)).map((card) => ({
+    ratingText: textOf(card, [
+      'div.Review-comment-left > div > div.Review-comment-leftHeader > div.Review-comment-leftScore',
+      'div.Review-comment-leftScore',
+    ]),
+    nickname: textOf(card, [
+      '.Review-comment-reviewer[data-info-type="reviewer-name"] strong',
+      'div.Review-comment-left > div > div:nth-child(2) strong',
+    ]),
+    visitType: textOf(card, [
+      '.Review-comment-reviewer[data-info-type="group-name"] span',
+      'div.Review-comment-left > div > div:nth-child(3) span',
+    ]),
+    emotion: textOf(card, ['div.Review-comment-left > div > div.Review-comment-leftHeader > div.Review-comment-leftScoreText']),
+    title: textOf(card, [
+      'h4[data-testid="review-title"]',
+      'div.Review-comment-body > h4',
+    ]),
+    content: textOf(card, [
+      'p.Review-comment-bodyText',
+      'p[data-testid="review-comment"]',
+      '.Review-comment-bodyText',
+    ]),
+    dateText: textOf(card, [
+      'div.Review-statusBar > div.Review-statusBar-left > span',
+      '.Review-statusBar-left span',
+      '.Review-statusBar span',
+    ]),
+  }));
+}
+
+/**
+ * @param {ReturnType<typeof extractAgodaReviewCards>[number]} raw
+ * @param {{index: number, kst: {todayStr: string, todayDate: Date}}} options
+ * @returns {object|null} 내용/별점/닉네임이 모두 없으면 null
+ */
+export function normalizeAgodaReview(raw, { index, kst }) {
+  // 아고다는 10점 만점 (DB 스키마: NUMERIC(3,2)는 10 이하만 허용)
+  const rating = Math.min(parseNumber(raw.ratingText), 10);
+  const nickname = (raw.nickname || '').trim();
+  const content = (raw.content || '').trim();
+  if (!(content.length > 0 || rating > 0 || nickname.length > 0)) return null;
+
+  // 작성일: "작성일: 2026년 1월 19일", 영문 UI는 "January 19, 2026"
+  const reviewDate = parseReviewDate(raw.dateText, kst);
+  return {
+    content,
+    rating,
+    nickname: nickname || placeholderNickname(index),
+    date: reviewDate?.date ?? null,
+    datePrecision: reviewDate?.precision ?? null,
+    dateText: (raw.dateText || '').trim() || null,
+    title: (raw.title || '').trim() || null,
+    visitKeyword: null,
+    reviewKeyword: null,
+    visitType: (raw.visitType || '').trim() || null,
+    emotion: (raw.emotion || '').trim() || null,
+    revisitFlag: false,
+    additionalInfo: null,
+  };
+}
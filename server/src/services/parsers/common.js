@@ -0,0 +1,66 @@
+/**
+ * 포털 파서 공통 도구 (Node 쪽 정규화에서 사용)
+ * 브라우저에서 실행하는 extract 함수는 page.evaluate로 직렬화되므로 이 모듈을 참조할 수 없다.
+ */
+
+const TZ_KST = 'Asia/Seoul';
+
+/**
+ * 한국 시간(KST) 기준 오늘/필터 날짜 반환
+ * 서버(UTC) 기준이 아닌 사용자 컴퓨터(한국) 시간과 동일하게 맞춤
+ * @param {Date} now - 기준 시각 (픽스처 테스트에서 고정)
+ */
+export function getKstDateInfo(now = new Date()) {
+  const fmt = new Intl.DateTimeFormat('en-CA', { timeZone: TZ_KST, year: 'numeric', month: '2-digit', day: '2-digit' });
+  const todayStr = fmt.format(now);
+  const [y, m, d] = todayStr.split('-').map(Number);
+  const todayDate = new Date(Date.UTC(y, m - 1, d, 0, 0, 0, 0));
+  const weekAgo = new Date(todayDate);
+  weekAgo.setUTCDate(weekAgo.getUTCDate() - 7);
+  const twoWeeksAgo = new Date(todayDate);
+  twoWeeksAgo.setUTCDate(twoWeeksAgo.getUTCDate() - 14);
+  const filterDateWeek = fmt.format(weekAgo);
+  const filterDateTwoWeeks = fmt.format(twoWeeksAgo);
+  return {
+    todayStr,
+    todayDate,
+    filterDateWeek,
+    filterDateTwoWeeks,
+    filterDateWeekObj: weekAgo,
+    filterDateTwoWeeksObj: twoWeeksAgo,
+  };
+}
+
+export const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * KST 오늘에서 일/월/년을 뺀 날짜 (YYYY-MM-DD)
+ * 월/년을 빼서 없는 날짜가 되면 그 달 말일로 맞춘다 (3월 31일의 1개월 전 → 2월 28일)
+ * @param {{todayDate: Date}} kst
+ * @param {{days?: number, months?: number, years?: number}} ago
+ */
+export function kstDaysAgo(kst, { days = 0, months = 0, years = 0 } = {}) {
+  const d = new Date(kst.todayDate);
+  if (years || months) {
+    const day = d.getUTCDate();
+    d.setUTCDate(1);
+    d.setUTCMonth(d.getUTCMonth() - months - years * 12);
+    const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+    d.setUTCDate(Math.min(day, lastDay));
+  }
+  if (days) d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * 첫 번째 숫자(소수 포함)
+ * @param {string} text
+ * @returns {number} 없으면 0
+ */
+export function parseNumber(text) {
+  const m = String(text || '').match(/(\d+(?:\.\d+)?)/);
+  return m ? parseFloat(m[1]) : 0;
+}
+
+/** 닉네임이 없을 때 쓰는 자리표시 이름 ("사용자3") */
+export const placeholderNickname = (index) => `사용자${index + 1}`;
@@ -0,0 +1,78 @@
+import { parseNumber, placeholderNickname } from './common.js';
+import { parseReviewDate } from './reviewDate.js';
+
+/**
+ * 여기어때 리뷰 파서
+ * - extract: 브라우저에서 실행 (page.evaluate), 리뷰 카드 단위로 읽는다.
+ * - normalize: Node에서 실행
+ */
+
+export function extractGoodchoiceReviewCards() {
+  const cardSelectors = [
+    '[class*="review-list"] > li',
+    '[class*="ReviewList"] > li',
+    '[class*="review_list"] > li',
+    'ul[class*="review"] > li',
+    '[class*="review-item"]',
+    '[class*="ReviewItem"]',
+  ];
+  let cards = [];
+  for (const sel of cardSelectors) {
+    cards = Array.from(document.querySelectorAll(sel));
+    if (cards.length > 0) break;
+  }
+  const textOf = (root, selectors) => {
+    for (const sel of selectors) {
+      const el = root.querySelector(sel);
+      const t = el && (el.textContent || '').trim();
+      if (t) return t;
+    }
+    return '';
+  };
+  return cards.map((card) => {
+    // 별점: 숫자 텍스트 우선, 없으면 채워진 별 아이콘 개수
+    let ratingText = textOf(card, ['[class*="score"]', '[class*="rating"]', '[class*="Rating"]']);
+    if (!/\d/.test(ratingText)) {
+      const stars = card.querySelectorAll('[class*="star"][class*="fill"], [class*="star"][class*="on"], [class*="Star"][class*="active"]');
+      ratingText = stars.length > 0 ? String(stars.length) : '';
+    }
+    return {
+      nickname: textOf(card, ['[class*="nickname"]', '[class*="Nickname"]', '[class*="user"] strong', '[class*="writer"]', '[class*="name"]']),
+      ratingText,
+      dateText: textOf(card, ['time', '[class*="date"]', '[class*="Date"]']),
+      roomText: textOf(card, ['[class*="room"]', '[class*="Room"]', '[class*="product"]']),
+      content: textOf(card, ['[class*="content"] p', '[class*="content"]', '[class*="text"]', 'p']),
+      allText: (card.textContent || '').replace(/\s+/g, ' ').trim(),
+    };
+  });
+}
+
+/**
+ * @param {ReturnType<typeof extractGoodchoiceReviewCards>[number]} raw
+ * @param {{index: number, kst: {todayStr: string, todayDate: Date}}} options
+ * @returns {object|null} 내용/별점/닉네임이 모두 없으면 null
+ */
+export function normalizeGoodchoiceReview(raw, { index, kst }) {
+  const nickname = (raw.nickname || '').trim() || placeholderNickname(index);
+  const rating = parseNumber(raw.ratingText);
+  const content = (raw.content || '').replace(/더보기/g, '').trim();
+
+  if (!(content.length > 10 || rating > 0 || !nickname.startsWith('사용자'))) return null;
+
+  // 작성일자: "2024.05.12", "3일 전", "오늘" (날짜 칸이 없으면 카드 전체 텍스트에서)
+  const reviewDate = parseReviewDate(raw.dateText || raw.allText, kst);
+  return {
+    content,
+    rating,
+    nickname,
+    date: reviewDate?.date ?? null,
+    datePrecision: reviewDate?.precision ?? null,
+    dateText: (raw.dateText || '').trim() || null,
+    visitKeyword: null,
+    reviewKeyword: null,
+    // 객실명은 방문구성 자리에 저장 (야놀자 visit_type과 동일 용도)
+    visitType: (raw.roomText || '').trim() || null,
+    emotion: null,
+    revisitFlag: /재방문|\d+번째\s*방문/.test(raw.allText || ''),
+  };
+}
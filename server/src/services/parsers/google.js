@@ -0,0 +1,89 @@
+import { parseNumber, placeholderNickname } from './common.js';
+import { parseReviewDate } from './reviewDate.js';
+
+/**
+ * 구글 여행(호텔) 리뷰 파서
+ * - extract: 브라우저에서 실행 (page.evaluate), 본문 "Read more"는 스크래퍼가 미리 펼친다.
+ * - normalize: Node에서 실행, 원문 그대로 반환 (번역은 스크래퍼에서)
+ */
+
+/** 리뷰 카드 선택자 */
+export const GOOGLE_REVIEW_ITEM_SELECTOR = '#reviews div.Svr5cf.bKhjM';
+
+/**
+ * @param {string} selector - 리뷰 카드 선택자
+ */
+export function extractGoogleReviewCards(selector) {
+  const textOf = (root, selectors) => {
+    for (const sel of selectors) {
+      const el = root.querySelector(sel);
+      const t = el && (el.textContent || '').trim();
+      if (t) return t;
+    }
+    return '';
+  };
+  return Array.from(document.querySelectorAll(selector)).map((card) => {
+    const contentRoot = card.querySelector('div.K7oBsc');
+    let content = '';
+    if (contentRoot) {
+      for (const sel of ['div[jsname="NwoMSd"] span', 'div.STQFb.eoY5cb span', 'div.STQFb span']) {
+        const t = Array.from(contentRoot.querySelectorAll(sel)).map((el) => el.textContent || '').join('\n').trim();
+        if (t) {
+          content = t;
+          break;
+        }
+      }
+      if (!content) content = (contentRoot.textContent || '').trim();
+    }
+    return {
+      ratingText: textOf(card, ['div.GDWaad']),
+      nickname: textOf(card, [
+        'div.aAs4ib > div.jUkSGf.WwUTAf > span > a',
+        'a.DHIhE.QB2Jof',
+        'a.DHIhE',
+        'div.aAs4ib a[href*="/maps/contrib"]',
+        'div.aAs4ib a',
+        'div.jUkSGf.WwUTAf a',
+      ]),
+      visitType: textOf(card, ['div.ThUm5b span']),
+      dateText: textOf(card, [
+        'div.aAs4ib > div.jUkSGf.WwUTAf > span > span',
+        'span.iUtr1.CQYfx',
+        'div.aAs4ib div.jUkSGf span span',
+      ]),
+      content,
+      visitKeyword: textOf(card, ['div.kVathc.eoY5cb div.X4nL7d > div:nth-child(1)']),
+      reviewKeyword: textOf(card, ['div.kVathc.eoY5cb div.X4nL7d > div:nth-child(2) > span:nth-child(2)']),
+    };
+  });
+}
+
+/**
+ * @param {ReturnType<typeof extractGoogleReviewCards>[number]} raw
+ * @param {{index: number, kst: {todayStr: string, todayDate: Date}}} options
+ * @returns {object|null} 내용/별점/닉네임이 모두 없으면 null
+ */
+export function normalizeGoogleReview(raw, { index, kst }) {
+  // "5/5" 형식 우선, 없으면 첫 숫자
+  const outOfFive = (raw.ratingText || '').match(/(\d+)\s*\/\s*5/);
+  const rating = outOfFive ? parseInt(outOfFive[1], 10) : parseNumber(raw.ratingText);
+  const nickname = (raw.nickname || '').trim();
+  const content = (raw.content || '').replace(/Read more/gi, '').replace(/더보기/g, '').trim();
+  if (!(content.length > 0 || rating > 0 || nickname.length > 0)) return null;
+
+  // 작성 시점: "2주 전에 Google에서 작성", "a month ago on Google" (주/월 단위로만 나올 수 있음)
+  const reviewDate = parseReviewDate(raw.dateText, kst);
+  return {
+    content,
+    rating,
+    nickname: nickname || placeholderNickname(index),
+    date: reviewDate?.date ?? null,
+    datePrecision: reviewDate?.precision ?? null,
+    dateText: (raw.dateText || '').trim() || null,
+    visitKeyword: (raw.visitKeyword || '').trim() || null,
+    reviewKeyword: (raw.reviewKeyword || '').trim() || null,
+    visitType: (raw.visitType || '').trim() || null,
+    emotion: null,
+    revisitFlag: false,
+  };
+}
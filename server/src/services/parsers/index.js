@@ -0,0 +1,50 @@
+import { AGODA_REVIEW_CARD_SELECTORS, extractAgodaReviewCards, normalizeAgodaReview } from './agoda.js';
+import { extractGoodchoiceReviewCards, normalizeGoodchoiceReview } from './goodchoice.js';
+import { GOOGLE_REVIEW_ITEM_SELECTOR, extractGoogleReviewCards, normalizeGoogleReview } from './google.js';
+import { KAKAO_REVIEW_ITEM_SELECTOR, extractKakaoReviewCards, normalizeKakaoReview } from './kakao.js';
+import { NAVER_REVIEW_ITEM_SELECTORS, extractNaverReviewCards, normalizeNaverReview } from './naver.js';
+import { extractTripadvisorReviewCards, normalizeTripadvisorReview } from './tripadvisor.js';
+import { YANOLJA_REVIEW_ITEM_SELECTOR, extractYanoljaReviewCards, normalizeYanoljaReview } from './yanolja.js';
+import { getKstDateInfo } from './common.js';
+
+/**
+ * 포털별 리뷰 파서 (DOM 추출 + 정규화)
+ * 스크래퍼는 페이지 이동/스크롤/펼치기만 하고, 화면에 보이는 리뷰 카드는 이 파서로 읽는다.
+ * 저장해 둔 HTML(tests/fixtures)에도 그대로 적용할 수 있어 선택자 변경을 오프라인으로 확인할 수 있다.
+ *
+ * @typedef {object} PortalParser
+ * @property {Function} extract - 브라우저에서 실행하는 카드 추출 함수 (page.evaluate 인자)
+ * @property {Array<string|undefined>} selectors - extract에 넘길 카드 선택자 (앞에서부터 시도)
+ * @property {(raw: object, options: {index: number, kst: object}) => object|null} normalize
+ */
+
+/** @type {Record<string, PortalParser>} */
+export const PORTAL_PARSERS = {
+  naver: { extract: extractNaverReviewCards, selectors: NAVER_REVIEW_ITEM_SELECTORS, normalize: normalizeNaverReview },
+  kakao: { extract: extractKakaoReviewCards, selectors: [KAKAO_REVIEW_ITEM_SELECTOR], normalize: normalizeKakaoReview },
+  yanolja: { extract: extractYanoljaReviewCards, selectors: [YANOLJA_REVIEW_ITEM_SELECTOR], normalize: normalizeYanoljaReview },
+  goodchoice: { extract: extractGoodchoiceReviewCards, selectors: [undefined], normalize: normalizeGoodchoiceReview },
+  agoda: { extract: extractAgodaReviewCards, selectors: AGODA_REVIEW_CARD_SELECTORS, normalize: normalizeAgodaReview },
+  tripadvisor: { extract: extractTripadvisorReviewCards, selectors: [undefined], normalize: normalizeTripadvisorReview },
+  google: { extract: extractGoogleReviewCards, selectors: [GOOGLE_REVIEW_ITEM_SELECTOR], normalize: normalizeGoogleReview },
+};
+
+/**
+ * 현재 페이지(또는 iframe)의 리뷰 카드를 읽어 리뷰 레코드로 변환
+ * 펼치기/스크롤 없이 지금 DOM에 있는 내용만 읽는다 (픽스처 테스트, 픽스처 갱신 명령에서 사용).
+ * @param {import('playwright').Page|import('playwright').Frame} page
+ * @param {string} portalId
+ * @param {{now?: Date}} options - 상대 날짜("3일 전") 기준 시각
+ * @returns {Promise<object[]>}
+ */
+export async function parseReviewsFromPage(page, portalId, { now = new Date() } = {}) {
+  const parser = PORTAL_PARSERS[portalId];
+  if (!parser) throw new Error(`파서가 없는 포털입니다: ${portalId}`);
+  const kst = getKstDateInfo(now);
+  let cards = [];
+  for (const selector of parser.selectors) {
+    cards = await page.evaluate(parser.extract, selector);
+    if (cards.length > 0) break;
+  }
+  return cards.map((raw, index) => parser.normalize(raw, { index, kst })).filter(Boolean);
+}
@@ -0,0 +1,63 @@
+import { parseNumber, placeholderNickname } from './common.js';
+import { parseReviewDate } from './reviewDate.js';
+
+/**
+ * 카카오맵 리뷰 파서
+ * - extract: 브라우저에서 실행 (page.evaluate), 본문 "더보기"는 스크래퍼가 미리 펼친다.
+ * - normalize: Node에서 실행
+ */
+
+/** 리뷰 목록 항목 선택자 */
+export const KAKAO_REVIEW_ITEM_SELECTOR = '#mainContent > div.main_detail > div.detail_cont > div.section_comm.section_review > div.group_review > ul > li';
+
+/**
+ * @param {string} selector - 리뷰 항목 선택자
+ */
+export function extractKakaoReviewCards(selector) {
+  const textOf = (root, sel) => {
+    const el = root.querySelector(sel);
+    return el ? (el.textContent || '').trim() : '';
+  };
+  return Array.from(document.querySelectorAll(selector)).map((item) => ({
+    nickname: textOf(item, 'div > div.area_reviewer > div > div.wrap_user > a > span'),
+    ratingText: textOf(item, 'div > div.area_reviewer > div > div.wrap_user > div > ul > li:nth-child(2)'),
+    dateText: textOf(item, 'div > div.area_review > div > div.review_detail > div.info_grade > span.txt_date'),
+    content: textOf(item, 'div > div.area_review > div > div.review_detail > div.wrap_review > a > p'),
+    likeText: textOf(item, 'div > div.area_review > div > div.review_unit > button > span.txt_btn'),
+    allText: (item.textContent || '').trim(),
+  }));
+}
+
+/**
+ * @param {ReturnType<typeof extractKakaoReviewCards>[number]} raw
+ * @param {{index: number, kst: {todayStr: string, todayDate: Date}}} options
+ * @returns {object|null} 내용/별점/닉네임이 모두 없으면 null
+ */
+export function normalizeKakaoReview(raw, { index, kst }) {
+  const placeholder = placeholderNickname(index);
+  // "리뷰어 이름, 홍길동" → "홍길동" (스크린리더용 라벨 제거)
+  const name = (raw.nickname || '').replace(/^리뷰어\s*이름\s*,?\s*/i, '').trim();
+  const nickname = name && name !== '리뷰어 이름' ? name : placeholder;
+  const rating = parseNumber(raw.ratingText);
+  const content = (raw.content || '').replace(/더보기/g, '').trim();
+
+  // 좋아요 갯수는 review_keyword로 저장
+  const like = (raw.likeText || '').match(/(\d+)/);
+
+  if (!(content.length > 10 || rating > 0 || nickname !== placeholder)) return null;
+
+  const reviewDate = parseReviewDate(raw.dateText, kst);
+  return {
+    content,
+    rating,
+    nickname,
+    date: reviewDate?.date ?? null,
+    datePrecision: reviewDate?.precision ?? null,
+    dateText: (raw.dateText || '').trim() || null,
+    visitKeyword: null,
+    reviewKeyword: like ? `좋아요 ${like[1]}` : null,
+    visitType: null,
+    emotion: null,
+    revisitFlag: /인증\s*수단|영수증|(\d+)번째\s*방문/.test(raw.allText || ''),
+  };
+}
@@ -0,0 +1,219 @@
+import { parseNumber, placeholderNickname } from './common.js';
+import { parseReviewDate } from './reviewDate.js';
+
+/**
+ * 네이버맵 리뷰 파서
+ * - extract*: 브라우저에서 실행 (frame.evaluate), 리뷰 카드의 텍스트/속성만 읽는다.
+ * - normalize*: Node에서 실행, 별점/날짜/키워드를 리뷰 레코드로 변환한다.
+ * 본문/키워드 "더보기" 펼치기와 목록 "더보기"는 스크래퍼(이동/조작) 쪽에서 처리한다.
+ */
+
+/** 리뷰 목록 항목 선택자 (place_apply_pui 클래스가 바뀌면 두 번째 선택자 사용) */
+export const NAVER_REVIEW_ITEM_SELECTORS = ['ul#_review_list > li.place_apply_pui', 'ul#_review_list li'];
+
+/**
+ * 리뷰 목록(ul#_review_list) 카드 읽기
+ * @param {string} selector - 리뷰 카드 선택자 (ul#_review_list > li.place_apply_pui 등)
+ */
+export function extractNaverReviewCards(selector) {
+  const textOf = (root, selectors) => {
+    for (const sel of selectors) {
+      const el = root.querySelector(sel);
+      const t = el && (el.textContent || '').trim();
+      if (t) return t;
+    }
+    return '';
+  };
+  return Array.from(document.querySelectorAll(selector)).map((item) => {
+    const star = item.querySelector('[class*="star"], [aria-label*="별점"], [aria-label*="점"]');
+    const bodyLink = item.querySelector('.pui__vn15t2 a');
+    const keywordBox = item.querySelector('div.pui__HLNvmI');
+    return {
+      allText: (item.textContent || '').trim(),
+      nickname: textOf(item, ['.pui__NMi-Dp', 'div.pui__q2fg8o.pui__A7NplK > a.pui__hvyFHZ > div.pui__JiVbY3 > span > span']),
+      ratingLabel: (star && star.getAttribute('aria-label')) || '',
+      filledStars: item.querySelectorAll('[class*="star"][class*="fill"], [class*="star"][class*="active"]').length,
+      dates: ['.pui__gfuUIT time', 'time', '[datetime]', '.pui__gfuUIT']
+        .map((sel) => item.querySelector(sel))
+        .filter(Boolean)
+        .map((el) => ({ datetime: el.getAttribute('datetime') || '', text: (el.textContent || '').trim() })),
+      visitType: textOf(item, ['div.pui__-0Ter1 > a > span:nth-child(1)']),
+      emotion: textOf(item, ['div.pui__-0Ter1 > a > span:nth-child(2)']),
+      content: bodyLink ? (bodyLink.innerText || bodyLink.textContent || '').trim() : '',
+      contentBlock: textOf(item, ['div.pui__vn15t2']),
+      genericContent: textOf(item, ['[class*="comment"]', '[class*="text"]', '[class*="content"]', '.pui__vzH5F']),
+      keywords: keywordBox
+        ? Array.from(keywordBox.children).filter((el) => el.tagName === 'SPAN').map((el) => (el.textContent || '').trim())
+        : [],
+      visitCountText: Array.from(item.querySelectorAll('.pui__gfuUIT'))
+        .map((el) => (el.textContent || '').trim())
+        .find((t) => t.includes('방문')) || '',
+    };
+  });
+}
+
+/**
+ * 리뷰 목록 선택자가 모두 맞지 않을 때 쓰는 넓은 선택자 기반 읽기
+ */
+export function extractNaverFallbackCards() {
+  const selectors = [
+    'ul#_review_list > li.place_apply_pui',
+    'ul#_review_list li',
+    '.list_evaluation li',
+    '.review_item',
+    '[class*="review"]',
+    '[class*="Review"]',
+    '.comment_list li',
+  ];
+  let elements = [];
+  for (const selector of selectors) {
+    elements = Array.from(document.querySelectorAll(selector));
+    if (elements.length > 0) break;
+  }
+  const textOf = (root, sel) => {
+    const el = root.querySelector(sel);
+    return el ? (el.textContent || '').trim() : '';
+  };
+  return elements.map((el) => {
+    const ratingEl = el.querySelector('[class*="star"], [class*="rating"], [aria-label*="별점"], [aria-label*="점"]');
+    return {
+      allText: (el.textContent || '').replace(/\s+/g, ' ').trim(),
+      ratingText: ratingEl ? ratingEl.getAttribute('aria-label') || ratingEl.textContent || '' : '',
+      content: textOf(el, '[class*="comment"], [class*="text"], [class*="content"], .review_text, .content, [data-testid*="review-text"]'),
+      nickname: textOf(el, '[class*="name"], [class*="user"], [class*="author"], .nickname, [data-testid*="user-name"]'),
+      dateText: textOf(el, '[class*="date"], [class*="time"], .date, .time, [data-testid*="date"]'),
+      visitType: textOf(el, '[class*="visit"], [class*="type"]'),
+      keywords: Array.from(el.querySelectorAll('[class*="keyword"], [class*="tag"]'))
+        .map((k) => (k.textContent || '').trim())
+        .filter(Boolean),
+    };
+  });
+}
+
+/**
+ * 네이버맵 리뷰 content에서 순수 본문만 추출
+ * - "별점N점" 이전: 작성자, 팔로우 등 (제거)
+ * - "반응 남기기" 이후: 방문일, 인증수단 등 (제거)
+ */
+export function extractNaverMapReviewContent(raw) {
+  if (!raw || typeof raw !== 'string') return raw || '';
+  let s = raw.trim();
+  // 1. "별점N점" (별점5점, 별점 4.5점 등) 이전 내용 제거
+  const starMatch = s.match(/별점\s*\d+(\.\d+)?\s*점/);
+  if (starMatch) {
+    const idx = s.indexOf(starMatch[0]) + starMatch[0].length;
+    s = s.slice(idx).trim();
+  }
+  // 2. "반응 남기기" (또는 "반응 나기기") 이후 내용 제거
+  const reactIdx = s.search(/반응\s*[남나]기기/);
+  if (reactIdx >= 0) s = s.slice(0, reactIdx).trim();
+  return s.replace(/\s+/g, ' ').trim();
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 본문 링크가 없을 때 본문 블록 전체 텍스트에서 작성자/방문 정보 등 부가 텍스트 제거
+ */
+function cleanContentBlock(text, { nickname, visitType, emotion }) {
+  let s = text;
+  if (nickname) s = s.replace(new RegExp(`${escapeRegExp(nickname)}v?\\s*`, 'g'), '');
+  for (const word of [visitType, emotion]) {
+    if (word) s = s.replace(new RegExp(escapeRegExp(word), 'g'), '');
+  }
+  return s
+    .replace(/\d+팔로우/g, '')
+    .replace(/이전|다음|여행|동영상|더보기|접기/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 리뷰 카드 → 리뷰 레코드
+ * 날짜를 찾지 못하면 date는 null (즉시 저장 제외 판단은 스크래퍼에서)
+ * @param {ReturnType<typeof extractNaverReviewCards>[number]} raw
+ * @param {{index: number, kst: {todayStr: string, todayDate: Date}}} options
+ * @returns {object|null} 리뷰가 아닌 카드면 null
+ */
+export function normalizeNaverReview(raw, { index, kst }) {
+  const allText = (raw.allText || '').trim();
+  if (allText.length < 10) return null;
+
+  const placeholder = placeholderNickname(index);
+  const nickname = (raw.nickname || '').trim() || placeholder;
+
+  let rating = parseNumber(raw.ratingLabel);
+  if (!rating) {
+    const m = allText.match(/(\d+\.?\d*)\s*점|별점[:\s]*(\d+\.?\d*)/);
+    if (m) rating = parseFloat(m[1] || m[2] || '0');
+  }
+  if (!rating && raw.filledStars > 0 && raw.filledStars <= 5) rating = raw.filledStars;
+
+  // 방문일 텍스트: "오늘", "3일 전", "25.11.21.금", "1.12.월" 등 (parsers/reviewDate.js)
+  let reviewDate = null;
+  let dateText = null;
+  for (const candidate of raw.dates || []) {
+    reviewDate = parseReviewDate(candidate.datetime, kst) || parseReviewDate(candidate.text, kst);
+    if (reviewDate) {
+      dateText = candidate.text || candidate.datetime;
+      break;
+    }
+  }
+  // 카드 전체 텍스트에서는 본문과 헷갈리지 않는 숫자 날짜 형식만 찾음
+  if (!reviewDate) reviewDate = parseReviewDate(allText, kst, { numericOnly: true });
+
+  const visitType = (raw.visitType || '').trim() || null;
+  const emotion = (raw.emotion || '').trim() || null;
+
+  let content = (raw.content || '').replace(/더보기|접기/g, '').trim();
+  if (!content && raw.contentBlock) content = cleanContentBlock(raw.contentBlock, { nickname: nickname === placeholder ? null : nickname, visitType, emotion });
+  if (!content) content = (raw.genericContent || '').trim() || allText.replace(/\s+/g, ' ').slice(0, 2000);
+  content = extractNaverMapReviewContent(content);
+
+  const keywords = (raw.keywords || []).filter((k) => k && !['펼쳐보기', '접기', '더보기'].includes(k));
+  const revisitFlag = raw.visitCountText
+    ? /(\d+)번째\s*방문/.test(raw.visitCountText)
+    : /인증\s*수단|영수증|(\d+)번째\s*방문/.test(allText);
+
+  if (!(content.length > 10 || rating > 0 || keywords.length > 0 || nickname !== placeholder)) return null;
+
+  return {
+    content: content || allText.substring(0, 200),
+    rating,
+    nickname,
+    date: reviewDate?.date ?? null,
+    datePrecision: reviewDate?.precision ?? null,
+    dateText,
+    visitKeyword: emotion, // 네이버 감정 태그는 visit_keyword에 저장
+    reviewKeyword: keywords.length > 0 ? keywords.join(', ') : null,
+    visitType,
+    emotion: null,
+    revisitFlag,
+  };
+}
+
+/**
+ * 넓은 선택자로 읽은 카드 → 리뷰 레코드
+ * @param {ReturnType<typeof extractNaverFallbackCards>[number]} raw
+ * @param {{index: number, kst: {todayStr: string, todayDate: Date}}} options
+ */
+export function normalizeNaverFallbackReview(raw, { index, kst }) {
+  const rating = parseNumber(raw.ratingText);
+  const content = extractNaverMapReviewContent(raw.content || raw.allText.slice(0, 2000));
+  if (!(content || rating > 0 || raw.allText.length > 15)) return null;
+  const visitType = raw.visitType || null;
+  const reviewDate = parseReviewDate(raw.dateText, kst);
+  return {
+    content,
+    rating,
+    nickname: raw.nickname || placeholderNickname(index),
+    date: reviewDate?.date ?? null,
+    datePrecision: reviewDate?.precision ?? null,
+    dateText: (raw.dateText || '').trim() || null,
+    visitKeyword: visitType,
+    reviewKeyword: raw.keywords.length > 0 ? raw.keywords.join(', ') : null,
+    visitType,
+    emotion: null,
+    revisitFlag: /(\d+)번째\s*방문/.test(raw.allText),
+  };
+}
@@ -0,0 +1,225 @@
+import { kstDaysAgo, pad2 } from './common.js';
+
+/**
+ * 리뷰 날짜 정규화 (모든 포털 공통, 순수 함수)
+ * 작성일/방문일 텍스트를 KST 기준일로 YYYY-MM-DD로 바꾸고, 원문이 얼마나 정확한지(precision)를 함께 돌려준다.
+ *
+ * | 원문 예                                          | date                 | precision |
+ * | ------------------------------------------------ | -------------------- | --------- |
+ * | "2024.05.12.", "25.11.21.금", "2024년 5월 12일"   | 그 날짜              | day       |
+ * | "1.12.월", "5월 12일" (연도 없음)                 | 올해 (미래면 작년)   | day       |
+ * | "오늘", "어제", "3일 전", "5시간 전", "a day ago" | 오늘 - N일           | day       |
+ * | "2주 전", "일주일 전", "a week ago"               | 오늘 - N×7일         | week      |
+ * | "3개월 전", "한 달 전", "2 months ago"            | 오늘 - N개월         | month     |
+ * | "2024년 5월", "May 2024" (일 없음)                | 그 달 1일            | month     |
+ * | "1년 전", "a year ago"                            | 오늘 - N년           | year      |
+ *
+ * @typedef {'day'|'week'|'month'|'year'} DatePrecision
+ * @typedef {{date: string, precision: DatePrecision}} ReviewDate
+ * @typedef {{todayStr: string, todayDate: Date}} KstDateInfo - parsers/common.js getKstDateInfo()
+ */
+
+/** 정밀도 (정확한 것부터) */
+export const DATE_PRECISIONS = ['day', 'week', 'month', 'year'];
+
+/**
+ * 대략적인 날짜가 실제로는 며칠까지 이를 수 있는지
+ * "1주 전"은 7~13일 전, "1개월 전"은 1개월~2개월 미만 전으로 보고 review_date(가장 늦은 날)에서 뺀다.
+ * (SQL 쪽 같은 계산: routes/admin.js REVIEW_DATE_EARLIEST_SQL)
+ */
+const PRECISION_SPAN = {
+  day: {},
+  week: { days: 6 },
+  month: { months: 1, days: -1 },
+  year: { years: 1, days: -1 },
+};
+
+const WEEKDAY = '(?:월|화|수|목|금|토|일)(?:요일)?';
+
+const MONTH_INDEX = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+};
+
+/** 한글 수 표현 ("한 달 전", "두 주 전") */
+const KOREAN_COUNT = { 한: 1, 두: 2, 세: 3, 네: 4, 다섯: 5, 여섯: 6 };
+
+/** "(N|한|a|an) 단위 전/ago" → 정밀도 */
+const RELATIVE_UNITS = [
+  { regex: /(\d+|한|두|세|네|다섯|여섯)\s*(?:분|시간)\s*전/, unit: 'hour' },
+  { regex: /(\d+|an?)\s*(?:minutes?|mins?|hours?|hrs?)\s+ago/i, unit: 'hour' },
+  { regex: /(\d+)\s*일\s*전/, unit: 'day' },
+  { regex: /(\d+|an?)\s*days?\s+ago/i, unit: 'day' },
+  { regex: /(\d+|한|두|세|네)\s*주일?\s*전/, unit: 'week' },
+  { regex: /(일)주일\s*전/, unit: 'week' },
+  { regex: /(\d+|an?)\s*(?:weeks?|wks?)\s+ago/i, unit: 'week' },
+  { regex: /(\d+|한|두|세|네|다섯|여섯)\s*(?:개월|달)\s*전/, unit: 'month' },
+  { regex: /(\d+|an?)\s*(?:months?|mos?)\s+ago/i, unit: 'month' },
+  { regex: /(\d+|한|두|세)\s*년\s*전/, unit: 'year' },
+  { regex: /(\d+|an?)\s*(?:years?|yrs?)\s+ago/i, unit: 'year' },
+];
+
+/** 날짜 앞뒤 안내 문구 ("작성일:", "Google에서 작성", "Written") */
+function stripLabels(text) {
+  return String(text || '')
+    .replace(/(방문일|작성일|리뷰일|이용일)\s*:?\s*/g, ' ')
+    .replace(/\s*Google에서\s*작성\s*/g, ' ')
+    .replace(/\s*on\s+Google\.?\s*/gi, ' ')
+    .replace(/\b(Written|Edited|Reviewed|Posted)\b\s*(on\s+)?/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 연/월/일 → YYYY-MM-DD (두 자리 연도는 50 미만이면 20xx)
+ * @returns {string|null} 달력에 없는 날짜면 null (2월 30일 등)
+ */
+function toYmd(year, month, day) {
+  let y = parseInt(year, 10);
+  if (String(year).length === 2) y += y < 50 ? 2000 : 1900;
+  const m = parseInt(month, 10);
+  const d = parseInt(day, 10);
+  if (!(y >= 1900 && m >= 1 && m <= 12 && d >= 1)) return null;
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return `${y}-${pad2(m)}-${pad2(d)}`;
+}
+
+/** 연도 없는 월/일은 올해로 보고, 오늘보다 뒤면 작년으로 보정 */
+function withKstYear(kst, month, day) {
+  const year = kst.todayDate.getUTCFullYear();
+  const date = toYmd(year, month, day);
+  if (!date) return null;
+  return date > kst.todayStr ? toYmd(year - 1, month, day) : date;
+}
+
+const monthOf = (name) => MONTH_INDEX[String(name).slice(0, 3).toLowerCase()] || null;
+
+const countOf = (token) => {
+  if (/^\d+$/.test(token)) return parseInt(token, 10);
+  if (token === '일') return 1; // 일주일
+  return KOREAN_COUNT[token] || 1; // "a"/"an"
+};
+
+const day = (date) => (date ? { date, precision: 'day' } : null);
+
+/** 연/월/일이 모두 있는 날짜 */
+function parseFullDate(t) {
+  let m = t.match(/(\d{4})\s*년\s*(\d{1,2})\s*월\s*(\d{1,2})\s*일/);
+  if (m) return day(toYmd(m[1], m[2], m[3]));
+  // 2024.05.12 / 24.5.12.금 / 2024-05-12(T09:00...) / 2024/05/12 / 2024. 5. 12.
+  m = t.match(/(?<!\d)(\d{4}|\d{2})\s*([.\-/])\s*(\d{1,2})\s*\2\s*(\d{1,2})(?!\d)/);
+  if (m) return day(toYmd(m[1], m[3], m[4]));
+  // May 20, 2024 / 20 May 2024
+  m = t.match(/\b([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})\b/);
+  if (m && monthOf(m[1])) return day(toYmd(m[3], monthOf(m[1]), m[2]));
+  m = t.match(/\b(\d{1,2})\s+([A-Za-z]{3,9})\.?,?\s+(\d{4})\b/);
+  if (m && monthOf(m[2])) return day(toYmd(m[3], monthOf(m[2]), m[1]));
+  return null;
+}
+
+/** "오늘", "어제", "3일 전", "2 weeks ago" 등 오늘 기준 상대 표현 */
+function parseRelative(t, kst) {
+  if (/오늘|방금|today|just now/i.test(t)) return day(kst.todayStr);
+  if (/어제|yesterday/i.test(t)) return day(kstDaysAgo(kst, { days: 1 }));
+  if (/그저께|그제/.test(t)) return day(kstDaysAgo(kst, { days: 2 }));
+  for (const { regex, unit } of RELATIVE_UNITS) {
+    const m = t.match(regex);
+    if (!m) continue;
+    const n = countOf(m[1]);
+    if (unit === 'hour') return day(kst.todayStr);
+    if (unit === 'day') return day(kstDaysAgo(kst, { days: n }));
+    if (unit === 'week') return { date: kstDaysAgo(kst, { days: n * 7 }), precision: 'week' };
+    if (unit === 'month') return { date: kstDaysAgo(kst, { months: n }), precision: 'month' };
+    return { date: kstDaysAgo(kst, { years: n }), precision: 'year' };
+  }
+  return null;
+}
+
+/** 연도 없는 월/일: "1.12.월", "1.12.", "5월 12일" */
+function parseYearless(t, kst) {
+  let m = t.match(new RegExp(`(?<![\\d.])(\\d{1,2})\\.(\\d{1,2})\\.?\\s*${WEEKDAY}`));
+  if (m) return day(withKstYear(kst, m[1], m[2]));
+  // 요일 없는 "1.12."는 별점("4.5")과 헷갈리지 않도록 날짜 텍스트 전체일 때만
+  m = t.match(/^(\d{1,2})\.(\d{1,2})\.$/);
+  if (m) return day(withKstYear(kst, m[1], m[2]));
+  m = t.match(/(?<!\d)(\d{1,2})\s*월\s*(\d{1,2})\s*일/);
+  if (m) return day(withKstYear(kst, m[1], m[2]));
+  return null;
+}
+
+/** 일 없는 연/월: "2024년 5월", "2024.05", "May 2024" → 그 달 1일 */
+function parseMonthOnly(t) {
+  let m = t.match(/(\d{4})\s*년\s*(\d{1,2})\s*월/) || t.match(/(?<!\d)(\d{4})[.\-/](\d{1,2})(?![.\-/]?\s*\d)/);
+  const month = (y, mo) => {
+    const date = toYmd(y, mo, 1);
+    return date ? { date, precision: 'month' } : null;
+  };
+  if (m) return month(m[1], m[2]);
+  m = t.match(/\b([A-Za-z]{3,9})\.?,?\s+(\d{4})\b/);
+  if (m && monthOf(m[1])) return month(m[2], monthOf(m[1]));
+  return null;
+}
+
+/**
+ * 리뷰 날짜 텍스트 → 날짜 + 정밀도
+ * 날짜가 모두 적힌 형식을 먼저 보고, 상대 표현 → 연도 없는 월/일 → 연/월 순으로 찾는다.
+ * @param {string} text - 포털 화면의 날짜 텍스트
+ * @param {KstDateInfo} kst - 상대 표현 기준일 (getKstDateInfo())
+ * @param {{numericOnly?: boolean}} options - numericOnly: 본문이 섞인 긴 텍스트에서 찾을 때
+ *   "2024.05.12."처럼 숫자로 적힌 날짜("1.12.월" 포함)만 인정 ("2주 전에 다녀왔어요" 같은 본문 오인 방지)
+ * @returns {ReviewDate|null}
+ */
+export function parseReviewDate(text, kst, { numericOnly = false } = {}) {
+  const t = stripLabels(text);
+  if (!t) return null;
+  if (numericOnly) {
+    const m = t.match(/(?<!\d)(\d{4}|\d{2})\.(\d{1,2})\.(\d{1,2})(?!\d)/);
+    if (m) return day(toYmd(m[1], m[2], m[3]));
+    const md = t.match(new RegExp(`(?<![\\d.])(\\d{1,2})\\.(\\d{1,2})\\.${WEEKDAY}`));
+    return md ? day(withKstYear(kst, md[1], md[2])) : null;
+  }
+  return parseFullDate(t) || parseRelative(t, kst) || parseYearless(t, kst) || parseMonthOnly(t);
+}
+
+/**
+ * 스크래퍼가 넘긴 날짜 값 → YYYY-MM-DD (저장/날짜 필터용)
+ * Date 객체(UTC 날짜), "YYYY-MM-DD" 문자열, 타임스탬프, 포털 날짜 텍스트를 모두 받는다.
+ * @param {Date|string|number|null|undefined} value
+ * @param {KstDateInfo} kst - 텍스트일 때 상대 표현 기준일
+ * @returns {string|null} 읽을 수 없으면 null
+ */
+export function toReviewDateStr(value, kst) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date || typeof value === 'number') {
+    const dt = new Date(value);
+    return Number.isNaN(dt.getTime()) ? null : dt.toISOString().split('T')[0];
+  }
+  const t = String(value).trim();
+  const ymd = t.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (ymd) return toYmd(ymd[1], ymd[2], ymd[3]);
+  return parseReviewDate(t, kst)?.date ?? null;
+}
+
+/**
+ * 정밀도까지 고려한 가장 이른 작성일
+ * @param {string} date - YYYY-MM-DD (review_date)
+ * @param {DatePrecision} precision
+ * @returns {string} YYYY-MM-DD
+ */
+export function earliestReviewDate(date, precision = 'day') {
+  const span = PRECISION_SPAN[precision];
+  if (!span || precision === 'day') return date;
+  return kstDaysAgo({ todayDate: new Date(`${date}T00:00:00.000Z`) }, span);
+}
+
+/**
+ * 날짜 필터(일주일/2주) 밖일 수 있는 리뷰인지
+ * 대략적인 날짜는 가장 이른 작성일로 비교한다 ("1개월 전", "1주 전"은 일주일 안으로 세지 않음).
+ * @param {string|null} date - YYYY-MM-DD
+ * @param {DatePrecision|null|undefined} precision - 없으면 day
+ * @param {string|null} filterDateStr - 필터 시작일 (없으면 항상 false)
+ */
+export function isBeforeDateFilter(date, precision, filterDateStr) {
+  if (!filterDateStr || !date) return false;
+  return earliestReviewDate(date, precision || 'day') < filterDateStr;
+}
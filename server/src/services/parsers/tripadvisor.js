@@ -0,0 +1,119 @@
+import { placeholderNickname } from './common.js';
+import { parseReviewDate } from './reviewDate.js';
+
+/**
+ * 트립어드바이저 리뷰 파서
+ * - extract: 브라우저에서 실행 (page.evaluate), 접힌 본문은 스크래퍼가 미리 펼친다.
+ * - normalize: Node에서 실행, 원문 그대로 반환 (번역은 스크래퍼에서)
+ */
+
+export function extractTripadvisorReviewCards() {
+  const cardSelectors = [
+    '[data-test-target="HR_CC_CARD"]',
+    '[data-automation="reviewCard"]',
+    'div.review-container',
+    '[data-reviewid]',
+  ];
+  let cards = [];
+  for (const sel of cardSelectors) {
+    cards = Array.from(document.querySelectorAll(sel));
+    if (cards.length > 0) break;
+  }
+  const textOf = (root, selectors) => {
+    for (const sel of selectors) {
+      const el = root.querySelector(sel);
+      const t = el && (el.textContent || '').trim();
+      if (t) return t;
+    }
+    return '';
+  };
+  return cards.map((card) => {
+    // 평점: bubble_45 클래스 또는 "5점 만점에 4.5" / "4.5 of 5 bubbles" 텍스트
+    let ratingText = '';
+    const bubble = card.querySelector('[class*="bubble_"]');
+    const bubbleMatch = bubble && (bubble.getAttribute('class') || '').match(/bubble_(\d{2})/);
+    if (bubbleMatch) {
+      ratingText = String(parseInt(bubbleMatch[1], 10) / 10);
+    } else {
+      const svgTitle = card.querySelector('svg title');
+      ratingText = (svgTitle && svgTitle.textContent) || card.querySelector('[aria-label*="bubbles"], [aria-label*="점"]')?.getAttribute('aria-label') || '';
+    }
+    const allText = (card.innerText || card.textContent || '').replace(/[ \t]+/g, ' ').trim();
+    const lineOf = (regex) => {
+      const m = allText.match(regex);
+      return m ? m[0] : '';
+    };
+    const body = card.querySelector('[data-test-target="review-body"], [data-automation^="reviewText"], q, [class*="reviewText"]');
+    return {
+      nickname: textOf(card, ['a.ui_header_link', 'a[href*="/Profile/"]', '[class*="memberInfo"] a', '[class*="username"]']),
+      ratingText,
+      title: textOf(card, ['[data-test-target="review-title"]', '[data-automation^="reviewTitle"]', 'a.title', '.noQuotes']),
+      content: body ? (body.innerText || body.textContent || '').trim() : '',
+      lang: (body && (body.getAttribute('lang') || body.closest('[lang]')?.getAttribute('lang'))) || '',
+      writtenText: lineOf(/(작성일|Written)[^\n]*/i) || textOf(card, ['.ratingDate', '[class*="ratingDate"]']),
+      stayText: lineOf(/(숙박\s*날짜|숙박일|Date of stay)[^\n]*/i),
+      tripTypeText: lineOf(/(여행\s*유형|Trip type)[^\n]*/i),
+    };
+  });
+}
+
+/**
+ * 숙박일 (월 단위): "2024년 5월", "May 2024" → "2024-05"
+ * @returns {string|null}
+ */
+export function parseStayMonth(text, kst) {
+  const stay = parseReviewDate(text, kst);
+  return stay ? stay.date.slice(0, 7) : null;
+}
+
+/**
+ * 여행 유형 → visit_type (영문 UI도 한국어로 통일)
+ * @returns {string|null}
+ */
+export function normalizeTripType(text) {
+  const t = (text || '').replace(/^(여행\s*유형|Trip type)\s*:?\s*/i, '').trim();
+  if (!t) return null;
+  if (/couple|커플/i.test(t)) return '커플';
+  if (/family|가족/i.test(t)) return '가족';
+  if (/friend|친구/i.test(t)) return '친구';
+  if (/business|비즈니스|출장/i.test(t)) return '비즈니스';
+  if (/solo|혼자/i.test(t)) return '혼자';
+  return t.slice(0, 50);
+}
+
+/**
+ * @param {ReturnType<typeof extractTripadvisorReviewCards>[number]} raw
+ * @param {{index: number, kst: {todayStr: string, todayDate: Date}}} options
+ * @returns {object|null} 내용/별점/닉네임이 모두 없으면 null
+ */
+export function normalizeTripadvisorReview(raw, { index, kst }) {
+  const nickname = (raw.nickname || '').trim() || placeholderNickname(index);
+
+  let rating = 0;
+  const ratingMatch = (raw.ratingText || '').match(/(\d+(?:\.\d+)?)(?!.*만점)/);
+  if (ratingMatch) rating = parseFloat(ratingMatch[1]);
+  if (rating > 5) rating = 0; // "5점 만점" 등 잘못 잡힌 값 방어
+
+  const title = (raw.title || '').trim();
+  const content = (raw.content || '').replace(/(더보기|Read more)$/i, '').trim();
+  if (!(content.length > 0 || rating > 0 || !nickname.startsWith('사용자'))) return null;
+
+  // 작성일: "2024년 5월 20일", "Written May 20, 2024", "Yesterday"
+  const reviewDate = parseReviewDate(raw.writtenText, kst);
+  const stayMonth = parseStayMonth(raw.stayText, kst);
+  return {
+    content,
+    rating,
+    nickname,
+    date: reviewDate?.date ?? null,
+    datePrecision: reviewDate?.precision ?? null,
+    dateText: (raw.writtenText || '').trim() || null,
+    title: title || null,
+    visitKeyword: null,
+    reviewKeyword: null,
+    visitType: normalizeTripType(raw.tripTypeText),
+    emotion: null,
+    revisitFlag: false,
+    additionalInfo: stayMonth ? `숙박일: ${stayMonth}` : null,
+  };
+}
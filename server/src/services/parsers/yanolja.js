@@ -0,0 +1,108 @@
+import { parseNumber, placeholderNickname } from './common.js';
+import { parseReviewDate } from './reviewDate.js';
+
+/**
+ * 야놀자 리뷰 파서
+ * - extract: 브라우저에서 실행 (page.evaluate), 본문 "더보기"는 스크래퍼가 미리 펼친다.
+ * - normalize: Node에서 실행
+ * 야놀자는 CSS-in-JS 클래스(css-xxxx)라 구조 기반 선택자를 먼저, 클래스 선택자를 마지막에 시도한다.
+ */
+
+/** 리뷰 목록 항목 선택자 */
+export const YANOLJA_REVIEW_ITEM_SELECTOR = '#__next > section > div > div.css-1js0bc8 > div';
+
+/** 본문 "더보기" 버튼 (항목 기준) */
+export const YANOLJA_CONTENT_MORE_SELECTOR = 'div:nth-child(2) > div > div:nth-child(3) > div.css-1z0es1i > div > button';
+
+/**
+ * @param {string} selector - 리뷰 항목 선택자
+ */
+export function extractYanoljaReviewCards(selector) {
+  const first = (root, selectors) => {
+    for (const sel of selectors) {
+      const el = root.querySelector(sel);
+      if (el) return el;
+    }
+    return null;
+  };
+  const textOf = (root, selectors) => {
+    for (const sel of selectors) {
+      const el = root.querySelector(sel);
+      const t = el && (el.textContent || '').trim();
+      if (t) return t;
+    }
+    return '';
+  };
+  // 빈 별은 clip-rule="evenodd", 채워진 별은 fill="currentColor" 등 색상 지정
+  const isFilledStar = (svg) => {
+    const path = svg.querySelector('path');
+    if (!path) return true;
+    if (svg.getAttribute('clip-rule') === 'evenodd' || path.getAttribute('clip-rule') === 'evenodd') return false;
+    const fill = path.getAttribute('fill') || '';
+    return fill === 'currentColor' || (fill !== '' && fill !== 'none' && fill !== 'transparent');
+  };
+
+  return Array.from(document.querySelectorAll(selector)).map((item) => {
+    const ratingEl = first(item, [
+      'div:nth-child(2) > div > div.css-1toaz2b > div:nth-child(1) > div.css-1mdp7n',
+      '[class*="css-1mdp7n"]',
+    ]);
+    const stars = ratingEl ? Array.from(ratingEl.querySelectorAll('svg')) : [];
+    return {
+      starCount: stars.length,
+      filledStars: stars.filter(isFilledStar).length,
+      ratingText: ratingEl ? (ratingEl.textContent || '').trim() : '',
+      dateText: textOf(item, [
+        'div:nth-child(2) > div > div.css-1toaz2b > div:nth-child(1) > div.css-1ivchjf',
+        'div > div > div.css-1toaz2b > div:nth-child(1) > div.css-1ivchjf',
+        '[class*="css-1ivchjf"]',
+      ]),
+      content: textOf(item, [
+        'div:nth-child(2) > div > div:nth-child(3) > div.css-1kpa3g > p',
+        'div > div > div:nth-child(3) > div.css-1kpa3g > p',
+        '[class*="css-1kpa3g"] p',
+      ]),
+      nickname: textOf(item, [
+        'div:nth-child(2) > div:nth-child(3) > div > div.css-1toaz2b > div:nth-child(3) > div > p:nth-child(1) > span:nth-child(1)',
+        'div > div:nth-child(3) > div > div.css-1toaz2b > div:nth-child(3) > div > p:nth-child(1) > span:nth-child(1)',
+        'p:nth-child(1) > span:nth-child(1)',
+      ]),
+      visitType: textOf(item, [
+        'div:nth-child(2) > div:nth-child(3) > div > div.css-1toaz2b > div:nth-child(3) > div > p:nth-child(1) > span.css-2bwu0q',
+        'span.css-2bwu0q',
+      ]),
+      allText: (item.textContent || '').trim(),
+    };
+  });
+}
+
+/**
+ * @param {ReturnType<typeof extractYanoljaReviewCards>[number]} raw
+ * @param {{index: number, kst: {todayStr: string, todayDate: Date}}} options
+ * @returns {object|null} 내용/별점/닉네임이 모두 없으면 null
+ */
+export function normalizeYanoljaReview(raw, { index, kst }) {
+  const placeholder = placeholderNickname(index);
+  const nickname = (raw.nickname || '').trim() || placeholder;
+  // 별 아이콘이 있으면 채워진 별 개수, 없으면 숫자 텍스트
+  const rating = raw.starCount > 0 ? raw.filledStars : parseNumber(raw.ratingText);
+  const content = (raw.content || '').replace(/더보기/g, '').trim();
+  const allText = raw.allText || '';
+
+  if (!(content.length > 10 || rating > 0 || nickname !== placeholder)) return null;
+
+  const reviewDate = parseReviewDate(raw.dateText, kst);
+  return {
+    content,
+    rating,
+    nickname,
+    date: reviewDate?.date ?? null,
+    datePrecision: reviewDate?.precision ?? null,
+    dateText: (raw.dateText || '').trim() || null,
+    visitKeyword: null,
+    reviewKeyword: null,
+    visitType: (raw.visitType || '').trim() || null,
+    emotion: null,
+    revisitFlag: allText.includes('재방문') || allText.includes('다시') || allText.includes('2번째'),
+  };
+}
@@ -0,0 +1,292 @@
+import { pool } from '../db/connection.js';
+import ScraperService from './scraper.js';
+
+/**
+ * 장소 매칭(resolve) 서비스
+ * 포털 URL이 없는 기업은 기업명 검색 결과 상위 N개 후보를 모아 기업명/주소로 점수를 매기고,
+ * 가장 높은 후보의 URL과 신뢰도를 companies.place_matches(JSONB)에 저장한다.
+ * 신뢰도가 낮거나 상위 후보끼리 점수가 비슷하면 needs_review로 남기고 스크래핑하지 않는다.
+ *
+ * place_matches 구조: { [portalId]: PlaceMatch }
+ *
+ * @typedef {object} PlaceCandidate
+ * @property {string} name - 장소 이름
+ * @property {string} address - 주소 (포털에 따라 지역명만 있을 수 있음)
+ * @property {string} category - 카테고리 (호텔, 펜션 등)
+ * @property {string} url - 장소 URL
+ * @property {number} [score] - 매칭 점수 (0~1)
+ *
+ * @typedef {object} PlaceMatch
+ * @property {'matched'|'needs_review'|'not_found'|'confirmed'} status
+ * @property {string|null} url - 선택된 장소 URL
+ * @property {number} confidence - 신뢰도 (0~1)
+ * @property {PlaceCandidate[]} candidates - 점수순 후보 목록
+ * @property {string} resolvedAt - ISO 시각
+ */
+
+/** 검색 결과에서 비교할 후보 수 */
+export const RESOLVE_CANDIDATE_LIMIT = 5;
+
+/** 이 점수 이상이면 자동으로 URL 확정 */
+export const MIN_CONFIDENCE = 0.75;
+
+/** 1위와 2위 점수 차이가 이보다 작으면 애매한 매칭으로 보고 확인 요청 */
+const MIN_SCORE_GAP = 0.05;
+
+const ADDRESS_ALIASES = [
+  [/서울특별시/g, '서울'],
+  [/부산광역시/g, '부산'],
+  [/대구광역시/g, '대구'],
+  [/인천광역시/g, '인천'],
+  [/광주광역시/g, '광주'],
+  [/대전광역시/g, '대전'],
+  [/울산광역시/g, '울산'],
+  [/세종특별자치시/g, '세종'],
+  [/제주특별자치도/g, '제주'],
+  [/강원특별자치도|강원도/g, '강원'],
+  [/전북특별자치도|전라북도/g, '전북'],
+  [/전라남도/g, '전남'],
+  [/경기도/g, '경기'],
+  [/충청북도/g, '충북'],
+  [/충청남도/g, '충남'],
+  [/경상북도/g, '경북'],
+  [/경상남도/g, '경남'],
+];
+
+const LODGING_CATEGORY = /(숙박|호텔|모텔|펜션|리조트|게스트하우스|콘도|풀빌라|레지던스|한옥|캠핑|글램핑)/;
+
+/**
+ * 이름 비교용 정규화 (공백/괄호/특수문자 제거, 소문자)
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\(.*?\)|\[.*?\]/g, '')
+    .replace(/[^0-9a-z가-힣]/g, '');
+}
+
+/**
+ * 문자 bigram 집합
+ */
+function bigrams(text) {
+  const set = new Set();
+  for (let i = 0; i < text.length - 1; i++) {
+    set.add(text.slice(i, i + 2));
+  }
+  return set;
+}
+
+/**
+ * 기업명 유사도 (0~1): 완전 일치 1, 포함 관계 0.9 이하, 그 외 bigram Dice 계수
+ */
+export function nameSimilarity(a, b) {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  if (x.includes(y) || y.includes(x)) {
+    const ratio = Math.min(x.length, y.length) / Math.max(x.length, y.length);
+    return 0.7 + 0.2 * ratio;
+  }
+  const bx = bigrams(x);
+  const by = bigrams(y);
+  if (bx.size === 0 || by.size === 0) return 0;
+  let common = 0;
+  for (const g of bx) {
+    if (by.has(g)) common++;
+  }
+  return (2 * common) / (bx.size + by.size);
+}
+
+/**
+ * 주소 토큰 (시/도 약칭 통일, 공백 단위)
+ */
+function addressTokens(address) {
+  let s = String(address || '');
+  for (const [pattern, alias] of ADDRESS_ALIASES) {
+    s = s.replace(pattern, alias);
+  }
+  return s
+    .replace(/[(),]/g, ' ')
+    .split(/\s+/)
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 주소 유사도 (0~1): 기업 주소 토큰 중 후보 주소에 포함된 비율
+ * 어느 한쪽이라도 주소가 없으면 null (비교 불가)
+ */
+export function addressSimilarity(companyAddress, candidateAddress) {
+  const companyTokens = addressTokens(companyAddress);
+  const candidateTokens = addressTokens(candidateAddress);
+  if (companyTokens.length === 0 || candidateTokens.length === 0) return null;
+  const candidateSet = new Set(candidateTokens);
+  const hits = companyTokens.filter((t) => candidateSet.has(t)).length;
+  // 포털에 지역명만 노출되는 경우 (예: "강릉시 경포") 후보 토큰 기준 비율도 함께 고려
+  const candidateCoverage = candidateTokens.filter((t) => companyTokens.includes(t)).length / candidateTokens.length;
+  return Math.max(hits / companyTokens.length, candidateTokens.length <= 3 ? candidateCoverage : 0);
+}
+
+/**
+ * 후보 하나의 매칭 점수 (0~1)
+ * - 주소 비교 가능: 기업명 60% + 주소 40%
+ * - 주소 비교 불가: 기업명 점수의 90% (주소 확인 없이는 자동 확정이 어렵도록)
+ * - 숙박시설인데 카테고리도 숙박이면 소폭 가산
+ * @param {{company_name: string, address?: string, type?: string}} company
+ * @param {PlaceCandidate} candidate
+ */
+export function scoreCandidate(company, candidate) {
+  const nameScore = nameSimilarity(company.company_name, candidate.name);
+  const addrScore = addressSimilarity(company.address, candidate.address);
+  let score = addrScore === null ? nameScore * 0.9 : nameScore * 0.6 + addrScore * 0.4;
+  if (company.type && company.type.includes('숙박') && LODGING_CATEGORY.test(candidate.category || '')) {
+    score += 0.05;
+  }
+  return Math.round(Math.min(score, 1) * 1000) / 1000;
+}
+
+/**
+ * 후보 목록 점수 계산 후 내림차순 정렬
+ * @returns {PlaceCandidate[]}
+ */
+export function rankCandidates(company, candidates) {
+  return (candidates || [])
+    .filter((c) => c && c.url)
+    .map((c) => ({ ...c, score: scoreCandidate(company, c) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * 정렬된 후보로 매칭 결과 결정
+ * @param {PlaceCandidate[]} ranked
+ * @returns {PlaceMatch}
+ */
+export function decideMatch(ranked) {
+  const resolvedAt = new Date().toISOString();
+  if (ranked.length === 0) {
+    return { status: 'not_found', url: null, confidence: 0, candidates: [], resolvedAt };
+  }
+  const [best, second] = ranked;
+  const ambiguous = second && best.score - second.score < MIN_SCORE_GAP;
+  const status = best.score >= MIN_CONFIDENCE && !ambiguous ? 'matched' : 'needs_review';
+  return { status, url: best.url, confidence: best.score, candidates: ranked, resolvedAt };
+}
+
+/**
+ * 매칭 결과를 companies에 저장
+ * - place_matches[portal]에 결과 저장
+ * - matched/confirmed이면 포털 URL 컬럼도 함께 갱신
+ * @param {number} companyId
+ * @param {import('./portalRegistry.js').PortalAdapter} adapter
+ * @param {PlaceMatch} match
+ */
+export async function savePlaceMatch(companyId, adapter, match) {
+  if (!pool) {
+    throw new Error('DATABASE_URL이 설정되지 않아 매칭 결과를 저장할 수 없습니다.');
+  }
+  const setUrl = match.status === 'matched' || match.status === 'confirmed';
+  // urlColumn은 레지스트리에 등록된 고정 컬럼명만 사용 (사용자 입력 아님)
+  await pool.query(
+    `UPDATE companies SET
+       place_matches = jsonb_set(COALESCE(place_matches, '{}'::jsonb), $1::text[], $2::jsonb),
+       ${setUrl ? `${adapter.urlColumn} = $3,` : ''}
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${setUrl ? 4 : 3}`,
+    setUrl
+      ? [[adapter.id], JSON.stringify(match), match.url, companyId]
+      : [[adapter.id], JSON.stringify(match), companyId]
+  );
+}
+
+/**
+ * 기업 하나의 포털 장소 매칭 (검색 → 점수 → 저장)
+ * @param {object} scraper - 초기화된 ScraperService
+ * @param {import('./portalRegistry.js').PortalAdapter} adapter - resolve가 있는 어댑터
+ * @param {object} company - companies 행
+ * @returns {Promise<PlaceMatch>}
+ */
+export async function resolveCompanyPlace(scraper, adapter, company) {
+  if (typeof adapter.resolve !== 'function') {
+    throw new Error(`포털 "${adapter.id}"은(는) 장소 매칭(resolve)을 지원하지 않습니다.`);
+  }
+  scraper.beginPortalTask(adapter.id, company.company_name);
+  const candidates = await adapter.resolve(scraper, {
+    url: null,
+    companyName: company.company_name,
+    limit: RESOLVE_CANDIDATE_LIMIT,
+  });
+  // 후보가 없으면 차단 페이지 때문인지 확인 (차단이면 PortalBlockedError)
+  if (!candidates || candidates.length === 0) await scraper.assertNotBlocked();
+  const match = decideMatch(rankCandidates(company, candidates));
+  await savePlaceMatch(company.id, adapter, match);
+  console.log(
+    `[resolve] ${company.company_name} - ${adapter.name}: ${match.status} (신뢰도 ${match.confidence}, 후보 ${match.candidates.length}개${match.url ? `, ${match.url}` : ''})`
+  );
+  return match;
+}
+
+/**
+ * 포털 매칭 후보 조회 (관리자 확인용)
+ * 저장된 후보가 있으면 그대로 반환하고, 없거나 refresh면 브라우저로 다시 검색한다.
+ * 다시 검색한 결과는 place_matches에 저장하지만, 이미 확정(confirmed)된 URL은 바꾸지 않는다.
+ * @param {object} company - companies 행
+ * @param {import('./portalRegistry.js').PortalAdapter} adapter
+ * @param {{refresh?: boolean}} options
+ * @returns {Promise<PlaceMatch>}
+ */
+export async function getPlaceCandidates(company, adapter, { refresh = false } = {}) {
+  const stored = company.place_matches?.[adapter.id] || null;
+  if (stored && !refresh && Array.isArray(stored.candidates) && stored.candidates.length > 0) {
+    return stored;
+  }
+
+  const scraper = new ScraperService();
+  try {
+    await scraper.init();
+    scraper.beginPortalTask(adapter.id, company.company_name);
+    const candidates = await adapter.resolve(scraper, {
+      url: null,
+      companyName: company.company_name,
+      limit: RESOLVE_CANDIDATE_LIMIT,
+    });
+    const match = decideMatch(rankCandidates(company, candidates));
+    if (stored?.status === 'confirmed') {
+      // 확정된 장소는 유지하고 후보 목록만 갱신
+      const kept = { ...stored, candidates: match.candidates };
+      await savePlaceMatch(company.id, adapter, kept);
+      return kept;
+    }
+    await savePlaceMatch(company.id, adapter, match);
+    return match;
+  } finally {
+    await scraper.close();
+  }
+}
+
+/**
+ * 관리자가 선택한 장소로 확정
+ * - 포털 URL 컬럼에 정규화된 URL 저장, place_matches[portal].status = 'confirmed'
+ * @param {object} company - companies 행
+ * @param {import('./portalRegistry.js').PortalAdapter} adapter
+ * @param {string} url - 후보 URL 또는 직접 입력한 URL
+ * @param {object} scraper - normalizeUrl 호출용 ScraperService (init 불필요)
+ * @returns {Promise<PlaceMatch>}
+ */
+export async function confirmPlace(company, adapter, url, scraper) {
+  const normalizedUrl = adapter.normalizeUrl(scraper, url.trim());
+  const stored = company.place_matches?.[adapter.id] || null;
+  const candidates = Array.isArray(stored?.candidates) ? stored.candidates : [];
+  const picked = candidates.find((c) => c.url === normalizedUrl || c.url === url.trim());
+  const match = {
+    status: 'confirmed',
+    url: normalizedUrl,
+    confidence: 1,
+    candidates,
+    resolvedAt: new Date().toISOString(),
+    ...(picked && { name: picked.name }),
+  };
+  await savePlaceMatch(company.id, adapter, match);
+  console.log(`[resolve] ${company.company_name} - ${adapter.name}: 수동 확정 (${normalizedUrl})`);
+  return match;
+}
@@ -0,0 +1,89 @@
+import { getPortal, getPortalIds } from './portalRegistry.js';
+
+/**
+ * 포털 기본 URL 덮어쓰기 (로컬 목업 포털 서버로 end-to-end 작업 실행)
+ * 지정한 포털 도메인으로 가는 브라우저 요청을 `${기본 URL}/${호스트}${경로}${쿼리}`로 바꿔 보낸다.
+ * 컨텍스트 route에서 응답만 바꿔 끼우므로 page.url()은 실제 포털 주소 그대로이고,
+ * 스크래퍼의 URL 판별/iframe/링크 클릭 로직을 고치지 않고 실행할 수 있다.
+ *
+ * 설정: SCRAPE_BASE_URLS (예: "naver=http://127.0.0.1:4100,kakao=http://127.0.0.1:4100", "*=..."는 모든 포털)
+ */
+
+/**
+ * 환경 변수 형식 "포털=URL,포털=URL" 해석
+ * @param {string} raw
+ * @returns {Record<string, string>} 포털 코드 → 기본 URL (끝의 / 제거)
+ */
+export function parsePortalBaseUrls(raw) {
+  const baseUrls = {};
+  for (const pair of String(raw || '').split(',')) {
+    const index = pair.indexOf('=');
+    if (index === -1) continue;
+    const portal = pair.slice(0, index).trim();
+    const url = pair.slice(index + 1).trim().replace(/\/+$/, '');
+    if (!portal || !/^https?:\/\//.test(url)) continue;
+    const targets = portal === '*' ? getPortalIds() : [portal];
+    for (const id of targets) {
+      if (!getPortal(id)) {
+        console.warn(`[portalBaseUrls] 등록되지 않은 포털 "${id}"은(는) 무시합니다.`);
+        continue;
+      }
+      baseUrls[id] = url;
+    }
+  }
+  return baseUrls;
+}
+
+/** 환경 변수(SCRAPE_BASE_URLS) 기준 덮어쓰기 설정 */
+export function getPortalBaseUrls() {
+  return parsePortalBaseUrls(process.env.SCRAPE_BASE_URLS);
+}
+
+/**
+ * 요청 URL을 덮어쓴 기본 URL 쪽 주소로 변환
+ * @param {string} url - 브라우저가 요청한 주소
+ * @param {Record<string, string>} baseUrls
+ * @returns {string|null} 덮어쓸 포털 도메인이 아니면 null
+ */
+export function rewriteToBaseUrl(url, baseUrls) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+  const host = parsed.hostname.toLowerCase();
+  for (const [portal, base] of Object.entries(baseUrls)) {
+    const hosts = getPortal(portal)?.hosts || [];
+    if (hosts.some((h) => host === h || host.endsWith(`.${h}`))) {
+      return `${base}/${host}${parsed.pathname}${parsed.search}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 브라우저 컨텍스트에 덮어쓰기 route 등록 (iframe, fetch 요청 포함)
+ * @param {import('playwright').BrowserContext} context
+ * @param {Record<string, string>} baseUrls
+ * @returns {Promise<boolean>} 등록했으면 true (설정이 비어 있으면 아무것도 하지 않음)
+ */
+export async function installPortalBaseUrls(context, baseUrls) {
+  if (!baseUrls || Object.keys(baseUrls).length === 0) return false;
+  await context.route(
+    (url) => rewriteToBaseUrl(url.href, baseUrls) !== null,
+    async (route) => {
+      const target = rewriteToBaseUrl(route.request().url(), baseUrls);
+      try {
+        // route.continue()는 https → http로 바꿀 수 없어 직접 받아서 응답으로 넘긴다
+        const response = await route.fetch({ url: target, maxRedirects: 0 });
+        await route.fulfill({ response });
+      } catch (error) {
+        console.warn(`[portalBaseUrls] ${target} 요청 실패: ${error?.message || error}`);
+        await route.abort('connectionfailed').catch(() => {});
+      }
+    }
+  );
+  return true;
+}
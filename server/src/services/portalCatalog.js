@@ -0,0 +1,100 @@
+import { pool } from '../db/connection.js';
+import { listPortals, toPublicPortal } from './portalRegistry.js';
+
+/**
+ * 포털 참조 테이블(portals) 서비스
+ * 포털 코드/이름/기본 주소는 portalRegistry 어댑터가 원본이고, 서버 시작 시 portals 테이블에 맞춰 둔다.
+ * 사용 여부(enabled)만 DB에서 관리한다 (꺼진 포털은 작업에서 건너뜀).
+ * reviews.portal_code가 portals.code를 참조하므로 통계/조회는 코드로 묶고 이름은 이 테이블에서 가져온다.
+ *
+ * @typedef {object} PortalRow
+ * @property {string} code - 포털 코드 ('naver', 'kakao' ...)
+ * @property {string} name_ko - 한국어 표시 이름
+ * @property {string} name_en - 영어 표시 이름
+ * @property {string} base_url - 포털 기본 주소
+ * @property {boolean} enabled - 작업 실행 여부
+ * @property {number} sort_order - 표시/실행 순서 (레지스트리 등록 순서)
+ */
+
+/** portals 테이블이 아직 없을 때 (마이그레이션 013 전) */
+const isMissingTable = (error) => error?.code === '42P01';
+
+/**
+ * 레지스트리 어댑터를 portals 테이블에 반영 (새 포털 추가, 이름/주소/순서 갱신 / enabled는 유지)
+ * @returns {Promise<number>} 반영한 포털 수 (DB가 없거나 테이블이 없으면 0)
+ */
+export async function syncPortalCatalog() {
+  if (!pool) return 0;
+  const adapters = listPortals();
+  try {
+    for (const [index, adapter] of adapters.entries()) {
+      await pool.query(
+        `INSERT INTO portals (code, name_ko, name_en, base_url, sort_order)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (code) DO UPDATE SET
+           name_ko = EXCLUDED.name_ko,
+           name_en = EXCLUDED.name_en,
+           base_url = EXCLUDED.base_url,
+           sort_order = EXCLUDED.sort_order,
+           updated_at = CURRENT_TIMESTAMP`,
+        [adapter.id, adapter.name, adapter.nameEn || adapter.name, adapter.baseUrl || '', index]
+      );
+    }
+    return adapters.length;
+  } catch (error) {
+    if (isMissingTable(error)) {
+      console.warn('[portalCatalog] portals 테이블이 없습니다. migrations/013_add_portals.sql을 실행하세요.');
+      return 0;
+    }
+    throw error;
+  }
+}
+
+/**
+ * portals 테이블 전체 (sort_order 순)
+ * @returns {Promise<PortalRow[]>} DB가 없거나 테이블이 없으면 빈 배열
+ */
+export async function listPortalRows() {
+  if (!pool) return [];
+  try {
+    const result = await pool.query('SELECT * FROM portals ORDER BY sort_order, code');
+    return result.rows;
+  } catch (error) {
+    if (isMissingTable(error)) return [];
+    throw error;
+  }
+}
+
+/**
+ * 꺼진 포털 코드 (portals.enabled = false)
+ * @returns {Promise<Set<string>>}
+ */
+export async function getDisabledPortalCodes() {
+  const rows = await listPortalRows();
+  return new Set(rows.filter((row) => row.enabled === false).map((row) => row.code));
+}
+
+/**
+ * 포털 사용 여부 변경
+ * @param {string} code
+ * @param {boolean} enabled
+ * @returns {Promise<PortalRow|null>} 없는 코드면 null
+ */
+export async function setPortalEnabled(code, enabled) {
+  const result = await pool.query(
+    'UPDATE portals SET enabled = $2, updated_at = CURRENT_TIMESTAMP WHERE code = $1 RETURNING *',
+    [code, enabled]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * 클라이언트에 내려줄 포털 목록 (레지스트리 정보 + DB 사용 여부)
+ */
+export async function listPublicPortals() {
+  const rows = new Map((await listPortalRows()).map((row) => [row.code, row]));
+  return listPortals().map((adapter) => ({
+    ...toPublicPortal(adapter),
+    enabled: rows.get(adapter.id)?.enabled ?? true,
+  }));
+}
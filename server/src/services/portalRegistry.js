@@ -0,0 +1,241 @@
+/**
+ * 포털 어댑터 레지스트리
+ * 잡 루프, POST /jobs/start 포털 검증, 클라이언트 포털 목록이 모두 여기서 나온다.
+ * 새 포털은 어댑터를 하나 만들어 registerPortal()만 하면 된다.
+ *
+ * @typedef {object} PortalContext
+ * @property {string|null} url - companies.{urlColumn} 값 (없으면 null)
+ * @property {string} companyName - 기업명 (검색어로도 사용)
+ * @property {string} dateFilter - 'all' | 'week' | 'twoWeeks'
+ * @property {number|null} jobId - 스크래핑 작업 ID
+ * @property {number} [limit] - resolve 단계에서 가져올 후보 수
+ *
+ * @typedef {object} PortalAdapter
+ * @property {string} id - 포털 코드 ('naver', 'kakao' ...)
+ * @property {string} name - 한국어 표시 이름 (reviews.portal_url에 사본으로 저장되는 값)
+ * @property {string} nameEn - 영어 표시 이름
+ * @property {string} baseUrl - 포털 기본 주소 (portals.base_url)
+ * @property {string} urlColumn - companies 테이블의 URL 컬럼명
+ * @property {string[]} hosts - URL로 포털을 판별할 때 쓰는 도메인 조각
+ * @property {boolean} requiresUrl - true면 URL이 없는 기업은 건너뜀 (검색 불가 포털)
+ * @property {boolean} savesImmediately - 스크래퍼가 리뷰를 직접 저장하는지 여부
+ * @property {(scraper: object, url: string) => string} normalizeUrl - 포털 URL 정규화
+ * @property {((scraper: object, ctx: PortalContext) => Promise<import('./placeResolver.js').PlaceCandidate[]>)|null} resolve
+ *   - 기업명 검색 결과 상위 후보 수집 (선택). 있으면 URL이 없는 기업은 placeResolver로 매칭 후 스크래핑,
+ *     없으면 URL이 없는 기업은 매칭 확인 필요로 건너뜀 (검색 첫 결과를 그대로 긁지 않도록)
+ * @property {(scraper: object, ctx: PortalContext) => Promise<Array>} scrape - 리뷰 수집 (이동 + 파싱)
+ * @property {Partial<import('./rateLimiter.js').RateLimitPolicy>} [rateLimit] - 포털별 속도 제한 (생략한 값은 기본값)
+ * @property {import('./blockDetector.js').BlockSignatures} [blockSignatures] - 포털 차단/보안 확인 페이지 패턴 (공통 패턴에 추가)
+ */
+
+const adapters = new Map();
+
+/**
+ * 어댑터 등록
+ * @param {PortalAdapter} adapter
+ */
+export function registerPortal(adapter) {
+  if (!adapter || !adapter.id) {
+    throw new Error('포털 어댑터에 id가 필요합니다.');
+  }
+  if (typeof adapter.scrape !== 'function') {
+    throw new Error(`포털 어댑터 "${adapter.id}"에 scrape 함수가 필요합니다.`);
+  }
+  adapters.set(adapter.id, {
+    requiresUrl: false,
+    savesImmediately: true,
+    resolve: null,
+    normalizeUrl: (scraper, url) => url,
+    hosts: [],
+    ...adapter,
+  });
+}
+
+/**
+ * 포털 코드로 어댑터 조회
+ * @param {string} id
+ * @returns {PortalAdapter|null}
+ */
+export function getPortal(id) {
+  return adapters.get(id) || null;
+}
+
+/**
+ * 등록된 모든 어댑터 (등록 순서 유지)
+ * @returns {PortalAdapter[]}
+ */
+export function listPortals() {
+  return Array.from(adapters.values());
+}
+
+/**
+ * 등록된 포털 코드 목록
+ * @returns {string[]}
+ */
+export function getPortalIds() {
+  return Array.from(adapters.keys());
+}
+
+/**
+ * URL 도메인으로 어댑터 찾기
+ * @param {string} url
+ * @returns {PortalAdapter|null}
+ */
+export function findPortalByUrl(url) {
+  if (!url) return null;
+  for (const adapter of adapters.values()) {
+    if (adapter.hosts.some((host) => url.includes(host))) {
+      return adapter;
+    }
+  }
+  return null;
+}
+
+/**
+ * 표시 이름(reviews.portal_url 값)으로 어댑터 찾기
+ * @param {string} name - '네이버맵', '카카오맵' ...
+ * @returns {PortalAdapter|null}
+ */
+export function findPortalByName(name) {
+  if (!name) return null;
+  return listPortals().find((adapter) => adapter.name === name) || null;
+}
+
+/**
+ * 요청된 포털 코드 배열을 어댑터 배열로 변환
+ * @param {string[]|null} portals - null/빈 배열이면 전체
+ * @returns {PortalAdapter[]}
+ */
+export function resolvePortals(portals) {
+  if (!Array.isArray(portals) || portals.length === 0) {
+    return listPortals();
+  }
+  return listPortals().filter((adapter) => portals.includes(adapter.id));
+}
+
+/**
+ * 클라이언트에 내려줄 포털 정보
+ */
+export function toPublicPortal(adapter) {
+  return {
+    id: adapter.id,
+    name: adapter.name,
+    nameEn: adapter.nameEn,
+    baseUrl: adapter.baseUrl,
+    urlColumn: adapter.urlColumn,
+    requiresUrl: adapter.requiresUrl,
+    // 기업명 검색 후보 조회(GET /companies/:id/candidates) 지원 여부
+    resolvable: typeof adapter.resolve === 'function',
+  };
+}
+
+// ===== 기본 포털 등록 (등록 순서 = 잡 실행 순서) =====
+
+registerPortal({
+  id: 'naver',
+  name: '네이버맵',
+  nameEn: 'Naver Map',
+  baseUrl: 'https://map.naver.com',
+  urlColumn: 'naver_url',
+  hosts: ['naver.com'],
+  // 대량 백필(all) 중 일시 차단이 잦아 기본값보다 보수적으로
+  rateLimit: { minGapMs: 5000, maxPerMinute: 10, cooldownMs: 120000 },
+  blockSignatures: {
+    urls: ['nid.naver.com/nidlogin', 'ncpt.naver.com'],
+    texts: ['자동입력 방지', '보안 확인을 완료해 주세요', '비정상적인 접근', '서비스 이용이 제한되었습니다'],
+    selectors: ['iframe[src*="ncpt.naver.com"]', '#rcpt_form'],
+  },
+  normalizeUrl: (scraper, url) => scraper.normalizeNaverMapUrl(url),
+  resolve: (scraper, { companyName, limit }) => scraper.searchNaverPlaces(companyName, limit),
+  scrape: (scraper, { url, companyName, dateFilter, jobId }) =>
+    scraper.scrapeNaverMap(companyName, dateFilter, url, jobId, 'naver', true),
+});
+
+registerPortal({
+  id: 'kakao',
+  name: '카카오맵',
+  nameEn: 'Kakao Map',
+  baseUrl: 'https://map.kakao.com',
+  urlColumn: 'kakao_url',
+  hosts: ['kakao.com'],
+  normalizeUrl: (scraper, url) => scraper.normalizeKakaoMapUrl(url),
+  resolve: (scraper, { companyName, limit }) => scraper.searchKakaoPlaces(companyName, limit),
+  scrape: (scraper, { url, companyName, dateFilter, jobId }) =>
+    scraper.scrapeKakaoMap(companyName, dateFilter, url, jobId, 'kakao', true),
+});
+
+registerPortal({
+  id: 'yanolja',
+  name: '야놀자',
+  nameEn: 'Yanolja',
+  baseUrl: 'https://www.yanolja.com',
+  urlColumn: 'yanolja_url',
+  hosts: ['yanolja.com'],
+  normalizeUrl: (scraper, url) => scraper.normalizeYanoljaUrl(url),
+  resolve: (scraper, { companyName, limit }) => scraper.searchYanoljaPlaces(companyName, limit),
+  scrape: (scraper, { url, companyName, dateFilter, jobId }) =>
+    scraper.scrapeYanolja(companyName, dateFilter, url, jobId, 'yanolja', true),
+});
+
+registerPortal({
+  id: 'goodchoice',
+  name: '여기어때',
+  nameEn: 'Yeogieottae',
+  baseUrl: 'https://www.yeogi.com',
+  urlColumn: 'goodchoice_url',
+  hosts: ['goodchoice.kr', 'yeogi.com'],
+  normalizeUrl: (scraper, url) => scraper.normalizeGoodchoiceUrl(url),
+  resolve: (scraper, { companyName, limit }) => scraper.searchGoodchoicePlaces(companyName, limit),
+  scrape: (scraper, { url, companyName, dateFilter, jobId }) =>
+    scraper.scrapeGoodchoice(companyName, dateFilter, url, jobId, 'goodchoice', true),
+});
+
+registerPortal({
+  id: 'tripadvisor',
+  name: '트립어드바이저',
+  nameEn: 'Tripadvisor',
+  baseUrl: 'https://www.tripadvisor.co.kr',
+  urlColumn: 'tripadvisor_url',
+  hosts: ['tripadvisor.co.kr', 'tripadvisor.com'],
+  normalizeUrl: (scraper, url) => scraper.normalizeTripadvisorUrl(url),
+  resolve: (scraper, { companyName, limit }) => scraper.searchTripadvisorPlaces(companyName, limit),
+  scrape: (scraper, { url, companyName, dateFilter, jobId }) =>
+    scraper.scrapeTripadvisor(companyName, dateFilter, url, jobId, 'tripadvisor', true),
+});
+
+registerPortal({
+  id: 'agoda',
+  name: '아고다',
+  nameEn: 'Agoda',
+  baseUrl: 'https://www.agoda.com',
+  urlColumn: 'agoda_url',
+  hosts: ['agoda.com'],
+  // 아고다는 검색 결과가 불안정해 agoda_url이 있는 기업만 스크래핑
+  requiresUrl: true,
+  blockSignatures: {
+    texts: ['Access Denied', 'Pardon Our Interruption', 'Press & Hold to confirm you are'],
+    selectors: ['#px-captcha', 'iframe[src*="captcha-delivery.com"]'],
+  },
+  scrape: (scraper, { url, companyName, dateFilter, jobId }) => {
+    const agodaUrl = url && url.includes('agoda.com') ? url : null;
+    return scraper.scrapeAgoda(companyName, dateFilter, agodaUrl, jobId, 'agoda', true);
+  },
+});
+
+registerPortal({
+  id: 'google',
+  name: '구글',
+  nameEn: 'Google',
+  baseUrl: 'https://www.google.com/travel',
+  urlColumn: 'google_url',
+  hosts: ['google.com'],
+  blockSignatures: {
+    urls: ['google.com/sorry/'],
+    texts: ['unusual traffic from your computer network', '비정상적인 트래픽이 감지되었습니다'],
+    selectors: ['form#captcha-form'],
+  },
+  normalizeUrl: (scraper, url) => scraper.normalizeGoogleTravelUrl(url),
+  resolve: (scraper, { companyName, limit }) => scraper.searchGooglePlaces(companyName, limit),
+  scrape: (scraper, { url, companyName, dateFilter, jobId }) =>
+    scraper.scrapeGoogle(companyName, dateFilter, url, jobId, 'google', true),
+});
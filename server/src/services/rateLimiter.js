@@ -0,0 +1,249 @@
+import { getPortal } from './portalRegistry.js';
+
+/**
+ * 포털별 요청 속도 제한 (정중한 크롤링)
+ * - 같은 포털로의 페이지 이동은 워커가 여러 개여도 한 줄로 세워 간격을 지킨다.
+ * - 최소 간격(minGapMs) + 분당 최대 페이지 수(maxPerMinute) + 지터(jitterRatio)
+ * - 오류가 연속으로 나거나 차단 페이지(403/429 등)가 보이면 그 포털 전체를 잠시 쉰다 (cooldown, 반복되면 두 배씩 증가)
+ * 상태는 프로세스 단위로 유지되므로 작업이 바뀌어도 포털별 요청 예산이 이어진다.
+ *
+ * 설정 우선순위: 환경 변수 SCRAPE_RATE_LIMITS(JSON) > 어댑터 rateLimit > 기본값
+ *
+ * @typedef {object} RateLimitPolicy
+ * @property {number} minGapMs - 같은 포털 페이지 이동 사이 최소 간격
+ * @property {number} maxPerMinute - 최근 1분 동안 허용하는 페이지 이동 수
+ * @property {number} jitterRatio - 간격/대기 시간에 더하는 무작위 비율 (0.3이면 ±30%)
+ * @property {number} errorThreshold - 연속 오류가 이 횟수에 닿으면 cooldown
+ * @property {number} cooldownMs - 첫 cooldown 시간
+ * @property {number} maxCooldownMs - cooldown 최대 시간
+ */
+
+/** @type {RateLimitPolicy} */
+export const DEFAULT_RATE_LIMIT = {
+  minGapMs: 3000,
+  maxPerMinute: 20,
+  jitterRatio: 0.3,
+  errorThreshold: 3,
+  cooldownMs: 60000,
+  maxCooldownMs: 10 * 60000,
+};
+
+const WINDOW_MS = 60000;
+
+/** 포털 ID → { chain, lastAt, recent, consecutiveErrors, cooldownUntil, cooldownCount } */
+const states = new Map();
+const listeners = new Set();
+
+function getState(portalId) {
+  if (!states.has(portalId)) {
+    states.set(portalId, {
+      chain: Promise.resolve(),
+      lastAt: 0,
+      recent: [],
+      consecutiveErrors: 0,
+      cooldownUntil: 0,
+      cooldownCount: 0,
+    });
+  }
+  return states.get(portalId);
+}
+
+function readEnvOverrides() {
+  const raw = process.env.SCRAPE_RATE_LIMITS;
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.warn('[rateLimiter] SCRAPE_RATE_LIMITS 형식 오류 (JSON 필요), 무시합니다:', error.message);
+    return {};
+  }
+}
+
+/**
+ * 포털의 속도 제한 설정
+ * @param {string} portalId
+ * @returns {RateLimitPolicy}
+ */
+export function getRateLimit(portalId) {
+  const adapter = getPortal(portalId);
+  return {
+    ...DEFAULT_RATE_LIMIT,
+    ...(adapter?.rateLimit || {}),
+    ...(readEnvOverrides()[portalId] || {}),
+  };
+}
+
+/**
+ * 설정 한 줄 요약 (작업 로그용)
+ * @param {string} portalId
+ */
+export function describeRateLimit(portalId) {
+  const p = getRateLimit(portalId);
+  return `간격 ${p.minGapMs / 1000}초, 분당 ${p.maxPerMinute}페이지, 지터 ±${Math.round(p.jitterRatio * 100)}%, 연속 오류 ${p.errorThreshold}회 시 ${p.cooldownMs / 1000}초 휴식`;
+}
+
+/**
+ * 대기 시간에 지터 적용
+ * @param {number} ms
+ * @param {number} jitterRatio
+ * @param {() => number} random - 테스트용 주입
+ */
+export function applyJitter(ms, jitterRatio, random = Math.random) {
+  if (!ms || !jitterRatio) return ms;
+  const delta = ms * jitterRatio * (random() * 2 - 1);
+  return Math.max(0, Math.round(ms + delta));
+}
+
+/**
+ * 로딩/스크롤 대기 배율 (SCRAPE_PAUSE_SCALE, 기본 1)
+ * 목업 포털 서버로 작업을 돌리는 테스트에서 0.1처럼 줄여 쓴다. 페이지 이동 간격(minGapMs)에는 적용하지 않는다.
+ */
+export function getPauseScale() {
+  const scale = parseFloat(process.env.SCRAPE_PAUSE_SCALE);
+  return Number.isFinite(scale) && scale >= 0 ? scale : 1;
+}
+
+/**
+ * 포털 정책으로 지터를 적용한 대기 시간 (스크래퍼의 고정 sleep 대체용)
+ * @param {number} ms
+ * @param {string|null} portalId - 없으면 기본 정책
+ */
+export function jitterDelay(ms, portalId = null) {
+  const { jitterRatio } = portalId ? getRateLimit(portalId) : DEFAULT_RATE_LIMIT;
+  return applyJitter(Math.round(ms * getPauseScale()), jitterRatio);
+}
+
+/**
+ * 다음 페이지 이동까지 기다려야 하는 시간 계산 (상태 변경 없음)
+ * @param {{lastAt: number, recent: number[], cooldownUntil: number}} state
+ * @param {RateLimitPolicy} policy
+ * @param {number} now
+ * @param {number} gapMs - 지터를 적용한 최소 간격
+ * @returns {{waitMs: number, reason: 'cooldown'|'perMinute'|'gap'|null}}
+ */
+export function computeNavigationWait(state, policy, now, gapMs = policy.minGapMs) {
+  const candidates = [];
+  if (state.cooldownUntil > now) {
+    candidates.push({ waitMs: state.cooldownUntil - now, reason: 'cooldown' });
+  }
+  const recent = state.recent.filter((at) => at > now - WINDOW_MS);
+  if (policy.maxPerMinute > 0 && recent.length >= policy.maxPerMinute) {
+    candidates.push({ waitMs: recent[recent.length - policy.maxPerMinute] + WINDOW_MS - now, reason: 'perMinute' });
+  }
+  if (state.lastAt && state.lastAt + gapMs > now) {
+    candidates.push({ waitMs: state.lastAt + gapMs - now, reason: 'gap' });
+  }
+  return candidates.reduce((max, c) => (c.waitMs > max.waitMs ? c : max), { waitMs: 0, reason: null });
+}
+
+function emit(event) {
+  for (const listener of listeners) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('[rateLimiter] 리스너 오류:', error);
+    }
+  }
+}
+
+/**
+ * 속도 제한 이벤트 구독 (대기/휴식 시작을 작업 로그에 남기는 용도)
+ * @param {(event: {type: 'wait'|'cooldown', portal: string, waitMs: number, reason: string, company?: string|null}) => void} listener
+ * @returns {() => void} 구독 해제
+ */
+export function onRateLimitEvent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * ms만큼 대기 (signal이 중단되면 signal.reason으로 reject)
+ * @param {number} ms
+ * @param {AbortSignal|null} signal
+ */
+function waitUnlessAborted(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 포털 페이지 이동 허가 받기 (필요한 만큼 대기 후 resolve)
+ * 같은 포털 요청은 순서대로 처리되므로 동시 실행 중에도 간격/분당 한도가 지켜진다.
+ * cooldown은 최대 maxCooldownMs까지 길어질 수 있어, 작업 중지(signal)가 오면 대기를 끊고 reject한다.
+ * @param {string} portalId
+ * @param {{company?: string|null, signal?: AbortSignal|null}} meta - company: 로그용, signal: 작업 중지 신호
+ */
+export function acquireNavigation(portalId, meta = {}) {
+  const state = getState(portalId);
+  const signal = meta.signal || null;
+  const turn = state.chain.then(async () => {
+    // 줄을 서 있는 동안 중지된 경우 (앞사람이 중단되면 뒤 요청도 바로 끝남)
+    signal?.throwIfAborted();
+    const policy = getRateLimit(portalId);
+    const gapMs = applyJitter(policy.minGapMs, policy.jitterRatio);
+    const { waitMs, reason } = computeNavigationWait(state, policy, Date.now(), gapMs);
+    if (waitMs > 0) {
+      emit({ type: 'wait', portal: portalId, waitMs, reason, company: meta.company || null });
+      await waitUnlessAborted(waitMs, signal);
+    }
+    const now = Date.now();
+    state.lastAt = now;
+    state.recent = state.recent.filter((at) => at > now - WINDOW_MS);
+    state.recent.push(now);
+  });
+  // 앞사람이 실패해도 줄은 계속 이어지도록
+  state.chain = turn.catch(() => {});
+  return turn;
+}
+
+/**
+ * 포털 요청 성공 (연속 오류/휴식 단계 초기화)
+ * @param {string} portalId
+ */
+export function reportPortalSuccess(portalId) {
+  const state = getState(portalId);
+  state.consecutiveErrors = 0;
+  state.cooldownCount = 0;
+}
+
+/**
+ * 포털 오류/차단 보고
+ * 차단(blocked)이면 바로, 아니면 연속 오류가 errorThreshold에 닿을 때 cooldown 시작
+ * @param {string} portalId
+ * @param {{blocked?: boolean, reason?: string, company?: string|null}} info
+ * @returns {number} 새로 시작한 cooldown 시간(ms), 없으면 0
+ */
+export function reportPortalFailure(portalId, { blocked = false, reason = '', company = null } = {}) {
+  const state = getState(portalId);
+  const policy = getRateLimit(portalId);
+  state.consecutiveErrors++;
+  if (!blocked && state.consecutiveErrors < policy.errorThreshold) return 0;
+
+  const cooldownMs = Math.min(policy.cooldownMs * 2 ** state.cooldownCount, policy.maxCooldownMs);
+  state.cooldownCount++;
+  state.consecutiveErrors = 0;
+  state.cooldownUntil = Math.max(state.cooldownUntil, Date.now() + cooldownMs);
+  emit({ type: 'cooldown', portal: portalId, waitMs: cooldownMs, reason: blocked ? `차단 의심: ${reason}` : reason, company });
+  return cooldownMs;
+}
+
+/**
+ * 상태 초기화 (테스트용)
+ */
+export function resetRateLimits() {
+  states.clear();
+}
@@ -14,16 +14,18 @@ export function initSchedule() {
       console.log('스케줄이 비활성화되어 있어 실행을 건너뜁니다.');
       return;
     }
-    console.log('스케줄된 스크래핑 작업 시작:', new Date());
-    if (!jobService.getIsRunning()) {
-      try {
-        await jobService.runScrapingJob('week');
-        console.log('스케줄된 스크래핑 작업 완료');
-      } catch (error) {
-        console.error('스케줄된 스크래핑 작업 실패:', error);
+    console.log('스케줄된 스크래핑 작업 대기열 추가:', new Date());
+    try {
+      // 실행 중인 수동 작업이 있어도 건너뛰지 않고 대기열 뒤에 추가 (대기 중인 스케줄 작업이 이미 있으면 중복 추가 안 함)
+      const pending = await jobService.getPendingJobs();
+      if (pending.some((job) => job.source === 'schedule')) {
+        console.log('대기 중인 스케줄 작업이 이미 있어 추가하지 않습니다.');
+        return;
       }
-    } else {
-      console.log('이미 실행 중인 작업이 있어 스케줄 작업을 건너뜁니다.');
+      const job = await jobService.enqueueJob({ dateFilter: 'week', source: 'schedule' });
+      console.log(`스케줄된 스크래핑 작업 #${job.id} 대기열 추가 완료`);
+    } catch (error) {
+      console.error('스케줄된 스크래핑 작업 추가 실패:', error);
     }
   }, { scheduled: scheduleEnabled, timezone: 'Asia/Seoul' });
 }
@@ -1,12 +1,28 @@
+import fs from 'fs/promises';
 import { chromium } from 'playwright';
 import { pool } from '../db/connection.js';
+import { getPortal, findPortalByName, findPortalByUrl } from './portalRegistry.js';
+import { acquireNavigation, jitterDelay, reportPortalFailure } from './rateLimiter.js';
+import { PortalBlockedError, detectBlockPage } from './blockDetector.js';
+import { createArtifactPrefix, isTraceEnabled, prepareArtifactPath } from './artifacts.js';
+import { getPortalBaseUrls, installPortalBaseUrls } from './portalBaseUrls.js';
+import { getKstDateInfo } from './parsers/common.js';
+import { DATE_PRECISIONS, isBeforeDateFilter, parseReviewDate, toReviewDateStr } from './parsers/reviewDate.js';
+import { extractNaverFallbackCards, extractNaverReviewCards, normalizeNaverFallbackReview, normalizeNaverReview, NAVER_REVIEW_ITEM_SELECTORS } from './parsers/naver.js';
+import { extractKakaoReviewCards, normalizeKakaoReview, KAKAO_REVIEW_ITEM_SELECTOR } from './parsers/kakao.js';
+import { extractYanoljaReviewCards, normalizeYanoljaReview, YANOLJA_CONTENT_MORE_SELECTOR, YANOLJA_REVIEW_ITEM_SELECTOR } from './parsers/yanolja.js';
+import { extractGoodchoiceReviewCards, normalizeGoodchoiceReview } from './parsers/goodchoice.js';
+import { extractAgodaReviewCards, normalizeAgodaReview, AGODA_REVIEW_CARD_SELECTORS } from './parsers/agoda.js';
+import { extractTripadvisorReviewCards, normalizeTripadvisorReview } from './parsers/tripadvisor.js';
+import { extractGoogleReviewCards, normalizeGoogleReview, GOOGLE_REVIEW_ITEM_SELECTOR } from './parsers/google.js';
 
 /**
  * 텍스트를 한국어로 번역하는 함수
  * @param {string} text - 번역할 텍스트
+ * @param {string|null} sourceLang - 원문 언어 코드 (null이면 자동 감지)
  * @returns {Promise<string>} 번역된 텍스트
  */
-async function translateToKorean(text) {
+async function translateToKorean(text, sourceLang = 'en') {
   if (!text || text.trim().length === 0) {
     return text;
   }
@@ -33,7 +49,7 @@ async function translateToKorean(text) {
       body: JSON.stringify({
         q: text,
         target: 'ko',
-        source: 'en',
+        ...(sourceLang && { source: sourceLang }),
       }),
     });
     
@@ -49,34 +65,6 @@ async function translateToKorean(text) {
   return text;
 }
 
-const TZ_KST = 'Asia/Seoul';
-
-/**
- * 한국 시간(KST) 기준 오늘/필터 날짜 반환
- * 서버(UTC) 기준이 아닌 사용자 컴퓨터(한국) 시간과 동일하게 맞춤
- */
-function getKstDateInfo() {
-  const now = new Date();
-  const fmt = new Intl.DateTimeFormat('en-CA', { timeZone: TZ_KST, year: 'numeric', month: '2-digit', day: '2-digit' });
-  const todayStr = fmt.format(now);
-  const [y, m, d] = todayStr.split('-').map(Number);
-  const todayDate = new Date(Date.UTC(y, m - 1, d, 0, 0, 0, 0));
-  const weekAgo = new Date(todayDate);
-  weekAgo.setUTCDate(weekAgo.getUTCDate() - 7);
-  const twoWeeksAgo = new Date(todayDate);
-  twoWeeksAgo.setUTCDate(twoWeeksAgo.getUTCDate() - 14);
-  const filterDateWeek = fmt.format(weekAgo);
-  const filterDateTwoWeeks = fmt.format(twoWeeksAgo);
-  return {
-    todayStr,
-    todayDate,
-    filterDateWeek,
-    filterDateTwoWeeks,
-    filterDateWeekObj: weekAgo,
-    filterDateTwoWeeksObj: twoWeeksAgo,
-  };
-}
-
 /**
  * 스크래핑 서비스 클래스
  * 각 포털 사이트에서 리뷰 데이터를 수집합니다.
@@ -84,15 +72,32 @@ function getKstDateInfo() {
 class ScraperService {
   constructor() {
     this.browser = null;
+    this.context = null;
     this.page = null;
+    /** init()에서 직접 띄운 브라우저면 true (공유 브라우저를 받은 경우 close()는 컨텍스트만 닫음) */
+    this.ownsBrowser = false;
+    /** 속도 제한에 쓰는 현재 포털/기업 (scrapeByPortal, 장소 매칭에서 설정) */
+    this.rateContext = { portal: null, company: null };
+    /** 작업 중지 신호 (ScraperPool이 설정, 속도 제한 대기를 끊는 데 사용) */
+    this.abortSignal = null;
+    /** 이번 포털 작업 중 감지한 차단 (스크래퍼가 오류를 삼켜도 scrapeByPortal에서 다시 던짐) */
+    this.blockedBy = null;
+    /** 포털 스크래퍼가 삼킨 예외 (빈 결과일 때 실패 파일 저장 판단용) */
+    this.lastScrapeError = null;
+    this.taskJobId = null;
+    /** 리뷰를 연결할 companies.id (scrapeByPortal에서 설정) */
+    this.taskCompanyId = null;
+    /** Playwright trace 기록 중 여부 (SCRAPE_TRACE=1) */
+    this.tracing = false;
   }
 
   /**
-   * 브라우저 초기화
-   * @param {object} options - { headless: boolean } true면 창 없이 실행. false면 브라우저 창 표시 (로컬+PLAYWRIGHT_HEADED=1 시만 권장)
+   * Chromium 실행 (창 표시 모드가 실패하면 headless로 재시도)
+   * @param {object} options - { headless: boolean }
+   * @returns {Promise<import('playwright').Browser>}
    */
-  async init(options = {}) {
-    let headless = options.headless !== false;
+  static async launchBrowser(options = {}) {
+    const headless = options.headless !== false;
     const browserPath = process.env.PLAYWRIGHT_BROWSERS_PATH;
 
     const launchOptions = {
@@ -102,24 +107,38 @@ class ScraperService {
     };
 
     try {
-      this.browser = await chromium.launch(launchOptions);
+      return await chromium.launch(launchOptions);
     } catch (err) {
       // 원격 서버(디스플레이 없음)에서 headless: false로 실패하면 자동으로 headless로 재시도
       if (!headless) {
         console.warn('[Scraper] 브라우저 창 표시 모드 실패, 백그라운드 모드로 재시도:', err?.message || err);
-        headless = true;
-        this.browser = await chromium.launch({
+        return chromium.launch({
           headless: true,
           ...(browserPath && { executablePath: browserPath }),
         });
-      } else {
-        throw err;
       }
+      throw err;
+    }
+  }
+
+  /**
+   * 브라우저 초기화
+   * @param {object} options - { headless: boolean } true면 창 없이 실행. false면 브라우저 창 표시 (로컬+PLAYWRIGHT_HEADED=1 시만 권장)
+   *   browser: 공유 브라우저 (ScraperPool). 지정하면 새로 띄우지 않고 이 브라우저에 컨텍스트만 만든다.
+   *   baseUrls: 포털별 기본 URL 덮어쓰기 ({ naver: 'http://127.0.0.1:4100' }, 생략하면 SCRAPE_BASE_URLS)
+   */
+  async init(options = {}) {
+    if (options.browser) {
+      this.browser = options.browser;
+      this.ownsBrowser = false;
+    } else {
+      this.browser = await ScraperService.launchBrowser(options);
+      this.ownsBrowser = true;
     }
     
     // User-Agent 및 브라우저 컨텍스트 설정 (봇 차단 방지 및 일관된 결과)
     // 참고: launchPersistentContext를 사용하면 프로필을 저장할 수 있지만, 현재는 일반 launch 사용
-    const context = await this.browser.newContext({
+    this.context = await this.browser.newContext({
       userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
       locale: 'ko-KR', // 한국어 설정
       timezoneId: 'Asia/Seoul', // 한국 시간대
@@ -129,8 +148,14 @@ class ScraperService {
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
       },
     });
-    
-    this.page = await context.newPage();
+
+    // 목업 포털 서버 등으로 요청 돌리기 (테스트/CI용, 설정이 없으면 실제 포털로 요청)
+    const baseUrls = options.baseUrls || getPortalBaseUrls();
+    if (await installPortalBaseUrls(this.context, baseUrls)) {
+      console.log(`[Scraper] 포털 기본 URL 덮어쓰기: ${Object.entries(baseUrls).map(([portal, url]) => `${portal}=${url}`).join(', ')}`);
+    }
+
+    this.page = await this.context.newPage();
     
     // 추가 헤더 설정 (봇 감지 방지)
     await this.page.setExtraHTTPHeaders({
@@ -139,12 +164,157 @@ class ScraperService {
   }
 
   /**
-   * 브라우저 종료
+   * 브라우저 종료 (공유 브라우저면 이 인스턴스의 컨텍스트만 닫음)
    */
   async close() {
-    if (this.browser) {
-      await this.browser.close();
+    if (this.ownsBrowser) {
+      if (this.browser) {
+        await this.browser.close();
+      }
+    } else if (this.context) {
+      await this.context.close();
+    }
+  }
+
+  /**
+   * 포털 작업 시작 (속도 제한/차단 감지/실패 파일에 쓰는 포털·기업 지정, 이전 기록 초기화)
+   * @param {string} portal
+   * @param {string|null} company
+   * @param {number|null} jobId
+   * @param {number|null} companyId - 리뷰를 연결할 companies.id (없으면 저장 시 기업명으로 조회)
+   */
+  beginPortalTask(portal, company = null, jobId = null, companyId = null) {
+    this.rateContext = { portal, company };
+    this.blockedBy = null;
+    this.lastScrapeError = null;
+    this.taskJobId = jobId;
+    this.taskCompanyId = companyId;
+  }
+
+  /**
+   * 포털 속도 제한을 지키며 페이지 이동
+   * 포털은 rateContext → URL 도메인 순으로 판별한다.
+   * 403/429 응답이나 알려진 차단 페이지면 PortalBlockedError (해당 포털은 잠시 쉬게 함)
+   * @param {string} url
+   * @param {object} options - page.goto 옵션
+   */
+  async navigate(url, options) {
+    const portal = this.rateContext.portal || findPortalByUrl(url)?.id || null;
+    if (portal) {
+      await acquireNavigation(portal, { company: this.rateContext.company, signal: this.abortSignal });
+    }
+    const response = await this.page.goto(url, options);
+    if (portal) {
+      const status = response?.status();
+      const reason =
+        status === 403 || status === 429 ? `HTTP ${status}` : await detectBlockPage(this.page, getPortal(portal));
+      if (reason) await this.markBlocked(portal, reason);
     }
+    return response;
+  }
+
+  /**
+   * 차단 감지 처리: 스크린샷 저장 → 포털 휴식 보고 → PortalBlockedError
+   * @param {string} portal
+   * @param {string} reason
+   */
+  async markBlocked(portal, reason) {
+    const artifacts = await this.captureFailureArtifacts('blocked');
+    const screenshot = artifacts.find((name) => name.endsWith('.png')) || null;
+    console.warn(`[차단 감지] ${portal}: ${reason} (${this.page.url()})${screenshot ? ` → ${screenshot}` : ''}`);
+    reportPortalFailure(portal, { blocked: true, reason, company: this.rateContext.company });
+    this.blockedBy = new PortalBlockedError(portal, reason, { url: this.page.url(), screenshot });
+    this.blockedBy.artifacts = artifacts;
+    throw this.blockedBy;
+  }
+
+  /**
+   * 실패 파일 저장: 전체 페이지 스크린샷, HTML, (기록 중이면) Playwright trace
+   * 저장에 실패한 파일은 건너뛰고, 저장한 파일 이름만 반환한다.
+   * @param {string} label - 파일 이름에 들어갈 사유 (blocked, error, empty)
+   * @returns {Promise<string[]>}
+   */
+  async captureFailureArtifacts(label) {
+    if (!this.page || this.page.isClosed()) return [];
+    const prefix = createArtifactPrefix({ jobId: this.taskJobId, portal: this.rateContext.portal, label });
+    const saved = [];
+    const save = async (name, write) => {
+      try {
+        await write(await prepareArtifactPath(name));
+        saved.push(name);
+      } catch (error) {
+        console.warn(`[실패 파일] ${name} 저장 실패: ${error?.message || error}`);
+      }
+    };
+    await save(`${prefix}.png`, (filePath) => this.page.screenshot({ path: filePath, fullPage: true }));
+    await save(`${prefix}.html`, async (filePath) => fs.writeFile(filePath, await this.page.content(), 'utf8'));
+    // 네이버맵은 리뷰 목록이 place iframe 안에 있어 iframe HTML도 따로 저장 (픽스처 갱신에 사용)
+    const placeFrame = this.page.frames().find((f) => f !== this.page.mainFrame() && /place/i.test(f.url()));
+    if (placeFrame) {
+      await save(`${prefix}-frame.html`, async (filePath) => fs.writeFile(filePath, await placeFrame.content(), 'utf8'));
+    }
+    if (this.tracing) {
+      this.tracing = false;
+      await save(`${prefix}-trace.zip`, (filePath) => this.context.tracing.stop({ path: filePath }));
+    }
+    if (saved.length > 0) console.log(`[실패 파일] ${saved.join(', ')}`);
+    return saved;
+  }
+
+  /**
+   * Playwright trace 기록 시작 (SCRAPE_TRACE=1일 때만, 실패 시 captureFailureArtifacts에서 저장)
+   */
+  async startTrace() {
+    if (!isTraceEnabled() || !this.context || this.tracing) return;
+    try {
+      await this.context.tracing.start({ screenshots: true, snapshots: true });
+      this.tracing = true;
+    } catch (error) {
+      console.warn(`[trace] 기록 시작 실패: ${error?.message || error}`);
+    }
+  }
+
+  /**
+   * 저장하지 않은 trace 버리기 (성공한 작업)
+   */
+  async discardTrace() {
+    if (!this.tracing) return;
+    this.tracing = false;
+    try {
+      await this.context.tracing.stop();
+    } catch {}
+  }
+
+  /**
+   * 차단 여부 확인 (이미 감지했으면 그 오류를, 아니면 현재 페이지를 검사)
+   * 리뷰/후보를 하나도 못 찾았을 때 "0개 성공"으로 끝나지 않도록 호출한다.
+   */
+  async assertNotBlocked() {
+    if (this.blockedBy) throw this.blockedBy;
+    const portal = this.rateContext.portal;
+    if (!portal || !this.page) return;
+    const reason = await detectBlockPage(this.page, getPortal(portal));
+    if (reason) await this.markBlocked(portal, reason);
+  }
+
+  /**
+   * 로딩/스크롤 대기 (현재 포털 정책의 지터 적용, 고정 간격으로 요청이 찍히지 않도록)
+   * @param {number} ms
+   */
+  async pause(ms) {
+    await this.page.waitForTimeout(jitterDelay(ms, this.rateContext.portal));
+  }
+
+  /**
+   * 리뷰를 연결할 기업 ID
+   * scrapeByPortal에서 받은 ID가 있으면 그대로 쓰고, 없으면(포털 메서드를 직접 호출) 기업명으로 조회
+   * @param {string} companyName
+   * @returns {Promise<number|null>} 등록되지 않은 기업이면 null
+   */
+  async resolveCompanyId(companyName) {
+    if (this.taskCompanyId) return this.taskCompanyId;
+    const result = await pool.query('SELECT id FROM companies WHERE company_name = $1 LIMIT 1', [companyName]);
+    return result.rows[0]?.id ?? null;
   }
 
   /**
@@ -155,6 +325,8 @@ class ScraperService {
       portalUrl,
       companyName,
       reviewDate,
+      reviewDatePrecision,
+      reviewDateRaw,
       content,
       rating,
       nickname,
@@ -168,38 +340,12 @@ class ScraperService {
       nCharCount,
       title,
       additionalInfo,
+      originalContent,
     } = reviewData;
 
     try {
-      // reviewDate 안전 변환
-      // - Date 객체라도 Invalid Date면 toISOString()이 터지므로 검증 필요
-      // - 문자열도 YYYY-MM-DD 형태인지 검증
-      let reviewDateStr = null;
-
-      const isValidDateObj = (d) => d instanceof Date && !Number.isNaN(d.getTime());
-      const normalizeDateStr = (s) => {
-        if (!s) return null;
-        const t = String(s).trim();
-        if (!t) return null;
-        // 허용: YYYY-MM-DD
-        const m = t.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-        if (!m) return null;
-        const dt = new Date(t);
-        if (Number.isNaN(dt.getTime())) return null;
-        return t;
-      };
-
-      if (isValidDateObj(reviewDate)) {
-        reviewDateStr = reviewDate.toISOString().split('T')[0];
-      } else if (typeof reviewDate === 'string') {
-        reviewDateStr = normalizeDateStr(reviewDate);
-      } else if (reviewDate !== null && reviewDate !== undefined) {
-        // 숫자 타임스탬프 등 들어오는 경우 방어
-        const dt = new Date(reviewDate);
-        if (!Number.isNaN(dt.getTime())) {
-          reviewDateStr = dt.toISOString().split('T')[0];
-        }
-      }
+      // reviewDate 안전 변환 (Date, YYYY-MM-DD, 포털 날짜 텍스트 → YYYY-MM-DD, 달력에 없는 날짜는 null)
+      const reviewDateStr = toReviewDateStr(reviewDate, getKstDateInfo());
 
       // 날짜가 유효하지 않으면 저장 스킵 (안정성)
       if (!reviewDateStr) {
@@ -209,6 +355,24 @@ class ScraperService {
         return false;
       }
 
+      // 리뷰는 companies.id로 연결 (기업명이 바뀌어도 유지, 중복 판정 기준)
+      const companyId = await this.resolveCompanyId(companyName);
+      if (!companyId) {
+        console.log(`⚠️ 리뷰 저장 스킵: companies에 없는 기업 (company="${companyName}", portal="${portalUrl}")`);
+        return false;
+      }
+
+      // 포털은 portals.code로 참조 (portalUrl은 '네이버맵' 같은 표시 이름, 사본으로 함께 저장)
+      const portalCode = findPortalByName(portalUrl)?.id || this.rateContext.portal || null;
+      if (!portalCode) {
+        console.log(`⚠️ 리뷰 저장 스킵: 알 수 없는 포털 (portal="${portalUrl}", company="${companyName}")`);
+        return false;
+      }
+
+      // 날짜 정밀도 ("1개월 전" → month)와 화면 원문 (정밀도가 없으면 정확한 날짜로 봄)
+      const datePrecision = DATE_PRECISIONS.includes(reviewDatePrecision) ? reviewDatePrecision : 'day';
+      const dateRaw = typeof reviewDateRaw === 'string' && reviewDateRaw.trim() ? reviewDateRaw.trim().slice(0, 100) : null;
+
       // rating 값 검증 및 제한 (NUMERIC(3,2)는 최대 9.99까지만 허용)
       let safeRating = rating;
       if (safeRating !== null && safeRating !== undefined) {
@@ -239,9 +403,10 @@ class ScraperService {
         `INSERT INTO reviews (
           portal_url, company_name, review_date, content, rating, nickname,
           visit_keyword, review_keyword, visit_type, emotion, revisit_flag,
-          n_rating, n_emotion, n_char_count, title, additional_info
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-        ON CONFLICT (company_name, nickname, portal_url, (COALESCE(LEFT(content, 2000), ''))) DO NOTHING`,
+          n_rating, n_emotion, n_char_count, title, additional_info, original_content,
+          review_date_precision, review_date_raw, company_id, portal_code
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+        ON CONFLICT (company_id, nickname, portal_code, (COALESCE(LEFT(content, 2000), ''))) DO NOTHING`,
         [
           portalUrl,
           companyName,
@@ -259,16 +424,21 @@ class ScraperService {
           nCharCount,
           title || null,
           additionalInfo || null,
+          originalContent || null,
+          datePrecision,
+          dateRaw,
+          companyId,
+          portalCode,
         ]
       );
       // rowCount가 1이면 새로 삽입됨, 0이면 중복으로 인해 삽입되지 않음
       if (result.rowCount === 0) {
-        // 중복 확인을 위해 실제 DB에서 확인 (company_name, nickname, portal_url, content 앞 2000자)
+        // 중복 확인을 위해 실제 DB에서 확인 (company_id, nickname, portal_code, content 앞 2000자)
         const contentKey = typeof content === 'string' ? content.slice(0, 2000) : '';
         const checkResult = await pool.query(
           `SELECT id FROM reviews 
-           WHERE company_name = $1 AND nickname = $2 AND portal_url = $3 AND COALESCE(LEFT(content, 2000), '') = COALESCE($4, '')`,
-          [companyName, nickname, portalUrl, contentKey]
+           WHERE company_id = $1 AND nickname = $2 AND portal_code = $3 AND COALESCE(LEFT(content, 2000), '') = COALESCE($4, '')`,
+          [companyId, nickname, portalCode, contentKey]
         );
         if (checkResult.rows.length > 0) {
           // 실제로 중복인 경우
@@ -279,7 +449,9 @@ class ScraperService {
           console.error('⚠️ 리뷰 저장 실패: 중복이 아닌데 저장되지 않음');
           console.error('  저장 시도 데이터:', {
             portalUrl,
+            portalCode,
             companyName,
+            companyId,
             reviewDate: reviewDateStr,
             nickname,
             contentLength: content?.length || 0,
@@ -290,8 +462,8 @@ class ScraperService {
               `INSERT INTO reviews (
                 portal_url, company_name, review_date, content, rating, nickname,
                 visit_keyword, review_keyword, visit_type, emotion, revisit_flag,
-                n_rating, n_emotion, n_char_count
-              ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+                n_rating, n_emotion, n_char_count, review_date_precision, review_date_raw, company_id, portal_code
+              ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)`,
               [
                 portalUrl,
                 companyName,
@@ -307,6 +479,10 @@ class ScraperService {
                 nRating,
                 nEmotion,
                 nCharCount,
+                datePrecision,
+                dateRaw,
+                companyId,
+                portalCode,
               ]
             );
             console.log('  재시도 결과:', retryResult.rowCount > 0 ? '성공' : '실패');
@@ -414,26 +590,6 @@ class ScraperService {
     };
   }
 
-  /**
-   * 네이버맵 리뷰 content에서 순수 본문만 추출
-   * - "별점N점" 이전: 작성자, 팔로우 등 (제거)
-   * - "반응 남기기" 이후: 방문일, 인증수단 등 (제거)
-   */
-  extractNaverMapReviewContent(raw) {
-    if (!raw || typeof raw !== 'string') return raw || '';
-    let s = raw.trim();
-    // 1. "별점N점" (별점5점, 별점 4.5점 등) 이전 내용 제거
-    const starMatch = s.match(/별점\s*\d+(\.\d+)?\s*점/);
-    if (starMatch) {
-      const idx = s.indexOf(starMatch[0]) + starMatch[0].length;
-      s = s.slice(idx).trim();
-    }
-    // 2. "반응 남기기" (또는 "반응 나기기") 이후 내용 제거
-    const reactIdx = s.search(/반응\s*[남나]기기/);
-    if (reactIdx >= 0) s = s.slice(0, reactIdx).trim();
-    return s.replace(/\s+/g, ' ').trim();
-  }
-
   /**
    * 네이버맵 URL 정규화
    * 쿼리 파라미터를 제거하고 기본 URL만 사용
@@ -455,113 +611,172 @@ class ScraperService {
   }
 
   /**
-   * 네이버맵 스크래핑 (기업명으로 검색)
+   * 네이버맵 장소 후보 검색 (resolve 단계용)
+   * 통합검색 플레이스 영역에서 장소 ID가 있는 링크를 모아 이름/주소/카테고리/URL을 반환하며 리뷰는 수집하지 않는다.
+   * @param {string} companyName - 기업명 (검색어)
+   * @param {number} limit - 최대 후보 수
+   * @returns {Promise<Array<{name: string, address: string, category: string, url: string}>>}
+   */
+  async searchNaverPlaces(companyName, limit = 5) {
+    console.log(`[네이버맵 resolve] "${companyName}" 후보 검색 (최대 ${limit}개)`);
+    const searchUrl = `https://search.naver.com/search.naver?&query=${encodeURIComponent(companyName)}`;
+    await this.navigate(searchUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await this.pause(5000); // 검색 결과 로딩 대기
+
+    const candidates = await this.page.evaluate((max) => {
+      const textOf = (root, selectors) => {
+        for (const sel of selectors) {
+          const el = root.querySelector(sel);
+          const t = el && (el.textContent || '').replace(/\s+/g, ' ').trim();
+          if (t) return t;
+        }
+        return '';
+      };
+      const seen = new Set();
+      const results = [];
+      for (const link of document.querySelectorAll('#place-main-section-root a[href], a[href*="map.naver.com"], a[href*="place.naver.com"]')) {
+        const href = link.getAttribute('href') || '';
+        const match = href.match(/\/entry\/place\/(\d+)/) || href.match(/place\.naver\.com\/(?:[a-z]+\/)?(\d+)/);
+        if (!match || seen.has(match[1])) continue;
+        seen.add(match[1]);
+        // 링크를 감싼 목록 항목/섹션에서 장소 이름과 주소를 읽음 ("리뷰 정보 보기" 같은 버튼 문구는 이름이 아님)
+        const card = link.closest('li, section') || link.parentElement;
+        results.push({
+          placeId: match[1],
+          name: textOf(card, ['h2', 'h3', '.place_bluelink', '[class*="title"]', '[class*="name"]']),
+          address: textOf(card, ['[class*="addr"]']),
+          category: textOf(card, ['[class*="category"]', '[class*="cate"]']),
+        });
+        if (results.length >= max) break;
+      }
+      return results;
+    }, limit);
+
+    return candidates.map(({ placeId, ...rest }) => ({ ...rest, url: `https://map.naver.com/p/entry/place/${placeId}` }));
+  }
+
+  /**
+   * 네이버맵 스크래핑
+   * naver_url에 장소 ID가 있으면 해당 장소 리뷰 페이지로 바로 이동하고, 없을 때만 기업명으로 검색
    * @param {string} companyName - 기업명 (검색어로 사용)
    * @param {string} dateFilter - 'all' (전체) 또는 'week' (일주일 간격)
+   * @param {string} naverUrl - 네이버맵 URL (companies 테이블의 naver_url)
    */
-  async scrapeNaverMap(companyName, dateFilter = 'week', jobId = null, portalType = 'naver', saveImmediately = false) {
+  async scrapeNaverMap(companyName, dateFilter = 'week', naverUrl = null, jobId = null, portalType = 'naver', saveImmediately = false) {
     let actualSavedCount = 0; // 실제 저장 성공 개수 추적
     try {
       const kstStart = getKstDateInfo();
       console.log(`[네이버맵 상세] 스크래핑 시작: "${companyName}" (필터: ${dateFilter}, KST오늘: ${kstStart.todayStr}, week기준: ${kstStart.filterDateWeek})`);
       
-      // 네이버 검색 페이지로 이동
-      const searchUrl = `https://search.naver.com/search.naver?&query=${encodeURIComponent(companyName)}`;
-      console.log(`[네이버맵 상세] 1단계: 검색 페이지 이동 → ${searchUrl}`);
-      await this.page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
-      await this.page.waitForTimeout(5000); // 검색 결과 로딩 대기
-      console.log(`[네이버맵 상세] 1단계 완료: 현재 URL=${this.page.url()}`);
+      // 저장된 naver_url에 장소 ID가 있으면 검색 없이 바로 리뷰 페이지로 이동
+      const storedPlaceUrl = naverUrl ? this.normalizeNaverMapUrl(naverUrl) : null;
+      if (storedPlaceUrl && /\/entry\/place\/\d+$/.test(storedPlaceUrl)) {
+        const targetUrl = `${storedPlaceUrl}?placePath=%2Freview`;
+        console.log(`[네이버맵 상세] 1~2단계: 저장된 URL로 바로 이동 → ${targetUrl}`);
+        await this.navigate(targetUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await this.pause(5000);
+      } else {
+        if (naverUrl) {
+          console.log(`[네이버맵 상세] 저장된 URL에서 장소 ID를 찾지 못함 (${naverUrl}) → 기업명 검색으로 진행`);
+        }
+        // 네이버 검색 페이지로 이동
+        const searchUrl = `https://search.naver.com/search.naver?&query=${encodeURIComponent(companyName)}`;
+        console.log(`[네이버맵 상세] 1단계: 검색 페이지 이동 → ${searchUrl}`);
+        await this.navigate(searchUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await this.pause(5000); // 검색 결과 로딩 대기
+        console.log(`[네이버맵 상세] 1단계 완료: 현재 URL=${this.page.url()}`);
       
-      // 2단계: 더보기(리뷰 정보 보기) 버튼 우선 - 스크롤 후 클릭 (이전 정상 동작 방식)
-      console.log(`[네이버맵 상세] 2단계: 더보기 버튼 찾는 중...`);
-      const moreButtonSelectors = [
-        '#place-main-section-root > section:nth-child(1) > div > div.mod_more_wrap > a',
-        '#place-main-section-root > section:nth-child(1) > div > div:nth-child(5) > a',
-      ];
-      let naverMapUrl = null;
-      let moreButton = null;
-
-      // 리뷰 정보 보기가 중간쯤에 있으므로 스크롤
-      try {
-        await this.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight / 2));
-        await this.page.waitForTimeout(1500);
-      } catch (_) {}
+        // 2단계: 더보기(리뷰 정보 보기) 버튼 우선 - 스크롤 후 클릭 (이전 정상 동작 방식)
+        console.log(`[네이버맵 상세] 2단계: 더보기 버튼 찾는 중...`);
+        const moreButtonSelectors = [
+          '#place-main-section-root > section:nth-child(1) > div > div.mod_more_wrap > a',
+          '#place-main-section-root > section:nth-child(1) > div > div:nth-child(5) > a',
+        ];
+        let naverMapUrl = null;
+        let moreButton = null;
 
-      for (const sel of moreButtonSelectors) {
+        // 리뷰 정보 보기가 중간쯤에 있으므로 스크롤
         try {
-          const btn = this.page.locator(sel).first();
-          if (await btn.count() > 0) {
-            await btn.waitFor({ state: 'visible', timeout: 10000 });
-            const buttonHref = await btn.getAttribute('href').catch(() => null);
-            if (buttonHref && (buttonHref.includes('map.naver.com') || buttonHref.includes('/place/'))) {
-              naverMapUrl = buttonHref.startsWith('/') ? `https://map.naver.com${buttonHref}` : (buttonHref.startsWith('http') ? buttonHref : `https://map.naver.com/${buttonHref}`);
-              moreButton = btn;
-              console.log(`[네이버맵 상세] 2단계: 더보기 버튼 발견 (${sel.includes('mod_more_wrap') ? 'mod_more_wrap' : 'nth-child(5)'})`);
-              break;
-            }
-          }
+          await this.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight / 2));
+          await this.pause(1500);
         } catch (_) {}
-      }
 
-      if (!naverMapUrl) {
-        console.log(`[네이버맵 상세] 2단계: 더보기 href 없음 → map.naver.com 링크 fallback`);
-        const mapLinks = await this.page.locator('a[href*="map.naver.com"]').all();
-        for (const el of mapLinks) {
-          const href = await el.getAttribute('href').catch(() => null);
-          if (href && href.includes('/entry/place/')) {
-            naverMapUrl = href.startsWith('/') ? `https://map.naver.com${href}` : (href.startsWith('http') ? href : `https://map.naver.com/${href}`);
-            console.log(`[네이버맵 상세] 2단계: map 링크(entry/place) fallback 발견`);
-            break;
-          }
+        for (const sel of moreButtonSelectors) {
+          try {
+            const btn = this.page.locator(sel).first();
+            if (await btn.count() > 0) {
+              await btn.waitFor({ state: 'visible', timeout: 10000 });
+              const buttonHref = await btn.getAttribute('href').catch(() => null);
+              if (buttonHref && (buttonHref.includes('map.naver.com') || buttonHref.includes('/place/'))) {
+                naverMapUrl = buttonHref.startsWith('/') ? `https://map.naver.com${buttonHref}` : (buttonHref.startsWith('http') ? buttonHref : `https://map.naver.com/${buttonHref}`);
+                moreButton = btn;
+                console.log(`[네이버맵 상세] 2단계: 더보기 버튼 발견 (${sel.includes('mod_more_wrap') ? 'mod_more_wrap' : 'nth-child(5)'})`);
+                break;
+              }
+            }
+          } catch (_) {}
         }
-        if (!naverMapUrl && mapLinks.length > 0) {
-          const firstHref = await mapLinks[0].getAttribute('href').catch(() => null);
-          if (firstHref) {
-            naverMapUrl = firstHref.startsWith('/') ? `https://map.naver.com${firstHref}` : (firstHref.startsWith('http') ? firstHref : `https://map.naver.com/${firstHref}`);
-            console.log(`[네이버맵 상세] 2단계: map 링크 fallback (첫 번째)`);
+
+        if (!naverMapUrl) {
+          console.log(`[네이버맵 상세] 2단계: 더보기 href 없음 → map.naver.com 링크 fallback`);
+          const mapLinks = await this.page.locator('a[href*="map.naver.com"]').all();
+          for (const el of mapLinks) {
+            const href = await el.getAttribute('href').catch(() => null);
+            if (href && href.includes('/entry/place/')) {
+              naverMapUrl = href.startsWith('/') ? `https://map.naver.com${href}` : (href.startsWith('http') ? href : `https://map.naver.com/${href}`);
+              console.log(`[네이버맵 상세] 2단계: map 링크(entry/place) fallback 발견`);
+              break;
+            }
+          }
+          if (!naverMapUrl && mapLinks.length > 0) {
+            const firstHref = await mapLinks[0].getAttribute('href').catch(() => null);
+            if (firstHref) {
+              naverMapUrl = firstHref.startsWith('/') ? `https://map.naver.com${firstHref}` : (firstHref.startsWith('http') ? firstHref : `https://map.naver.com/${firstHref}`);
+              console.log(`[네이버맵 상세] 2단계: map 링크 fallback (첫 번째)`);
+            }
           }
         }
-      }
 
-      if (!naverMapUrl) {
-        console.log(`[네이버맵 상세] 2단계 실패: 더보기/map 링크 모두 미발견 → 스크래핑 건너뜀`);
-        return [];
-      }
+        if (!naverMapUrl) {
+          console.log(`[네이버맵 상세] 2단계 실패: 더보기/map 링크 모두 미발견 → 스크래핑 건너뜀`);
+          return [];
+        }
 
-      const currentBefore = this.page.url();
-      let targetUrl = naverMapUrl.replace(/\?.*$/, '');
-      if (!targetUrl.includes('placePath=')) {
-        targetUrl += (targetUrl.includes('?') ? '&' : '?') + 'placePath=%2Freview';
-      }
+        const currentBefore = this.page.url();
+        let targetUrl = naverMapUrl.replace(/\?.*$/, '');
+        if (!targetUrl.includes('placePath=')) {
+          targetUrl += (targetUrl.includes('?') ? '&' : '?') + 'placePath=%2Freview';
+        }
 
-      if (currentBefore.includes('map.naver.com')) {
-        console.log(`[네이버맵 상세] 2단계: 이미 map 페이지에 있음`);
-      } else if (moreButton) {
-        try {
-          await moreButton.click({ timeout: 5000 });
-          await this.page.waitForTimeout(3000);
-          const afterUrl = this.page.url();
-          if (!afterUrl.includes('map.naver.com')) {
-            console.log(`[네이버맵 상세] 2단계: 클릭 미이동 → goto로 직접 이동`);
-            await this.page.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
-            await this.page.waitForTimeout(5000);
-          } else {
-            console.log(`[네이버맵 상세] 2단계 완료: 클릭으로 이동 성공`);
+        if (currentBefore.includes('map.naver.com')) {
+          console.log(`[네이버맵 상세] 2단계: 이미 map 페이지에 있음`);
+        } else if (moreButton) {
+          try {
+            await moreButton.click({ timeout: 5000 });
+            await this.pause(3000);
+            const afterUrl = this.page.url();
+            if (!afterUrl.includes('map.naver.com')) {
+              console.log(`[네이버맵 상세] 2단계: 클릭 미이동 → goto로 직접 이동`);
+              await this.navigate(targetUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+              await this.pause(5000);
+            } else {
+              console.log(`[네이버맵 상세] 2단계 완료: 클릭으로 이동 성공`);
+            }
+          } catch (e) {
+            console.log(`[네이버맵 상세] 2단계: 클릭 예외 (${e.message}) → goto로 이동`);
+            await this.navigate(targetUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+            await this.pause(5000);
           }
-        } catch (e) {
-          console.log(`[네이버맵 상세] 2단계: 클릭 예외 (${e.message}) → goto로 이동`);
-          await this.page.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
-          await this.page.waitForTimeout(5000);
+        } else {
+          console.log(`[네이버맵 상세] 2단계: goto로 네이버맵 페이지 이동`);
+          await this.navigate(targetUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+          await this.pause(5000);
         }
-      } else {
-        console.log(`[네이버맵 상세] 2단계: goto로 네이버맵 페이지 이동`);
-        await this.page.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
-        await this.page.waitForTimeout(5000);
       }
-      
+
       console.log(`[네이버맵 상세] 2단계 완료: 네이버맵 페이지 도착, URL=${this.page.url()}`);
       // 네이버맵 페이지 로딩 대기 (place 패널/iframe 비동기 로드 대비)
-      await this.page.waitForTimeout(5000);
+      await this.pause(5000);
 
       // iframe 찾기 (네이버맵 place 패널은 iframe 사용, 선택자/타이틀 변경 대비)
       let frame = this.page;
@@ -598,7 +813,7 @@ class ScraperService {
         // 리뷰 탭 클릭 (있는 경우)
         try {
           await frame.getByRole('tab', { name: '리뷰' }).click({ timeout: 3000 });
-          await this.page.waitForTimeout(2000);
+          await this.pause(2000);
         } catch (e) {
           // 리뷰 탭이 없으면 무시 (이미 리뷰 페이지일 수 있음)
           console.log('리뷰 탭을 찾을 수 없습니다. 현재 페이지에서 진행합니다.');
@@ -613,9 +828,9 @@ class ScraperService {
             const isVisible = await latestSortButton.isVisible().catch(() => false);
             if (isVisible) {
               await latestSortButton.scrollIntoViewIfNeeded();
-              await this.page.waitForTimeout(500);
+              await this.pause(500);
               await latestSortButton.click({ timeout: 5000 });
-              await this.page.waitForTimeout(2000); // 정렬 후 리스트 새로고침 대기
+              await this.pause(2000); // 정렬 후 리스트 새로고침 대기
               console.log('✅ 최신순 정렬 적용 완료');
             }
           } else {
@@ -630,11 +845,11 @@ class ScraperService {
       if (frame && typeof frame.locator === 'function') {
         try {
           await frame.locator('ul#_review_list').waitFor({ state: 'attached', timeout: 15000 });
-          await this.page.waitForTimeout(3000);
+          await this.pause(3000);
           // 리뷰 항목이 하나라도 나타날 때까지 추가 대기 (lazy 렌더링 대비)
           try {
             await frame.locator('ul#_review_list li').first().waitFor({ state: 'visible', timeout: 8000 });
-            await this.page.waitForTimeout(1500);
+            await this.pause(1500);
           } catch (_) {}
           console.log('[네이버맵] 리뷰 목록 로드 대기 완료');
         } catch (e) {
@@ -667,9 +882,9 @@ class ScraperService {
                 el = el.parentElement;
               }
             }, { scrollPx });
-            await this.page.waitForTimeout(pauseMs);
+            await this.pause(pauseMs);
           }
-          await this.page.waitForTimeout(1000);
+          await this.pause(1000);
           console.log(`[네이버맵] 리뷰 영역 스크롤 ${scrollSteps}회 완료 (lazy-load 반영)`);
         } catch (e) {
           console.log('[네이버맵] 리뷰 영역 스크롤 중 오류(무시):', e.message);
@@ -680,17 +895,18 @@ class ScraperService {
       // 1) locator 방식(ul#_review_list) 시도 → 클래스 변경 시 ul#_review_list li fallback → 2) 0건이면 evaluate
       let reviews = [];
 
-      let reviewItemSelector = 'ul#_review_list > li.place_apply_pui';
+      const [primarySelector, fallbackSelector] = NAVER_REVIEW_ITEM_SELECTORS;
+      let reviewItemSelector = primarySelector;
       let primaryCount = 0;
       let fallbackCount = 0;
       if (frame && typeof frame.locator === 'function') {
         try {
-          primaryCount = await frame.locator('ul#_review_list > li.place_apply_pui').count();
-          fallbackCount = await frame.locator('ul#_review_list li').count();
+          primaryCount = await frame.locator(primarySelector).count();
+          fallbackCount = await frame.locator(fallbackSelector).count();
           if (primaryCount > 0) {
             console.log(`[네이버맵] ul#_review_list > li.place_apply_pui 리뷰 ${primaryCount}개 발견 - locator 수집`);
           } else if (fallbackCount > 0) {
-            reviewItemSelector = 'ul#_review_list li';
+            reviewItemSelector = fallbackSelector;
             console.log(`[네이버맵] ul#_review_list li 리뷰 ${fallbackCount}개 발견 (place_apply_pui 미일치) - locator 수집`);
           } else {
             console.log(`[네이버맵] 리뷰 0개 - 선택자 미일치 (ul#_review_list > li.place_apply_pui: ${primaryCount}, ul#_review_list li: ${fallbackCount}). evaluate 시도`);
@@ -707,13 +923,10 @@ class ScraperService {
         // locator 기반 수집 (더보기 클릭 포함)
         try {
           const kst = getKstDateInfo();
-          let filterDate = null;
           let filterDateStr = null;
           if (dateFilter === 'week') {
-            filterDate = kst.filterDateWeekObj;
             filterDateStr = kst.filterDateWeek;
           } else if (dateFilter === 'twoWeeks') {
-            filterDate = kst.filterDateTwoWeeksObj;
             filterDateStr = kst.filterDateTwoWeeks;
           }
           let naverNoDateSkipCount = 0;
@@ -722,7 +935,7 @@ class ScraperService {
           reviews = [];
 
           while (!shouldStop) {
-            await this.page.waitForTimeout(1000);
+            await this.pause(1000);
             const reviewItems = frame.locator(reviewItemSelector);
             const currentPageReviewCount = await reviewItems.count();
             if (currentPageReviewCount === 0) {
@@ -731,128 +944,71 @@ class ScraperService {
             }
             console.log(`[네이버맵] 현재 페이지 리뷰 ${currentPageReviewCount}개 (처리 인덱스: ${processedReviewIndex})`);
 
-            for (let i = processedReviewIndex; i < currentPageReviewCount; i++) {
-              const container = reviewItems.nth(i);
-              try { await container.scrollIntoViewIfNeeded(); await this.page.waitForTimeout(300); } catch (_) {}
-              const allText = await container.textContent().catch(() => '');
-              if (!allText || allText.trim().length < 10) continue;
-
-              let nickname = `사용자${i + 1}`;
-              try {
-                const nicknameEl = container.locator('.pui__NMi-Dp').first();
-                if (await nicknameEl.count() > 0) {
-                  const t = await nicknameEl.textContent().catch(() => '');
-                  if (t && t.trim()) nickname = t.trim();
-                }
-              } catch (_) {}
-
-              let rating = 0;
-              try {
-                const starEl = container.locator('[class*="star"], [aria-label*="별점"], [aria-label*="점"]');
-                if (await starEl.count() > 0) {
-                  const aria = await starEl.first().getAttribute('aria-label').catch(() => '');
-                  const m = aria.match(/(\d+\.?\d*)/);
-                  if (m) rating = parseFloat(m[1]);
-                }
-              } catch (_) {}
-              if (rating === 0) {
-                const m = allText.match(/(\d+\.?\d*)\s*점|별점[:\s]*(\d+\.?\d*)/);
-                if (m) rating = parseFloat(m[1] || m[2] || '0');
-              }
-
-              let reviewDate = null;
-              let skippedNoDate = false;
-              try {
-                const timeEl = container.locator('.pui__gfuUIT time').first();
-                if (await timeEl.count() > 0) {
-                  const dateText = await timeEl.textContent().catch(() => '') || '';
-                  const t = String(dateText).trim();
-                  const today = getKstDateInfo().todayDate;
-                  if (t.includes('오늘')) reviewDate = today.toISOString().split('T')[0];
-                  else if (t.includes('어제')) { const d = new Date(today); d.setDate(d.getDate() - 1); reviewDate = d.toISOString().split('T')[0]; }
-                  else {
-                    const rel = t.match(/(\d+)\s*(일|주|개월)\s*전/);
-                    if (rel) { const n = parseInt(rel[1], 10); const d = new Date(today); if (rel[2] === '일') d.setDate(d.getDate() - n); else if (rel[2] === '주') d.setDate(d.getDate() - n * 7); else if (rel[2] === '개월') d.setMonth(d.getMonth() - n); reviewDate = d.toISOString().split('T')[0]; }
-                    else {
-                      const yyFirst = t.match(/^(\d{2})\.(\d{1,2})\.(\d{1,2})(?:\.(?:월|화|수|목|금|토|일))?$/);
-                      if (yyFirst) {
-                        const yy = parseInt(yyFirst[1], 10);
-                        const mo = yyFirst[2].padStart(2, '0');
-                        const dy = yyFirst[3].padStart(2, '0');
-                        const mn = parseInt(mo, 10);
-                        const dn = parseInt(dy, 10);
-                        if (mn >= 1 && mn <= 12 && dn >= 1 && dn <= 31) {
-                          const y = yy < 50 ? `20${yyFirst[1]}` : `19${yyFirst[1]}`;
-                          reviewDate = `${y}-${mo}-${dy}`;
-                        }
-                      }
-                      if (!reviewDate) {
-                        const md = t.match(/(\d{1,2})\.(\d{1,2})\.(월|화|수|목|금|토|일)/);
-                        if (md) { const y = today.getFullYear(); reviewDate = `${y}-${md[1].padStart(2,'0')}-${md[2].padStart(2,'0')}`; }
-                        else {
-                          const ymd = t.match(/(\d{4}|\d{2})\.(\d{1,2})\.(\d{1,2})\.?/);
-                          if (ymd) {
-                            let y = ymd[1].length === 4 ? ymd[1] : (parseInt(ymd[1], 10) < 50 ? `20${ymd[1]}` : `19${ymd[1]}`);
-                            const mo = ymd[2].padStart(2, '0');
-                            const dy = ymd[3].padStart(2, '0');
-                            const mn = parseInt(mo, 10);
-                            const dn = parseInt(dy, 10);
-                            if (mn >= 1 && mn <= 12 && dn >= 1 && dn <= 31) reviewDate = `${y}-${mo}-${dy}`;
-                          }
-                        }
-                      }
+            // 새로 나타난 리뷰의 본문/키워드 "더보기"를 펼친 뒤 한 번에 읽음
+            try {
+              await reviewItems.last().scrollIntoViewIfNeeded();
+              const expanded = await frame.evaluate(({ selector, from }) => {
+                let clicked = 0;
+                Array.from(document.querySelectorAll(selector)).slice(from).forEach((item) => {
+                  item.querySelectorAll('a.pui__wFzIYl, a[data-pui-click-code="keywordmore"]').forEach((btn) => {
+                    if (btn.getAttribute('data-pui-click-code') === 'keywordmore' || /더보기/.test(btn.textContent || '')) {
+                      btn.click();
+                      clicked++;
                     }
-                  }
-                }
-              } catch (_) {}
+                  });
+                });
+                return clicked;
+              }, { selector: reviewItemSelector, from: processedReviewIndex });
+              if (expanded > 0) await this.pause(1000); // 펼쳐지는 애니메이션 대기
+            } catch (_) {}
+
+            const cards = await frame.evaluate(extractNaverReviewCards, reviewItemSelector);
+            for (let i = processedReviewIndex; i < cards.length; i++) {
+              const review = normalizeNaverReview(cards[i], { index: i, kst });
+              if (!review) continue;
+              const reviewDate = review.date;
               if (!reviewDate) {
-                const ymd = allText.match(/(\d{4}|\d{2})\.(\d{1,2})\.(\d{1,2})\.?/);
-                if (ymd) {
-                  const y = ymd[1].length === 4 ? ymd[1] : (parseInt(ymd[1], 10) < 50 ? `20${ymd[1]}` : `19${ymd[1]}`);
-                  const mo = ymd[2].padStart(2, '0');
-                  const dy = ymd[3].padStart(2, '0');
-                  const mn = parseInt(mo, 10);
-                  const dn = parseInt(dy, 10);
-                  if (mn >= 1 && mn <= 12 && dn >= 1 && dn <= 31) reviewDate = `${y}-${mo}-${dy}`;
-                }
-                if (!reviewDate) {
-                  const m = allText.match(/(\d{1,2})\.(\d{1,2})\.(월|화|수|목|금|토|일)/);
-                  if (m) {
-                    const y = getKstDateInfo().todayDate.getFullYear();
-                    reviewDate = `${y}-${m[1].padStart(2,'0')}-${m[2].padStart(2,'0')}`;
-                  }
+                naverNoDateSkipCount++;
+                if (naverNoDateSkipCount <= 5) {
+                  console.log(`⚠️ [네이버맵] 날짜 파싱 실패 (샘플 ${naverNoDateSkipCount}/5, 즉시 저장 제외): nickname="${review.nickname}", 날짜 후보=${JSON.stringify(cards[i].dates)}`);
                 }
               }
-              if (!reviewDate) { naverNoDateSkipCount++; skippedNoDate = true; }
 
               // 날짜 필터링: 범위 밖이면 이 리뷰만 스킵, 나머지 처리 후 종료 (한 페이지 전체 처리)
-              if ((dateFilter === 'week' || dateFilter === 'twoWeeks') && filterDateStr && reviewDate && reviewDate < filterDateStr) {
+              if (isBeforeDateFilter(reviewDate, review.datePrecision, filterDateStr)) {
                 console.log(`[네이버맵] 날짜 필터 범위 벗어남 (이 리뷰 스킵, 나머지 처리 후 종료): ${reviewDate} < ${filterDateStr}`);
                 shouldStop = true;
                 continue;
               }
 
-              let content = '';
-              try {
-                const contentEl = container.locator('[class*="comment"], [class*="text"], [class*="content"], .pui__vzH5F').first();
-                if (await contentEl.count() > 0) content = (await contentEl.textContent().catch(() => '') || '').trim();
-              } catch (_) {}
-              if (!content) content = allText.replace(/\s+/g, ' ').trim().slice(0, 2000);
-              content = this.extractNaverMapReviewContent(content);
-
-              const revisitMatch = allText.match(/(\d+)번째\s*방문/);
-              const revisitFlag = !!revisitMatch;
-
-              if (content || rating > 0) {
-                const item = { content, rating, nickname, date: reviewDate || getKstDateInfo().todayStr, visitKeyword: null, reviewKeyword: null, visitType: null, emotion: null, revisitFlag };
-                reviews.push(item);
-                if (saveImmediately && jobId && companyName && reviewDate && !skippedNoDate) {
-                  const saved = await this.saveReview({ portalUrl: '네이버맵', companyName, reviewDate, content, rating, nickname, revisitFlag, nRating: null, nEmotion: null, nCharCount: null, title: null, additionalInfo: null });
-                  if (saved) actualSavedCount++;
-                }
+              const item = { ...review, date: reviewDate || kst.todayStr };
+              reviews.push(item);
+              if (saveImmediately && jobId && companyName && reviewDate) {
+                const analysis = this.analyzeText(item.content, item.rating, item.visitKeyword, item.reviewKeyword);
+                const saved = await this.saveReview({
+                  portalUrl: '네이버맵',
+                  companyName,
+                  reviewDate,
+                  reviewDatePrecision: item.datePrecision,
+                  reviewDateRaw: item.dateText,
+                  content: item.content,
+                  rating: item.rating || null,
+                  nickname: item.nickname,
+                  visitKeyword: item.visitKeyword,
+                  reviewKeyword: item.reviewKeyword,
+                  visitType: item.visitType,
+                  emotion: null,
+                  revisitFlag: item.revisitFlag,
+                  nRating: analysis.nRating,
+                  nEmotion: analysis.nEmotion,
+                  nCharCount: analysis.nCharCount,
+                  title: null,
+                  additionalInfo: null,
+                });
+                if (saved) actualSavedCount++;
               }
             }
-            processedReviewIndex = currentPageReviewCount;
+            processedReviewIndex = cards.length;
 
             if (shouldStop) break;
 
@@ -883,7 +1039,7 @@ class ScraperService {
                 window.scrollTo(0, document.body.scrollHeight);
               });
               await this.page.keyboard.press('End');
-              await this.page.waitForTimeout(800);
+              await this.pause(800);
             } catch (_) {}
             let moreClicked = false;
             for (const sel of moreButtonSelectors) {
@@ -893,9 +1049,9 @@ class ScraperService {
                 const btn = useLast ? loc.last() : loc.first();
                 if (await loc.count() > 0 && (await btn.isVisible().catch(() => false))) {
                   await btn.scrollIntoViewIfNeeded();
-                  await this.page.waitForTimeout(500);
+                  await this.pause(500);
                   await btn.click({ timeout: 5000 });
-                  await this.page.waitForTimeout(2500);
+                  await this.pause(2500);
                   moreClicked = true;
                   console.log(`[네이버맵] 더보기 클릭 성공 (선택자: ${sel.slice(0, 40)}...)`);
                   break;
@@ -910,7 +1066,7 @@ class ScraperService {
                   window.scrollBy(0, 800);
                 });
               } catch (_) {}
-              await this.page.waitForTimeout(2000);
+              await this.pause(2000);
               for (const sel of moreButtonSelectors) {
                 try {
                   const loc = frame.locator(sel);
@@ -918,9 +1074,9 @@ class ScraperService {
                   const btn = useLast ? loc.last() : loc.first();
                   if (await loc.count() > 0 && (await btn.isVisible().catch(() => false))) {
                     await btn.scrollIntoViewIfNeeded();
-                    await this.page.waitForTimeout(500);
+                    await this.pause(500);
                     await btn.click({ timeout: 5000 });
-                    await this.page.waitForTimeout(2500);
+                    await this.pause(2500);
                     moreClicked = true;
                     console.log(`[네이버맵] 더보기 클릭 성공 (스크롤 후 재시도)`);
                     break;
@@ -936,9 +1092,9 @@ class ScraperService {
                   const lastBtn = byText.nth(count - 1);
                   if (await lastBtn.isVisible().catch(() => false)) {
                     await lastBtn.scrollIntoViewIfNeeded();
-                    await this.page.waitForTimeout(500);
+                    await this.pause(500);
                     await lastBtn.click({ timeout: 5000 });
-                    await this.page.waitForTimeout(2500);
+                    await this.pause(2500);
                     moreClicked = true;
                     console.log(`[네이버맵] 더보기 클릭 성공 (getByText 마지막)`);
                   }
@@ -967,7 +1123,7 @@ class ScraperService {
                   return true;
                 });
                 if (moreClicked) {
-                  await this.page.waitForTimeout(2500);
+                  await this.pause(2500);
                   console.log(`[네이버맵] 더보기 클릭 성공 (evaluate)`);
                 }
               } catch (_) {}
@@ -983,1233 +1139,234 @@ class ScraperService {
         }
       }
 
-      // 2순위: locator로 0건이면 evaluate 시도
+      // 2순위: 목록 선택자로 0건이면 넓은 선택자로 시도
       if (reviews.length === 0 && frame && typeof frame.evaluate === 'function') {
         console.log(`[네이버맵 상세] 6단계: evaluate 방식 시도 (locator 0건)`);
-        const kstTodayForEval = getKstDateInfo().todayStr;
-        reviews = await frame.evaluate((kstToday) => {
-        const results = [];
-        const selectors = [
-          'ul#_review_list > li.place_apply_pui',
-          'ul#_review_list li',
-          '.list_evaluation li',
-          '.review_item',
-          '[class*="review"]',
-          '[class*="Review"]',
-          '.comment_list li',
-        ];
-
-        let reviewElements = [];
-        for (const selector of selectors) {
-          reviewElements = document.querySelectorAll(selector);
-          if (reviewElements.length > 0) {
-            console.log(`선택자 "${selector}"로 ${reviewElements.length}개 요소 발견`);
-            break;
-          }
+        const kst = getKstDateInfo();
+        const cards = await frame.evaluate(extractNaverFallbackCards);
+        reviews = cards
+          .map((raw, index) => normalizeNaverFallbackReview(raw, { index, kst }))
+          .filter(Boolean)
+          .map((review) => ({ ...review, date: review.date || kst.todayStr }));
+        if (reviews.length > 0) {
+          console.log(`[네이버맵 상세] evaluate 방식 완료: ${reviews.length}개 추출`);
+        } else {
+          console.log(`[네이버맵 상세] evaluate 방식: 0건 추출`);
         }
+      }
 
-        // 리뷰 데이터 추출
-        reviewElements.forEach((el, index) => {
-          try {
-            // 평점 찾기 (aria-label에서 별점 정보 추출)
-            const ratingEl = el.querySelector('[class*="star"], [class*="rating"], [aria-label*="별점"], [aria-label*="점"]');
-            let rating = 0;
-            if (ratingEl) {
-              const ratingText = ratingEl.getAttribute('aria-label') || ratingEl.textContent || '';
-              const match = ratingText.match(/(\d+\.?\d*)/);
-              if (match) rating = parseFloat(match[1]);
-            }
+      console.log(`[네이버맵 상세] 최종: ${reviews.length}개 리뷰 추출`);
+      if (reviews.length === 0) {
+        console.log(`[네이버맵 상세] ⚠️ 리뷰 0건 - 선택자/페이지 구조 확인 필요`);
+      }
+      
+      // 즉시 저장 방식인 경우 실제 저장 개수를 reviews 배열에 메타데이터로 추가
+      if (saveImmediately) {
+        // reviews 배열에 실제 저장 개수를 저장 (scrapeByPortal에서 사용)
+        reviews._actualSavedCount = actualSavedCount;
+        console.log(`[네이버맵] 실제 저장 개수: ${actualSavedCount}개 (추출: ${reviews.length}개)`);
+      }
+      
+      return reviews;
+    } catch (error) {
+      console.error(`[네이버맵 상세] 예외 발생: ${error?.message || error}`);
+      console.error('네이버맵 스크래핑 실패:', error);
+      // 스크린샷/HTML은 scrapeByPortal에서 실패 파일로 저장
+      this.lastScrapeError = error;
+      return [];
+    }
+  }
 
-            // 리뷰 내용 찾기
-            const contentEl = el.querySelector('[class*="comment"], [class*="text"], [class*="content"], .review_text, .content, [data-testid*="review-text"]');
-            let content = contentEl ? contentEl.textContent.trim() : '';
-            if (!content && el.textContent) content = el.textContent.replace(/\s+/g, ' ').trim().slice(0, 2000);
-
-            // 닉네임 찾기
-            const nicknameEl = el.querySelector('[class*="name"], [class*="user"], [class*="author"], .nickname, [data-testid*="user-name"]');
-            const nickname = nicknameEl ? nicknameEl.textContent.trim() : `사용자${index + 1}`;
-
-            // 날짜 찾기 (기본값: KST 오늘)
-            const dateEl = el.querySelector('[class*="date"], [class*="time"], .date, .time, [data-testid*="date"]');
-            let date = kstToday;
-            if (dateEl) {
-              const dateText = dateEl.textContent.trim();
-              // 날짜 파싱 (예: "2024.01.15", "25.12.5.금", "1개월 전" 등)
-              // "25.12.5.금" 형식 처리 (2025년 12월 5일)
-              const yearMatch = dateText.match(/(\d{2})\.(\d{1,2})\.(\d{1,2})/);
-              if (yearMatch) {
-                const year = parseInt(yearMatch[1]) < 50 ? `20${yearMatch[1]}` : `19${yearMatch[1]}`;
-                date = `${year}-${yearMatch[2].padStart(2, '0')}-${yearMatch[3].padStart(2, '0')}`;
-              } else {
-                const dateMatch = dateText.match(/(\d{4})[.\-/](\d{1,2})[.\-/](\d{1,2})/);
-                if (dateMatch) {
-                  date = `${dateMatch[1]}-${dateMatch[2].padStart(2, '0')}-${dateMatch[3].padStart(2, '0')}`;
-                }
-              }
-            }
+  /**
+   * 카카오맵 URL 정규화
+   * @param {string} url - 카카오맵 URL
+   * @returns {string} 정규화된 URL
+   */
+  normalizeKakaoMapUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      // 카카오맵 URL 형식: https://place.map.kakao.com/{장소ID}
+      // 또는 https://map.kakao.com/link/map/{장소ID}
+      const placeIdMatch = urlObj.pathname.match(/\/(\d+)/);
+      if (placeIdMatch) {
+        const placeId = placeIdMatch[1];
+        // 기본 URL만 반환 (쿼리 파라미터 제거)
+        return `https://place.map.kakao.com/${placeId}`;
+      }
+      return url;
+    } catch (e) {
+      return url;
+    }
+  }
 
-            // 방문 키워드 찾기 (예: "혼자", "연인", "가족")
-            const visitTypeEl = el.querySelector('[class*="visit"], [class*="type"], button:has-text("혼자"), button:has-text("연인"), button:has-text("가족")');
-            const visitType = visitTypeEl ? visitTypeEl.textContent.trim() : null;
-
-            // 리뷰 키워드 찾기 (예: "침구가 좋아요", "깨끗해요")
-            const keywordEls = el.querySelectorAll('[class*="keyword"], [class*="tag"], button:has-text("좋아요"), button:has-text("깨끗")');
-            const keywords = Array.from(keywordEls).map(el => el.textContent.trim()).filter(Boolean);
-            const reviewKeyword = keywords.length > 0 ? keywords.join(', ') : null;
-
-            // 재방문 여부 (예: "9번째 방문")
-            const revisitText = el.textContent || '';
-            const revisitMatch = revisitText.match(/(\d+)번째\s*방문/);
-            const revisitFlag = revisitMatch ? true : false;
-
-            const hasMeaningfulText = el.textContent && el.textContent.trim().length > 15;
-            if (content || rating > 0 || hasMeaningfulText) {
-              results.push({
-                content: content || (el.textContent ? el.textContent.replace(/\s+/g, ' ').trim().slice(0, 2000) : ''),
-                rating,
-                nickname,
-                date,
-                visitKeyword: visitType,
-                reviewKeyword: reviewKeyword,
-                visitType: visitType,
-                emotion: null,
-                revisitFlag: revisitFlag,
-              });
+  /**
+   * 카카오맵 장소 후보 검색 (resolve 단계용)
+   * 검색 결과 상위 N개의 이름/주소/카테고리/URL을 반환하며 리뷰는 수집하지 않는다.
+   * @param {string} companyName - 기업명 (검색어)
+   * @param {number} limit - 최대 후보 수
+   * @returns {Promise<Array<{name: string, address: string, category: string, url: string}>>}
+   */
+  async searchKakaoPlaces(companyName, limit = 5) {
+    console.log(`[카카오맵 resolve] "${companyName}" 후보 검색 (최대 ${limit}개)`);
+    await this.navigate('https://map.kakao.com/', { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await this.pause(3000);
+
+    const searchInput = this.page.locator('#search\\.keyword\\.query');
+    await searchInput.waitFor({ state: 'visible', timeout: 10000 });
+    await searchInput.fill(companyName);
+    await searchInput.press('Enter');
+    await this.pause(5000); // 검색 결과 로딩 대기
+
+    const candidates = await this.page.evaluate((max) => {
+      const textOf = (root, selectors) => {
+        for (const sel of selectors) {
+          const el = root.querySelector(sel);
+          const t = el && (el.textContent || '').replace(/\s+/g, ' ').trim();
+          if (t) return t;
+        }
+        return '';
+      };
+      const items = Array.from(document.querySelectorAll('#info\\.search\\.place\\.list > li')).slice(0, max);
+      return items.map((item) => {
+        let placeId = item.getAttribute('data-id') || item.getAttribute('data-placeid');
+        if (!placeId) {
+          for (const link of item.querySelectorAll('a')) {
+            const href = link.getAttribute('href') || '';
+            const match = href.match(/place\.map\.kakao\.com\/(\d+)/) || href.match(/\/place\/(\d+)/);
+            if (match) {
+              placeId = match[1];
+              break;
             }
-          } catch (err) {
-            console.error(`리뷰 ${index} 파싱 오류:`, err);
           }
-        });
+        }
+        return {
+          placeId,
+          name: textOf(item, ['.head_item .tit_name .link_name', '.tit_name', '.link_name']),
+          address: textOf(item, ['.info_item .addr p[data-id="address"]', '.info_item .addr p', '.addr']),
+          category: textOf(item, ['.head_item .subcategory', '.subcategory']),
+        };
+      });
+    }, limit);
 
-        return results;
-      }, kstTodayForEval);
-      if (reviews.length > 0) {
-        reviews = reviews.map(r => ({ ...r, content: this.extractNaverMapReviewContent(r.content || '') }));
-        console.log(`[네이버맵 상세] evaluate 방식 완료: ${reviews.length}개 추출`);
-      } else {
-        console.log(`[네이버맵 상세] evaluate 방식: 0건 추출`);
+    return candidates
+      .filter((c) => c.placeId)
+      .map(({ placeId, ...rest }) => ({ ...rest, url: `https://place.map.kakao.com/${placeId}` }));
+  }
+
+  /**
+   * 카카오맵 스크래핑
+   * kakao_url에 장소 ID가 있으면 바로 후기 페이지로 이동하고, 없을 때만 company_name으로 검색
+   * @param {string} companyName - 기업명 (검색어로 사용)
+   * @param {string} dateFilter - 'all' (전체) 또는 'week' (일주일 간격)
+   * @param {string} kakaoUrl - 카카오맵 URL (companies 테이블의 kakao_url)
+   */
+  async scrapeKakaoMap(companyName, dateFilter = 'week', kakaoUrl = null, jobId = null, portalType = 'kakao', saveImmediately = false) {
+    let actualSavedCount = 0; // 실제 저장 성공 개수 추적
+    try {
+      console.log(`카카오맵 스크래핑 시작: "${companyName}" 검색 (필터: ${dateFilter}, 즉시 저장: ${saveImmediately ? '활성화' : '비활성화'})`);
+      
+      // 저장된 kakao_url에서 장소 ID 추출 (있으면 검색 생략)
+      let placeId = null;
+      if (kakaoUrl) {
+        const storedMatch = this.normalizeKakaoMapUrl(kakaoUrl).match(/place\.map\.kakao\.com\/(\d+)/);
+        if (storedMatch) {
+          placeId = storedMatch[1];
+          console.log(`저장된 카카오맵 URL 사용 (검색 생략): 장소 ID ${placeId}`);
+        } else {
+          console.log(`저장된 카카오맵 URL에서 장소 ID를 찾지 못함 (${kakaoUrl}) → 기업명 검색으로 진행`);
+        }
       }
-      } else {
-        // frame.evaluate를 사용할 수 없는 경우, pui locator 방식
-        console.log(`[네이버맵 상세] 7단계: pui locator 방식 시도 (evaluate 불가 또는 locator 실패)`);
-        
-        try {
-          // 날짜 필터링 설정 (한국 시간 KST 기준)
-          const kst = getKstDateInfo();
-          let filterDate = null;
-          let filterDateStr = null;
-          if (dateFilter === 'week') {
-            filterDate = kst.filterDateWeekObj;
-            filterDateStr = kst.filterDateWeek;
-            console.log(`날짜 필터 (KST): ${filterDateStr} ~ ${kst.todayStr}`);
-          } else if (dateFilter === 'twoWeeks') {
-            filterDate = kst.filterDateTwoWeeksObj;
-            filterDateStr = kst.filterDateTwoWeeks;
-            console.log(`날짜 필터 (KST): ${filterDateStr} ~ ${kst.todayStr}`);
-          } else {
-            console.log('날짜 필터: 전체 (필터링 없음)');
-          }
-          
-          // 페이지 단위로 리뷰 수집 (요청하신 순서대로)
-          let naverNoDateSkipCount = 0;
-          let processedReviewIndex = 0; // 처리된 리뷰 인덱스 (페이지가 바뀌어도 유지)
-          let shouldStop = false; // 날짜 필터링으로 인한 종료 플래그
-          
-          while (!shouldStop) {
-            // 현재 페이지의 리뷰 개수 확인
-            await this.page.waitForTimeout(1000); // 페이지 로딩 대기
-            const reviewItems = frame.locator('ul#_review_list > li.place_apply_pui');
-            const currentPageReviewCount = await reviewItems.count();
-            
-            if (currentPageReviewCount === 0) {
-              console.log('현재 페이지에 리뷰가 없습니다.');
-              break;
-            }
-            
-            console.log(`[네이버맵] 현재 페이지 리뷰 개수: ${currentPageReviewCount}개 (처리 시작 인덱스: ${processedReviewIndex})`);
-            
-            // 현재 페이지의 리뷰 추출
-            for (let i = processedReviewIndex; i < currentPageReviewCount; i++) {
-              // 진행 상황 로그 (10개마다)
-              if (i === 0 || (i + 1) % 10 === 0) {
-                console.log(`[네이버맵] 리뷰 추출 진행 중: ${i + 1}번째 리뷰 처리 중...`);
-              }
-              
-              try {
-                // 리뷰 컨테이너 찾기
-                const container = reviewItems.nth(i);
-                
-                // 스크롤하여 리뷰가 보이도록 함
-                try {
-                  await container.scrollIntoViewIfNeeded();
-                  await this.page.waitForTimeout(300); // 스크롤 후 안정화 대기
-                } catch (e) {
-                  // 스크롤 실패는 무시하고 계속 진행
-                }
-              
-              // 리뷰 내용 찾기 (컨테이너 전체 텍스트)
-              const allText = await container.textContent().catch(() => '');
-              
-              // 컨테이너가 비어있으면 건너뜀
-              if (!allText || allText.trim().length < 10) {
-                continue;
-              }
-              
-              // 닉네임 추출 (사용자 제공 선택자 사용)
-              // 선택자: .pui__NMi-Dp
-              let nickname = `사용자${i + 1}`;
-              try {
-                const nicknameElement = container.locator('.pui__NMi-Dp').first();
-                const nicknameCount = await nicknameElement.count();
-                if (nicknameCount > 0) {
-                  const nicknameText = await nicknameElement.textContent().catch(() => '');
-                  if (nicknameText && nicknameText.trim().length > 0) {
-                    nickname = nicknameText.trim();
-                  }
-                }
-              } catch (e) {
-                // 닉네임 찾기 실패 - 대체 방법 시도
-                try {
-                  const nameElements = container.locator('div.pui__q2fg8o.pui__A7NplK > a.pui__hvyFHZ > div.pui__JiVbY3 > span > span').first();
-                  const nameCount = await nameElements.count();
-                  if (nameCount > 0) {
-                    const nameText = await nameElements.textContent().catch(() => '');
-                    if (nameText && nameText.trim().length > 0) {
-                      nickname = nameText.trim();
-                    }
-                  }
-                } catch (e2) {
-                  // 대체 방법도 실패
-                }
-              }
-              
-              // 평점 추출 (개선된 방법)
-              let rating = 0;
-              
-              // 1. aria-label에서 별점 추출
-              try {
-                const starElements = container.locator('[class*="star"], [aria-label*="별점"], [aria-label*="점"]');
-                const starCount = await starElements.count();
-                if (starCount > 0) {
-                  const ariaLabel = await starElements.first().getAttribute('aria-label').catch(() => '');
-                  const ratingMatch = ariaLabel.match(/(\d+\.?\d*)/);
-                  if (ratingMatch) {
-                    rating = parseFloat(ratingMatch[1]);
-                  }
-                }
-              } catch (e) {
-                // aria-label 추출 실패
-              }
-              
-              // 2. 텍스트에서 평점 추출 (aria-label이 없는 경우)
-              if (rating === 0) {
-                const ratingMatch = allText.match(/(\d+\.?\d*)\s*점|별점[:\s]*(\d+\.?\d*)/);
-                if (ratingMatch) {
-                  rating = parseFloat(ratingMatch[1] || ratingMatch[2] || '0');
-                }
-              }
-              
-              // 3. 별점 아이콘 개수로 추정 (최후의 수단)
-              if (rating === 0) {
-                try {
-                  const filledStars = container.locator('[class*="star"][class*="fill"], [class*="star"][class*="active"]');
-                  const starCount = await filledStars.count();
-                  if (starCount > 0 && starCount <= 5) {
-                    rating = starCount;
-                  }
-                } catch (e) {
-                  // 별점 개수 추출 실패
-                }
-              }
-              
-              // 날짜 추출 (사용자 제공 선택자 사용)
-              // 선택자: .pui__gfuUIT time
-              let date = null;
-              let reviewDate = null;
-              let skippedNoDate = false;
-
-              const parseNaverRelativeOrPartialDate = (raw) => {
-                if (!raw) return null;
-                let t = String(raw).trim();
-                if (!t) return null;
-
-                // "방문일", "작성일" 같은 접두사 제거
-                t = t.replace(/^(방문일|작성일|리뷰일)\s*:?\s*/i, '').trim();
-
-                const today = getKstDateInfo().todayDate;
-
-                // 상대 표현: 오늘/어제 (공백 무시)
-                if (t.includes('오늘')) {
-                  return { dateStr: today.toISOString().split('T')[0], dateObj: today };
-                }
-                if (t.includes('어제')) {
-                  const d = new Date(today);
-                  d.setDate(d.getDate() - 1);
-                  return { dateStr: d.toISOString().split('T')[0], dateObj: d };
-                }
-
-                // 상대 표현: N일 전 / N주 전 / N개월 전 (공백 허용)
-                const relMatch = t.match(/(\d+)\s*(일|주|개월)\s*전/);
-                if (relMatch) {
-                  const n = parseInt(relMatch[1], 10);
-                  const unit = relMatch[2];
-                  const d = new Date(today);
-                  if (unit === '일') d.setDate(d.getDate() - n);
-                  if (unit === '주') d.setDate(d.getDate() - n * 7);
-                  if (unit === '개월') d.setMonth(d.getMonth() - n);
-                  return { dateStr: d.toISOString().split('T')[0], dateObj: d };
-                }
-
-                // "YY.MM.DD" 또는 "YY.MM.DD.요일" 형태를 MM.DD.요일보다 먼저 처리 (25.11.21 → 2025-11-21)
-                // 그렇지 않으면 "25.11.21.금"에서 "11.21.금"만 매칭되어 올해(2026)로 잘못 해석됨
-                const yyFirstMatch = t.match(/^(\d{2})\.(\d{1,2})\.(\d{1,2})(?:\.(?:월|화|수|목|금|토|일))?$/);
-                if (yyFirstMatch) {
-                  const yy = parseInt(yyFirstMatch[1], 10);
-                  const mo = yyFirstMatch[2].padStart(2, '0');
-                  const dy = yyFirstMatch[3].padStart(2, '0');
-                  const monthNum = parseInt(mo, 10);
-                  const dayNum = parseInt(dy, 10);
-                  if (monthNum >= 1 && monthNum <= 12 && dayNum >= 1 && dayNum <= 31) {
-                    const year = yy < 50 ? `20${yyFirstMatch[1]}` : `19${yyFirstMatch[1]}`;
-                    const dateStr = `${year}-${mo}-${dy}`;
-                    const d = new Date(dateStr);
-                    if (!Number.isNaN(d.getTime()) && d.getFullYear() == year && d.getMonth() + 1 == monthNum && d.getDate() == dayNum) {
-                      return { dateStr, dateObj: d };
-                    }
-                  }
-                }
-
-                // "MM.DD.요일" 또는 "M.D.요일" 형태(연도 없음, 요일 포함) → 올해로 가정
-                // 예: "1.12.월" → 2026-01-12 (첫 숫자가 1~12일 때만, 위의 YY.MM.DD가 아님)
-                const mdWeekdayMatch = t.match(/(\d{1,2})\.(\d{1,2})\.(월|화|수|목|금|토|일)/);
-                if (mdWeekdayMatch) {
-                  const month = mdWeekdayMatch[1].padStart(2, '0');
-                  const day = mdWeekdayMatch[2].padStart(2, '0');
-                  const monthNum = parseInt(month, 10);
-                  const dayNum = parseInt(day, 10);
-                  
-                  // 월과 일 유효성 검증
-                  if (monthNum >= 1 && monthNum <= 12 && dayNum >= 1 && dayNum <= 31) {
-                    const year = String(today.getFullYear());
-                    const dateStr = `${year}-${month}-${day}`;
-                    const d = new Date(dateStr);
-                    // 만약 미래 날짜로 파싱되면 작년으로 보정 (예: 1월에 12.31. 같은 케이스)
-                    if (d > today) {
-                      const prevYear = String(today.getFullYear() - 1);
-                      const prevStr = `${prevYear}-${month}-${day}`;
-                      return { dateStr: prevStr, dateObj: new Date(prevStr) };
-                    }
-                    // Date 객체 유효성 검증
-                    if (!Number.isNaN(d.getTime()) && 
-                        d.getFullYear() == year && 
-                        d.getMonth() + 1 == monthNum && 
-                        d.getDate() == dayNum) {
-                      return { dateStr, dateObj: d };
-                    }
-                  }
-                }
-                
-                // "MM.DD." 또는 "M.D." 형태(연도 없음, 요일 없음) → 올해로 가정
-                // "MM." 형태(일자 없음) → 1일로 가정
-                const mdMatch = t.match(/(\d{1,2})\.(\d{1,2})?\.?$/);
-                if (mdMatch) {
-                  const month = mdMatch[1].padStart(2, '0');
-                  // 일자가 없으면 1일로 기본값 설정
-                  const day = mdMatch[2] ? mdMatch[2].padStart(2, '0') : '01';
-                  const monthNum = parseInt(month, 10);
-                  const dayNum = parseInt(day, 10);
-                  
-                  // 월과 일 유효성 검증
-                  if (monthNum >= 1 && monthNum <= 12 && dayNum >= 1 && dayNum <= 31) {
-                    const year = String(today.getFullYear());
-                    const dateStr = `${year}-${month}-${day}`;
-                    const d = new Date(dateStr);
-                    // 만약 미래 날짜로 파싱되면 작년으로 보정 (예: 1월에 12.31. 같은 케이스)
-                    if (d > today) {
-                      const prevYear = String(today.getFullYear() - 1);
-                      const prevStr = `${prevYear}-${month}-${day}`;
-                      return { dateStr: prevStr, dateObj: new Date(prevStr) };
-                    }
-                    // Date 객체 유효성 검증
-                    if (!Number.isNaN(d.getTime()) && 
-                        d.getFullYear() == year && 
-                        d.getMonth() + 1 == monthNum && 
-                        d.getDate() == dayNum) {
-                      return { dateStr, dateObj: d };
-                    }
-                  }
-                }
-                
-                // "MM" 형태(연도와 일자 없음) → 올해 MM월 1일로 가정
-                const monthOnlyMatch = t.match(/^(\d{1,2})$/);
-                if (monthOnlyMatch) {
-                  const month = monthOnlyMatch[1].padStart(2, '0');
-                  const monthNum = parseInt(month, 10);
-                  if (monthNum >= 1 && monthNum <= 12) {
-                    const year = String(today.getFullYear());
-                    const dateStr = `${year}-${month}-01`;
-                    const d = new Date(dateStr);
-                    if (d > today) {
-                      const prevYear = String(today.getFullYear() - 1);
-                      const prevStr = `${prevYear}-${month}-01`;
-                      return { dateStr: prevStr, dateObj: new Date(prevStr) };
-                    }
-                    return { dateStr, dateObj: d };
-                  }
-                }
-
-                // "YYYY.MM.DD" 또는 "YY.MM.DD" 형태
-                // "YYYY.MM" 또는 "YY.MM" 형태(일자 없음) → 1일로 가정
-                // 주의: "25.12.15"는 "2025-12-15"를 의미 (25 = 2025년)
-                // 주의: "1.12.월"은 "MM.DD.요일" 형식이므로 이 패턴에서 제외 (위에서 이미 처리됨)
-                // 요일이 포함된 경우는 위의 "MM.DD.요일" 패턴에서 처리되므로 여기서는 제외
-                if (!t.match(/[월화수목금토일]/)) {
-                  const ymdMatch = t.match(/(\d{4}|\d{2})\.(\d{1,2})(?:\.(\d{1,2}))?\.?/);
-                  if (ymdMatch) {
-                    let year = ymdMatch[1];
-                    let month = ymdMatch[2].padStart(2, '0');
-                    // 일자가 없으면 1일로 기본값 설정
-                    let day = ymdMatch[3] ? ymdMatch[3].padStart(2, '0') : '01';
-                    
-                    // 2자리 연도 처리: "25" → "2025"
-                    if (year.length === 2) {
-                      const yearNum = parseInt(year, 10);
-                      // 0-50은 2000-2050, 51-99는 1951-1999로 해석
-                      year = yearNum < 50 ? `20${year}` : `19${year}`;
-                    }
-                    
-                    // 날짜 유효성 검증: 월은 1-12, 일은 1-31 범위
-                    const monthNum = parseInt(month, 10);
-                    const dayNum = parseInt(day, 10);
-                    
-                    // 만약 첫 번째 숫자가 4자리인데 월 범위를 벗어나면, 순서가 잘못된 것일 수 있음
-                    // 예: "2026.25.12" → 실제로는 "25.12.XX" 형식일 수 있음
-                    if (ymdMatch[1].length === 4 && (monthNum > 12 || dayNum > 31)) {
-                      // 순서가 잘못되었을 가능성: "2026.25.12" → "25.12.XX"로 재해석
-                      const altMatch = t.match(/(\d{2})\.(\d{1,2})\.(\d{1,2})\.?/);
-                      if (altMatch) {
-                        const altYear = altMatch[1];
-                        const altMonth = altMatch[2].padStart(2, '0');
-                        const altDay = altMatch[3].padStart(2, '0');
-                        const altYearNum = parseInt(altYear, 10);
-                        const altMonthNum = parseInt(altMonth, 10);
-                        const altDayNum = parseInt(altDay, 10);
-                        
-                        if (altMonthNum >= 1 && altMonthNum <= 12 && altDayNum >= 1 && altDayNum <= 31) {
-                          const finalYear = altYearNum < 50 ? `20${altYear}` : `19${altYear}`;
-                          const dateStr = `${finalYear}-${altMonth}-${altDay}`;
-                          const d = new Date(dateStr);
-                          if (!Number.isNaN(d.getTime()) && 
-                              d.getFullYear() == finalYear && 
-                              d.getMonth() + 1 == altMonthNum && 
-                              d.getDate() == altDayNum) {
-                            return { dateStr, dateObj: d };
-                          }
-                        }
-                      }
-                      return null; // 잘못된 날짜 형식
-                    }
-                    
-                    if (monthNum < 1 || monthNum > 12 || dayNum < 1 || dayNum > 31) {
-                      return null; // 잘못된 날짜 형식
-                    }
-                    
-                    const dateStr = `${year}-${month}-${day}`;
-                    const d = new Date(dateStr);
-                    // Date 객체 유효성 검증
-                    if (!Number.isNaN(d.getTime()) && 
-                        d.getFullYear() == year && 
-                        d.getMonth() + 1 == monthNum && 
-                        d.getDate() == dayNum) {
-                      return { dateStr, dateObj: d };
-                    }
-                  }
-                }
-
-                // "YYYY-MM-DD" 또는 "YY-MM-DD" 형태
-                // "YYYY-MM" 또는 "YY-MM" 형태(일자 없음) → 1일로 가정
-                const ymdDashMatch = t.match(/(\d{4}|\d{2})-(\d{1,2})(?:-(\d{1,2}))?/);
-                if (ymdDashMatch) {
-                  let year = ymdDashMatch[1];
-                  if (year.length === 2) {
-                    year = parseInt(year) < 50 ? `20${year}` : `19${year}`;
-                  }
-                  const month = ymdDashMatch[2].padStart(2, '0');
-                  // 일자가 없으면 1일로 기본값 설정
-                  const day = ymdDashMatch[3] ? ymdDashMatch[3].padStart(2, '0') : '01';
-                  
-                  // 날짜 유효성 검증
-                  const monthNum = parseInt(month, 10);
-                  const dayNum = parseInt(day, 10);
-                  if (monthNum < 1 || monthNum > 12 || dayNum < 1 || dayNum > 31) {
-                    return null; // 잘못된 날짜 형식 (예: "2026-25-12")
-                  }
-                  
-                  const dateStr = `${year}-${month}-${day}`;
-                  const d = new Date(dateStr);
-                  // Date 객체 유효성 검증
-                  if (!Number.isNaN(d.getTime()) && 
-                      d.getFullYear() == year && 
-                      d.getMonth() + 1 == monthNum && 
-                      d.getDate() == dayNum) {
-                    return { dateStr, dateObj: d };
-                  }
-                }
-
-                // "YYYY/MM/DD" 또는 "YY/MM/DD" 형태
-                // "YYYY/MM" 또는 "YY/MM" 형태(일자 없음) → 1일로 가정
-                const ymdSlashMatch = t.match(/(\d{4}|\d{2})\/(\d{1,2})(?:\/(\d{1,2}))?/);
-                if (ymdSlashMatch) {
-                  let year = ymdSlashMatch[1];
-                  if (year.length === 2) {
-                    year = parseInt(year) < 50 ? `20${year}` : `19${year}`;
-                  }
-                  const month = ymdSlashMatch[2].padStart(2, '0');
-                  // 일자가 없으면 1일로 기본값 설정
-                  const day = ymdSlashMatch[3] ? ymdSlashMatch[3].padStart(2, '0') : '01';
-                  const dateStr = `${year}-${month}-${day}`;
-                  const d = new Date(dateStr);
-                  if (!Number.isNaN(d.getTime())) {
-                    return { dateStr, dateObj: d };
-                  }
-                }
-
-                return null;
-              };
-              
-              try {
-                // 날짜 추출을 위한 다양한 선택자 시도
-                const dateSelectors = [
-                  container.locator('.pui__gfuUIT time').first(),
-                  container.locator('time').first(),
-                  container.locator('[datetime]').first(),
-                  container.locator('.pui__gfuUIT').first(),
-                ];
 
-                for (const selector of dateSelectors) {
-                  if (date) break;
-                  const cnt = await selector.count().catch(() => 0);
-                  if (!cnt) continue;
-
-                  // 1) datetime 속성에서 추출 (가장 정확)
-                  const datetime = await selector.getAttribute('datetime').catch(() => '');
-                  if (datetime) {
-                    try {
-                      const d = new Date(datetime);
-                      if (!Number.isNaN(d.getTime())) {
-                        date = d.toISOString().split('T')[0];
-                        reviewDate = d;
-                        break;
-                      }
-                    } catch (e) {
-                      // datetime 파싱 실패, 다음 방법 시도
-                    }
-                  }
-
-                  // 2) 텍스트에서 상대/부분 날짜 파싱
-                  const dateText = await selector.textContent().catch(() => '');
-                  if (dateText) {
-                    const rel = parseNaverRelativeOrPartialDate(dateText);
-                    if (rel) {
-                      date = rel.dateStr;
-                      reviewDate = rel.dateObj;
-                      break;
-                    }
-
-                    // 3) 정규식 패턴으로 날짜 추출
-                    const datePatterns = [
-                      /(\d{4})\.(\d{1,2})\.(\d{1,2})\.?/,  // YYYY.MM.DD
-                      /(\d{2})\.(\d{1,2})\.(\d{1,2})\.?/,  // YY.MM.DD
-                      /(\d{4})-(\d{1,2})-(\d{1,2})/,       // YYYY-MM-DD
-                      /(\d{2})-(\d{1,2})-(\d{1,2})/,       // YY-MM-DD
-                      /(\d{4})\/(\d{1,2})\/(\d{1,2})/,     // YYYY/MM/DD
-                      /(\d{2})\/(\d{1,2})\/(\d{1,2})/,     // YY/MM/DD
-                    ];
-
-                    for (const pattern of datePatterns) {
-                      const dateMatch = dateText.match(pattern);
-                      if (!dateMatch) continue;
-                      let year, month, day;
-                      if (dateMatch[1].length === 4) {
-                        year = dateMatch[1];
-                      } else {
-                        year = parseInt(dateMatch[1]) < 50 ? `20${dateMatch[1]}` : `19${dateMatch[1]}`;
-                      }
-                      month = dateMatch[2].padStart(2, '0');
-                      day = dateMatch[3].padStart(2, '0');
-                      
-                      // 날짜 유효성 검증: 월은 1-12, 일은 1-31 범위여야 함
-                      const monthNum = parseInt(month, 10);
-                      const dayNum = parseInt(day, 10);
-                      if (monthNum < 1 || monthNum > 12 || dayNum < 1 || dayNum > 31) {
-                        // 잘못된 날짜 형식 (예: "2026-25-12" 같은 경우)
-                        if (i < 5) {
-                          console.log(`[네이버맵] 잘못된 날짜 형식 스킵: "${dateText}" → ${year}-${month}-${day} (월: ${monthNum}, 일: ${dayNum})`);
-                        }
-                        continue; // 다음 패턴 시도
-                      }
-                      
-                      const dateStr = `${year}-${month}-${day}`;
-                      const d = new Date(dateStr);
-                      // Date 객체가 유효한지 확인 (예: 2월 30일 같은 경우)
-                      if (!Number.isNaN(d.getTime()) && 
-                          d.getFullYear() == year && 
-                          d.getMonth() + 1 == monthNum && 
-                          d.getDate() == dayNum) {
-                        date = dateStr;
-                        reviewDate = d;
-                        break;
-                      } else if (i < 5) {
-                        console.log(`[네이버맵] 날짜 유효성 검증 실패: "${dateText}" → ${dateStr} (Date 객체: ${d.toISOString()})`);
-                      }
-                    }
-
-                    if (date) break;
-                  }
-                }
-
-                // 마지막 fallback: 컨테이너 전체 텍스트에서 날짜 추출
-                if (!date) {
-                  const containerText = await container.textContent().catch(() => '');
-                  if (containerText) {
-                    const rel2 = parseNaverRelativeOrPartialDate(containerText);
-                    if (rel2) {
-                      date = rel2.dateStr;
-                      reviewDate = rel2.dateObj;
-                    }
-                  }
-                }
-              } catch (e) {
-                // 날짜 찾기 실패 (에러는 무시하고 계속 진행)
-                console.log(`[네이버맵] 날짜 추출 중 에러 (무시): ${e.message}`);
-              }
-              
-              // 날짜가 없으면 오늘 날짜로 설정 (즉시 저장 방식에서는 저장하도록, KST)
-              if (!date) {
-                if (saveImmediately) {
-                  // 즉시 저장 방식에서는 날짜가 없어도 저장 (오늘 날짜로)
-                  date = getKstDateInfo().todayStr;
-                  reviewDate = new Date(date);
-                  if (i < 5) {
-                    console.log(`[네이버맵] 날짜 없음 - 오늘 날짜로 저장: nickname="${nickname}"`);
-                  }
-                } else {
-                  // 기존 방식: 날짜가 없으면 스킵
-                  skippedNoDate = true;
-                }
-              }
-
-              if (skippedNoDate) {
-                // 날짜가 없으면 해당 리뷰는 건너뜀 (기존 방식)
-                naverNoDateSkipCount++;
-                if (naverNoDateSkipCount <= 5) {
-                  // 날짜 추출을 시도한 모든 텍스트를 로깅
-                  let debugText = '';
-                  try {
-                    const timeText = await container.locator('time').first().textContent().catch(() => '');
-                    const gfuText = await container.locator('.pui__gfuUIT').first().textContent().catch(() => '');
-                    debugText = `time="${timeText}", .pui__gfuUIT="${gfuText}"`;
-                  } catch (e) {
-                    debugText = `(텍스트 추출 실패)`;
-                  }
-                  console.log(
-                    `⚠️ [네이버맵] 날짜 파싱 실패로 리뷰 스킵 (샘플 ${naverNoDateSkipCount}/5): nickname="${nickname}", ${debugText}`
-                  );
-                }
-                continue;
-              }
-              
-              // 날짜 필터링: week 또는 twoWeeks 모드일 때 필터링 (KST 기준)
-              // 범위 밖 날짜를 만나면 이 리뷰만 스킵하고 계속 진행. 같은 페이지 내 범위 안 리뷰는 모두 처리 후, 배열 끝나면 종료
-              if ((dateFilter === 'week' || dateFilter === 'twoWeeks') && filterDateStr && date) {
-                if (date < filterDateStr) {
-                  console.log(`[네이버맵] 날짜 필터 범위 벗어남 (이 리뷰 스킵, 나머지 처리 후 종료): ${date} < ${filterDateStr}`);
-                  shouldStop = true; // 이 페이지 처리 완료 후 더보기 중단
-                  continue; // 이 리뷰만 건너뛰고 다음 리뷰 계속 처리
-                }
-              }
-              
-              // visit_type 추출 (사용자 제공 선택자 사용) - content 추출 전에 먼저 추출
-              // 선택자: div.pui__-0Ter1 > a > span:nth-child(1)
-              let visitType = null;
-              try {
-                const visitTypeElement = container.locator('div.pui__-0Ter1 > a > span:nth-child(1)').first();
-                const visitTypeCount = await visitTypeElement.count();
-                if (visitTypeCount > 0) {
-                  visitType = await visitTypeElement.textContent().catch(() => '');
-                  if (visitType) {
-                    visitType = visitType.trim();
-                  }
-                }
-              } catch (e) {
-                // visit_type 찾기 실패
-              }
-              
-              // n_emotion 추출 (사용자 제공 선택자 사용) - content 추출 전에 먼저 추출
-              // 선택자: div.pui__-0Ter1 > a > span:nth-child(2)
-              let emotion = null;
-              try {
-                const emotionElement = container.locator('div.pui__-0Ter1 > a > span:nth-child(2)').first();
-                const emotionCount = await emotionElement.count();
-                if (emotionCount > 0) {
-                  emotion = await emotionElement.textContent().catch(() => '');
-                  if (emotion) {
-                    emotion = emotion.trim();
-                  }
-                }
-              } catch (e) {
-                // emotion 찾기 실패
-              }
-              
-              // 리뷰 내용 추출 (사용자 제공 선택자 사용)
-              // 선택자: .pui__vn15t2 a (실제 리뷰 본문)
-              let content = '';
-              try {
-                // 먼저 "더보기" 버튼이 있는지 확인하고 클릭
-                // 사용자 제공 선택자: a.pui__wFzIYl:has-text("더보기")
-                const moreButton = container.locator('a.pui__wFzIYl:has-text("더보기")').first();
-                const hasMoreButton = await moreButton.count() > 0;
-                
-                if (hasMoreButton) {
-                  try {
-                    const isVisible = await moreButton.isVisible().catch(() => false);
-                    if (isVisible) {
-                      await moreButton.scrollIntoViewIfNeeded();
-                      await this.page.waitForTimeout(500);
-                      await moreButton.click({ timeout: 5000 });
-                      await this.page.waitForTimeout(500); // 펼쳐지는 애니메이션 대기
-                      console.log(`리뷰 ${i + 1} 더보기 버튼 클릭 완료`);
-                    }
-                  } catch (e) {
-                    console.log(`리뷰 ${i + 1} 더보기 버튼 클릭 실패: ${e.message}`);
-                  }
-                }
-                
-                // 리뷰 내용 추출 (사용자 제공 선택자: .pui__vn15t2 a)
-                const contentElement = container.locator('.pui__vn15t2 a').first();
-                const contentCount = await contentElement.count();
-                if (contentCount > 0) {
-                  // innerText로 가져와서 더 정확한 텍스트 추출
-                  content = await contentElement.innerText().catch(() => '');
-                  if (!content || content.trim().length === 0) {
-                    // innerText가 실패하면 textContent 시도
-                    content = await contentElement.textContent().catch(() => '');
-                  }
-                  content = content.trim();
-                  
-                  // "더보기", "접기" 버튼 텍스트 제거
-                  content = content.replace(/더보기|접기/g, '').trim();
-                } else {
-                  // 대체 방법: div.pui__vn15t2에서 직접 추출
-                  const contentElementAlt = container.locator('div.pui__vn15t2').first();
-                  const contentCountAlt = await contentElementAlt.count();
-                  if (contentCountAlt > 0) {
-                    let rawContent = await contentElementAlt.textContent().catch(() => '');
-                    
-                    if (rawContent) {
-                      // content 패턴 분석 및 정리
-                      let cleanedContent = rawContent.trim();
-                      
-                      // 1. nickname 제거
-                      if (nickname && nickname !== `사용자${i + 1}`) {
-                        const nicknamePattern = new RegExp(nickname.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + 'v?\\s*', 'g');
-                        cleanedContent = cleanedContent.replace(nicknamePattern, '');
-                      }
-                      
-                      // 2. 팔로우 관련 텍스트 제거
-                      cleanedContent = cleanedContent.replace(/\d+팔로우/g, '');
-                      
-                      // 3. "이전", "다음" 제거
-                      cleanedContent = cleanedContent.replace(/이전|다음/g, '');
-                      
-                      // 4. "여행" 키워드 제거
-                      cleanedContent = cleanedContent.replace(/여행/g, '');
-                      
-                      // 5. visit_type 제거
-                      if (visitType) {
-                        const visitTypePattern = new RegExp(visitType.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
-                        cleanedContent = cleanedContent.replace(visitTypePattern, '');
-                      }
-                      
-                      // 6. emotion 제거
-                      if (emotion) {
-                        const emotionPattern = new RegExp(emotion.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
-                        cleanedContent = cleanedContent.replace(emotionPattern, '');
-                      }
-                      
-                      // 7. "동영상" 키워드 제거
-                      cleanedContent = cleanedContent.replace(/동영상/g, '');
-                      
-                      // 8. "더보기", "접기" 버튼 텍스트 제거
-                      cleanedContent = cleanedContent.replace(/더보기|접기/g, '');
-                      
-                      // 9. 연속된 공백 정리
-                      cleanedContent = cleanedContent.replace(/\s+/g, ' ').trim();
-                      
-                      content = cleanedContent;
-                    }
-                  }
-                }
-              } catch (e) {
-                // 리뷰 내용 찾기 실패
-                console.log(`리뷰 ${i + 1} 내용 추출 실패: ${e.message}`);
-              }
-              content = this.extractNaverMapReviewContent(content);
-              
-              // review_keyword 추출 (사용자 제공 선택자 사용)
-              // 선택자: #_review_list > li:nth-child(4) > div.pui__HLNvmI > span:nth-child(1), span:nth-child(2) 등
-              // 각 span을 개별적으로 추출
-              // 먼저 "펼쳐보기" 버튼이 있으면 클릭하여 모든 키워드 표시
-              const keywords = [];
-              try {
-                // "펼쳐보기" 버튼 클릭 (키워드 펼치기)
-                const keywordMoreButton = container.locator('a.pui__jhpEyP.pui__ggzZJ8[data-pui-click-code="keywordmore"]').first();
-                const keywordMoreButtonCount = await keywordMoreButton.count();
-                if (keywordMoreButtonCount > 0) {
-                  try {
-                    const isVisible = await keywordMoreButton.isVisible().catch(() => false);
-                    if (isVisible) {
-                      await keywordMoreButton.scrollIntoViewIfNeeded();
-                      await this.page.waitForTimeout(500);
-                      await keywordMoreButton.click({ timeout: 5000 });
-                      await this.page.waitForTimeout(1000); // 키워드 펼쳐지는 시간 대기
-                    }
-                  } catch (e) {
-                    // 펼쳐보기 버튼 클릭 실패는 무시하고 계속 진행
-                  }
-                }
-                
-                const keywordContainer = container.locator('div.pui__HLNvmI').first();
-                const keywordContainerCount = await keywordContainer.count();
-                if (keywordContainerCount > 0) {
-                  // span 요소들을 개별적으로 추출
-                  let spanIndex = 1;
-                  while (true) {
-                    try {
-                      const spanElement = keywordContainer.locator(`span:nth-child(${spanIndex})`);
-                      const spanCount = await spanElement.count();
-                      if (spanCount === 0) {
-                        break; // 더 이상 span이 없으면 종료
-                      }
-                      
-                      const spanText = await spanElement.textContent().catch(() => '');
-                      if (spanText && spanText.trim().length > 0) {
-                        const trimmedText = spanText.trim();
-                        // "펼쳐보기", "접기" 같은 버튼 텍스트는 제외
-                        if (trimmedText !== '펼쳐보기' && trimmedText !== '접기' && trimmedText !== '더보기') {
-                          keywords.push(trimmedText);
-                        }
-                      }
-                      spanIndex++;
-                    } catch (e) {
-                      // span 추출 실패 시 종료
-                      break;
-                    }
-                  }
-                }
-              } catch (e) {
-                // review_keyword 찾기 실패
-              }
-              
-              // 재방문 여부 (인증 수단 및 방문 횟수)
-              // 사용자 제공 선택자: .pui__gfuUIT:has-text("방문")
-              let revisitFlag = false;
-              try {
-                // 방문 횟수 추출 (예: "1번째 방문", "3번째 방문")
-                const visitCountElement = container.locator('.pui__gfuUIT:has-text("방문")').first();
-                const visitCountCount = await visitCountElement.count();
-                if (visitCountCount > 0) {
-                  const visitCountText = await visitCountElement.textContent().catch(() => '');
-                  if (visitCountText) {
-                    const revisitMatch = visitCountText.match(/(\d+)번째\s*방문/);
-                    if (revisitMatch) {
-                      revisitFlag = true;
-                    }
-                  }
-                } else {
-                  // 대체 방법: 컨테이너 내에서 인증 정보 찾기
-                  const certText = allText.match(/인증\s*수단|영수증|(\d+)번째\s*방문/);
-                  if (certText) {
-                    revisitFlag = true;
-                  }
-                }
-              } catch (e) {
-                // 인증 정보 찾기 실패
-              }
-              
-              // 리뷰 데이터가 유효한지 확인
-              // emotion 값을 visit_keyword에 저장 (네이버에는 emotion 값이 없는 것 같으므로)
-              // emotion이 있으면 visit_keyword에 저장
-              const visitKeyword = emotion || null;
-              
-              if (content.trim().length > 10 || rating > 0 || keywords.length > 0 || nickname !== `사용자${i + 1}`) {
-                const reviewData = {
-                  content: content.trim() || allText.substring(0, 200) || `리뷰 ${i + 1}`,
-                  rating,
-                  nickname: nickname.trim(),
-                  date,
-                  visitKeyword: visitKeyword, // emotion 값을 visit_keyword에 저장
-                  reviewKeyword: keywords.length > 0 ? keywords.join(', ') : null,
-                  visitType: visitType,
-                  emotion: null, // 네이버에는 emotion 값이 없으므로 null
-                  revisitFlag,
-                };
-                
-                // 즉시 저장 방식이 활성화된 경우 즉시 저장
-                if (saveImmediately && companyName) {
-                  // date가 없어도 저장 시도 (날짜 파싱 실패한 경우도 저장)
-                  if (!date) {
-                    if (i < 5) {
-                      console.log(`[네이버맵] 즉시 저장 시도: date가 없지만 저장 시도 (리뷰 ${i + 1})`);
-                    }
-                    // date가 없으면 오늘 날짜로 저장
-                    date = new Date().toISOString().split('T')[0];
-                    reviewDate = new Date();
-                  }
-                  
-                  try {
-                    // 날짜 필터링 확인 (KST 기준)
-                    let shouldSave = true;
-                    const dateStrForFilter = typeof date === 'string' ? date : (date instanceof Date ? date.toISOString().slice(0, 10) : null);
-                    if ((dateFilter === 'week' || dateFilter === 'twoWeeks') && dateStrForFilter && filterDateStr) {
-                      if (dateStrForFilter < filterDateStr) {
-                        console.log(`[네이버맵] 날짜 필터 범위 벗어남 (이 리뷰 스킵, 나머지 처리 후 종료): ${dateStrForFilter} < ${filterDateStr}`);
-                        shouldSave = false;
-                        shouldStop = true; // 이 페이지 처리 완료 후 더보기 중단
-                      }
-                    }
-                    
-                    if (shouldSave) {
-                      if (i < 3) {
-                        console.log(`[네이버맵] 즉시 저장 시도: companyName="${companyName}", date="${date}", nickname="${reviewData.nickname}"`);
-                      }
-                      const analysis = this.analyzeText(
-                        reviewData.content,
-                        rating,
-                        reviewData.visitKeyword,
-                        reviewData.reviewKeyword
-                      );
-                      
-                      const saved = await this.saveReview({
-                        portalUrl: '네이버맵',
-                        companyName,
-                        reviewDate: date,
-                        content: reviewData.content,
-                        rating: rating || null,
-                        nickname: reviewData.nickname,
-                        visitKeyword: reviewData.visitKeyword || null,
-                        reviewKeyword: reviewData.reviewKeyword || null,
-                        visitType: reviewData.visitType || null,
-                        emotion: reviewData.emotion || null,
-                        revisitFlag: reviewData.revisitFlag || false,
-                        nRating: analysis.nRating,
-                        nEmotion: analysis.nEmotion,
-                        nCharCount: analysis.nCharCount,
-                        title: null,
-                        additionalInfo: null,
-                      });
-                      
-                      if (saved) {
-                        actualSavedCount++; // 실제 저장 성공 개수 증가
-                        // 저장 성공 시에만 reviews 배열에 추가 (통계용)
-                        reviews.push(reviewData);
-                        if (actualSavedCount <= 10 || actualSavedCount % 50 === 0) {
-                          console.log(`✅ [네이버맵 즉시 저장 성공] ${actualSavedCount}번째: ${reviewData.nickname} - date: ${date}`);
-                        }
-                      } else {
-                        // 중복이거나 저장 실패한 경우에도 통계용으로 추가
-                        reviews.push(reviewData);
-                        if (reviews.length <= 5) {
-                          console.log(`⚠️ [네이버맵 즉시 저장 실패/중복] ${reviews.length}번째: ${reviewData.nickname} - date: ${date}`);
-                        }
-                      }
-                    } else {
-                      // 날짜 필터링으로 이 리뷰만 스킵, 나머지 리뷰는 계속 처리
-                      continue;
-                    }
-                  } catch (saveError) {
-                    console.error(`[네이버맵] 리뷰 ${i + 1} 즉시 저장 실패:`, saveError.message);
-                    console.error(`[네이버맵] 저장 실패 상세:`, saveError);
-                    // 저장 실패해도 통계용으로 추가
-                    reviews.push(reviewData);
-                  }
-                } else {
-                  // 기존 방식: 배열에 추가만 함
-                  reviews.push(reviewData);
-                  
-                  // 즉시 저장이 비활성화된 이유 로그 (처음 5개만)
-                  if (reviews.length <= 5) {
-                    if (!saveImmediately) {
-                      console.log(`[네이버맵] 즉시 저장 비활성화 - 배열에만 추가 (리뷰 ${i + 1})`);
-                    } else if (!companyName) {
-                      console.log(`[네이버맵] 즉시 저장 스킵: companyName 없음 (리뷰 ${i + 1})`);
-                    }
-                  }
-                  
-                }
-              }
-              } catch (err) {
-                console.error(`리뷰 ${i + 1} 추출 오류:`, err.message);
-              }
-            }
-            
-            // 현재 페이지의 모든 리뷰 처리 완료 후, 날짜 필터로 종료 예정이면 더보기 중단
-            if (shouldStop) {
-              break;
-            }
-            
-            // 현재 페이지의 모든 리뷰를 수집했으면 더보기 버튼 클릭하여 다음 페이지 로드 (locator 경로와 동일: 스크롤 → 선택자 → getByText 마지막 → evaluate)
-            processedReviewIndex = currentPageReviewCount; // 처리된 인덱스 업데이트
-            try {
-              await frame.evaluate(() => {
-                const list = document.querySelector('ul#_review_list');
-                if (list && list.parentElement) list.parentElement.scrollTop = list.parentElement.scrollHeight;
-                const appRoot = document.querySelector('#app-root');
-                if (appRoot && appRoot.parentElement) appRoot.parentElement.scrollTop = (appRoot.parentElement.scrollHeight || 0);
-                window.scrollTo(0, document.body.scrollHeight);
-              });
-              await this.page.keyboard.press('End');
-              await this.page.waitForTimeout(800);
-            } catch (_) {}
-            const moreButtonSelectorsSecond = [
-              'a.place_btn_more:has-text("더보기")',
-              'div.NSTUp > div > a',
-              'div.place_section.k1QQ5 div.NSTUp > div > a',
-              '#app-root a:has-text("더보기")',
-              'ul#_review_list ~ * a:has-text("더보기")',
-              'ul#_review_list ~ * button:has-text("더보기")',
-              '[class*="more"]:has-text("더보기")',
-              'a:has-text("더보기")',
-              'button:has-text("더보기")',
-            ];
-            let moreClickedSecond = false;
-            for (const sel of moreButtonSelectorsSecond) {
-              try {
-                const loc = frame.locator(sel);
-                const useLast = (sel === 'a:has-text("더보기")' || sel === 'button:has-text("더보기")');
-                const btn = useLast ? loc.last() : loc.first();
-                if (await loc.count() > 0 && (await btn.isVisible().catch(() => false))) {
-                  await btn.scrollIntoViewIfNeeded();
-                  await this.page.waitForTimeout(500);
-                  await btn.click({ timeout: 5000 });
-                  await this.page.waitForTimeout(2500);
-                  moreClickedSecond = true;
-                  console.log(`[네이버맵] 더보기 버튼 클릭 - 다음 페이지 로드 (선택자)`);
-                  break;
-                }
-              } catch (_) {}
-            }
-            if (!moreClickedSecond && frame.getByText) {
-              try {
-                const byText = frame.getByText('더보기', { exact: false });
-                const count = await byText.count();
-                if (count > 0) {
-                  const lastBtn = byText.nth(count - 1);
-                  if (await lastBtn.isVisible().catch(() => false)) {
-                    await lastBtn.scrollIntoViewIfNeeded();
-                    await this.page.waitForTimeout(500);
-                    await lastBtn.click({ timeout: 5000 });
-                    await this.page.waitForTimeout(2500);
-                    moreClickedSecond = true;
-                    console.log(`[네이버맵] 더보기 버튼 클릭 (getByText 마지막)`);
-                  }
-                }
-              } catch (_) {}
-            }
-            if (!moreClickedSecond && frame.evaluate) {
-              try {
-                moreClickedSecond = await frame.evaluate(() => {
-                  const list = document.querySelector('ul#_review_list');
-                  if (!list) return false;
-                  const candidates = Array.from(document.querySelectorAll('a, button')).filter(el => {
-                    if (!/더보기/.test((el.textContent || '').trim())) return false;
-                    return el.offsetParent != null;
-                  });
-                  if (candidates.length === 0) {
-                    const anyMore = document.querySelector('a.place_btn_more, div.NSTUp a');
-                    if (anyMore && /더보기/.test((anyMore.textContent || ''))) { anyMore.click(); return true; }
-                    return false;
-                  }
-                  const lis = list.querySelectorAll('li');
-                  const inAnyLi = (el) => { for (const li of lis) { if (li.contains(el)) return true; } return false; };
-                  const outsideLi = candidates.filter(el => !inAnyLi(el));
-                  const target = outsideLi.length > 0 ? outsideLi[outsideLi.length - 1] : candidates[candidates.length - 1];
-                  target.click();
-                  return true;
-                });
-                if (moreClickedSecond) {
-                  await this.page.waitForTimeout(2500);
-                  console.log(`[네이버맵] 더보기 버튼 클릭 (evaluate)`);
-                }
-              } catch (_) {}
-            }
-            if (!moreClickedSecond) {
-              console.log('[네이버맵] 더보기 버튼이 없습니다. 모든 리뷰 수집 완료.');
-              break;
-            }
-          }
-          
-          console.log(`[네이버맵] 리뷰 추출 완료: 총 ${reviews.length}개 리뷰 추출됨, ${actualSavedCount}개 저장 성공`);
-
-          if (naverNoDateSkipCount > 0) {
-            console.log(`⚠️ [네이버맵] 날짜 파싱 실패로 스킵된 리뷰: ${naverNoDateSkipCount}개`);
-          }
-          
-          if (shouldStop) {
-            console.log(`[네이버맵] 날짜 필터링 범위를 벗어나 자료수집을 종료했습니다.`);
-          }
-        } catch (e) {
-          console.log('리뷰 추출 실패:', e.message);
-          console.error('리뷰 추출 실패 상세:', e);
-        }
-      }
-
-      console.log(`[네이버맵 상세] 최종: ${reviews.length}개 리뷰 추출`);
-      if (reviews.length === 0) {
-        console.log(`[네이버맵 상세] ⚠️ 리뷰 0건 - 선택자/페이지 구조 확인 필요`);
-      }
-      
-      // 즉시 저장 방식인 경우 실제 저장 개수를 reviews 배열에 메타데이터로 추가
-      if (saveImmediately) {
-        // reviews 배열에 실제 저장 개수를 저장 (scrapeByPortal에서 사용)
-        reviews._actualSavedCount = actualSavedCount;
-        console.log(`[네이버맵] 실제 저장 개수: ${actualSavedCount}개 (추출: ${reviews.length}개)`);
-      }
-      
-      return reviews;
-    } catch (error) {
-      console.error(`[네이버맵 상세] 예외 발생: ${error?.message || error}`);
-      console.error('네이버맵 스크래핑 실패:', error);
-      // 디버깅을 위해 스크린샷 저장
-      try {
-        await this.page.screenshot({ path: 'naver-error.png' });
-      } catch (e) {
-        // 스크린샷 실패는 무시
-      }
-      return [];
-    }
-  }
-
-  /**
-   * 카카오맵 URL 정규화
-   * @param {string} url - 카카오맵 URL
-   * @returns {string} 정규화된 URL
-   */
-  normalizeKakaoMapUrl(url) {
-    try {
-      const urlObj = new URL(url);
-      // 카카오맵 URL 형식: https://place.map.kakao.com/{장소ID}
-      // 또는 https://map.kakao.com/link/map/{장소ID}
-      const placeIdMatch = urlObj.pathname.match(/\/(\d+)/);
-      if (placeIdMatch) {
-        const placeId = placeIdMatch[1];
-        // 기본 URL만 반환 (쿼리 파라미터 제거)
-        return `https://place.map.kakao.com/${placeId}`;
-      }
-      return url;
-    } catch (e) {
-      return url;
-    }
-  }
-
-  /**
-   * 카카오맵 스크래핑 (company_name으로 검색)
-   * @param {string} companyName - 기업명 (검색어로 사용)
-   * @param {string} dateFilter - 'all' (전체) 또는 'week' (일주일 간격)
-   */
-  async scrapeKakaoMap(companyName, dateFilter = 'week', jobId = null, portalType = 'kakao', saveImmediately = false) {
-    let actualSavedCount = 0; // 실제 저장 성공 개수 추적
-    try {
-      console.log(`카카오맵 스크래핑 시작: "${companyName}" 검색 (필터: ${dateFilter}, 즉시 저장: ${saveImmediately ? '활성화' : '비활성화'})`);
-      
-      // 카카오맵 메인 페이지로 이동
-      await this.page.goto('https://map.kakao.com/', { waitUntil: 'domcontentloaded', timeout: 60000 });
-      await this.page.waitForTimeout(3000); // 페이지 로딩 대기
+      if (!placeId) {
+        // 카카오맵 메인 페이지로 이동
+        await this.navigate('https://map.kakao.com/', { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await this.pause(3000); // 페이지 로딩 대기
       
-      // 검색 입력상자에 기업명 입력
-      console.log('검색 입력상자에 기업명 입력 중...');
-      const searchInput = this.page.locator('#search\\.keyword\\.query');
-      await searchInput.waitFor({ state: 'visible', timeout: 10000 });
-      await searchInput.fill(companyName);
-      await this.page.waitForTimeout(1000);
+        // 검색 입력상자에 기업명 입력
+        console.log('검색 입력상자에 기업명 입력 중...');
+        const searchInput = this.page.locator('#search\\.keyword\\.query');
+        await searchInput.waitFor({ state: 'visible', timeout: 10000 });
+        await searchInput.fill(companyName);
+        await this.pause(1000);
       
-      // 검색 실행 (Enter 키 사용하여 DimmedLayer 문제 우회)
-      console.log('검색 실행 중 (Enter 키 사용)...');
-      await searchInput.press('Enter');
-      await this.page.waitForTimeout(5000); // 검색 결과 로딩 대기
+        // 검색 실행 (Enter 키 사용하여 DimmedLayer 문제 우회)
+        console.log('검색 실행 중 (Enter 키 사용)...');
+        await searchInput.press('Enter');
+        await this.pause(5000); // 검색 결과 로딩 대기
       
-      // 첫 번째 기업의 기업 ID 추출
-      console.log('첫 번째 기업의 기업 ID 추출 중...');
-      await this.page.waitForTimeout(3000); // 검색 결과 로딩 대기
+        // 첫 번째 기업의 기업 ID 추출
+        console.log('첫 번째 기업의 기업 ID 추출 중...');
+        await this.pause(3000); // 검색 결과 로딩 대기
       
-      // 기업 ID 추출 (JavaScript로 직접 추출)
-      const placeId = await this.page.evaluate(() => {
-        // 여러 방법으로 첫 번째 기업 ID 찾기
-        const firstItem = document.querySelector('#info\\.search\\.place\\.list > li:first-child');
-        if (firstItem) {
-          // 1. data-id 속성 확인
-          const dataId = firstItem.getAttribute('data-id');
-          if (dataId) return dataId;
+        // 기업 ID 추출 (JavaScript로 직접 추출)
+        placeId = await this.page.evaluate(() => {
+          // 여러 방법으로 첫 번째 기업 ID 찾기
+          const firstItem = document.querySelector('#info\\.search\\.place\\.list > li:first-child');
+          if (firstItem) {
+            // 1. data-id 속성 확인
+            const dataId = firstItem.getAttribute('data-id');
+            if (dataId) return dataId;
           
-          // 2. data-id 속성 (다른 형식)
-          const dataId2 = firstItem.getAttribute('data-placeid');
-          if (dataId2) return dataId2;
+            // 2. data-id 속성 (다른 형식)
+            const dataId2 = firstItem.getAttribute('data-placeid');
+            if (dataId2) return dataId2;
           
-          // 3. href에서 추출 (모든 링크 확인)
-          const links = firstItem.querySelectorAll('a');
-          for (const link of links) {
-            const href = link.getAttribute('href');
-            if (href) {
-              // /place/8458713 또는 /8458713 형식
-              const match = href.match(/\/place\/(\d+)/) || href.match(/\/(\d+)/);
-              if (match) return match[1];
+            // 3. href에서 추출 (모든 링크 확인)
+            const links = firstItem.querySelectorAll('a');
+            for (const link of links) {
+              const href = link.getAttribute('href');
+              if (href) {
+                // /place/8458713 또는 /8458713 형식
+                const match = href.match(/\/place\/(\d+)/) || href.match(/\/(\d+)/);
+                if (match) return match[1];
+              }
             }
-          }
           
-          // 4. onclick 이벤트에서 추출
-          const onclick = firstItem.getAttribute('onclick');
-          if (onclick) {
-            const match = onclick.match(/(\d+)/);
-            if (match) return match[1];
+            // 4. onclick 이벤트에서 추출
+            const onclick = firstItem.getAttribute('onclick');
+            if (onclick) {
+              const match = onclick.match(/(\d+)/);
+              if (match) return match[1];
+            }
           }
-        }
         
-        // 5. 전체 검색 결과에서 첫 번째 숫자 ID 찾기
-        const allItems = document.querySelectorAll('#info\\.search\\.place\\.list > li');
-        for (const item of allItems) {
-          const dataId = item.getAttribute('data-id') || item.getAttribute('data-placeid');
-          if (dataId) return dataId;
+          // 5. 전체 검색 결과에서 첫 번째 숫자 ID 찾기
+          const allItems = document.querySelectorAll('#info\\.search\\.place\\.list > li');
+          for (const item of allItems) {
+            const dataId = item.getAttribute('data-id') || item.getAttribute('data-placeid');
+            if (dataId) return dataId;
           
-          const links = item.querySelectorAll('a');
-          for (const link of links) {
-            const href = link.getAttribute('href');
-            if (href) {
-              const match = href.match(/\/place\/(\d+)/) || href.match(/\/(\d+)/);
-              if (match) return match[1];
+            const links = item.querySelectorAll('a');
+            for (const link of links) {
+              const href = link.getAttribute('href');
+              if (href) {
+                const match = href.match(/\/place\/(\d+)/) || href.match(/\/(\d+)/);
+                if (match) return match[1];
+              }
             }
           }
-        }
         
-        return null;
-      });
-      
-      if (!placeId) {
-        console.log('⚠️ 기업 ID를 찾을 수 없습니다. 이 기업의 스크래핑을 건너뜁니다.');
-        // 디버깅을 위해 검색 결과 구조 확인
-        const debugInfo = await this.page.evaluate(() => {
-          const firstItem = document.querySelector('#info\\.search\\.place\\.list > li:first-child');
-          if (firstItem) {
-            return {
-              html: firstItem.outerHTML.substring(0, 500),
-              dataId: firstItem.getAttribute('data-id'),
-              dataPlaceId: firstItem.getAttribute('data-placeid'),
-              hrefs: Array.from(firstItem.querySelectorAll('a')).map(a => a.getAttribute('href'))
-            };
-          }
           return null;
         });
-        console.log('디버깅 정보:', JSON.stringify(debugInfo, null, 2));
-        return [];
+      
+        if (!placeId) {
+          console.log('⚠️ 기업 ID를 찾을 수 없습니다. 이 기업의 스크래핑을 건너뜁니다.');
+          // 디버깅을 위해 검색 결과 구조 확인
+          const debugInfo = await this.page.evaluate(() => {
+            const firstItem = document.querySelector('#info\\.search\\.place\\.list > li:first-child');
+            if (firstItem) {
+              return {
+                html: firstItem.outerHTML.substring(0, 500),
+                dataId: firstItem.getAttribute('data-id'),
+                dataPlaceId: firstItem.getAttribute('data-placeid'),
+                hrefs: Array.from(firstItem.querySelectorAll('a')).map(a => a.getAttribute('href'))
+              };
+            }
+            return null;
+          });
+          console.log('디버깅 정보:', JSON.stringify(debugInfo, null, 2));
+          return [];
+        }
       }
       
       console.log(`기업 ID 추출 성공: ${placeId}`);
@@ -2217,8 +1374,8 @@ class ScraperService {
       // 후기 페이지로 직접 이동: https://place.map.kakao.com/{기업ID}#review
       const reviewUrl = `https://place.map.kakao.com/${placeId}#review`;
       console.log(`후기 페이지로 직접 이동: ${reviewUrl}`);
-      await this.page.goto(reviewUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
-      await this.page.waitForTimeout(5000); // 페이지 로딩 대기
+      await this.navigate(reviewUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      await this.pause(5000); // 페이지 로딩 대기
       
       // #review로 직접 이동했으므로 후기 버튼 클릭은 불필요
       // URL에 #review가 포함되어 있는지 확인
@@ -2254,7 +1411,7 @@ class ScraperService {
         const maxScrollAttempts = 5; // 테스트 기간 동안 5번 스크롤
         
         // 초기 리뷰 개수 확인
-        const reviewListSelector = '#mainContent > div.main_detail > div.detail_cont > div.section_comm.section_review > div.group_review > ul > li';
+        const reviewListSelector = KAKAO_REVIEW_ITEM_SELECTOR;
         const initialReviewItems = this.page.locator(reviewListSelector);
         lastReviewCount = await initialReviewItems.count();
         console.log(`초기 리뷰 개수: ${lastReviewCount}개`);
@@ -2263,7 +1420,7 @@ class ScraperService {
         for (let scrollAttempt = 0; scrollAttempt < maxScrollAttempts; scrollAttempt++) {
           // 페이지 하단으로 스크롤
           await this.page.keyboard.press('End');
-          await this.page.waitForTimeout(3000); // 리뷰 로딩 대기
+          await this.pause(3000); // 리뷰 로딩 대기
           
           // 리뷰 개수 재확인
           const currentReviewItems = this.page.locator(reviewListSelector);
@@ -2276,277 +1433,89 @@ class ScraperService {
           } else {
             noChangeCount++;
             if (noChangeCount >= 2) {
-              console.log(`리뷰 개수가 변하지 않아 스크롤을 중단합니다.`);
-              break;
-            }
-          }
-        }
-        
-        // 최종 리뷰 개수 확인
-        const reviewItems = this.page.locator(reviewListSelector);
-        const reviewCount = await reviewItems.count();
-        console.log(`최종 리뷰 개수: ${reviewCount}개`);
-        
-        // 리뷰 데이터 추출
-        for (let i = 0; i < reviewCount; i++) {
-          try {
-            // 리뷰 아이템 선택자: li:nth-child(i+1)
-            const reviewItem = this.page.locator(`${reviewListSelector}:nth-child(${i + 1})`);
-            
-            // 작성자 추출 (리뷰어 이름, 은 삭제하고 이름만)
-            let nickname = `사용자${i + 1}`;
-            try {
-              const nicknameElement = reviewItem.locator('div > div.area_reviewer > div > div.wrap_user > a > span');
-              const nicknameCount = await nicknameElement.count();
-              if (nicknameCount > 0) {
-                const nicknameText = await nicknameElement.textContent().catch(() => '');
-                if (nicknameText && nicknameText.trim().length > 0) {
-                  let trimmed = nicknameText.trim();
-                  // "리뷰어 이름, " 또는 "리뷰어 이름," 제거
-                  trimmed = trimmed.replace(/^리뷰어\s*이름\s*,?\s*/i, '').trim();
-                  // "리뷰어 이름" 같은 라벨 텍스트 제외
-                  if (trimmed !== '리뷰어 이름' && trimmed.length > 0) {
-                    nickname = trimmed;
-                  }
-                }
-              }
-            } catch (e) {
-              // 닉네임 찾기 실패
-            }
-            
-            // 별점 평균 추출 (숫자만)
-            let rating = 0;
-            try {
-              const ratingElement = reviewItem.locator('div > div.area_reviewer > div > div.wrap_user > div > ul > li:nth-child(2)');
-              const ratingCount = await ratingElement.count();
-              if (ratingCount > 0) {
-                const ratingText = await ratingElement.textContent().catch(() => '');
-                if (ratingText) {
-                  // 숫자만 추출 (예: "4.5", "5", "3.2" 등)
-                  const ratingMatch = ratingText.match(/(\d+\.?\d*)/);
-                  if (ratingMatch) {
-                    rating = parseFloat(ratingMatch[1]);
-                  }
-                }
-              }
-            } catch (e) {
-              // 평점 추출 실패
-            }
-            
-            // 작성일자 추출
-            let date = null;
-            let reviewDate = null;
-            try {
-              const dateElement = reviewItem.locator('div > div.area_review > div > div.review_detail > div.info_grade > span.txt_date');
-              const dateCount = await dateElement.count();
-              if (dateCount > 0) {
-                const dateText = await dateElement.textContent().catch(() => '');
-                if (dateText) {
-                  // 날짜 패턴 파싱
-                  const datePatterns = [
-                    /(\d{4})[.\-/](\d{1,2})[.\-/](\d{1,2})/,
-                    /(\d{2})\.(\d{1,2})\.(\d{1,2})/,
-                  ];
-                  
-                  for (const pattern of datePatterns) {
-                    const dateMatch = dateText.match(pattern);
-                    if (dateMatch) {
-                      let year, month, day;
-                      
-                      if (dateMatch[1].length === 4) {
-                        year = dateMatch[1];
-                        month = dateMatch[2].padStart(2, '0');
-                        day = dateMatch[3].padStart(2, '0');
-                      } else {
-                        year = parseInt(dateMatch[1]) < 50 ? `20${dateMatch[1]}` : `19${dateMatch[1]}`;
-                        month = dateMatch[2].padStart(2, '0');
-                        day = dateMatch[3].padStart(2, '0');
-                      }
-                      
-                      date = `${year}-${month}-${day}`;
-                      reviewDate = new Date(date);
-                      break;
-                    }
-                  }
-                }
-              }
-            } catch (e) {
-              // 날짜 찾기 실패
+              console.log(`리뷰 개수가 변하지 않아 스크롤을 중단합니다.`);
+              break;
             }
-            
+          }
+        }
+        
+        // 최종 리뷰 개수 확인
+        const reviewCount = await this.page.locator(reviewListSelector).count();
+        console.log(`최종 리뷰 개수: ${reviewCount}개`);
+
+        // 접힌 본문 펼치기 (내용의 "더보기")
+        try {
+          const expanded = await this.page.evaluate((selector) => {
+            const buttons = Array.from(document.querySelectorAll(`${selector} div.wrap_review > a > p > span`))
+              .filter((el) => /더보기/.test(el.textContent || ''));
+            buttons.forEach((el) => el.click());
+            return buttons.length;
+          }, reviewListSelector);
+          if (expanded > 0) await this.pause(2000); // 내용 로딩 대기
+        } catch (e) {
+          // 더보기 버튼 클릭 실패
+        }
+
+        // 리뷰 데이터 추출
+        const cards = await this.page.evaluate(extractKakaoReviewCards, reviewListSelector);
+        for (let i = 0; i < cards.length; i++) {
+          try {
+            const reviewData = normalizeKakaoReview(cards[i], { index: i, kst });
+            if (!reviewData) continue;
             // 날짜가 없으면 오늘 날짜 사용 (KST)
-            if (!date) {
-              date = getKstDateInfo().todayStr;
-              reviewDate = new Date(date);
-            }
-            
+            reviewData.date = reviewData.date || kst.todayStr;
+            const { date, rating } = reviewData;
+
             // 날짜 필터링: week 또는 twoWeeks 모드일 때 필터링 (KST 기준)
-            if ((dateFilter === 'week' || dateFilter === 'twoWeeks') && filterDateStr && date && date < filterDateStr) {
+            if (isBeforeDateFilter(date, reviewData.datePrecision, filterDateStr)) {
               continue;
             }
-            
-            // 리뷰 내용 추출 (더보기 버튼 클릭 포함)
-            let content = '';
-            try {
-              // 내용의 더보기 버튼 클릭
-              const contentMoreButton = reviewItem.locator('div > div.area_review > div > div.review_detail > div.wrap_review > a > p > span');
-              const hasMoreButton = await contentMoreButton.count() > 0;
-              
-              if (hasMoreButton) {
-                try {
-                  const isVisible = await contentMoreButton.isVisible().catch(() => false);
-                  if (isVisible) {
-                    await contentMoreButton.scrollIntoViewIfNeeded();
-                    await this.page.waitForTimeout(500);
-                    await contentMoreButton.click({ timeout: 5000 });
-                    await this.page.waitForTimeout(2000); // 내용 로딩 대기
-                  }
-                } catch (e) {
-                  // 더보기 버튼 클릭 실패
-                }
-              }
-              
-              // 리뷰 내용 추출
-              const contentElement = reviewItem.locator('div > div.area_review > div > div.review_detail > div.wrap_review > a > p');
-              const contentCount = await contentElement.count();
-              if (contentCount > 0) {
-                content = await contentElement.textContent().catch(() => '');
-                if (content) {
-                  // 더보기 버튼 텍스트 제거
-                  content = content.replace(/더보기/g, '').trim();
-                }
-              }
-            } catch (e) {
-              // 리뷰 내용 찾기 실패
-            }
-            
-            // 좋아요 갯수 추출 (review_keyword로 저장)
-            let likeCountText = null;
-            try {
-              const likeElement = reviewItem.locator('div > div.area_review > div > div.review_unit > button > span.txt_btn');
-              const likeElementCount = await likeElement.count();
-              if (likeElementCount > 0) {
-                const likeText = await likeElement.textContent().catch(() => '');
-                if (likeText) {
-                  // 숫자만 추출
-                  const numberMatch = likeText.match(/(\d+)/);
-                  if (numberMatch) {
-                    likeCountText = numberMatch[1];
-                  }
-                }
-              }
-            } catch (e) {
-              // 좋아요 갯수 찾기 실패
-            }
-            
-            // visit_type, emotion은 카카오맵에서 제공하지 않을 수 있음
-            const visitType = null;
-            const emotion = null;
-            const keywords = [];
-            
-            // 좋아요 갯수를 review_keyword로 저장
-            if (likeCountText) {
-              keywords.push(`좋아요 ${likeCountText}`);
-            }
-            
-            // 재방문 여부
-            let revisitFlag = false;
-            try {
-              const allText = await reviewItem.textContent().catch(() => '');
-              const certText = allText.match(/인증\s*수단|영수증|(\d+)번째\s*방문/);
-              if (certText) {
-                revisitFlag = true;
-              }
-            } catch (e) {
-              // 인증 정보 찾기 실패
-            }
-            
-            // emotion 값을 visit_keyword에 저장
-            const visitKeyword = emotion || null;
-            
-            // 리뷰 데이터가 유효한지 확인
-            if (content.trim().length > 10 || rating > 0 || nickname !== `사용자${i + 1}`) {
-              const reviewData = {
-                content: content.trim() || '',
-                rating,
-                nickname: nickname.trim(),
-                date,
-                visitKeyword: visitKeyword,
-                reviewKeyword: keywords.length > 0 ? keywords.join(', ') : null,
-                visitType: visitType,
-                emotion: null, // 카카오맵도 emotion을 visit_keyword에 저장하므로 null
-                revisitFlag,
-              };
-              
-              // 즉시 저장 방식이 활성화된 경우 즉시 저장
-              if (saveImmediately && companyName) {
-                // date가 없어도 저장 시도 (KST 오늘 사용)
-                if (!date) {
-                  date = getKstDateInfo().todayStr;
-                  reviewDate = new Date(date);
-                }
-                try {
-                  // 날짜 필터링 확인 (KST 기준)
-                  let shouldSave = true;
-                  const kstFilter = getKstDateInfo();
-                  const filterStr = dateFilter === 'week' ? kstFilter.filterDateWeek : (dateFilter === 'twoWeeks' ? kstFilter.filterDateTwoWeeks : null);
-                  if (filterStr && date && date < filterStr) {
-                    shouldSave = false;
-                  }
-                  
-                  if (shouldSave) {
-                    const analysis = this.analyzeText(
-                      reviewData.content,
-                      rating,
-                      reviewData.visitKeyword,
-                      reviewData.reviewKeyword
-                    );
-                    
-                    const saved = await this.saveReview({
-                      portalUrl: '카카오맵',
-                      companyName,
-                      reviewDate: date,
-                      content: reviewData.content,
-                      rating: rating || null,
-                      nickname: reviewData.nickname,
-                      visitKeyword: reviewData.visitKeyword || null,
-                      reviewKeyword: reviewData.reviewKeyword || null,
-                      visitType: reviewData.visitType || null,
-                      emotion: reviewData.emotion || null,
-                      revisitFlag: reviewData.revisitFlag || false,
-                      nRating: analysis.nRating,
-                      nEmotion: analysis.nEmotion,
-                      nCharCount: analysis.nCharCount,
-                      title: null,
-                      additionalInfo: null,
-                    });
-                    
-                    if (saved) {
-                      actualSavedCount++;
-                      reviews.push(reviewData);
-                      if (actualSavedCount <= 10 || actualSavedCount % 50 === 0) {
-                        console.log(`✅ [카카오맵 즉시 저장 성공] ${actualSavedCount}번째: ${reviewData.nickname} - date: ${date}`);
-                      }
-                    } else {
-                      reviews.push(reviewData);
-                    }
-                  } else {
-                    reviews.push(reviewData);
+
+            if (saveImmediately && companyName) {
+              try {
+                const analysis = this.analyzeText(
+                  reviewData.content,
+                  rating,
+                  reviewData.visitKeyword,
+                  reviewData.reviewKeyword
+                );
+
+                const saved = await this.saveReview({
+                  portalUrl: '카카오맵',
+                  companyName,
+                  reviewDate: date,
+                  reviewDatePrecision: reviewData.datePrecision,
+                  reviewDateRaw: reviewData.dateText,
+                  content: reviewData.content,
+                  rating: rating || null,
+                  nickname: reviewData.nickname,
+                  visitKeyword: reviewData.visitKeyword || null,
+                  reviewKeyword: reviewData.reviewKeyword || null,
+                  visitType: reviewData.visitType || null,
+                  emotion: reviewData.emotion || null,
+                  revisitFlag: reviewData.revisitFlag || false,
+                  nRating: analysis.nRating,
+                  nEmotion: analysis.nEmotion,
+                  nCharCount: analysis.nCharCount,
+                  title: null,
+                  additionalInfo: null,
+                });
+
+                if (saved) {
+                  actualSavedCount++;
+                  if (actualSavedCount <= 10 || actualSavedCount % 50 === 0) {
+                    console.log(`✅ [카카오맵 즉시 저장 성공] ${actualSavedCount}번째: ${reviewData.nickname} - date: ${date}`);
                   }
-                } catch (saveError) {
-                  console.error(`[카카오맵] 리뷰 ${i + 1} 즉시 저장 실패:`, saveError.message);
-                  reviews.push(reviewData);
                 }
-              } else {
-                // 기존 방식: 배열에 추가만 함
-                reviews.push(reviewData);
+              } catch (saveError) {
+                console.error(`[카카오맵] 리뷰 ${i + 1} 즉시 저장 실패:`, saveError.message);
               }
             }
+            reviews.push(reviewData);
           } catch (err) {
             console.error(`리뷰 ${i + 1} 추출 오류:`, err.message);
           }
         }
-        
         console.log(`카카오맵 스크래핑 완료: ${reviews.length}개 리뷰 발견`);
         if (saveImmediately) {
           console.log(`[카카오맵] 즉시 저장 완료: ${actualSavedCount}개 리뷰 저장 성공 (추출: ${reviews.length}개)`);
@@ -2559,12 +1528,8 @@ class ScraperService {
       return reviews;
     } catch (error) {
       console.error('카카오맵 스크래핑 실패:', error);
-      // 디버깅을 위해 스크린샷 저장
-      try {
-        await this.page.screenshot({ path: 'kakao-error.png' });
-      } catch (e) {
-        // 스크린샷 실패는 무시
-      }
+      // 스크린샷/HTML은 scrapeByPortal에서 실패 파일로 저장
+      this.lastScrapeError = error;
       return [];
     }
   }
@@ -2587,70 +1552,116 @@ class ScraperService {
   }
 
   /**
-   * 야놀자 스크래핑 (company_name으로 검색)
+   * 야놀자 숙소 후보 검색 (resolve 단계용)
+   * 검색 결과 상위 N개의 이름/주소(지역)/카테고리/URL을 반환하며 리뷰는 수집하지 않는다.
+   * @param {string} companyName - 기업명 (검색어)
+   * @param {number} limit - 최대 후보 수
+   * @returns {Promise<Array<{name: string, address: string, category: string, url: string}>>}
+   */
+  async searchYanoljaPlaces(companyName, limit = 5) {
+    console.log(`[야놀자 resolve] "${companyName}" 후보 검색 (최대 ${limit}개)`);
+    const searchUrl = `https://nol.yanolja.com/results?keyword=${encodeURIComponent(companyName)}`;
+    await this.navigate(searchUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await this.pause(5000); // 검색 결과 로딩 대기
+
+    return this.page.evaluate((max) => {
+      const seen = new Set();
+      const results = [];
+      for (const link of document.querySelectorAll('a[href*="/stay/domestic/"]')) {
+        const href = link.getAttribute('href') || '';
+        const url = href.startsWith('http') ? href.split('?')[0] : `https://nol.yanolja.com${href.split('?')[0]}`;
+        if (seen.has(url)) continue;
+        seen.add(url);
+
+        // 카드 텍스트: 카테고리/이름/지역이 줄 단위로 섞여 있음
+        const lines = (link.innerText || link.textContent || '')
+          .split('\n')
+          .map((l) => l.trim())
+          .filter(Boolean);
+        const category = lines.find((l) => /^(호텔|모텔|펜션|리조트|게스트하우스|풀빌라|캠핑|글램핑|한옥|홈&빌라|레지던스)/.test(l)) || '';
+        const name = link.querySelector('h2, h3, [class*="title"], [class*="name"]')?.textContent?.trim()
+          || lines.find((l) => l !== category && !/^\d|점$|원$|%$/.test(l))
+          || '';
+        const address = lines.find((l) => l !== name && /(시|군|구|읍|면|동|리)(\s|$)/.test(l)) || '';
+        results.push({ name, address, category, url });
+        if (results.length >= max) break;
+      }
+      return results;
+    }, limit);
+  }
+
+  /**
+   * 야놀자 스크래핑
+   * yanolja_url이 있으면 숙소 상세 페이지로 바로 이동하고, 없을 때만 company_name으로 검색
    * @param {string} companyName - 기업명 (검색어로 사용)
    * @param {string} dateFilter - 'all' (전체) 또는 'week' (일주일 간격)
+   * @param {string} yanoljaUrl - 야놀자 URL (companies 테이블의 yanolja_url)
    */
-  async scrapeYanolja(companyName, dateFilter = 'week', jobId = null, portalType = 'yanolja', saveImmediately = false) {
+  async scrapeYanolja(companyName, dateFilter = 'week', yanoljaUrl = null, jobId = null, portalType = 'yanolja', saveImmediately = false) {
     let actualSavedCount = 0; // 실제 저장 성공 개수 추적
     try {
       console.log(`야놀자 스크래핑 시작: "${companyName}" 검색 (필터: ${dateFilter}, 즉시 저장: ${saveImmediately ? '활성화' : '비활성화'})`);
       
-      // 야놀자 검색 페이지로 이동
-      const searchUrl = `https://nol.yanolja.com/results?keyword=${encodeURIComponent(companyName)}`;
-      await this.page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
-      await this.page.waitForTimeout(5000); // 검색 결과 로딩 대기
+      // 저장된 yanolja_url이 있으면 검색 생략
+      let detailUrl = yanoljaUrl ? this.normalizeYanoljaUrl(yanoljaUrl) : null;
+      if (detailUrl) {
+        console.log(`저장된 야놀자 URL 사용 (검색 생략): ${detailUrl}`);
+      } else {
+        // 야놀자 검색 페이지로 이동
+        const searchUrl = `https://nol.yanolja.com/results?keyword=${encodeURIComponent(companyName)}`;
+        await this.navigate(searchUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await this.pause(5000); // 검색 결과 로딩 대기
       
-      // 첫 번째 검색 결과의 링크 추출
-      console.log('첫 번째 검색 결과 찾는 중...');
-      let detailUrl = null;
+        // 첫 번째 검색 결과의 링크 추출
+        console.log('첫 번째 검색 결과 찾는 중...');
       
-      try {
-        // JavaScript로 직접 추출 (야놀자 검색 결과에서 /stay/domestic/ 링크 찾기)
-        detailUrl = await this.page.evaluate(() => {
-          // 첫 번째 숙소 링크 찾기 (/stay/domestic/ 형식)
-          const links = document.querySelectorAll('a[href*="/stay/domestic/"]');
-          if (links.length > 0) {
-            const href = links[0].getAttribute('href');
-            if (href) {
-              if (href.startsWith('/')) {
-                return `https://nol.yanolja.com${href}`;
-              } else if (href.startsWith('http')) {
-                return href;
+        try {
+          // JavaScript로 직접 추출 (야놀자 검색 결과에서 /stay/domestic/ 링크 찾기)
+          detailUrl = await this.page.evaluate(() => {
+            // 첫 번째 숙소 링크 찾기 (/stay/domestic/ 형식)
+            const links = document.querySelectorAll('a[href*="/stay/domestic/"]');
+            if (links.length > 0) {
+              const href = links[0].getAttribute('href');
+              if (href) {
+                if (href.startsWith('/')) {
+                  return `https://nol.yanolja.com${href}`;
+                } else if (href.startsWith('http')) {
+                  return href;
+                }
               }
             }
-          }
-          return null;
-        });
+            return null;
+          });
         
-        if (!detailUrl) {
-          // 다른 형식의 링크도 시도
-          const allLinks = this.page.locator('a[href*="/stay/"]');
-          const linkCount = await allLinks.count();
-          if (linkCount > 0) {
-            const href = await allLinks.first().getAttribute('href');
-            if (href) {
-              if (href.startsWith('/')) {
-                detailUrl = `https://nol.yanolja.com${href}`;
-              } else if (href.startsWith('http')) {
-                detailUrl = href;
+          if (!detailUrl) {
+            // 다른 형식의 링크도 시도
+            const allLinks = this.page.locator('a[href*="/stay/"]');
+            const linkCount = await allLinks.count();
+            if (linkCount > 0) {
+              const href = await allLinks.first().getAttribute('href');
+              if (href) {
+                if (href.startsWith('/')) {
+                  detailUrl = `https://nol.yanolja.com${href}`;
+                } else if (href.startsWith('http')) {
+                  detailUrl = href;
+                }
               }
             }
           }
+        } catch (e) {
+          console.log('검색 결과 링크 추출 실패:', e.message);
         }
-      } catch (e) {
-        console.log('검색 결과 링크 추출 실패:', e.message);
-      }
       
-      if (!detailUrl) {
-        console.log('⚠️ 검색 결과를 찾을 수 없습니다. 이 기업의 스크래핑을 건너뜁니다.');
-        return [];
+        if (!detailUrl) {
+          console.log('⚠️ 검색 결과를 찾을 수 없습니다. 이 기업의 스크래핑을 건너뜁니다.');
+          return [];
+        }
       }
       
       // 상세 페이지로 이동
       console.log(`상세 페이지로 이동: ${detailUrl}`);
-      await this.page.goto(detailUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
-      await this.page.waitForTimeout(5000); // 페이지 로딩 대기
+      await this.navigate(detailUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      await this.pause(5000); // 페이지 로딩 대기
 
       const reviews = [];
       
@@ -2677,9 +1688,9 @@ class ScraperService {
                 const isVisible = await reviewButton.first().isVisible().catch(() => false);
                 if (isVisible) {
                   await reviewButton.first().scrollIntoViewIfNeeded();
-                  await this.page.waitForTimeout(1000);
+                  await this.pause(1000);
                   await reviewButton.first().click({ timeout: 5000 });
-                  await this.page.waitForTimeout(5000); // 리뷰 섹션 로딩 대기 (시간 증가)
+                  await this.pause(5000); // 리뷰 섹션 로딩 대기 (시간 증가)
                   console.log('전체보기 버튼 클릭 완료');
                   reviewButtonClicked = true;
                   break;
@@ -2707,9 +1718,9 @@ class ScraperService {
             const isVisible = await sortButton.first().isVisible().catch(() => false);
             if (isVisible) {
               await sortButton.first().scrollIntoViewIfNeeded();
-              await this.page.waitForTimeout(1000);
+              await this.pause(1000);
               await sortButton.first().click({ timeout: 5000 });
-              await this.page.waitForTimeout(3000); // 정렬 후 리뷰 로딩 대기
+              await this.pause(3000); // 정렬 후 리뷰 로딩 대기
               console.log('최신작성순 선택 완료');
             }
           }
@@ -2726,7 +1737,7 @@ class ScraperService {
         
         // 초기 리뷰 개수 확인 (야놀자 리뷰 선택자)
         // 리뷰 리스트 컨테이너: #__next > section > div > div.css-1js0bc8
-        const reviewListSelector = '#__next > section > div > div.css-1js0bc8 > div';
+        const reviewListSelector = YANOLJA_REVIEW_ITEM_SELECTOR;
         let reviewItems = this.page.locator(reviewListSelector);
         lastReviewCount = await reviewItems.count();
         
@@ -2748,7 +1759,7 @@ class ScraperService {
             const lastItemCount = await lastReviewItem.count();
             if (lastItemCount > 0) {
               await lastReviewItem.scrollIntoViewIfNeeded();
-              await this.page.waitForTimeout(500);
+              await this.pause(500);
             }
             
             // 2. JavaScript로 점진적 스크롤 (무한 스크롤 트리거)
@@ -2763,24 +1774,24 @@ class ScraperService {
                 behavior: 'smooth'
               });
             });
-            await this.page.waitForTimeout(1000);
+            await this.pause(1000);
             
             // 3. 페이지 하단으로 완전히 스크롤
             await this.page.evaluate(() => {
               window.scrollTo(0, document.body.scrollHeight);
             });
-            await this.page.waitForTimeout(1000);
+            await this.pause(1000);
             
             // 4. End 키로 페이지 하단으로 스크롤
             await this.page.keyboard.press('End');
-            await this.page.waitForTimeout(1000);
+            await this.pause(1000);
             
             // 5. 리뷰 컨테이너가 있으면 해당 컨테이너로 스크롤
             const reviewContainer = this.page.locator('#__next > section > div > div.css-1js0bc8');
             const containerCount = await reviewContainer.count();
             if (containerCount > 0) {
               await reviewContainer.last().scrollIntoViewIfNeeded();
-              await this.page.waitForTimeout(1000);
+              await this.pause(1000);
             }
             
             // 6. 스크롤 이벤트 트리거 (무한 스크롤 활성화)
@@ -2788,14 +1799,14 @@ class ScraperService {
               window.dispatchEvent(new Event('scroll'));
               window.dispatchEvent(new Event('scrollend'));
             });
-            await this.page.waitForTimeout(1000);
+            await this.pause(1000);
             
           } catch (scrollError) {
             // 스크롤 에러는 무시하고 계속 진행
           }
           
           // 리뷰 로딩 대기 (더 긴 대기 시간)
-          await this.page.waitForTimeout(3000);
+          await this.pause(3000);
           
           // 리뷰 개수 재확인
           reviewItems = this.page.locator(reviewListSelector);
@@ -2816,438 +1827,88 @@ class ScraperService {
         }
         
         // 최종 리뷰 개수 확인
-        reviewItems = this.page.locator(reviewListSelector);
-        const reviewCount = await reviewItems.count();
+        const reviewCount = await this.page.locator(reviewListSelector).count();
         console.log(`최종 리뷰 개수: ${reviewCount}개`);
-        
+
+        // 접힌 본문 펼치기 (JavaScript로 직접 클릭해 DimmedLayer 문제 우회)
+        try {
+          const expanded = await this.page.evaluate((selector) => {
+            const buttons = Array.from(document.querySelectorAll(selector));
+            buttons.forEach((button) => button.click());
+            return buttons.length;
+          }, `${reviewListSelector} > ${YANOLJA_CONTENT_MORE_SELECTOR}`);
+          if (expanded > 0) await this.pause(1500); // 클릭 후 내용이 확장될 시간 대기
+        } catch (e) {
+          // 더보기 버튼 클릭 실패
+        }
+
         // 리뷰 데이터 추출
-        for (let i = 0; i < reviewCount; i++) {
+        const kst = getKstDateInfo();
+        const filterDateStr = dateFilter === 'week' ? kst.filterDateWeek : (dateFilter === 'twoWeeks' ? kst.filterDateTwoWeeks : null);
+        const cards = await this.page.evaluate(extractYanoljaReviewCards, reviewListSelector);
+        for (let i = 0; i < cards.length; i++) {
           try {
-            // 각 리뷰 아이템: #__next > section > div > div.css-1js0bc8 > div:nth-child(i+1)
-            const reviewItem = this.page.locator(`${reviewListSelector}:nth-child(${i + 1})`);
-            
-            // rating 추출 (별표로 표시, 숫자로 계산 필요)
-            // 절대 경로: #__next > section > div > div.css-1js0bc8 > div:nth-child(1) > div:nth-child(2) > div > div.css-1toaz2b > div:nth-child(1) > div.css-1mdp7n
-            let rating = 0;
-            try {
-              // 절대 경로로 rating 요소 찾기 (리뷰 인덱스만 동적)
-              const ratingAbsoluteSelector = `#__next > section > div > div.css-1js0bc8 > div:nth-child(${i + 1}) > div:nth-child(2) > div > div.css-1toaz2b > div:nth-child(1) > div.css-1mdp7n`;
-              const ratingElement = this.page.locator(ratingAbsoluteSelector);
-              const ratingCount = await ratingElement.count();
-              
-              if (ratingCount > 0) {
-                // SVG 별표 요소 찾기
-                const starElements = ratingElement.locator('svg');
-                const starCount = await starElements.count();
-                
-                if (starCount > 0) {
-                  // 채워진 별표 개수 확인
-                  let filledStars = 0;
-                  for (let j = 0; j < starCount; j++) {
-                    const star = starElements.nth(j);
-                    
-                    // SVG의 clip-rule 속성 확인 (빈 별표는 clip-rule="evenodd"가 있음)
-                    const svgClipRule = await star.getAttribute('clip-rule').catch(() => '');
-                    
-                    // path 요소의 fill 속성 확인
-                    const pathElements = star.locator('path');
-                    const pathCount = await pathElements.count();
-                    
-                    if (pathCount > 0) {
-                      // 첫 번째 path의 속성 확인
-                      const firstPath = pathElements.first();
-                      const fill = await firstPath.getAttribute('fill').catch(() => '');
-                      const fillRule = await firstPath.getAttribute('fill-rule').catch(() => '');
-                      const pathClipRule = await firstPath.getAttribute('clip-rule').catch(() => '');
-                      
-                      // 빈 별표 판별: clip-rule="evenodd"가 있으면 빈 별표
-                      if (svgClipRule === 'evenodd' || pathClipRule === 'evenodd') {
-                        // 빈 별표는 카운트하지 않음
-                        continue;
-                      }
-                      
-                      // 채워진 별표 판별
-                      // fill="currentColor"이거나 fill이 none이 아니고 transparent가 아닌 경우
-                      if (fill === 'currentColor' || (fill && fill !== 'none' && fill !== 'transparent' && fill !== '')) {
-                        filledStars++;
-                      }
-                    } else {
-                      // path가 없으면 일단 채워진 것으로 간주
-                      filledStars++;
-                    }
-                  }
-                  
-                  rating = filledStars;
-                } else {
-                  // SVG가 아닌 경우 숫자로 추출 시도
-                  const ratingText = await ratingElement.first().textContent().catch(() => '');
-                  const ratingMatch = ratingText.match(/(\d+\.?\d*)/);
-                  if (ratingMatch) {
-                    rating = parseFloat(ratingMatch[1]);
-                  }
-                }
-              } else {
-                // 절대 경로로 찾지 못한 경우 상대 경로로 시도
-                const ratingSelectors = [
-                  'div:nth-child(2) > div > div.css-1toaz2b > div:nth-child(1) > div.css-1mdp7n',
-                  'div:nth-child(1) > div:nth-child(2) > div > div.css-1toaz2b > div:nth-child(1) > div.css-1mdp7n',
-                  '[class*="css-1mdp7n"]',
-                ];
-                
-                for (const selector of ratingSelectors) {
-                  const ratingElement = reviewItem.locator(selector);
-                  const ratingCount = await ratingElement.count();
-                  if (ratingCount > 0) {
-                    const starElements = ratingElement.locator('svg');
-                    const starCount = await starElements.count();
-                    if (starCount > 0) {
-                      // 채워진 별표 개수 확인
-                      let filledStars = 0;
-                      for (let j = 0; j < starCount; j++) {
-                        const star = starElements.nth(j);
-                        
-                        // SVG의 clip-rule 속성 확인 (빈 별표는 clip-rule="evenodd"가 있음)
-                        const svgClipRule = await star.getAttribute('clip-rule').catch(() => '');
-                        
-                        // path 요소의 fill 속성 확인
-                        const pathElements = star.locator('path');
-                        const pathCount = await pathElements.count();
-                        
-                        if (pathCount > 0) {
-                          // 첫 번째 path의 속성 확인
-                          const firstPath = pathElements.first();
-                          const fill = await firstPath.getAttribute('fill').catch(() => '');
-                          const pathClipRule = await firstPath.getAttribute('clip-rule').catch(() => '');
-                          
-                          // 빈 별표 판별: clip-rule="evenodd"가 있으면 빈 별표
-                          if (svgClipRule === 'evenodd' || pathClipRule === 'evenodd') {
-                            // 빈 별표는 카운트하지 않음
-                            continue;
-                          }
-                          
-                          // 채워진 별표 판별
-                          // fill="currentColor"이거나 fill이 none이 아니고 transparent가 아닌 경우
-                          if (fill === 'currentColor' || (fill && fill !== 'none' && fill !== 'transparent' && fill !== '')) {
-                            filledStars++;
-                          }
-                        } else {
-                          // path가 없으면 일단 채워진 것으로 간주
-                          filledStars++;
-                        }
-                      }
-                      
-                      rating = filledStars;
-                      break;
-                    }
-                  }
-                }
-              }
-            } catch (e) {
-              // 평점 추출 실패
-            }
-            
-            // review_date 추출
-            // 절대 경로: #__next > section > div > div.css-1js0bc8 > div:nth-child(1) > div:nth-child(2) > div > div.css-1toaz2b > div:nth-child(1) > div.css-1ivchjf
-            // 상대 경로: div:nth-child(2) > div > div.css-1toaz2b > div:nth-child(1) > div.css-1ivchjf
-            let date = null;
-            let reviewDate = null;
-            try {
-              const dateSelectors = [
-                'div:nth-child(2) > div > div.css-1toaz2b > div:nth-child(1) > div.css-1ivchjf',
-                'div:nth-child(1) > div:nth-child(2) > div > div.css-1toaz2b > div:nth-child(1) > div.css-1ivchjf',
-                'div > div > div.css-1toaz2b > div:nth-child(1) > div.css-1ivchjf',
-                '[class*="css-1ivchjf"]', // 클래스 직접 사용
-              ];
-              
-              for (const selector of dateSelectors) {
-                const dateElement = reviewItem.locator(selector);
-                const dateCount = await dateElement.count();
-                if (dateCount > 0) {
-                  const dateText = await dateElement.first().textContent().catch(() => '');
-                  if (dateText && dateText.trim().length > 0) {
-                    // 날짜 패턴 파싱
-                    const datePatterns = [
-                      /(\d{4})[.\-/](\d{1,2})[.\-/](\d{1,2})/,
-                      /(\d{2})\.(\d{1,2})\.(\d{1,2})/,
-                    ];
-                    
-                    for (const pattern of datePatterns) {
-                      const dateMatch = dateText.match(pattern);
-                      if (dateMatch) {
-                        let year, month, day;
-                        
-                        if (dateMatch[1].length === 4) {
-                          year = dateMatch[1];
-                          month = dateMatch[2].padStart(2, '0');
-                          day = dateMatch[3].padStart(2, '0');
-                        } else {
-                          year = parseInt(dateMatch[1]) < 50 ? `20${dateMatch[1]}` : `19${dateMatch[1]}`;
-                          month = dateMatch[2].padStart(2, '0');
-                          day = dateMatch[3].padStart(2, '0');
-                        }
-                        
-                        date = `${year}-${month}-${day}`;
-                        reviewDate = new Date(date);
-                        break;
-                      }
-                    }
-                    
-                    if (date) break;
-                  }
-                }
-              }
-            } catch (e) {
-              // 날짜 찾기 실패
+            const reviewData = normalizeYanoljaReview(cards[i], { index: i, kst });
+            if (!reviewData) {
+              // 처음 3개 리뷰에서 유효하지 않은 경우 로그
+              if (i < 3) console.log(`리뷰 ${i + 1} 유효하지 않음: content=${(cards[i].content || '').length}, nickname="${cards[i].nickname}"`);
+              continue;
             }
-            
             // 날짜가 없으면 오늘 날짜 사용
-            if (!date) {
-              date = getKstDateInfo().todayStr;
-              reviewDate = new Date(date);
-            }
-            
+            reviewData.date = reviewData.date || kst.todayStr;
+            const { date, rating } = reviewData;
+
             // 날짜 필터링 (KST 기준)
-            const kstY = getKstDateInfo();
-            const yFilterStr = dateFilter === 'week' ? kstY.filterDateWeek : (dateFilter === 'twoWeeks' ? kstY.filterDateTwoWeeks : null);
-            if (yFilterStr && date && date < yFilterStr) {
+            if (isBeforeDateFilter(date, reviewData.datePrecision, filterDateStr)) {
               continue;
             }
-            
-            // content 추출 (더보기 버튼 클릭 필요)
-            // 절대 경로: #__next > section > div > div.css-1js0bc8 > div:nth-child(1) > div:nth-child(2) > div > div:nth-child(3) > div.css-1kpa3g > p
-            // 더보기 버튼: #__next > section > div > div.css-1js0bc8 > div:nth-child(1) > div:nth-child(2) > div > div:nth-child(3) > div.css-1z0es1i > div > button
-            let content = '';
-            try {
-              // 절대 경로로 더보기 버튼과 content 선택자 정의 (리뷰 인덱스만 동적)
-              const moreButtonAbsoluteSelector = `#__next > section > div > div.css-1js0bc8 > div:nth-child(${i + 1}) > div:nth-child(2) > div > div:nth-child(3) > div.css-1z0es1i > div > button`;
-              const contentAbsoluteSelector = `#__next > section > div > div.css-1js0bc8 > div:nth-child(${i + 1}) > div:nth-child(2) > div > div:nth-child(3) > div.css-1kpa3g > p`;
-              
-              // 더보기 버튼이 있는지 확인하고 클릭 (있는 경우에만)
-              const moreButton = this.page.locator(moreButtonAbsoluteSelector);
-              const moreButtonCount = await moreButton.count();
-              
-              if (moreButtonCount > 0) {
-                // 버튼이 보이는지 확인
-                const isVisible = await moreButton.first().isVisible({ timeout: 2000 }).catch(() => false);
-                if (isVisible) {
-                  // 스크롤하여 버튼이 보이도록 함
-                  await moreButton.first().scrollIntoViewIfNeeded();
-                  await this.page.waitForTimeout(500);
-                  
-                  // JavaScript로 직접 클릭 시도 (DimmedLayer 문제 우회)
-                  try {
-                    await moreButton.first().click({ timeout: 3000 });
-                  } catch (clickError) {
-                    // Playwright click 실패 시 JavaScript로 직접 클릭
-                    await this.page.evaluate((selector) => {
-                      const button = document.querySelector(selector);
-                      if (button) {
-                        button.click();
-                      }
-                    }, moreButtonAbsoluteSelector);
-                  }
-                  // 클릭 후 내용이 확장될 시간 대기
-                  await this.page.waitForTimeout(1500);
-                }
-              }
-              
-              // 절대 경로로 리뷰 내용 추출 (리뷰 인덱스만 동적)
-              const contentElement = this.page.locator(contentAbsoluteSelector);
-              const contentCount = await contentElement.count();
-              
-              if (contentCount > 0) {
-                content = await contentElement.first().textContent().catch(() => '');
-                if (content) {
-                  content = content.trim();
-                  // "더보기" 버튼 텍스트 제거
-                  content = content.replace(/더보기/g, '').trim();
-                }
-              }
-              
-              // 절대 경로로 찾지 못한 경우 상대 경로로 시도
-              if (!content || content.length === 0) {
-                const contentSelectors = [
-                  'div:nth-child(2) > div > div:nth-child(3) > div.css-1kpa3g > p',
-                  'div:nth-child(1) > div:nth-child(2) > div > div:nth-child(3) > div.css-1kpa3g > p',
-                  'div > div > div:nth-child(3) > div.css-1kpa3g > p',
-                  '[class*="css-1kpa3g"] p',
-                ];
-                
-                for (const selector of contentSelectors) {
-                  const contentElement = reviewItem.locator(selector);
-                  const contentCount = await contentElement.count();
-                  if (contentCount > 0) {
-                    content = await contentElement.first().textContent().catch(() => '');
-                    if (content && content.trim().length > 0) {
-                      content = content.trim();
-                      content = content.replace(/더보기/g, '').trim();
-                      break;
-                    }
-                  }
-                }
-              }
-            } catch (e) {
-              // 리뷰 내용 찾기 실패
-            }
-            
-            // nickname 추출
-            // 절대 경로: #__next > section > div > div.css-1js0bc8 > div:nth-child(2) > div:nth-child(3) > div > div.css-1toaz2b > div:nth-child(3) > div > p:nth-child(1) > span:nth-child(1)
-            // 상대 경로: div:nth-child(2) > div:nth-child(3) > div > div.css-1toaz2b > div:nth-child(3) > div > p:nth-child(1) > span:nth-child(1)
-            let nickname = `사용자${i + 1}`;
-            try {
-              const nicknameSelectors = [
-                'div:nth-child(2) > div:nth-child(3) > div > div.css-1toaz2b > div:nth-child(3) > div > p:nth-child(1) > span:nth-child(1)',
-                'div:nth-child(1) > div:nth-child(3) > div > div.css-1toaz2b > div:nth-child(3) > div > p:nth-child(1) > span:nth-child(1)',
-                'div > div:nth-child(3) > div > div.css-1toaz2b > div:nth-child(3) > div > p:nth-child(1) > span:nth-child(1)',
-                'p:nth-child(1) > span:nth-child(1)', // 더 간단한 선택자
-              ];
-              
-              for (const selector of nicknameSelectors) {
-                const nicknameElement = reviewItem.locator(selector);
-                const nicknameCount = await nicknameElement.count();
-                if (nicknameCount > 0) {
-                  const nicknameText = await nicknameElement.first().textContent().catch(() => '');
-                  if (nicknameText && nicknameText.trim().length > 0) {
-                    nickname = nicknameText.trim();
-                    break;
-                  }
-                }
-              }
-            } catch (e) {
-              // 닉네임 찾기 실패
-            }
-            
-            // visit_type 추출
-            // 절대 경로: #__next > section > div > div.css-1js0bc8 > div:nth-child(2) > div:nth-child(3) > div > div.css-1toaz2b > div:nth-child(3) > div > p:nth-child(1) > span.css-2bwu0q
-            // 상대 경로: div:nth-child(2) > div:nth-child(3) > div > div.css-1toaz2b > div:nth-child(3) > div > p:nth-child(1) > span.css-2bwu0q
-            let visitType = null;
-            try {
-              const visitTypeSelectors = [
-                'div:nth-child(2) > div:nth-child(3) > div > div.css-1toaz2b > div:nth-child(3) > div > p:nth-child(1) > span.css-2bwu0q',
-                'div:nth-child(1) > div:nth-child(3) > div > div.css-1toaz2b > div:nth-child(3) > div > p:nth-child(1) > span.css-2bwu0q',
-                'div > div:nth-child(3) > div > div.css-1toaz2b > div:nth-child(3) > div > p:nth-child(1) > span.css-2bwu0q',
-                'span.css-2bwu0q', // 클래스 직접 사용
-              ];
-              
-              for (const selector of visitTypeSelectors) {
-                const visitTypeElement = reviewItem.locator(selector);
-                const visitTypeCount = await visitTypeElement.count();
-                if (visitTypeCount > 0) {
-                  const visitTypeText = await visitTypeElement.first().textContent().catch(() => '');
-                  if (visitTypeText && visitTypeText.trim().length > 0) {
-                    visitType = visitTypeText.trim();
-                    break;
-                  }
-                }
-              }
-            } catch (e) {
-              // visit_type 찾기 실패
-            }
-            
-            // emotion은 없음
-            const emotion = null;
-            
-            // review_keyword는 없음
-            const keywords = [];
-            
-            // 재방문 여부
-            let revisitFlag = false;
-            try {
-              const allText = await reviewItem.textContent().catch(() => '');
-              if (allText && (allText.includes('재방문') || allText.includes('다시') || allText.includes('2번째'))) {
-                revisitFlag = true;
-              }
-            } catch (e) {
-              // 재방문 정보 찾기 실패
-            }
-            
-            // 리뷰 데이터가 유효한지 확인 (content가 없어도 nickname이나 visitType이 있으면 저장)
-            if (content.trim().length > 10 || rating > 0 || (nickname !== `사용자${i + 1}` && nickname.trim().length > 0)) {
-              const reviewData = {
-                content: content.trim() || '',
-                rating,
-                nickname: nickname.trim(),
-                date,
-                visitKeyword: emotion || null,
-                reviewKeyword: keywords.length > 0 ? keywords.join(', ') : null,
-                visitType: visitType,
-                emotion: null,
-                revisitFlag,
-              };
-              
-              // 즉시 저장 방식이 활성화된 경우 즉시 저장
-              if (saveImmediately && companyName) {
-                // date가 없어도 저장 시도 (KST 오늘 사용)
-                if (!date) {
-                  date = getKstDateInfo().todayStr;
-                  reviewDate = new Date(date);
-                }
-                try {
-                  // 날짜 필터링 확인 (KST 기준)
-                  let shouldSave = true;
-                  const kstFilter = getKstDateInfo();
-                  const filterStr = dateFilter === 'week' ? kstFilter.filterDateWeek : (dateFilter === 'twoWeeks' ? kstFilter.filterDateTwoWeeks : null);
-                  if (filterStr && date && date < filterStr) {
-                    shouldSave = false;
-                  }
-                  
-                  if (shouldSave) {
-                    const analysis = this.analyzeText(
-                      reviewData.content,
-                      rating,
-                      reviewData.visitKeyword,
-                      reviewData.reviewKeyword
-                    );
-                    
-                    const saved = await this.saveReview({
-                      portalUrl: '야놀자',
-                      companyName,
-                      reviewDate: date,
-                      content: reviewData.content,
-                      rating: rating || null,
-                      nickname: reviewData.nickname,
-                      visitKeyword: reviewData.visitKeyword || null,
-                      reviewKeyword: reviewData.reviewKeyword || null,
-                      visitType: reviewData.visitType || null,
-                      emotion: reviewData.emotion || null,
-                      revisitFlag: reviewData.revisitFlag || false,
-                      nRating: analysis.nRating,
-                      nEmotion: analysis.nEmotion,
-                      nCharCount: analysis.nCharCount,
-                      title: null,
-                      additionalInfo: null,
-                    });
-                    
-                    if (saved) {
-                      actualSavedCount++;
-                      reviews.push(reviewData);
-                      if (actualSavedCount <= 10 || actualSavedCount % 50 === 0) {
-                        console.log(`✅ [야놀자 즉시 저장 성공] ${actualSavedCount}번째: ${reviewData.nickname} - date: ${date}`);
-                      }
-                    } else {
-                      reviews.push(reviewData);
-                    }
-                  } else {
-                    reviews.push(reviewData);
+
+            if (saveImmediately && companyName) {
+              try {
+                const analysis = this.analyzeText(
+                  reviewData.content,
+                  rating,
+                  reviewData.visitKeyword,
+                  reviewData.reviewKeyword
+                );
+
+                const saved = await this.saveReview({
+                  portalUrl: '야놀자',
+                  companyName,
+                  reviewDate: date,
+                  reviewDatePrecision: reviewData.datePrecision,
+                  reviewDateRaw: reviewData.dateText,
+                  content: reviewData.content,
+                  rating: rating || null,
+                  nickname: reviewData.nickname,
+                  visitKeyword: reviewData.visitKeyword || null,
+                  reviewKeyword: reviewData.reviewKeyword || null,
+                  visitType: reviewData.visitType || null,
+                  emotion: reviewData.emotion || null,
+                  revisitFlag: reviewData.revisitFlag || false,
+                  nRating: analysis.nRating,
+                  nEmotion: analysis.nEmotion,
+                  nCharCount: analysis.nCharCount,
+                  title: null,
+                  additionalInfo: null,
+                });
+
+                if (saved) {
+                  actualSavedCount++;
+                  if (actualSavedCount <= 10 || actualSavedCount % 50 === 0) {
+                    console.log(`✅ [야놀자 즉시 저장 성공] ${actualSavedCount}번째: ${reviewData.nickname} - date: ${date}`);
                   }
-                } catch (saveError) {
-                  console.error(`[야놀자] 리뷰 ${i + 1} 즉시 저장 실패:`, saveError.message);
-                  reviews.push(reviewData);
                 }
-              } else {
-                // 기존 방식: 배열에 추가만 함
-                reviews.push(reviewData);
+              } catch (saveError) {
+                console.error(`[야놀자] 리뷰 ${i + 1} 즉시 저장 실패:`, saveError.message);
               }
-            } else if (i < 3) {
-              // 처음 3개 리뷰에서 유효하지 않은 경우 로그
-              console.log(`리뷰 ${i + 1} 유효하지 않음: content=${content.length}, rating=${rating}, nickname="${nickname}"`);
             }
+            reviews.push(reviewData);
           } catch (err) {
             console.error(`리뷰 ${i + 1} 추출 오류:`, err.message);
             console.error(err.stack);
           }
         }
-        
         console.log(`야놀자 스크래핑 완료: ${reviews.length}개 리뷰 발견`);
         if (saveImmediately) {
           console.log(`[야놀자] 즉시 저장 완료: ${actualSavedCount}개 리뷰 저장 성공 (추출: ${reviews.length}개)`);
@@ -3260,12 +1921,288 @@ class ScraperService {
       return reviews;
     } catch (error) {
       console.error('야놀자 스크래핑 실패:', error);
-      // 디버깅을 위해 스크린샷 저장
+      // 스크린샷/HTML은 scrapeByPortal에서 실패 파일로 저장
+      this.lastScrapeError = error;
+      return [];
+    }
+  }
+
+  /**
+   * 여기어때(굿초이스) URL 정규화
+   * - 구 도메인: https://www.goodchoice.kr/product/detail?ano={숙소ID}
+   * - 현 도메인: https://www.yeogi.com/domestic-accommodations/{숙소ID}
+   * @param {string} url - 여기어때 URL
+   * @returns {string} 정규화된 URL
+   */
+  normalizeGoodchoiceUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      const ano = urlObj.searchParams.get('ano');
+      const pathMatch = urlObj.pathname.match(/\/(?:domestic-accommodations|product\/detail)\/(\d+)/);
+      const placeId = ano || (pathMatch ? pathMatch[1] : null);
+      if (placeId) {
+        return `https://www.yeogi.com/domestic-accommodations/${placeId}`;
+      }
+      return `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}`;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * 여기어때 숙소 후보 검색 (resolve 단계용)
+   * 검색 결과 상위 N개의 이름/주소(지역)/카테고리/URL을 반환하며 리뷰는 수집하지 않는다.
+   * @param {string} companyName - 기업명 (검색어)
+   * @param {number} limit - 최대 후보 수
+   * @returns {Promise<Array<{name: string, address: string, category: string, url: string}>>}
+   */
+  async searchGoodchoicePlaces(companyName, limit = 5) {
+    console.log(`[여기어때 resolve] "${companyName}" 후보 검색 (최대 ${limit}개)`);
+    const searchUrl = `https://www.yeogi.com/domestic-accommodations?keyword=${encodeURIComponent(companyName)}`;
+    await this.navigate(searchUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await this.pause(5000); // 검색 결과 로딩 대기
+
+    const candidates = await this.page.evaluate((max) => {
+      const seen = new Set();
+      const results = [];
+      for (const link of document.querySelectorAll('a[href*="/domestic-accommodations/"], a[href*="/product/detail"]')) {
+        const href = link.getAttribute('href') || '';
+        const match = href.match(/\/domestic-accommodations\/(\d+)/) || href.match(/ano=(\d+)/);
+        // 텍스트 없는 이미지 링크는 건너뛰고 같은 숙소의 이름 링크를 씀
+        const lines = (link.innerText || link.textContent || '')
+          .split('\n')
+          .map((l) => l.trim())
+          .filter(Boolean);
+        if (!match || lines.length === 0 || seen.has(match[1])) continue;
+        seen.add(match[1]);
+
+        // 카드 텍스트: 카테고리/이름/지역/가격이 줄 단위로 섞여 있음
+        const category = lines.find((l) => /^(호텔|모텔|펜션|리조트|게스트하우스|풀빌라|캠핑|글램핑|한옥|레지던스)/.test(l)) || '';
+        const name = link.querySelector('h2, h3, [class*="title"], [class*="name"]')?.textContent?.trim()
+          || lines.find((l) => l !== category && !/^\d|점$|원$|%$/.test(l))
+          || '';
+        const address = lines.find((l) => l !== name && /(시|군|구|읍|면|동|리)(\s|$)/.test(l)) || '';
+        results.push({ accommodationId: match[1], name, address, category });
+        if (results.length >= max) break;
+      }
+      return results;
+    }, limit);
+
+    return candidates.map(({ accommodationId, ...rest }) => ({
+      ...rest,
+      url: `https://www.yeogi.com/domestic-accommodations/${accommodationId}`,
+    }));
+  }
+
+  /**
+   * 여기어때(굿초이스) 스크래핑
+   * goodchoice_url이 있으면 해당 숙소로 바로 이동, 없으면 기업명으로 검색
+   * @param {string} companyName - 기업명 (검색어로 사용)
+   * @param {string} dateFilter - 'all' (전체), 'week' (일주일 간격), 'twoWeeks' (2주 간격)
+   * @param {string} goodchoiceUrl - 여기어때 URL (companies 테이블의 goodchoice_url)
+   */
+  async scrapeGoodchoice(companyName, dateFilter = 'week', goodchoiceUrl = null, jobId = null, portalType = 'goodchoice', saveImmediately = false) {
+    let actualSavedCount = 0; // 실제 저장 성공 개수 추적
+    try {
+      console.log(`여기어때 스크래핑 시작: "${companyName}" (필터: ${dateFilter}, URL: ${goodchoiceUrl || '없음'}, 즉시 저장: ${saveImmediately ? '활성화' : '비활성화'})`);
+
+      // 1단계: 숙소 상세 URL 결정 (goodchoice_url 우선, 없으면 검색 첫 결과)
+      let detailUrl = goodchoiceUrl ? this.normalizeGoodchoiceUrl(goodchoiceUrl) : null;
+
+      if (!detailUrl) {
+        const searchUrl = `https://www.yeogi.com/domestic-accommodations?keyword=${encodeURIComponent(companyName)}`;
+        console.log(`검색 페이지로 이동: ${searchUrl}`);
+        await this.navigate(searchUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await this.pause(5000); // 검색 결과 로딩 대기
+
+        try {
+          detailUrl = await this.page.evaluate((keyword) => {
+            const links = Array.from(document.querySelectorAll('a[href*="/domestic-accommodations/"], a[href*="/product/detail"]'))
+              .filter((a) => /\/domestic-accommodations\/\d+|ano=\d+/.test(a.getAttribute('href') || ''));
+            if (links.length === 0) return null;
+            // 숙소명에 검색어가 포함된 결과 우선, 없으면 첫 번째 결과
+            const normalized = keyword.replace(/\s+/g, '');
+            const matched = links.find((a) => (a.textContent || '').replace(/\s+/g, '').includes(normalized));
+            const href = (matched || links[0]).getAttribute('href');
+            return href.startsWith('http') ? href : `https://www.yeogi.com${href}`;
+          }, companyName);
+        } catch (e) {
+          console.log('검색 결과 링크 추출 실패:', e.message);
+        }
+
+        if (!detailUrl) {
+          console.log('⚠️ 검색 결과를 찾을 수 없습니다. 이 기업의 스크래핑을 건너뜁니다.');
+          return [];
+        }
+        detailUrl = this.normalizeGoodchoiceUrl(detailUrl);
+      }
+
+      // 2단계: 리뷰 페이지로 이동
+      const reviewUrl = `${detailUrl.replace(/\/$/, '')}/reviews`;
+      console.log(`리뷰 페이지로 이동: ${reviewUrl}`);
+      await this.navigate(reviewUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      await this.pause(5000); // 페이지 로딩 대기
+
+      // 최신순 정렬 (있는 경우)
       try {
-        await this.page.screenshot({ path: 'yanolja-error.png' });
+        const sortButton = this.page.locator('button:has-text("최신순"), a:has-text("최신순"), [role="tab"]:has-text("최신순")');
+        if (await sortButton.count() > 0 && await sortButton.first().isVisible().catch(() => false)) {
+          await sortButton.first().click({ timeout: 5000 });
+          await this.pause(3000); // 정렬 후 리뷰 로딩 대기
+          console.log('최신순 정렬 완료');
+        }
       } catch (e) {
-        // 스크린샷 실패는 무시
+        console.log('최신순 정렬 실패:', e.message);
+      }
+
+      // 날짜 필터링 설정 (KST 기준)
+      const kst = getKstDateInfo();
+      let filterDateStr = null;
+      if (dateFilter === 'week') {
+        filterDateStr = kst.filterDateWeek;
+      } else if (dateFilter === 'twoWeeks') {
+        filterDateStr = kst.filterDateTwoWeeks;
+      }
+      console.log(`날짜 필터 (KST): ${filterDateStr ? `${filterDateStr} ~ ${kst.todayStr}` : '전체 (필터링 없음)'}`);
+
+      const reviews = [];
+      const seenKeys = new Set();
+      const maxPages = 100; // 무한 루프 방지
+      let pageNum = 1;
+      let shouldStop = false;
+
+      while (!shouldStop && pageNum <= maxPages) {
+        // 현재 페이지 리뷰 추출 (리뷰 카드 단위)
+        const pageItems = await this.page.evaluate(extractGoodchoiceReviewCards);
+
+        if (pageItems.length === 0) {
+          console.log(pageNum === 1 ? '⚠️ 리뷰를 찾을 수 없습니다.' : '더 이상 리뷰가 없습니다.');
+          break;
+        }
+        console.log(`여기어때 ${pageNum}페이지 리뷰 ${pageItems.length}개 발견`);
+
+        let newOnPage = 0;
+        for (let i = 0; i < pageItems.length; i++) {
+          const item = pageItems[i];
+          try {
+            const reviewData = normalizeGoodchoiceReview(item, { index: reviews.length, kst });
+            if (!reviewData) continue;
+            // 날짜가 없으면 오늘 날짜 사용 (KST)
+            reviewData.date = reviewData.date || kst.todayStr;
+            const { date, rating } = reviewData;
+
+            // 날짜 필터링: 최신순이므로 기준일 이전 리뷰를 만나면 이 페이지까지만 처리
+            if (isBeforeDateFilter(date, reviewData.datePrecision, filterDateStr)) {
+              shouldStop = true;
+              continue;
+            }
+
+            const dedupeKey = `${reviewData.nickname}|${date}|${reviewData.content.slice(0, 80)}`;
+            if (seenKeys.has(dedupeKey)) continue;
+            seenKeys.add(dedupeKey);
+            newOnPage++;
+
+            if (saveImmediately && companyName) {
+              try {
+                const analysis = this.analyzeText(
+                  reviewData.content,
+                  rating,
+                  reviewData.visitKeyword,
+                  reviewData.reviewKeyword
+                );
+
+                const saved = await this.saveReview({
+                  portalUrl: '여기어때',
+                  companyName,
+                  reviewDate: date,
+                  reviewDatePrecision: reviewData.datePrecision,
+                  reviewDateRaw: reviewData.dateText,
+                  content: reviewData.content,
+                  rating: rating || null,
+                  nickname: reviewData.nickname,
+                  visitKeyword: reviewData.visitKeyword || null,
+                  reviewKeyword: reviewData.reviewKeyword || null,
+                  visitType: reviewData.visitType || null,
+                  emotion: reviewData.emotion || null,
+                  revisitFlag: reviewData.revisitFlag || false,
+                  nRating: analysis.nRating,
+                  nEmotion: analysis.nEmotion,
+                  nCharCount: analysis.nCharCount,
+                  title: null,
+                  additionalInfo: null,
+                });
+
+                if (saved) {
+                  actualSavedCount++;
+                  if (actualSavedCount <= 10 || actualSavedCount % 50 === 0) {
+                    console.log(`✅ [여기어때 즉시 저장 성공] ${actualSavedCount}번째: ${reviewData.nickname} - date: ${date}`);
+                  }
+                }
+              } catch (saveError) {
+                console.error(`[여기어때] 리뷰 ${reviews.length + 1} 즉시 저장 실패:`, saveError.message);
+              }
+            }
+            reviews.push(reviewData);
+          } catch (err) {
+            console.error(`리뷰 ${i + 1} 추출 오류:`, err.message);
+          }
+        }
+
+        if (shouldStop) {
+          console.log(`[여기어때] 날짜 필터 기준일(${filterDateStr}) 이전 리뷰 도달 → 수집 종료`);
+          break;
+        }
+        if (newOnPage === 0) {
+          console.log('[여기어때] 새 리뷰가 없어 수집 종료 (마지막 페이지 반복)');
+          break;
+        }
+
+        // 다음 페이지로 이동: 페이지 번호 버튼 → "다음" 버튼 → 리스트 하단 "더보기" 순서로 시도
+        let moved = false;
+        const nextPageSelectors = [
+          `[class*="pagination"] button:text-is("${pageNum + 1}")`,
+          `[class*="pagination"] a:text-is("${pageNum + 1}")`,
+          '[class*="pagination"] button[aria-label*="다음"]',
+          '[class*="pagination"] a[aria-label*="다음"]',
+          'button[aria-label*="next" i]',
+          'button:has-text("리뷰 더보기")',
+          'button:has-text("더보기")',
+        ];
+        for (const selector of nextPageSelectors) {
+          try {
+            const nextButton = this.page.locator(selector).last();
+            if (await nextButton.count() === 0) continue;
+            if (!(await nextButton.isVisible().catch(() => false))) continue;
+            const disabled = await nextButton.isDisabled().catch(() => false);
+            if (disabled) continue;
+            await nextButton.scrollIntoViewIfNeeded();
+            await this.pause(500);
+            await nextButton.click({ timeout: 5000 });
+            await this.pause(3000); // 다음 페이지 로딩 대기
+            moved = true;
+            break;
+          } catch (e) {
+            // 다음 선택자 시도
+          }
+        }
+
+        if (!moved) {
+          console.log('다음 페이지 버튼을 찾을 수 없습니다. 모든 페이지 수집 완료.');
+          break;
+        }
+        pageNum++;
+      }
+
+      console.log(`여기어때 스크래핑 완료: ${reviews.length}개 리뷰 발견 (${pageNum}페이지)`);
+      if (saveImmediately) {
+        console.log(`[여기어때] 즉시 저장 완료: ${actualSavedCount}개 리뷰 저장 성공 (추출: ${reviews.length}개)`);
+        reviews._actualSavedCount = actualSavedCount;
       }
+      return reviews;
+    } catch (error) {
+      console.error('여기어때 스크래핑 실패:', error);
+      // 스크린샷/HTML은 scrapeByPortal에서 실패 파일로 저장
+      this.lastScrapeError = error;
       return [];
     }
   }
@@ -3284,23 +2221,23 @@ class ScraperService {
       // agoda_url이 있으면 직접 URL로 이동
       if (agodaUrl) {
         console.log(`직접 URL로 이동: ${agodaUrl}`);
-        await this.page.goto(agodaUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-        await this.page.waitForTimeout(2000);
+        await this.navigate(agodaUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        await this.pause(2000);
         
         // 빈 화면 클릭 (모달/오버레이 닫기)
         try {
           console.log('빈 화면 클릭 (모달/오버레이 닫기)');
           // 페이지 중앙의 빈 공간 클릭
           await this.page.mouse.click(400, 300);
-          await this.page.waitForTimeout(1000);
+          await this.pause(1000);
         } catch (e) {
           console.log('빈 화면 클릭 실패 (계속 진행):', e.message);
         }
       } else {
         // 기존 검색 로직
         // 아고다 메인 페이지로 이동
-        await this.page.goto('https://www.agoda.com', { waitUntil: 'domcontentloaded', timeout: 30000 });
-        await this.page.waitForTimeout(2000);
+        await this.navigate('https://www.agoda.com', { waitUntil: 'domcontentloaded', timeout: 30000 });
+        await this.pause(2000);
         
         // 검색 입력창에 기업명 입력
         try {
@@ -3308,13 +2245,13 @@ class ScraperService {
           const inputCount = await searchInput.count();
           if (inputCount > 0) {
             await searchInput.first().fill(companyName);
-            await this.page.waitForTimeout(2000);
+            await this.pause(2000);
             
             // Enter 키로 검색 실행 (검색 결과 클릭 대신)
             console.log('Enter 키로 검색 실행');
             await this.page.keyboard.press('Enter');
             await this.page.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {});
-            await this.page.waitForTimeout(3000);
+            await this.pause(3000);
             
             // 검색 결과 페이지로 이동했는지 확인
             const currentUrl = this.page.url();
@@ -3393,8 +2330,8 @@ class ScraperService {
                     
                     console.log(`호텔 상세 페이지로 이동: ${fullUrl}`);
                     console.log(`  - 원본 href: ${matchedHotel.href}`);
-                    await this.page.goto(fullUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-                    await this.page.waitForTimeout(3000);
+                    await this.navigate(fullUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+                    await this.pause(3000);
                     
                     // 이동 후 URL 확인 (리다이렉트나 쿼리 파라미터 추가 여부 확인)
                   const finalUrl = this.page.url();
@@ -3436,8 +2373,8 @@ class ScraperService {
                   fullUrl = fullUrl.replace('https://www.agoda.com/', 'https://www.agoda.com/ko-kr/');
                 }
                 console.log(`텍스트 기반 검색으로 호텔 발견: ${fullUrl}`);
-                await this.page.goto(fullUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-                await this.page.waitForTimeout(3000);
+                await this.navigate(fullUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+                await this.pause(3000);
                 const finalUrl = this.page.url();
                 console.log(`이동 후 최종 URL: ${finalUrl}`);
                 hotelFound = true;
@@ -3487,8 +2424,8 @@ class ScraperService {
                 fullUrl = fullUrl.replace('https://www.agoda.com/', 'https://www.agoda.com/ko-kr/');
               }
               console.log(`호텔 상세 페이지로 이동 (재시도): ${fullUrl}`);
-              await this.page.goto(fullUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-              await this.page.waitForTimeout(3000);
+              await this.navigate(fullUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+              await this.pause(3000);
               const finalUrl = this.page.url();
               console.log(`이동 후 최종 URL: ${finalUrl}`);
               break;
@@ -3525,9 +2462,9 @@ class ScraperService {
         if (tabCount > 0 && reviewTab) {
           console.log('리뷰 탭 클릭');
           await reviewTab.first().scrollIntoViewIfNeeded();
-          await this.page.waitForTimeout(1000);
+          await this.pause(1000);
           await reviewTab.first().click({ timeout: 5000 });
-          await this.page.waitForTimeout(3000);
+          await this.pause(3000);
         } else {
           // 리뷰 섹션으로 스크롤
           console.log('리뷰 탭을 찾을 수 없음, 리뷰 섹션으로 스크롤 시도');
@@ -3539,14 +2476,14 @@ class ScraperService {
               window.scrollTo(0, document.body.scrollHeight / 2);
             }
           });
-          await this.page.waitForTimeout(3000);
+          await this.pause(3000);
         }
       } catch (e) {
         console.log('리뷰 섹션 이동 실패 (계속 진행):', e.message);
       }
       
       // 리뷰 섹션이 로드되었는지 확인
-      await this.page.waitForTimeout(2000);
+      await this.pause(2000);
       const reviewCheck = await this.page.locator('[id^="review-"]').count();
       const sortCheck = await this.page.locator('#review-sort-id').count();
       console.log(`리뷰 섹션 확인: 리뷰 ${reviewCheck}개, 정렬 선택자 ${sortCheck}개 발견`);
@@ -3560,7 +2497,7 @@ class ScraperService {
           let selectionResult = { success: false };
           try {
             await sortSelect.first().selectOption({ value: '1' }); // value="1"이 최신순
-            await this.page.waitForTimeout(1000);
+            await this.pause(1000);
             
             // 선택 확인
             const checkResult = await sortSelect.first().evaluate((select) => {
@@ -3713,7 +2650,7 @@ class ScraperService {
           const maxAttempts = Math.floor(maxWaitTime / checkInterval);
           
           for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            await this.page.waitForTimeout(checkInterval);
+            await this.pause(checkInterval);
             
             try {
               // 실제 리뷰 아이템만 선택 (Review-comment 클래스를 가진 요소)
@@ -3811,7 +2748,7 @@ class ScraperService {
           }
           
           // 추가 대기 시간 (리뷰가 완전히 로드될 때까지)
-          await this.page.waitForTimeout(2000);
+          await this.pause(2000);
           
           // 리뷰가 실제로 재정렬되었는지 확인 (첫 번째 리뷰의 날짜 확인)
           let firstReviewDate = null;
@@ -3860,6 +2797,7 @@ class ScraperService {
             try {
               const reviewItems = this.page.locator('[id^="review-"]');
               const reviewCount = await reviewItems.count();
+              const kstSort = getKstDateInfo();
               const datesToCheck = Math.min(5, reviewCount); // 처음 5개 리뷰의 날짜 확인
               const extractedDates = [];
               
@@ -3869,23 +2807,14 @@ class ScraperService {
                   const dateEl = reviewItem.locator('div.Review-statusBar > div.Review-statusBar-left > span');
                   const count = await dateEl.count();
                   if (count > 0) {
-                    let dateText = ((await dateEl.first().textContent().catch(() => '')) || '').trim();
-                    dateText = dateText.replace(/작성일:\s*/g, '').trim();
-                    
-                    // 한국어 날짜 형식 파싱
-                    const koreanDateMatch = dateText.match(/(\d{4})년\s*(\d{1,2})월\s*(\d{1,2})일/);
-                    if (koreanDateMatch) {
-                      const year = parseInt(koreanDateMatch[1]);
-                      const month = parseInt(koreanDateMatch[2]) - 1;
-                      const day = parseInt(koreanDateMatch[3]);
-                      const parsedDate = new Date(year, month, day);
-                      if (!isNaN(parsedDate.getTime())) {
-                        extractedDates.push({
-                          index: i,
-                          dateText: dateText,
-                          date: parsedDate,
-                        });
-                      }
+                    const dateText = ((await dateEl.first().textContent().catch(() => '')) || '').trim();
+                    const parsed = parseReviewDate(dateText, kstSort);
+                    if (parsed) {
+                      extractedDates.push({
+                        index: i,
+                        dateText: dateText,
+                        date: parsed.date, // YYYY-MM-DD 문자열 비교
+                      });
                     }
                   }
                 } catch (e) {}
@@ -3921,7 +2850,7 @@ class ScraperService {
           }
           
           // 추가 대기 (리뷰가 완전히 재정렬될 때까지)
-          await this.page.waitForTimeout(2000);
+          await this.pause(2000);
           
           // 최종 확인
           const finalCheck = await sortSelect.first().evaluate((select) => {
@@ -3956,7 +2885,7 @@ class ScraperService {
           await this.page.evaluate(() => {
             window.scrollTo(0, document.body.scrollHeight);
           });
-          await this.page.waitForTimeout(3000);
+          await this.pause(3000);
           
           // 리뷰 섹션으로 스크롤
           await this.page.evaluate(() => {
@@ -3965,30 +2894,19 @@ class ScraperService {
               reviewSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
             }
           });
-          await this.page.waitForTimeout(3000);
+          await this.pause(3000);
         }
         
         // 현재 페이지의 리뷰 개수 확인 (여러 선택자 시도)
-        let reviewItems = null;
+        let reviewSelector = null;
         let reviewCount = 0;
-        
-        const reviewSelectors = [
-          'div.Review-comment[id^="review-"]', // 실제 리뷰 아이템만 선택 (review-footer-legend 제외)
-          '[id^="review-"]:not([id*="footer"]):not([id*="legend"])', // fallback: footer/legend 제외
-          'li.Review-comment',
-          'div.Review-comment',
-          'li[class*="Review-comment"]',
-          'div[class*="Review-comment"]',
-          '[class*="Review"]',
-          '[data-testid*="review"]',
-        ];
-        
+
         // 리뷰가 로드될 때까지 최대 10초 대기
         for (let attempt = 0; attempt < 10; attempt++) {
-          for (const selector of reviewSelectors) {
-            reviewItems = this.page.locator(selector);
-            reviewCount = await reviewItems.count();
+          for (const selector of AGODA_REVIEW_CARD_SELECTORS) {
+            reviewCount = await this.page.locator(selector).count();
             if (reviewCount > 0) {
+              reviewSelector = selector;
               console.log(`리뷰 선택자 "${selector}"로 ${reviewCount}개 발견`);
               break;
             }
@@ -4000,7 +2918,7 @@ class ScraperService {
           await this.page.evaluate(() => {
             window.scrollBy(0, 500);
           });
-          await this.page.waitForTimeout(1000);
+          await this.pause(1000);
         }
         
         if (reviewCount === 0) {
@@ -4036,297 +2954,77 @@ class ScraperService {
         console.log(`페이지 ${pageNum + 1}: ${reviewCount}개 리뷰 발견`);
         
         // 각 리뷰 추출
-        for (let i = 0; i < reviewCount; i++) {
+        const kst = getKstDateInfo();
+        const filterDateStr = dateFilter === 'week'
+          ? kst.filterDateWeek
+          : (dateFilter === '2weeks' || dateFilter === 'twoWeeks' ? kst.filterDateTwoWeeks : null);
+        const cards = await this.page.evaluate(extractAgodaReviewCards, reviewSelector);
+        for (let i = 0; i < cards.length; i++) {
           try {
-            // nth()를 사용하여 리뷰 아이템 선택
-            const reviewItem = reviewItems.nth(i);
-            const exists = await reviewItem.count();
-            
-            if (exists === 0) continue;
-            
-            // rating 추출 (제공된 선택자: #review-0 > div.Review-comment-left > div > div.Review-comment-leftHeader > div.Review-comment-leftScore)
-            let rating = 0;
-            try {
-              const ratingSelectors = [
-                'div.Review-comment-left > div > div.Review-comment-leftHeader > div.Review-comment-leftScore',
-                'div.Review-comment-leftScore',
-              ];
-              for (const selector of ratingSelectors) {
-                const ratingEl = reviewItem.locator(selector);
-                const count = await ratingEl.count();
-                if (count > 0) {
-                  const ratingText = (await ratingEl.first().textContent().catch(() => '')) || '';
-                  const match = ratingText.match(/(\d+\.?\d*)/);
-                  if (match) {
-                    rating = parseFloat(match[1]);
-                    // 아고다는 10점 만점이므로 10으로 제한 (DB 스키마: NUMERIC(3,2)는 10 미만만 허용)
-                    if (rating > 10) {
-                      rating = 10;
-                    }
-                    break;
-                  }
-                }
-              }
-            } catch (e) {}
-            
-            // nickname 추출 (제공된 HTML 구조: div.Review-comment-reviewer[data-info-type="reviewer-name"] strong)
-            let nickname = '';
-            try {
-              const nicknameSelectors = [
-                '.Review-comment-reviewer[data-info-type="reviewer-name"] strong',
-                'div.Review-comment-reviewer[data-info-type="reviewer-name"] strong',
-                'div.Review-comment-left > div > div:nth-child(2) strong',
-              ];
-              for (const selector of nicknameSelectors) {
-                const nicknameEl = reviewItem.locator(selector);
-                const count = await nicknameEl.count();
-                if (count > 0) {
-                  nickname = ((await nicknameEl.first().textContent().catch(() => '')) || '').trim();
-                  if (nickname) break;
-                }
-              }
-            } catch (e) {}
-            
-            // visit_type 추출 (제공된 HTML 구조: div.Review-comment-reviewer[data-info-type="group-name"] span)
-            let visitType = '';
-            try {
-              const visitTypeSelectors = [
-                '.Review-comment-reviewer[data-info-type="group-name"] span',
-                'div.Review-comment-reviewer[data-info-type="group-name"] span',
-                'div.Review-comment-left > div > div:nth-child(3) span',
-              ];
-              for (const selector of visitTypeSelectors) {
-                const visitTypeEl = reviewItem.locator(selector);
-                const count = await visitTypeEl.count();
-                if (count > 0) {
-                  visitType = ((await visitTypeEl.first().textContent().catch(() => '')) || '').trim();
-                  if (visitType) break;
-                }
-              }
-            } catch (e) {}
-            
-            // emotion 추출 (제공된 선택자: #review-0 > div.Review-comment-left > div > div.Review-comment-leftHeader > div.Review-comment-leftScoreText)
-            let emotion = '';
-            try {
-              const emotionEl = reviewItem.locator('div.Review-comment-left > div > div.Review-comment-leftHeader > div.Review-comment-leftScoreText');
-              const count = await emotionEl.count();
-              if (count > 0) {
-                emotion = ((await emotionEl.first().textContent().catch(() => '')) || '').trim();
-              }
-            } catch (e) {}
-            
-            // visitKeyword는 빈값으로 설정
-            const visitKeyword = '';
-            
-            // title 추출 (제공된 HTML 구조: h4[data-testid="review-title"] 또는 div.Review-comment-body > h4)
-            let title = '';
-            try {
-              const titleSelectors = [
-                'h4[data-testid="review-title"]',
-                'div.Review-comment-right > div.Review-comment-bubble > div.Review-comment-body > h4',
-                'div.Review-comment-body > h4',
-              ];
-              for (const selector of titleSelectors) {
-                const titleEl = reviewItem.locator(selector);
-                const count = await titleEl.count();
-                if (count > 0) {
-                  title = ((await titleEl.first().textContent().catch(() => '')) || '').trim();
-                  if (title) break;
-                }
-              }
-            } catch (e) {}
-            
-            // content 추출 (제공된 HTML 구조: p.Review-comment-bodyText 또는 div.Review-comment-body > p.Review-comment-bodyText)
-            let content = '';
-            try {
-              const contentSelectors = [
-                'p.Review-comment-bodyText',
-                'p[data-testid="review-comment"]',
-                'div.Review-comment-right > div.Review-comment-bubble > div.Review-comment-body > p.Review-comment-bodyText',
-                'div.Review-comment-body > p.Review-comment-bodyText',
-                '.Review-comment-bodyText',
-              ];
-              for (const selector of contentSelectors) {
-                const contentEl = reviewItem.locator(selector);
-                const count = await contentEl.count();
-                if (count > 0) {
-                  content = ((await contentEl.first().textContent().catch(() => '')) || '').trim();
-                  if (content) {
-                    // content를 한국어로 번역
-                    if (content && content.trim().length > 0) {
-                      content = await translateToKorean(content);
-                    }
-                    break;
-                  }
-                }
-              }
-            } catch (e) {}
-            
-            // review_date 추출 (제공된 HTML 구조: div.Review-statusBar > div.Review-statusBar-left > span - "작성일: 2026년 1월 19일")
-            let reviewDate = null;
-            let date = null;
-            try {
-              const dateSelectors = [
-                'div.Review-comment-right > div.Review-comment-bubble > div.Review-statusBar > div.Review-statusBar-left > span',
-                'div.Review-statusBar > div.Review-statusBar-left > span',
-                '.Review-statusBar-left span',
-                'div.Review-comment-right > div.Review-comment-bubble > div.Review-statusBar span',
-                '.Review-statusBar span',
-              ];
-              for (const selector of dateSelectors) {
-                const dateEl = reviewItem.locator(selector);
-                const count = await dateEl.count();
-                if (count > 0) {
-                  let dateText = ((await dateEl.first().textContent().catch(() => '')) || '').trim();
-                  // "작성일: " 제거
-                  dateText = dateText.replace(/작성일:\s*/g, '').trim();
-                  
-                  if (dateText) {
-                    // 디버깅: 처음 몇 개 리뷰의 날짜 텍스트 로그
-                    if (i < 5) {
-                      console.log(`[디버깅] 리뷰 ${i + 1} 날짜 텍스트: "${dateText}"`);
-                    }
-                    
-                    // 한국어 날짜 형식 파싱 (예: "2026년 1월 18일", "2026년 1월 19일")
-                    const koreanDateMatch = dateText.match(/(\d{4})년\s*(\d{1,2})월\s*(\d{1,2})일/);
-                    if (koreanDateMatch) {
-                      const year = parseInt(koreanDateMatch[1]);
-                      const month = parseInt(koreanDateMatch[2]);
-                      const day = parseInt(koreanDateMatch[3]);
-                      // 시간대 문제를 피하기 위해 직접 문자열 생성
-                      date = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
-                      // reviewDate는 Date 객체로 생성 (시간대 고려)
-                      const parsedDate = new Date(year, month - 1, day);
-                      if (!isNaN(parsedDate.getTime())) {
-                        reviewDate = parsedDate;
-                        
-                        // 디버깅: 처음 몇 개 리뷰의 파싱된 날짜 로그
-                        if (i < 5) {
-                          console.log(`[디버깅] 리뷰 ${i + 1} 날짜 파싱 성공: "${dateText}" → ${date} (${year}년 ${month}월 ${day}일)`);
-                        }
-                        break;
-                      } else if (i < 5) {
-                        console.log(`[디버깅] 리뷰 ${i + 1} 날짜 파싱 실패: "${dateText}" (유효하지 않은 날짜)`);
-                      }
-                    } else {
-                      // 다른 형식 시도
-                      const parsedDate = new Date(dateText);
-                      if (!isNaN(parsedDate.getTime())) {
-                        date = parsedDate.toISOString().split('T')[0];
-                        reviewDate = parsedDate;
-                        if (i < 5) {
-                          console.log(`[디버깅] 리뷰 ${i + 1} 날짜 파싱 (대체 방법): "${dateText}" → ${date}`);
-                        }
-                        break;
-                      } else if (i < 5) {
-                        console.log(`[디버깅] 리뷰 ${i + 1} 날짜 파싱 실패: "${dateText}" (형식 불일치)`);
-                      }
-                    }
-                  } else if (i < 5) {
-                    console.log(`[디버깅] 리뷰 ${i + 1} 날짜 텍스트 없음`);
-                  }
-                }
-              }
-            } catch (e) {}
-            
-            if (!date) {
-              date = getKstDateInfo().todayStr;
-              reviewDate = new Date(date);
+            const reviewData = normalizeAgodaReview(cards[i], { index: i, kst });
+            if (!reviewData) continue;
+            if (i < 5) {
+              console.log(`[디버깅] 리뷰 ${i + 1} 날짜 텍스트: "${cards[i].dateText}" → ${reviewData.date || '(파싱 실패)'}`);
             }
-            
+            reviewData.date = reviewData.date || kst.todayStr;
+            const { date, rating } = reviewData;
+
             // 날짜 필터링 (KST 기준, 2주 전까지)
-            const kstA = getKstDateInfo();
-            const aFilterStr = (dateFilter === 'week' || dateFilter === '2weeks') ? (dateFilter === 'week' ? kstA.filterDateWeek : kstA.filterDateTwoWeeks) : null;
-            if (aFilterStr && date && date < aFilterStr) {
+            if (isBeforeDateFilter(date, reviewData.datePrecision, filterDateStr)) {
               continue;
             }
-            
-            // 리뷰 데이터 추가
-            if ((content && content.trim().length > 0) || rating > 0 || (nickname && nickname.trim().length > 0)) {
-              const reviewData = {
-                content: content ? content.trim() : '',
-                nickname: nickname || `사용자${i + 1}`,
-                rating: rating,
-                visitType: visitType || '',
-                emotion: emotion || null,
-                reviewKeyword: [],
-                visitKeyword: visitKeyword || '',
-                reviewDate: date,
-                title: title || null,
-                additionalInfo: null, // 추가 정보는 필요시 확장
-                revisitFlag: false,
-              };
-              
-              // 즉시 저장 방식이 활성화된 경우 즉시 저장
-              if (saveImmediately && companyName) {
-                // date가 없어도 저장 시도 (KST 오늘 사용)
-                if (!date) {
-                  date = getKstDateInfo().todayStr;
-                  reviewDate = new Date(date);
-                }
-                try {
-                  // 날짜 필터링 확인 (KST 기준)
-                  let shouldSave = true;
-                  const kstFilter = getKstDateInfo();
-                  const filterStr = dateFilter === 'week' ? kstFilter.filterDateWeek : (dateFilter === 'twoWeeks' ? kstFilter.filterDateTwoWeeks : null);
-                  if (filterStr && date && date < filterStr) {
-                    shouldSave = false;
-                  }
-                  
-                  if (shouldSave) {
-                    const analysis = this.analyzeText(
-                      reviewData.content,
-                      rating,
-                      reviewData.visitKeyword,
-                      Array.isArray(reviewData.reviewKeyword) ? reviewData.reviewKeyword.join(', ') : reviewData.reviewKeyword
-                    );
-                    
-                    const saved = await this.saveReview({
-                      portalUrl: '아고다',
-                      companyName,
-                      reviewDate: date,
-                      content: reviewData.content,
-                      rating: rating || null,
-                      nickname: reviewData.nickname,
-                      visitKeyword: reviewData.visitKeyword || null,
-                      reviewKeyword: Array.isArray(reviewData.reviewKeyword) ? reviewData.reviewKeyword.join(', ') : reviewData.reviewKeyword || null,
-                      visitType: reviewData.visitType || null,
-                      emotion: reviewData.emotion || null,
-                      revisitFlag: reviewData.revisitFlag || false,
-                      nRating: analysis.nRating,
-                      nEmotion: analysis.nEmotion,
-                      nCharCount: analysis.nCharCount,
-                      title: reviewData.title || null,
-                      additionalInfo: reviewData.additionalInfo || null,
-                    });
-                    
-                    if (saved) {
-                      actualSavedCount++;
-                      reviews.push(reviewData);
-                      if (actualSavedCount <= 10 || actualSavedCount % 50 === 0) {
-                        console.log(`✅ [아고다 즉시 저장 성공] ${actualSavedCount}번째: ${reviewData.nickname} - date: ${date}`);
-                      }
-                    } else {
-                      reviews.push(reviewData);
-                    }
-                  } else {
-                    reviews.push(reviewData);
+
+            // content를 한국어로 번역
+            if (reviewData.content) {
+              reviewData.content = await translateToKorean(reviewData.content);
+            }
+
+            if (saveImmediately && companyName) {
+              try {
+                const analysis = this.analyzeText(
+                  reviewData.content,
+                  rating,
+                  reviewData.visitKeyword,
+                  reviewData.reviewKeyword
+                );
+
+                const saved = await this.saveReview({
+                  portalUrl: '아고다',
+                  companyName,
+                  reviewDate: date,
+                  reviewDatePrecision: reviewData.datePrecision,
+                  reviewDateRaw: reviewData.dateText,
+                  content: reviewData.content,
+                  rating: rating || null,
+                  nickname: reviewData.nickname,
+                  visitKeyword: reviewData.visitKeyword || null,
+                  reviewKeyword: reviewData.reviewKeyword || null,
+                  visitType: reviewData.visitType || null,
+                  emotion: reviewData.emotion || null,
+                  revisitFlag: reviewData.revisitFlag || false,
+                  nRating: analysis.nRating,
+                  nEmotion: analysis.nEmotion,
+                  nCharCount: analysis.nCharCount,
+                  title: reviewData.title || null,
+                  additionalInfo: reviewData.additionalInfo || null,
+                });
+
+                if (saved) {
+                  actualSavedCount++;
+                  if (actualSavedCount <= 10 || actualSavedCount % 50 === 0) {
+                    console.log(`✅ [아고다 즉시 저장 성공] ${actualSavedCount}번째: ${reviewData.nickname} - date: ${date}`);
                   }
-                } catch (saveError) {
-                  console.error(`[아고다] 리뷰 ${i + 1} 즉시 저장 실패:`, saveError.message);
-                  reviews.push(reviewData);
                 }
-              } else {
-                // 기존 방식: 배열에 추가만 함
-                reviews.push(reviewData);
+              } catch (saveError) {
+                console.error(`[아고다] 리뷰 ${i + 1} 즉시 저장 실패:`, saveError.message);
               }
             }
+            reviews.push(reviewData);
           } catch (error) {
             // 리뷰 추출 실패 시 건너뛰기
             if (i < 3) console.log(`[디버깅] 리뷰 ${i + 1} 추출 실패:`, error.message);
           }
         }
-        
         // 다음 페이지로 이동
         try {
           // 다양한 선택자로 다음 페이지 버튼 찾기
@@ -4361,9 +3059,9 @@ class ScraperService {
                   
                   if (!isDisabled && !hasDisabledClass) {
                     await nextButton.first().scrollIntoViewIfNeeded();
-                    await this.page.waitForTimeout(1000);
+                    await this.pause(1000);
                     await nextButton.first().click({ timeout: 5000 });
-                    await this.page.waitForTimeout(4000); // 페이지 로딩 대기 시간 증가
+                    await this.pause(4000); // 페이지 로딩 대기 시간 증가
                     pageNum++;
                     console.log(`아고다 ${pageNum}페이지로 이동 완료`);
                     nextPageFound = true;
@@ -4397,6 +3095,275 @@ class ScraperService {
       
     } catch (error) {
       console.error('아고다 스크래핑 실패:', error);
+      this.lastScrapeError = error;
+      return [];
+    }
+  }
+
+  /**
+   * 트립어드바이저 URL 정규화
+   * 페이지 오프셋(-or10-)과 쿼리 파라미터를 제거하고 첫 리뷰 페이지 URL만 반환
+   * 예: https://www.tripadvisor.co.kr/Hotel_Review-g294197-d1234567-Reviews-or10-Hotel_Name-Seoul.html
+   *   → https://www.tripadvisor.co.kr/Hotel_Review-g294197-d1234567-Reviews-Hotel_Name-Seoul.html
+   * @param {string} url - 트립어드바이저 URL
+   * @returns {string} 정규화된 URL
+   */
+  normalizeTripadvisorUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      const pathname = urlObj.pathname.replace(/-or\d+-/, '-');
+      return `${urlObj.protocol}//${urlObj.host}${pathname}`;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * 트립어드바이저 장소 후보 검색 (resolve 단계용)
+   * 검색 결과 상위 N개의 이름/주소(지역)/카테고리/URL을 반환하며 리뷰는 수집하지 않는다.
+   * @param {string} companyName - 기업명 (검색어)
+   * @param {number} limit - 최대 후보 수
+   * @returns {Promise<Array<{name: string, address: string, category: string, url: string}>>}
+   */
+  async searchTripadvisorPlaces(companyName, limit = 5) {
+    console.log(`[트립어드바이저 resolve] "${companyName}" 후보 검색 (최대 ${limit}개)`);
+    const searchUrl = `https://www.tripadvisor.co.kr/Search?q=${encodeURIComponent(companyName)}`;
+    await this.navigate(searchUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await this.pause(5000); // 검색 결과 로딩 대기
+
+    const candidates = await this.page.evaluate((max) => {
+      const categories = { Hotel: '호텔', Restaurant: '음식점', Attraction: '관광명소' };
+      const seen = new Set();
+      const results = [];
+      for (const link of document.querySelectorAll('a[href*="_Review-"]')) {
+        const href = link.getAttribute('href') || '';
+        const match = href.match(/\/(Hotel|Restaurant|Attraction)_Review-g\d+-d\d+[^?#]*/);
+        const name = (link.textContent || '').replace(/\s+/g, ' ').trim();
+        // 텍스트 없는 이미지 링크는 건너뛰고 같은 장소의 이름 링크를 씀
+        if (!match || !name || seen.has(match[0])) continue;
+        seen.add(match[0]);
+
+        // 결과 카드 텍스트에서 지역 줄 (예: "대한민국 강원도 동해시")
+        const card = link.closest('li, [data-test-attribute], [class*="result"]') || link.parentElement;
+        const lines = (card.innerText || card.textContent || '')
+          .split('\n')
+          .map((l) => l.trim())
+          .filter(Boolean);
+        const address = lines.find((l) => l !== name && /(도|시|군|구|읍|면|동)(\s|,|$)/.test(l)) || '';
+        results.push({ path: match[0], name, address, category: categories[match[1]] });
+        if (results.length >= max) break;
+      }
+      return results;
+    }, limit);
+
+    return candidates.map(({ path, ...rest }) => ({
+      ...rest,
+      url: this.normalizeTripadvisorUrl(`https://www.tripadvisor.co.kr${path}`),
+    }));
+  }
+
+  /**
+   * 트립어드바이저 스크래핑 (전체 언어)
+   * - tripadvisor_url이 있으면 해당 숙소로 바로 이동, 없으면 기업명으로 검색
+   * - filterLang=ALL + 페이지 오프셋(-orN-)으로 모든 언어의 리뷰 페이지를 순회
+   * - 한국어가 아닌 제목/본문은 translateToKorean으로 번역하고 원문은 original_content에 보관
+   * - 작성일은 review_date, 숙박일은 additional_info("숙박일: YYYY-MM")에 저장
+   * @param {string} companyName - 기업명 (검색어로 사용)
+   * @param {string} dateFilter - 'all' (전체), 'week' (일주일 간격), 'twoWeeks' (2주 간격)
+   * @param {string} tripadvisorUrl - 트립어드바이저 URL (companies 테이블의 tripadvisor_url)
+   */
+  async scrapeTripadvisor(companyName, dateFilter = 'week', tripadvisorUrl = null, jobId = null, portalType = 'tripadvisor', saveImmediately = false) {
+    let actualSavedCount = 0; // 실제 저장 성공 개수 추적
+    try {
+      console.log(`트립어드바이저 스크래핑 시작: "${companyName}" (필터: ${dateFilter}, URL: ${tripadvisorUrl || '없음'}, 즉시 저장: ${saveImmediately ? '활성화' : '비활성화'})`);
+
+      // 1단계: 숙소 리뷰 URL 결정 (tripadvisor_url 우선, 없으면 검색 결과에서 기업명과 가장 비슷한 숙소)
+      let baseUrl = tripadvisorUrl ? this.normalizeTripadvisorUrl(tripadvisorUrl) : null;
+
+      if (!baseUrl) {
+        const searchUrl = `https://www.tripadvisor.co.kr/Search?q=${encodeURIComponent(companyName)}`;
+        console.log(`검색 페이지로 이동: ${searchUrl}`);
+        await this.navigate(searchUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await this.pause(5000); // 검색 결과 로딩 대기
+
+        try {
+          baseUrl = await this.page.evaluate((keyword) => {
+            const links = Array.from(document.querySelectorAll('a[href*="_Review-"]'))
+              .filter((a) => /\/(Hotel|Restaurant|Attraction)_Review-g\d+-d\d+/.test(a.getAttribute('href') || ''));
+            if (links.length === 0) return null;
+            const normalized = keyword.replace(/\s+/g, '').toLowerCase();
+            const matched = links.find((a) => (a.textContent || '').replace(/\s+/g, '').toLowerCase().includes(normalized));
+            const href = (matched || links[0]).getAttribute('href');
+            return href.startsWith('http') ? href : `https://www.tripadvisor.co.kr${href}`;
+          }, companyName);
+        } catch (e) {
+          console.log('검색 결과 링크 추출 실패:', e.message);
+        }
+
+        if (!baseUrl) {
+          console.log('⚠️ 검색 결과를 찾을 수 없습니다. 이 기업의 스크래핑을 건너뜁니다.');
+          return [];
+        }
+        baseUrl = this.normalizeTripadvisorUrl(baseUrl);
+      }
+
+      // 페이지 오프셋 URL 생성: -Reviews- 뒤에 -or{offset}- 삽입, 전체 언어 필터
+      const pageUrl = (offset) => {
+        const withOffset = offset > 0 ? baseUrl.replace('-Reviews-', `-Reviews-or${offset}-`) : baseUrl;
+        return `${withOffset}?filterLang=ALL`;
+      };
+
+      // 날짜 필터링 설정 (KST 기준)
+      const kst = getKstDateInfo();
+      let filterDateStr = null;
+      if (dateFilter === 'week') {
+        filterDateStr = kst.filterDateWeek;
+      } else if (dateFilter === 'twoWeeks') {
+        filterDateStr = kst.filterDateTwoWeeks;
+      }
+      console.log(`날짜 필터 (KST): ${filterDateStr ? `${filterDateStr} ~ ${kst.todayStr}` : '전체 (필터링 없음)'}`);
+
+      const reviews = [];
+      const seenKeys = new Set();
+      const pageSize = 10; // 트립어드바이저 리뷰 페이지당 10개
+      const maxPages = 200; // 무한 루프 방지
+      let pageNum = 0;
+      let shouldStop = false;
+
+      while (!shouldStop && pageNum < maxPages) {
+        const url = pageUrl(pageNum * pageSize);
+        console.log(`트립어드바이저 ${pageNum + 1}페이지로 이동: ${url}`);
+        await this.navigate(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await this.pause(4000); // 리뷰 로딩 대기
+
+        // 접힌 본문 펼치기 ("더보기" / "Read more")
+        try {
+          await this.page.evaluate(() => {
+            const buttons = Array.from(document.querySelectorAll('button, span[role="button"], div[data-test-target="expand-review"] span'));
+            buttons
+              .filter((el) => /^(더보기|Read more|더 보기)$/i.test((el.textContent || '').trim()))
+              .forEach((el) => el.click());
+          });
+          await this.pause(1000);
+        } catch (_) {}
+
+        const pageItems = await this.page.evaluate(extractTripadvisorReviewCards);
+
+        if (pageItems.length === 0) {
+          console.log(pageNum === 0 ? '⚠️ 리뷰를 찾을 수 없습니다.' : '더 이상 리뷰가 없습니다. 모든 페이지 수집 완료.');
+          break;
+        }
+        console.log(`트립어드바이저 ${pageNum + 1}페이지 리뷰 ${pageItems.length}개 발견`);
+
+        let newOnPage = 0;
+        for (let i = 0; i < pageItems.length; i++) {
+          const item = pageItems[i];
+          try {
+            const parsed = normalizeTripadvisorReview(item, { index: reviews.length, kst });
+            if (!parsed) continue;
+            // 작성일 (없으면 오늘 날짜, KST)
+            const date = parsed.date || kst.todayStr;
+            const { nickname, rating } = parsed;
+
+            // 날짜 필터링: 최신순이므로 기준일 이전 리뷰를 만나면 이 페이지까지만 처리
+            if (isBeforeDateFilter(date, parsed.datePrecision, filterDateStr)) {
+              shouldStop = true;
+              continue;
+            }
+
+            const originalTitle = parsed.title || '';
+            const originalContent = parsed.content;
+
+            const dedupeKey = `${nickname}|${date}|${originalContent.slice(0, 80)}`;
+            if (seenKeys.has(dedupeKey)) continue;
+            seenKeys.add(dedupeKey);
+            newOnPage++;
+
+            // 한국어가 아닌 리뷰는 번역 (원문 언어는 lang 속성, 없으면 자동 감지)
+            const sourceLang = item.lang && !/^ko/i.test(item.lang) ? item.lang.split('-')[0] : null;
+            const title = originalTitle ? await translateToKorean(originalTitle, sourceLang) : '';
+            const content = originalContent ? await translateToKorean(originalContent, sourceLang) : '';
+            const translated = title !== originalTitle || content !== originalContent;
+
+            const reviewData = {
+              ...parsed,
+              content,
+              date,
+              title: title || null,
+              // 원문: 번역된 경우에만 보관 (제목이 있으면 제목 + 빈 줄 + 본문)
+              originalContent: translated
+                ? [originalTitle, originalContent].filter(Boolean).join('\n\n')
+                : null,
+            };
+
+            if (saveImmediately && companyName) {
+              try {
+                const analysis = this.analyzeText(
+                  reviewData.content,
+                  rating,
+                  reviewData.visitKeyword,
+                  reviewData.reviewKeyword
+                );
+
+                const saved = await this.saveReview({
+                  portalUrl: '트립어드바이저',
+                  companyName,
+                  reviewDate: date,
+                  reviewDatePrecision: reviewData.datePrecision,
+                  reviewDateRaw: reviewData.dateText,
+                  content: reviewData.content,
+                  rating: rating || null,
+                  nickname: reviewData.nickname,
+                  visitKeyword: reviewData.visitKeyword,
+                  reviewKeyword: reviewData.reviewKeyword,
+                  visitType: reviewData.visitType || null,
+                  emotion: reviewData.emotion,
+                  revisitFlag: reviewData.revisitFlag,
+                  nRating: analysis.nRating,
+                  nEmotion: analysis.nEmotion,
+                  nCharCount: analysis.nCharCount,
+                  title: reviewData.title,
+                  additionalInfo: reviewData.additionalInfo,
+                  originalContent: reviewData.originalContent,
+                });
+
+                if (saved) {
+                  actualSavedCount++;
+                  if (actualSavedCount <= 10 || actualSavedCount % 50 === 0) {
+                    console.log(`✅ [트립어드바이저 즉시 저장 성공] ${actualSavedCount}번째: ${reviewData.nickname} - date: ${date}${translated ? ' (번역됨)' : ''}`);
+                  }
+                }
+              } catch (saveError) {
+                console.error(`[트립어드바이저] 리뷰 ${reviews.length + 1} 즉시 저장 실패:`, saveError.message);
+              }
+            }
+            reviews.push(reviewData);
+          } catch (err) {
+            console.error(`리뷰 ${i + 1} 추출 오류:`, err.message);
+          }
+        }
+
+        if (shouldStop) {
+          console.log(`[트립어드바이저] 날짜 필터 기준일(${filterDateStr}) 이전 리뷰 도달 → 수집 종료`);
+          break;
+        }
+        if (newOnPage === 0 || pageItems.length < pageSize) {
+          console.log('[트립어드바이저] 마지막 페이지 도달 → 수집 종료');
+          break;
+        }
+        pageNum++;
+      }
+
+      console.log(`트립어드바이저 스크래핑 완료: ${reviews.length}개 리뷰 발견 (${pageNum + 1}페이지)`);
+      if (saveImmediately) {
+        console.log(`[트립어드바이저] 즉시 저장 완료: ${actualSavedCount}개 리뷰 저장 성공 (추출: ${reviews.length}개)`);
+        reviews._actualSavedCount = actualSavedCount;
+      }
+      return reviews;
+    } catch (error) {
+      console.error('트립어드바이저 스크래핑 실패:', error);
+      // 스크린샷/HTML은 scrapeByPortal에서 실패 파일로 저장
+      this.lastScrapeError = error;
       return [];
     }
   }
@@ -4405,52 +3372,115 @@ class ScraperService {
    * 포털 URL을 포털 이름으로 변환
    * @param {string} portalUrl - 포털 URL
    * @param {string} portalType - 포털 타입 강제 지정 ('kakao', 'yanolja', 'google' 등, 선택사항)
-   * @returns {string} 포털 이름 (네이버맵, 카카오맵, 야놀자, 굿초이스, 구글, 트립어드바이저, 아고다)
+   * @returns {string} 포털 이름 (네이버맵, 카카오맵, 야놀자, 여기어때, 구글, 트립어드바이저, 아고다)
    */
   getPortalName(portalUrl, portalType = null) {
     // portalType이 명시적으로 지정된 경우 우선 처리
-    if (portalType === 'google') {
-      return '구글';
-    }
-    
-    if (!portalUrl) return '알 수 없음';
-    
-    if (portalUrl.includes('naver.com')) {
-      return '네이버맵';
-    } else if (portalUrl.includes('kakao.com')) {
-      return '카카오맵';
-    } else if (portalUrl.includes('yanolja.com')) {
-      return '야놀자';
-    } else if (portalUrl.includes('goodchoice.kr')) {
-      return '굿초이스';
-    } else if (portalUrl.includes('google.com')) {
-      return '구글';
-    } else if (portalUrl.includes('tripadvisor.co.kr') || portalUrl.includes('tripadvisor.com')) {
-      return '트립어드바이저';
-    } else if (portalUrl.includes('agoda.com')) {
-      return '아고다';
-    }
-    
+    const adapter = (portalType && getPortal(portalType)) || findPortalByUrl(portalUrl);
+    if (adapter) return adapter.name;
+
     return '알 수 없음';
   }
 
   /**
-   * 구글 여행 스크래핑 (company_name으로 검색)
+   * 구글 여행 URL 정규화
+   * 호텔 엔티티 URL은 리뷰 탭 URL로 바꾸고 쿼리 파라미터를 제거
+   * 예: https://www.google.com/travel/hotels/서울/entity/ChkI...?q=...  → https://www.google.com/travel/hotels/entity/ChkI.../reviews
+   * @param {string} url - 구글 여행 URL
+   * @returns {string} 정규화된 URL (엔티티 ID가 없으면 원본 그대로)
+   */
+  normalizeGoogleTravelUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      const entityMatch = urlObj.pathname.match(/\/entity\/([^/]+)/);
+      if (entityMatch) {
+        return `https://www.google.com/travel/hotels/entity/${entityMatch[1]}/reviews`;
+      }
+      return url;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * 구글 여행 호텔 후보 검색 (resolve 단계용)
+   * 검색 결과의 호텔 엔티티 링크(이름 일치 시 바로 열리는 엔티티 페이지 포함)에서 이름/주소/URL을 반환하며 리뷰는 수집하지 않는다.
+   * @param {string} companyName - 기업명 (검색어)
+   * @param {number} limit - 최대 후보 수
+   * @returns {Promise<Array<{name: string, address: string, category: string, url: string}>>}
+   */
+  async searchGooglePlaces(companyName, limit = 5) {
+    console.log(`[구글 resolve] "${companyName}" 후보 검색 (최대 ${limit}개)`);
+    const searchUrl = `https://www.google.com/travel/search?q=${encodeURIComponent(companyName)}`;
+    await this.navigate(searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await this.pause(2000);
+    await this.page.waitForLoadState('networkidle', { timeout: 12000 }).catch(() => {});
+
+    const candidates = await this.page.evaluate((max) => {
+      const seen = new Set();
+      const results = [];
+      const current = window.location.pathname.match(/\/entity\/([^/]+)/);
+      if (current) {
+        seen.add(current[1]);
+        results.push({
+          entityId: current[1],
+          name: (document.querySelector('h1')?.textContent || '').trim(),
+          address: '',
+          category: '호텔',
+        });
+      }
+      for (const link of document.querySelectorAll('a[href*="/entity/"]')) {
+        if (results.length >= max) break;
+        const match = (link.getAttribute('href') || '').match(/\/entity\/([^/?#]+)/);
+        const lines = (link.getAttribute('aria-label') || link.innerText || link.textContent || '')
+          .split('\n')
+          .map((l) => l.trim())
+          .filter(Boolean);
+        // 텍스트 없는 이미지 링크는 건너뛰고 같은 호텔의 이름 링크를 씀
+        if (!match || lines.length === 0 || seen.has(match[1])) continue;
+        seen.add(match[1]);
+        const address = lines.find((l, i) => i > 0 && /(도|시|군|구|읍|면|동)(\s|,|$)/.test(l)) || '';
+        results.push({ entityId: match[1], name: lines[0], address, category: '호텔' });
+      }
+      return results;
+    }, limit);
+
+    return candidates.map(({ entityId, ...rest }) => ({
+      ...rest,
+      url: `https://www.google.com/travel/hotels/entity/${entityId}/reviews`,
+    }));
+  }
+
+  /**
+   * 구글 여행 스크래핑
+   * google_url에 호텔 엔티티 ID가 있으면 리뷰 탭으로 바로 이동하고, 없을 때만 company_name으로 검색
    * @param {string} companyName - 기업명 (검색어로 사용)
    * @param {string} dateFilter - 'all' (전체) 또는 'week' (일주일 간격)
+   * @param {string} googleUrl - 구글 여행 URL (companies 테이블의 google_url)
    */
-  async scrapeGoogle(companyName, dateFilter = 'week', jobId = null, portalType = 'google', saveImmediately = false) {
+  async scrapeGoogle(companyName, dateFilter = 'week', googleUrl = null, jobId = null, portalType = 'google', saveImmediately = false) {
     let actualSavedCount = 0; // 실제 저장 성공 개수 추적
     const effectiveDateFilter = (dateFilter == null || dateFilter === '') ? 'all' : dateFilter;
     try {
       console.log(`구글 여행 스크래핑 시작: "${companyName}" 검색 (필터: ${effectiveDateFilter}, 즉시 저장: ${saveImmediately ? '활성화' : '비활성화'})`);
       
-      // 구글 여행 검색 페이지로 이동 (기업 전환 시에도 완전 로드되도록 대기)
-      const searchUrl = `https://www.google.com/travel/search?q=${encodeURIComponent(companyName)}`;
-      await this.page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-      await this.page.waitForTimeout(2000);
+      // 저장된 google_url에 엔티티 ID가 있으면 리뷰 탭으로 바로 이동, 없으면 구글 여행 검색 페이지로 이동
+      // (기업 전환 시에도 완전 로드되도록 대기)
+      const storedEntityUrl = googleUrl ? this.normalizeGoogleTravelUrl(googleUrl) : null;
+      let searchUrl;
+      if (storedEntityUrl && storedEntityUrl.includes('/entity/')) {
+        searchUrl = storedEntityUrl;
+        console.log(`저장된 구글 URL 사용 (검색 생략): ${searchUrl}`);
+      } else {
+        if (googleUrl) {
+          console.log(`저장된 구글 URL에서 호텔 엔티티를 찾지 못함 (${googleUrl}) → 기업명 검색으로 진행`);
+        }
+        searchUrl = `https://www.google.com/travel/search?q=${encodeURIComponent(companyName)}`;
+      }
+      await this.navigate(searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      await this.pause(2000);
       await this.page.waitForLoadState('networkidle', { timeout: 12000 }).catch(() => {});
-      await this.page.waitForTimeout(1500);
+      await this.pause(1500);
       
       // 리뷰 섹션으로 이동 (컨테이너 안의 #reviews 클릭)
       try {
@@ -4466,18 +3496,18 @@ class ScraperService {
           
           if (reviewsLinkCount > 0) {
             await reviewsLink.first().scrollIntoViewIfNeeded();
-            await this.page.waitForTimeout(500);
+            await this.pause(500);
             await reviewsLink.first().click({ timeout: 5000 }).catch(() => {});
-            await this.page.waitForTimeout(2000);
+            await this.pause(2000);
           } else {
             // 컨테이너 내부에서 #reviews를 찾지 못한 경우, 전체 페이지에서 찾기 시도
             const globalReviewsLink = this.page.locator('#reviews');
             const globalCount = await globalReviewsLink.count();
             if (globalCount > 0) {
               await globalReviewsLink.first().scrollIntoViewIfNeeded();
-              await this.page.waitForTimeout(500);
+              await this.pause(500);
               await globalReviewsLink.first().click({ timeout: 5000 }).catch(() => {});
-              await this.page.waitForTimeout(2000);
+              await this.pause(2000);
             }
           }
         } else {
@@ -4486,9 +3516,9 @@ class ScraperService {
           const globalCount = await globalReviewsLink.count();
           if (globalCount > 0) {
             await globalReviewsLink.first().scrollIntoViewIfNeeded();
-            await this.page.waitForTimeout(500);
+            await this.pause(500);
             await globalReviewsLink.first().click({ timeout: 5000 }).catch(() => {});
-            await this.page.waitForTimeout(2000);
+            await this.pause(2000);
           }
         }
       } catch (e) {
@@ -4497,7 +3527,7 @@ class ScraperService {
       }
       
       // 리뷰 섹션으로 이동한 후 충분한 대기 (기업 전환 후 두 번째 기업도 리뷰 목록이 로드되도록)
-      await this.page.waitForTimeout(4000);
+      await this.pause(4000);
       
       // 최신순 필터 클릭 전에 초기 로드된 리뷰 확인
       let initialReviewItems = this.page.locator('#reviews div.Svr5cf.bKhjM');
@@ -4550,9 +3580,9 @@ class ScraperService {
             const count = await sortFilter.count();
             if (count > 0 && (await sortFilter.first().isVisible({ timeout: 1500 }).catch(() => false))) {
               await sortFilter.first().scrollIntoViewIfNeeded();
-              await this.page.waitForTimeout(400);
+              await this.pause(400);
               await sortFilter.first().click({ timeout: 5000 }).catch(() => {});
-              await this.page.waitForTimeout(1200);
+              await this.pause(1200);
               dropdownOpened = true;
               console.log('정렬 드롭다운 열림');
               break;
@@ -4575,7 +3605,7 @@ class ScraperService {
               const n = await opt.count().catch(() => 0);
               if (n > 0 && (await opt.isVisible({ timeout: 800 }).catch(() => false))) {
                 await opt.click({ timeout: 3000 }).catch(() => {});
-                await this.page.waitForTimeout(1500);
+                await this.pause(1500);
                 console.log('최신순 필터 선택 완료');
                 optionClicked = true;
                 break;
@@ -4593,7 +3623,7 @@ class ScraperService {
       }
       
       // 최신순 필터 클릭 후 리뷰 로드 대기 (두 번째 기업부터 로딩이 늦을 수 있음)
-      await this.page.waitForTimeout(4000);
+      await this.pause(4000);
       
       // 구글 트래블 리뷰 "반복 단위" (사용자 제공)
       // 이 단위가 가장 안정적이며, UI 요소가 섞이는 문제를 크게 줄인다.
@@ -4608,7 +3638,7 @@ class ScraperService {
       // 초기 10개 이하면 추가 로딩 대기 (두 번째 기업 등에서 목록이 늦게 뜰 수 있음)
       if (lastReviewCount <= 10) {
         console.log(`[구글] 초기 리뷰 ${lastReviewCount}개 → 3초 추가 대기 후 재확인`);
-        await this.page.waitForTimeout(3000);
+        await this.pause(3000);
         reviewItems = this.page.locator('#reviews div.Svr5cf.bKhjM');
         const recheckCount = await reviewItems.count().catch(() => 0);
         if (recheckCount > lastReviewCount) {
@@ -4659,7 +3689,7 @@ class ScraperService {
       }
       
       // 무한 스크롤: 실제 리뷰 목록이 있는 스크롤 컨테이너를 찾아 조금씩 내리고, 새 리뷰 수집
-      const reviewListSelector = '#reviews div.Svr5cf.bKhjM';
+      const reviewListSelector = GOOGLE_REVIEW_ITEM_SELECTOR;
       let noChangeCount = 0;
       let lastScrollTop = -1;
       let scrollStuckCount = 0;
@@ -4722,7 +3752,7 @@ class ScraperService {
             scrollStuckCount = 0;
           }
           lastScrollTop = scrollResult.scrollTop;
-          await this.page.waitForTimeout(900);
+          await this.pause(900);
 
           // 2) 리뷰 영역에서 마우스 휠로 아래로 (lazy load 트리거)
           try {
@@ -4731,7 +3761,7 @@ class ScraperService {
               await this.page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
               for (let w = 0; w < 3; w++) {
                 await this.page.mouse.wheel(0, 350);
-                await this.page.waitForTimeout(550);
+                await this.pause(550);
               }
             }
           } catch (_) {}
@@ -4763,7 +3793,7 @@ class ScraperService {
               best.dispatchEvent(new Event('scroll', { bubbles: true }));
             }
           }, 400);
-          await this.page.waitForTimeout(800);
+          await this.pause(800);
           // maxScroll이 0에 가까우면 컨테이너가 스크롤 불가 → 창/문서 스크롤로 lazy load 트리거
           if (scrollResult.maxScroll <= 50 && scrollAttempt >= 2) {
             await this.page.evaluate((step) => {
@@ -4772,9 +3802,9 @@ class ScraperService {
               document.body.scrollTop = (document.body.scrollTop || 0) + step;
               window.dispatchEvent(new Event('scroll'));
             }, 400);
-            await this.page.waitForTimeout(800);
+            await this.pause(800);
           }
-          await this.page.waitForTimeout(500);
+          await this.pause(500);
         } catch (scrollError) {}
 
         // 추출 전 스크롤 위치 저장 (스크롤하는 컨테이너와 동일한 요소 사용)
@@ -4818,450 +3848,80 @@ class ScraperService {
             console.log(`[구글 진단] ⚠️ 스크롤 컨테이너 maxScroll=0 → 스크롤 불가. 창/문서 스크롤 시도`);
           }
         }
-        for (let i = currentCount - 1; i >= 0; i--) {
-          try {
-            // 각 리뷰 아이템 (nth 사용)
-            const reviewItem = reviewItems.nth(i);
-
-          // rating 추출 (사용자 제공: div.GDWaad)
-          let rating = 0;
-          try {
-            const ratingElement = reviewItem.locator('div.GDWaad');
-            const count = await ratingElement.count();
-            if (count > 0) {
-              const ratingText = (await ratingElement.first().textContent().catch(() => '')) || '';
-              const m = ratingText.match(/(\d+)\s*\/\s*5/);
-              if (m) rating = parseInt(m[1], 10);
-              if (!rating) {
-                const m2 = ratingText.match(/(\d+\.?\d*)/);
-                if (m2) rating = parseFloat(m2[1]);
-              }
-            }
-          } catch (e) {}
-
-          // nickname 추출 (사용자 제공: a.DHIhE.QB2Jof, 여러 선택자 시도)
-          let nickname = '';
-          try {
-            const nicknameSelectors = [
-              // 한글 닉네임용 선택자 (사용자 제공)
-              'div > div > div:nth-child(1) > div.aAs4ib > div.jUkSGf.WwUTAf > span > a',
-              'div.aAs4ib > div.jUkSGf.WwUTAf > span > a',
-              // 기존 선택자들
-              'a.DHIhE.QB2Jof',
-              'a.DHIhE',
-              'div.aAs4ib a[href*="/maps/contrib"]',
-              'div.aAs4ib a',
-              'div.jUkSGf.WwUTAf a',
-            ];
-            
-            for (const selector of nicknameSelectors) {
-              const authorEl = reviewItem.locator(selector);
-              const count = await authorEl.count();
-              if (count > 0) {
-                nickname = ((await authorEl.first().textContent().catch(() => '')) || '').trim();
-                if (nickname && nickname.length > 0) break;
+        // 접힌 본문 펼치기 (컨테이너 내부에서 JS 클릭 → Playwright의 scroll-into-view로 뷰가 튀는 것 방지)
+        try {
+          const expanded = await this.page.evaluate((selector) => {
+            let clicked = 0;
+            document.querySelectorAll(`${selector} div.K7oBsc`).forEach((root) => {
+              const btn = root.querySelector('[jsname="kDNJsb"]') ||
+                Array.from(root.querySelectorAll('button, span[role="button"]')).find(el => /read more|더보기/i.test(el.textContent || ''));
+              if (btn) {
+                btn.click();
+                clicked++;
               }
-            }
-          } catch (e) {}
-
-          // visit_type (사용자 제공: div.ThUm5b span)
-          let visitType = '';
-          try {
-            const visitEl = reviewItem.locator('div.ThUm5b span');
-            const count = await visitEl.count();
-            if (count > 0) {
-              visitType = ((await visitEl.first().textContent().catch(() => '')) || '').trim();
-            }
-          } catch (e) {}
-
-          // review_date (제공된 선택자 사용: "5 months ago on" 같은 상대 시간 형식)
-          let reviewDate = null;
-          let date = null;
+            });
+            return clicked;
+          }, reviewListSelector);
+          if (expanded > 0) await this.pause(500);
+        } catch (e) {}
+
+        const kstG = getKstDateInfo();
+        // '전체'(all)일 때는 날짜 필터를 절대 적용 안 함
+        const isPeriodFilter = (effectiveDateFilter === 'week' || effectiveDateFilter === '2weeks' || effectiveDateFilter === 'twoWeeks');
+        const cutoffStr = (effectiveDateFilter === 'week') ? kstG.filterDateWeek : kstG.filterDateTwoWeeks;
+        const cards = await this.page.evaluate(extractGoogleReviewCards, reviewListSelector).catch(() => []);
+        for (let i = cards.length - 1; i >= 0; i--) {
           try {
-            // 제공된 선택자 사용
-            const dateSelectors = [
-              'div > div > div:nth-child(2) > div.aAs4ib > div.jUkSGf.WwUTAf > span > span',
-              'span.iUtr1.CQYfx',
-              'div.aAs4ib div.jUkSGf span span',
-            ];
-            
-            let dateText = '';
-            for (const selector of dateSelectors) {
-              const dateEl = reviewItem.locator(selector);
-              const count = await dateEl.count();
-              if (count > 0) {
-                dateText = ((await dateEl.first().textContent().catch(() => '')) || '').trim();
-                if (dateText && dateText.length > 0) break;
-              }
-            }
-            
-            if (dateText) {
-              let trimmedDateText = dateText.trim();
-              // 구글 접미사/접두어 제거 후 파싱 (변환 성공률 향상)
-              const normalizedDateText = trimmedDateText
-                .replace(/\s*Google에서\s*작성\s*/g, ' ')
-                .replace(/\s*on\s+Google\.?\s*/gi, ' ')
-                .replace(/Written\s+/gi, '')
-                .replace(/Edited\s+/gi, '')
-                .replace(/\s+/g, ' ')
-                .trim();
-              const textToParse = normalizedDateText.length > 0 ? normalizedDateText : trimmedDateText;
-              if (i < 5) {
-                console.log(`[디버깅] 리뷰 ${i + 1} 날짜 텍스트: "${trimmedDateText}" → 파싱용: "${textToParse}"`);
-              }
-
-              // 상대 시간 파싱 ("5 months ago on", "2 달 전에 Google에서 작성", "a week ago" 등)
-              const relativeTimePatterns = [
-                // 한국어 패턴 (우선 처리) - "전에" 형식 포함, 구글 "X 달 전에 Google에서 작성" 지원
-                /정확히\s*(\d+)\s*주\s*전/,
-                /(\d+)\s*주\s*전에?/,
-                /(\d+)\s*개월\s*전에?/,
-                /(\d+)\s*달\s*전에?/,   // 구글: "1 달 전에", "2 달 전에 Google에서 작성"
-                /(\d+)\s*일\s*전에?/,
-                /(\d+)\s*년\s*전에?/,
-                // 영어 패턴
-                /(?:Edited\s+)?(\d+)\s*(?:month|months|mo)\s*ago/i,
-                /(?:Edited\s+)?(\d+)\s*(?:week|weeks|wk|w)\s*ago/i,
-                /(?:Edited\s+)?(\d+)\s*(?:day|days|d)\s*ago/i,
-                /(?:Edited\s+)?(\d+)\s*(?:year|years|yr|y)\s*ago/i,
-                /a\s*(?:week|month|day|year)\s*ago/i,
-                /(\d+)\s*(?:시간|hour|hours|h)\s*ago/i,
-              ];
-              
-              let daysAgo = 0;
-              let matched = false;
-              let dateUnit = 'day'; // 'day' | 'month' | 'year' (날짜 변환 시 정확한 계산용)
-              let dateUnitValue = 0; // 달/년 변환 시 사용할 숫자 (예: 2달 전 → 2)
-              for (const pattern of relativeTimePatterns) {
-                const match = textToParse.match(pattern);
-                if (match) {
-                  matched = true;
-                  if (match[1]) {
-                    const num = parseInt(match[1]);
-                    if (pattern.source.includes('주') || textToParse.includes('주')) {
-                      daysAgo = num * 7;
-                      dateUnit = 'day';
-                      dateUnitValue = daysAgo;
-                    } else if (pattern.source.includes('개월') || textToParse.includes('개월')) {
-                      daysAgo = num * 30;
-                      dateUnit = 'month';
-                      dateUnitValue = num;
-                    } else if (pattern.source.includes('달') || textToParse.includes(' 달 ') || textToParse.includes('달')) {
-                      daysAgo = num * 30;
-                      dateUnit = 'month';
-                      dateUnitValue = num;
-                    } else if ((pattern.source.includes('일') && !pattern.source.includes('작성')) || (textToParse.includes('일') && !textToParse.includes('작성'))) {
-                      daysAgo = num;
-                      dateUnit = 'day';
-                      dateUnitValue = num;
-                    } else if (pattern.source.includes('년') || textToParse.includes('년')) {
-                      daysAgo = num * 365;
-                      dateUnit = 'year';
-                      dateUnitValue = num;
-                    } else if (textToParse.match(/month|months|mo/i)) {
-                      daysAgo = num * 30;
-                      dateUnit = 'month';
-                      dateUnitValue = num;
-                    } else if (textToParse.match(/week|weeks|wk|w/i)) {
-                      daysAgo = num * 7;
-                      dateUnit = 'day';
-                      dateUnitValue = daysAgo;
-                    } else if (textToParse.match(/day|days|d/i)) {
-                      daysAgo = num;
-                      dateUnit = 'day';
-                      dateUnitValue = num;
-                    } else if (textToParse.match(/year|years|yr|y/i)) {
-                      daysAgo = num * 365;
-                      dateUnit = 'year';
-                      dateUnitValue = num;
-                    } else if (textToParse.match(/시간|hour|hours|h/i)) {
-                      daysAgo = 0;
-                      dateUnit = 'day';
-                    }
-                  } else {
-                    if (textToParse.match(/week/i)) {
-                      daysAgo = 7;
-                      dateUnitValue = 7;
-                    } else if (textToParse.match(/month/i)) {
-                      daysAgo = 30;
-                      dateUnit = 'month';
-                      dateUnitValue = 1;
-                    } else if (textToParse.match(/day/i)) {
-                      daysAgo = 1;
-                      dateUnitValue = 1;
-                    } else if (textToParse.match(/year/i)) {
-                      daysAgo = 365;
-                      dateUnit = 'year';
-                      dateUnitValue = 1;
-                    }
-                  }
-                  if (daysAgo > 0) break;
-                }
-              }
-              if (daysAgo > 0 && dateUnit === 'day' && dateUnitValue === 0) dateUnitValue = daysAgo;
-
-              // 패턴 매칭이 안 된 경우에도 텍스트에 포함된 키워드로 확인 (한국어, 영어)
-              if (!matched || daysAgo === 0) {
-                const weekMatch = textToParse.match(/(\d+)\s*주\s*전에?/);
-                if (weekMatch) {
-                  daysAgo = parseInt(weekMatch[1]) * 7;
-                  dateUnit = 'day';
-                  dateUnitValue = daysAgo;
-                  matched = true;
-                } else {
-                  const monthMatch = textToParse.match(/(\d+)\s*개월\s*전에?/);
-                  if (monthMatch) {
-                    dateUnitValue = parseInt(monthMatch[1]);
-                    daysAgo = dateUnitValue * 30;
-                    dateUnit = 'month';
-                    matched = true;
-                  } else {
-                    const dayMatch = textToParse.match(/(\d+)\s*일\s*전에?/);
-                    if (dayMatch) {
-                      daysAgo = parseInt(dayMatch[1]);
-                      dateUnit = 'day';
-                      dateUnitValue = daysAgo;
-                      matched = true;
-                    } else {
-                      const yearMatch = textToParse.match(/(\d+)\s*년\s*전에?/);
-                      if (yearMatch) {
-                        dateUnitValue = parseInt(yearMatch[1]);
-                        daysAgo = dateUnitValue * 365;
-                        dateUnit = 'year';
-                        matched = true;
-                      } else {
-                        if (textToParse.match(/a\s+week\s+ago/i)) {
-                          daysAgo = 7;
-                          dateUnitValue = 7;
-                          matched = true;
-                        } else if (textToParse.match(/a\s+month\s+ago/i)) {
-                          daysAgo = 30;
-                          dateUnit = 'month';
-                          dateUnitValue = 1;
-                          matched = true;
-                        } else if (textToParse.match(/a\s+day\s+ago/i)) {
-                          daysAgo = 1;
-                          dateUnitValue = 1;
-                          matched = true;
-                        } else if (textToParse.match(/a\s+year\s+ago/i)) {
-                          daysAgo = 365;
-                          dateUnit = 'year';
-                          dateUnitValue = 1;
-                          matched = true;
-                        } else {
-                          const weekMatch2 = textToParse.match(/(\d+)주\s*전에?/);
-                          if (weekMatch2) {
-                            daysAgo = parseInt(weekMatch2[1]) * 7;
-                            dateUnitValue = daysAgo;
-                            matched = true;
-                          } else {
-                            const monthMatch2 = textToParse.match(/(\d+)개월\s*전에?/);
-                            if (monthMatch2) {
-                              dateUnitValue = parseInt(monthMatch2[1]);
-                              daysAgo = dateUnitValue * 30;
-                              dateUnit = 'month';
-                              matched = true;
-                            } else {
-                              const monthMatchDash = textToParse.match(/(\d+)\s*달\s*전에?/);
-                              if (monthMatchDash) {
-                                dateUnitValue = parseInt(monthMatchDash[1]);
-                                daysAgo = dateUnitValue * 30;
-                                dateUnit = 'month';
-                                matched = true;
-                                if (i < 5) console.log(`[디버깅] 리뷰 ${i + 1} 달 패턴 매칭 (fallback): "${textToParse}" → ${dateUnitValue}개월 전`);
-                              } else {
-                                const monthMatch3 = textToParse.match(/(\d+)\s*개월/);
-                                if (monthMatch3 && (textToParse.includes('전') || textToParse.includes('ago'))) {
-                                  dateUnitValue = parseInt(monthMatch3[1]);
-                                  daysAgo = dateUnitValue * 30;
-                                  dateUnit = 'month';
-                                  matched = true;
-                                } else {
-                                  const monthMatchDash2 = textToParse.match(/(\d+)\s*달/);
-                                  if (monthMatchDash2 && (textToParse.includes('전') || textToParse.includes('ago'))) {
-                                    dateUnitValue = parseInt(monthMatchDash2[1]);
-                                    daysAgo = dateUnitValue * 30;
-                                    dateUnit = 'month';
-                                    matched = true;
-                                  } else {
-                                    const weekMatch3 = textToParse.match(/(\d+)\s*주/);
-                                    if (weekMatch3 && (textToParse.includes('전') || textToParse.includes('ago'))) {
-                                      daysAgo = parseInt(weekMatch3[1]) * 7;
-                                      dateUnitValue = daysAgo;
-                                      matched = true;
-                                      if (i < 5) console.log(`[디버깅] 리뷰 ${i + 1} 주 패턴 매칭 (fallback): "${textToParse}" → ${daysAgo}일 전`);
-                                    }
-                                  }
-                                }
-                              }
-                            }
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-              
-              if (daysAgo > 0) {
-                const today = getKstDateInfo().todayDate;
-                const reviewDateObj = new Date(today);
-                // 단위별로 정확히 변환 (달/년은 setMonth/setFullYear 사용)
-                if (dateUnit === 'month' && dateUnitValue > 0) {
-                  reviewDateObj.setMonth(today.getMonth() - dateUnitValue);
-                } else if (dateUnit === 'year' && dateUnitValue > 0) {
-                  reviewDateObj.setFullYear(today.getFullYear() - dateUnitValue);
-                } else {
-                  reviewDateObj.setDate(today.getDate() - daysAgo);
-                }
-                date = reviewDateObj.toISOString().split('T')[0];
-                reviewDate = reviewDateObj;
-                if (i < 5) {
-                  console.log(`[디버깅] 리뷰 ${i + 1} 날짜 변환 성공: "${trimmedDateText}" → ${date} (${dateUnit} ${dateUnitValue})`);
-                }
-              } else if (i < 5) {
-                console.log(`[디버깅] 리뷰 ${i + 1} 날짜 파싱 실패: "${dateText}" (daysAgo=0, matched=${matched})`);
-              }
-            } else if (i < 3) {
-              console.log(`[디버깅] 리뷰 ${i + 1} 날짜 텍스트 없음`);
-            }
-          } catch (e) {
-            // 날짜 파싱 실패
-            if (i < 3) {
-              console.log(`[디버깅] 리뷰 ${i + 1} 날짜 파싱 에러:`, e.message);
+            const reviewData = normalizeGoogleReview(cards[i], { index: i, kst: kstG });
+            if (!reviewData) {
+              if (i < 10) console.log(`[디버깅] 리뷰 ${i + 1} 유효하지 않음: nickname="${cards[i].nickname}", rating="${cards[i].ratingText}"`);
+              continue;
             }
-          }
-
-          // 날짜를 찾지 못한 경우: 리뷰 기간 제어와 무관하게 항상 오늘 날짜로 수집(건너뛰지 않음). 기간 필터는 아래 isPeriodFilter에서만 적용 (KST)
-          if (!date) {
-            date = getKstDateInfo().todayStr;
-            reviewDate = new Date(date);
             if (i < 5) {
-              console.log(`[디버깅] 리뷰 ${i + 1} 날짜 없음 → 오늘 날짜로 수집: ${date}`);
-            }
-          } else {
-            reviewDate = new Date(date);
-          }
-
-          // content 추출
-          // - 전체 컨테이너: div.K7oBsc
-          // - 접힌 본문은 더보기(Read more) 클릭으로 펼친 뒤 텍스트 수집
-          // - evaluate로 클릭해 Playwright의 scroll-into-view로 뷰가 튀는 것 방지
-          let content = '';
-          try {
-            const contentRoot = reviewItem.locator('div.K7oBsc');
-            const rootCount = await contentRoot.count();
-            if (rootCount > 0) {
-              // 더보기(Read more)가 있으면 펼치기 (컨테이너 내부에서 JS 클릭으로 스크롤 유지)
-              try {
-                await contentRoot.first().evaluate((root) => {
-                  const btn = root.querySelector('[jsname="kDNJsb"]') ||
-                    Array.from(root.querySelectorAll('button, span[role="button"]')).find(el => /read more|더보기/i.test(el.textContent || ''));
-                  if (btn) btn.click();
-                }).catch(() => {});
-                await this.page.waitForTimeout(500);
-              } catch (e) {}
-
-              const contentSelectors = [
-                'div[jsname="NwoMSd"] span',
-                'div.STQFb.eoY5cb span',
-                'div.STQFb span',
-              ];
-              for (const sel of contentSelectors) {
-                const el = contentRoot.locator(sel);
-                const c = await el.count();
-                if (c > 0) {
-                  const t = ((await el.allTextContents().catch(() => [])) || []).join('\n').trim();
-                  if (t && t.length > 0) {
-                    content = t;
-                    break;
-                  }
-                }
-              }
-              if (!content) {
-                content = ((await contentRoot.first().textContent().catch(() => '')) || '').trim();
-              }
-              content = content.replace(/Read more/gi, '').replace(/더보기/g, '').trim();
-              
-              // content를 한국어로 번역
-              if (content && content.trim().length > 0) {
-                content = await translateToKorean(content);
-              }
-            }
-          } catch (e) {}
-
-          // visit_keyword / review_keyword (기존 구조 유지)
-          let visitKeyword = '';
-          try {
-            const visitKeywordElement = reviewItem.locator('div.kVathc.eoY5cb div.X4nL7d > div:nth-child(1)');
-            const count = await visitKeywordElement.count();
-            if (count > 0) {
-              visitKeyword = ((await visitKeywordElement.first().textContent().catch(() => '')) || '').trim();
-            }
-          } catch (e) {}
-
-          let reviewKeyword = '';
-          try {
-            const reviewKeywordElement = reviewItem.locator('div.kVathc.eoY5cb div.X4nL7d > div:nth-child(2) > span:nth-child(2)');
-            const count = await reviewKeywordElement.count();
-            if (count > 0) {
-              reviewKeyword = ((await reviewKeywordElement.first().textContent().catch(() => '')) || '').trim();
+              console.log(`[디버깅] 리뷰 ${i + 1} 날짜 텍스트: "${cards[i].dateText}" → ${reviewData.date || '(파싱 실패)'}`);
             }
-          } catch (e) {}
+            // 날짜를 찾지 못한 경우: 리뷰 기간 제어와 무관하게 항상 오늘 날짜로 수집(건너뛰지 않음) (KST)
+            reviewData.date = reviewData.date || kstG.todayStr;
+            const { date, rating } = reviewData;
 
-          // 날짜 필터링: '전체'(all)일 때는 절대 적용 안 함. 일주일/2주 선택 시 기준일 이전 리뷰는 이 건만 건너뛰고, 이번 배치의 나머지(위쪽 최신 리뷰)는 계속 저장
-          const isPeriodFilter = (effectiveDateFilter !== 'all' && (effectiveDateFilter === 'week' || effectiveDateFilter === '2weeks' || effectiveDateFilter === 'twoWeeks'));
-          if (isPeriodFilter) {
-            const kstG = getKstDateInfo();
-            const cutoffStr = (effectiveDateFilter === 'week') ? kstG.filterDateWeek : kstG.filterDateTwoWeeks;
-            if (date && date < cutoffStr) {
+            // 일주일/2주 선택 시 기준일 이전 리뷰는 이 건만 건너뛰고, 이번 배치의 나머지(위쪽 최신 리뷰)는 계속 저장
+            if (isPeriodFilter && isBeforeDateFilter(date, reviewData.datePrecision, cutoffStr)) {
               const daysLabel = (effectiveDateFilter === 'week') ? 7 : 14;
               console.log(`[구글] 최신순 기준 - ${daysLabel}일 이전 리뷰 (${date}) 건너뜀. 이번 배치 나머지(기준일 이내) 계속 수집. (KST)`);
               dateFilterStopRequested = true;
               continue;
             }
-          }
 
-          const emotion = null;
-          const keywords = [];
-          if (reviewKeyword && reviewKeyword.trim().length > 0) keywords.push(reviewKeyword.trim());
-
-          if ((content && content.trim().length > 0) || rating > 0 || (nickname && nickname.trim().length > 0)) {
-            const reviewData = {
-              content: content ? content.trim() : '',
-              nickname: nickname || `사용자${i + 1}`,
-              rating: rating,
-              visitType: visitType || '',
-              emotion: emotion,
-              reviewKeyword: keywords,
-              visitKeyword: visitKeyword || '',
-              reviewDate: date,
-              revisitFlag: false,
-            };
-            const dedupeKey = `${reviewData.nickname}|${date || ''}|${(reviewData.content || '').slice(0, 80)}`;
+            const dedupeKey = `${reviewData.nickname}|${date}|${reviewData.content.slice(0, 80)}`;
             if (seenKeys.has(dedupeKey)) continue;
             seenKeys.add(dedupeKey);
+
+            // content를 한국어로 번역
+            if (reviewData.content) {
+              reviewData.content = await translateToKorean(reviewData.content);
+            }
             reviews.push(reviewData);
             addedThisRound++;
 
             // 즉시 저장 (구글은 이 루프에서만 저장함)
-            const canSave = saveImmediately && jobId && companyName && date;
+            const canSave = saveImmediately && jobId && companyName;
             if (i < 3 && !canSave) {
-              console.log(`[구글] 저장 조건 미충족 (리뷰 ${i + 1}): saveImmediately=${!!saveImmediately}, jobId=${!!jobId}, companyName=${!!companyName}, date=${date || '(없음)'}`);
+              console.log(`[구글] 저장 조건 미충족 (리뷰 ${i + 1}): saveImmediately=${!!saveImmediately}, jobId=${!!jobId}, companyName=${!!companyName}`);
             }
             if (canSave) {
               try {
-                const reviewKeywordStr = Array.isArray(keywords) ? keywords.join(', ') : (reviewKeyword || '');
-                const analysis = this.analyzeText(reviewData.content, rating, reviewData.visitKeyword || '', reviewKeywordStr);
+                const analysis = this.analyzeText(reviewData.content, rating, reviewData.visitKeyword, reviewData.reviewKeyword);
                 const saved = await this.saveReview({
                   portalUrl: '구글',
                   companyName,
                   reviewDate: date,
+                  reviewDatePrecision: reviewData.datePrecision,
+                  reviewDateRaw: reviewData.dateText,
                   content: reviewData.content,
                   rating: rating || null,
                   nickname: reviewData.nickname,
                   visitKeyword: reviewData.visitKeyword || null,
-                  reviewKeyword: reviewKeywordStr || null,
+                  reviewKeyword: reviewData.reviewKeyword || null,
                   visitType: reviewData.visitType || null,
                   emotion: reviewData.emotion || null,
                   revisitFlag: reviewData.revisitFlag || false,
@@ -5284,19 +3944,15 @@ class ScraperService {
 
             // 디버깅: 처음 10개 리뷰 상세 로그
             if (i < 10) {
+              const content = reviewData.content;
               const contentPreview = content ? (content.length > 50 ? content.substring(0, 50) + '...' : content) : '(없음)';
-              console.log(`[디버깅] 리뷰 ${i + 1} 추출됨: nickname="${nickname}", rating=${rating}, date=${date}, content="${contentPreview}"`);
+              console.log(`[디버깅] 리뷰 ${i + 1} 추출됨: nickname="${reviewData.nickname}", rating=${rating}, date=${date}, content="${contentPreview}"`);
             }
-          } else if (i < 10) {
-            console.log(`[디버깅] 리뷰 ${i + 1} 유효하지 않음: content=${content ? content.length : 0}, rating=${rating}, nickname="${nickname}"`);
-          }
-          
           } catch (error) {
             // 리뷰 추출 실패 시 건너뛰기
             if (i < 3) console.log(`[디버깅] 리뷰 ${i + 1} 추출 실패:`, error.message);
           }
         }
-
         // 추출 중 스크롤이 위로 올라갔을 수 있으므로 저장해 둔 위치로 복원 (동일 컨테이너)
         await this.page.evaluate((saved) => {
           if (saved.containerScrollTop != null) {
@@ -5329,7 +3985,7 @@ class ScraperService {
           window.scrollTo(window.scrollX, saved.windowScrollY);
           document.documentElement.scrollTop = saved.documentScrollTop;
         }, savedScroll);
-        await this.page.waitForTimeout(200);
+        await this.pause(200);
 
         if (dateFilterStopRequested) {
           console.log(`[구글] 날짜 기준 도달로 수집 종료. 총 ${reviews.length}개`);
@@ -5379,6 +4035,7 @@ class ScraperService {
       
     } catch (error) {
       console.error('구글 여행 스크래핑 실패:', error);
+      this.lastScrapeError = error;
       return [];
     }
   }
@@ -5390,42 +4047,59 @@ class ScraperService {
    * @param {string} dateFilter - 'all' (전체), 'week' (일주일 간격), 'twoWeeks' (2주 간격)
    * @param {number} jobId - 스크래핑 작업 ID (선택사항)
    * @param {string} portalType - 포털 타입 강제 지정 ('kakao', 'yanolja', 'google' 등, 선택사항)
+   * @param {object|null} stats - 전달하면 { extracted, saved, duplicate, filtered } 건수를 채워 줌 (작업 항목 기록용, 선택사항)
+   * @param {number|null} companyId - 리뷰를 연결할 companies.id (없으면 기업명으로 조회, 선택사항)
+   * @returns {Promise<number>} 저장된 리뷰 수
    */
-  async scrapeByPortal(portalUrl, companyName, dateFilter = 'week', jobId = null, portalType = null) {
+  async scrapeByPortal(portalUrl, companyName, dateFilter = 'week', jobId = null, portalType = null, stats = null, companyId = null) {
     let reviews = [];
+    const reportStats = (values) => {
+      if (stats) Object.assign(stats, { extracted: 0, saved: 0, duplicate: 0, filtered: 0 }, values);
+    };
+
+    // portalType이 명시적으로 지정된 경우 우선, 없으면 URL 도메인으로 판별
+    // URL도 없으면 카카오맵(기업명 검색)으로 처리
+    let adapter = null;
+    if (portalType) {
+      adapter = getPortal(portalType);
+    } else if (portalUrl) {
+      adapter = findPortalByUrl(portalUrl);
+    } else {
+      adapter = getPortal('kakao');
+    }
+
+    if (!adapter) {
+      console.log(`지원하지 않는 포털입니다. (portalType: ${portalType || '-'}, url: ${portalUrl || '-'})`);
+      return 0;
+    }
 
-    // portalType이 명시적으로 지정된 경우 우선 처리
     // 모든 포털에 즉시 저장 방식 적용 (메모리 효율성)
-    if (portalType === 'yanolja') {
-      reviews = await this.scrapeYanolja(companyName, dateFilter, jobId, 'yanolja', true);
-    } else if (portalType === 'kakao') {
-      reviews = await this.scrapeKakaoMap(companyName, dateFilter, jobId, 'kakao', true);
-    } else if (portalType === 'google') {
-      reviews = await this.scrapeGoogle(companyName, dateFilter, jobId, 'google', true);
-    } else if (portalType === 'agoda') {
-      // portalUrl이 있으면 agodaUrl로 사용, 없으면 null
-      const agodaUrl = portalUrl && portalUrl.includes('agoda.com') ? portalUrl : null;
-      reviews = await this.scrapeAgoda(companyName, dateFilter, agodaUrl, jobId, 'agoda', true);
-    } else if (portalType === 'naver') {
-      // 네이버맵은 companyName으로 검색하여 스크래핑
-      reviews = await this.scrapeNaverMap(companyName, dateFilter, jobId, 'naver', true);
-    } else if (portalUrl && portalUrl.includes('naver.com')) {
-      // 네이버맵 URL이 제공된 경우에도 companyName으로 검색 (더보기 버튼 클릭 방식)
-      reviews = await this.scrapeNaverMap(companyName, dateFilter, jobId, 'naver', true);
-    } else if (!portalUrl || portalUrl.includes('kakao.com')) {
-      // 카카오맵은 URL이 없어도 companyName으로 검색하여 스크래핑
-      reviews = await this.scrapeKakaoMap(companyName, dateFilter, jobId, 'kakao', true);
-    } else if (portalUrl && portalUrl.includes('yanolja.com')) {
-      // 야놀자 URL이 제공된 경우
-      reviews = await this.scrapeYanolja(companyName, dateFilter, jobId, 'yanolja', true);
-    } else if (portalUrl && portalUrl.includes('google.com')) {
-      reviews = await this.scrapeGoogle(companyName, dateFilter, jobId, 'google', true);
-    } else if (portalUrl && (portalUrl.includes('goodchoice.kr') || portalUrl.includes('tripadvisor.co.kr'))) {
-      console.log('굿초이스/트립어드바이저 스크래핑은 현재 미구현입니다.');
-      reviews = [];
-    } else if (portalUrl && portalUrl.includes('agoda.com')) {
-      reviews = await this.scrapeAgoda(companyName, dateFilter, portalUrl, jobId, 'agoda', true);
+    this.beginPortalTask(adapter.id, companyName, jobId, companyId);
+    await this.startTrace();
+    try {
+      reviews = await adapter.scrape(this, { url: portalUrl || null, companyName, dateFilter, jobId });
+      // 스크래퍼는 예외를 삼키고 빈 배열을 반환하므로, 차단 때문에 0개인 경우를 여기서 구분
+      if (this.blockedBy || reviews.length === 0) {
+        await this.assertNotBlocked();
+      }
+      // 예외로 빈 결과가 됐거나, 전체 기간(all)인데 하나도 못 찾은 경우는 페이지 상태를 남김
+      if (reviews.length === 0 && (this.lastScrapeError || dateFilter === 'all')) {
+        const artifacts = await this.captureFailureArtifacts(this.lastScrapeError ? 'error' : 'empty');
+        // 스크래퍼가 삼킨 예외(타임아웃, 선택자 실패, 페이지 종료 등)는 다시 던져 실패 항목으로 기록하고 재시도되게 함
+        if (this.lastScrapeError) {
+          const error = this.lastScrapeError instanceof Error ? this.lastScrapeError : new Error(String(this.lastScrapeError));
+          if (!error.artifacts) error.artifacts = artifacts;
+          throw error;
+        }
+        if (stats) stats.artifacts = artifacts;
+      }
+    } catch (error) {
+      if (error instanceof Error && !error.artifacts) error.artifacts = await this.captureFailureArtifacts('error');
+      throw error;
+    } finally {
+      await this.discardTrace();
     }
+    const portalName = adapter.name;
 
     // 수집한 리뷰 데이터를 DB 형식에 맞게 변환
     // 날짜 필터링 설정 (KST 기준)
@@ -5444,17 +4118,12 @@ class ScraperService {
     
     if (reviews.length === 0) {
       console.log(`⚠️ [저장] 추출된 리뷰가 없습니다. 스크래핑이 완료되지 않았거나 리뷰를 찾지 못했을 수 있습니다.`);
+      reportStats({});
       return 0;
     }
     
-    // 모든 포털이 즉시 저장 방식으로 이미 저장되었으므로, 여기서는 통계만 업데이트
-    if (portalType === 'naver' || portalType === 'kakao' || portalType === 'yanolja' || portalType === 'google' || portalType === 'agoda' ||
-        (portalUrl && (portalUrl.includes('naver.com') || portalUrl.includes('kakao.com') || portalUrl.includes('yanolja.com') || portalUrl.includes('google.com') || portalUrl.includes('agoda.com')))) {
-      const portalName = portalType === 'naver' ? '네이버맵' : 
-                         portalType === 'kakao' ? '카카오맵' :
-                         portalType === 'yanolja' ? '야놀자' :
-                         portalType === 'google' ? '구글' :
-                         portalType === 'agoda' ? '아고다' : '알 수 없음';
+    // 즉시 저장 포털은 이미 저장되었으므로, 여기서는 통계만 업데이트
+    if (adapter.savesImmediately) {
       console.log(`[저장] ${portalName}은 즉시 저장 방식으로 이미 저장되었습니다. 통계만 업데이트합니다.`);
       // 각 스크래퍼에서 실제 저장 개수를 _actualSavedCount로 저장했음
       const actualSavedCount = reviews._actualSavedCount !== undefined ? reviews._actualSavedCount : reviews.length;
@@ -5484,6 +4153,8 @@ class ScraperService {
           console.error('scraping_jobs 업데이트 실패 (즉시 저장):', error);
         }
       }
+      // 즉시 저장 포털은 날짜 필터 범위 밖이면 추출 단계에서 멈추므로, 미저장 건은 중복/기타로 본다
+      reportStats({ extracted: reviews.length, saved: actualSavedCount, duplicate: errorCount });
       return actualSavedCount;
     }
     
@@ -5505,43 +4176,12 @@ class ScraperService {
         continue;
       }
       
-      // 날짜 파싱/정규화
-      // - 저장은 YYYY-MM-DD 문자열로 통일
-      // - Invalid Date로 인해 작업이 멈추지 않도록 방어
+      // 날짜 정규화 (저장은 YYYY-MM-DD 문자열로 통일, parsers/reviewDate.js)
       const rawDate = review.reviewDate ?? review.date ?? null;
-      const normalizeDateStr = (s) => {
-        if (!s) return null;
-        const t = String(s).trim();
-        const m = t.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-        if (!m) return null;
-        const dt = new Date(t);
-        if (Number.isNaN(dt.getTime())) return null;
-        return t;
-      };
-      const toIsoDateStr = (d) => {
-        if (!(d instanceof Date) || Number.isNaN(d.getTime())) return null;
-        return d.toISOString().split('T')[0];
-      };
-
-      let reviewDateStr = null;
-      let reviewDateObj = null;
-
-      if (rawDate instanceof Date) {
-        reviewDateStr = toIsoDateStr(rawDate);
-      } else {
-        // 문자열 우선
-        reviewDateStr = normalizeDateStr(rawDate);
-        if (!reviewDateStr && rawDate) {
-          const dt = new Date(String(rawDate));
-          reviewDateStr = toIsoDateStr(dt);
-        }
-      }
-      if (reviewDateStr) {
-        reviewDateObj = new Date(reviewDateStr);
-      }
+      const reviewDateStr = toReviewDateStr(rawDate, kstSave);
 
       // 날짜가 없거나 유효하지 않으면 저장/필터링 불가 → 스킵
-      if (!reviewDateStr || !reviewDateObj || Number.isNaN(reviewDateObj.getTime())) {
+      if (!reviewDateStr) {
         skippedNoDate++;
         if (skippedNoDate <= 10) {
           console.log(`⚠️ [저장] 날짜 파싱 실패로 스킵 (${skippedNoDate}번째): nickname="${review.nickname}", rawDate="${rawDate}"`);
@@ -5550,7 +4190,7 @@ class ScraperService {
       }
 
       // 날짜 필터링: week 또는 twoWeeks 모드일 때 필터링
-      if ((dateFilter === 'week' || dateFilter === 'twoWeeks') && filterDateStr && reviewDateStr < filterDateStr) {
+      if ((dateFilter === 'week' || dateFilter === 'twoWeeks') && isBeforeDateFilter(reviewDateStr, review.datePrecision, filterDateStr)) {
         filteredCount++;
         if (filteredCount <= 10) {
           console.log(`⚠️ [저장] 날짜 필터링으로 제외 (${filteredCount}번째): nickname="${review.nickname}", date="${reviewDateStr}" (필터 기준 KST: ${filterDateStr} 이후)`);
@@ -5565,39 +4205,12 @@ class ScraperService {
         review.reviewKeyword
       );
 
-      // portal_url을 포털 이름으로 변환
-      // portalType이 지정된 경우 우선 사용
-      let portalName = '알 수 없음';
-      if (portalType === 'yanolja') {
-        portalName = '야놀자';
-      } else if (portalType === 'kakao') {
-        portalName = '카카오맵';
-      } else if (portalType === 'google') {
-        portalName = '구글';
-      } else if (portalType === 'agoda') {
-        portalName = '아고다';
-      } else if (portalType === 'naver') {
-        portalName = '네이버맵';
-      } else if (portalUrl && portalUrl.includes('naver.com')) {
-        portalName = '네이버맵';
-      } else if (!portalUrl || portalUrl.includes('kakao.com')) {
-        portalName = '카카오맵';
-      } else if (portalUrl && portalUrl.includes('yanolja.com')) {
-        portalName = '야놀자';
-      } else if (portalUrl && portalUrl.includes('google.com')) {
-        portalName = '구글';
-      } else if (portalUrl && portalUrl.includes('agoda.com')) {
-        portalName = '아고다';
-      } else if (portalUrl) {
-        portalName = this.getPortalName(portalUrl, portalType);
-      }
-
       // 디버깅: 저장 시도 데이터 확인 (야놀자인 경우 모든 리뷰 로그)
       if (portalName === '야놀자' && reviews.indexOf(review) < 3) {
         console.log(`[디버깅] 야놀자 리뷰 ${reviews.indexOf(review) + 1} 저장 시도:`);
         console.log(`  portalUrl: "${portalName}"`);
         console.log(`  companyName: "${companyName}"`);
-        console.log(`  reviewDate: ${reviewDate} (타입: ${typeof reviewDate})`);
+        console.log(`  reviewDate: ${reviewDateStr} (원본: ${rawDate})`);
         console.log(`  nickname: "${review.nickname}"`);
         console.log(`  content 길이: ${review.content?.length || 0}`);
         console.log(`  rating: ${review.rating}`);
@@ -5608,6 +4221,8 @@ class ScraperService {
         portalUrl: portalName,
         companyName,
         reviewDate: reviewDateStr,
+        reviewDatePrecision: review.datePrecision,
+        reviewDateRaw: review.dateText ?? (typeof rawDate === 'string' ? rawDate : null),
         content: contentText, // 빈 문자열 허용
         rating: ratingValue || null,
         nickname: review.nickname,
@@ -5686,6 +4301,12 @@ class ScraperService {
       }
     }
 
+    reportStats({
+      extracted: reviews.length,
+      saved: savedCount,
+      duplicate: duplicateCount,
+      filtered: filteredCount + emptyContentCount + skippedNoDate,
+    });
     return savedCount;
   }
 }
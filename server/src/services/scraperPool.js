@@ -0,0 +1,80 @@
+import ScraperService from './scraper.js';
+
+/**
+ * 스크래퍼 풀
+ * 브라우저 하나를 띄우고 워커마다 별도 컨텍스트/페이지(ScraperService)를 만들어 여러 기업 × 포털을 동시에 처리한다.
+ * - 워커 하나가 Playwright 치명 오류로 죽으면 그 워커만 다시 만든다.
+ * - 브라우저 자체가 끊긴 경우에는 브라우저를 다시 띄운 뒤 워커를 만든다 (동시에 여러 워커가 요청해도 한 번만).
+ */
+class ScraperPool {
+  /**
+   * @param {object} options
+   * @param {number} options.size - 워커(브라우저 컨텍스트) 수
+   * @param {boolean} options.headless - false면 브라우저 창 표시
+   * @param {AbortSignal|null} options.signal - 작업 중지 신호 (워커의 속도 제한 대기를 끊음)
+   */
+  constructor({ size = 1, headless = true, signal = null } = {}) {
+    this.size = Math.max(1, size);
+    this.headless = headless;
+    this.signal = signal;
+    this.browser = null;
+    /** @type {Array<{id: number, scraper: ScraperService}>} */
+    this.workers = [];
+    this.relaunching = null;
+    this.closed = false;
+  }
+
+  async init() {
+    this.browser = await ScraperService.launchBrowser({ headless: this.headless });
+    for (let id = 1; id <= this.size; id++) {
+      const scraper = new ScraperService();
+      scraper.abortSignal = this.signal;
+      await scraper.init({ browser: this.browser });
+      this.workers.push({ id, scraper });
+    }
+  }
+
+  /**
+   * 브라우저가 끊겼으면 다시 띄우기 (여러 워커가 동시에 호출해도 한 번만 실행)
+   */
+  async ensureBrowser() {
+    if (this.browser && this.browser.isConnected()) return;
+    if (!this.relaunching) {
+      this.relaunching = ScraperService.launchBrowser({ headless: this.headless })
+        .then((browser) => {
+          this.browser = browser;
+        })
+        .finally(() => {
+          this.relaunching = null;
+        });
+    }
+    await this.relaunching;
+  }
+
+  /**
+   * 워커 재시작 (컨텍스트를 닫고 새로 만듦)
+   */
+  async restartWorker(worker) {
+    if (this.closed) return;
+    try {
+      await worker.scraper.close();
+    } catch {}
+    await this.ensureBrowser();
+    const scraper = new ScraperService();
+    scraper.abortSignal = this.signal;
+    await scraper.init({ browser: this.browser });
+    worker.scraper = scraper;
+  }
+
+  /**
+   * 모든 워커와 브라우저 종료 (작업 중지 시 진행 중인 대기/네비게이션을 즉시 끊는 용도로도 사용)
+   */
+  async close() {
+    this.closed = true;
+    if (this.browser) {
+      await this.browser.close();
+    }
+  }
+}
+
+export default ScraperPool;
@@ -34,10 +34,10 @@ async function checkCompaniesStatus() {
       const reviewResult = await pool.query(
         `SELECT portal_url, COUNT(*) as count 
          FROM reviews 
-         WHERE company_name = $1 
+         WHERE company_id = $1 
          GROUP BY portal_url 
          ORDER BY count DESC`,
-        [company.company_name]
+        [company.id]
       );
       
       if (reviewResult.rows.length > 0) {
@@ -75,9 +75,10 @@ async function checkCompaniesStatus() {
     console.log('='.repeat(80));
     
     const companyStats = await pool.query(
-      `SELECT company_name, COUNT(*) as count 
-       FROM reviews 
-       GROUP BY company_name 
+      `SELECT COALESCE(c.company_name, r.company_name) as company_name, COUNT(*) as count 
+       FROM reviews r 
+       LEFT JOIN companies c ON c.id = r.company_id 
+       GROUP BY r.company_id, COALESCE(c.company_name, r.company_name) 
        ORDER BY count DESC`
     );
     
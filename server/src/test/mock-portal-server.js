@@ -0,0 +1,38 @@
+import { MOCK_PLACE, MOCK_PLACE_URLS, mockBaseUrlsEnv, startMockPortalServer } from '../../tests/helpers/mockPortals.js';
+
+/**
+ * 목업 포털 서버 단독 실행 (인터넷 없이 서버/작업을 손으로 돌려 볼 때)
+ *
+ * 사용법:
+ *   npm run mock:portals                  # 127.0.0.1:4100
+ *   npm run mock:portals -- --port 4200
+ *
+ * 출력되는 SCRAPE_BASE_URLS를 서버 환경 변수에 넣고 목업 기업(이름/주소/URL 아래 출력)으로 작업을 실행한다.
+ */
+
+function parseArgs(argv) {
+  const args = { port: 4100 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = parseInt(argv[++i], 10);
+  }
+  return args;
+}
+
+const { port } = parseArgs(process.argv.slice(2));
+const { baseUrl, close } = await startMockPortalServer({ port });
+
+console.log(`목업 포털 서버 실행 중: ${baseUrl}`);
+console.log(`SCRAPE_BASE_URLS=${mockBaseUrlsEnv(baseUrl)}`);
+console.log('SCRAPE_PAUSE_SCALE=0.1 (선택, 로딩 대기 단축)');
+console.log(`목업 기업: ${MOCK_PLACE.name} / ${MOCK_PLACE.address}`);
+for (const [portal, url] of Object.entries(MOCK_PLACE_URLS)) {
+  console.log(`  ${portal}: ${url}`);
+}
+console.log('종료: Ctrl+C');
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    await close();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,114 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { chromium } from 'playwright';
+import { getArtifactsDir } from '../services/artifacts.js';
+import { PORTAL_PARSERS, parseReviewsFromPage } from '../services/parsers/index.js';
+import { FIXTURES_DIR, listFixtures, openFixturePage, startFixtureServer, toFixtureRecord } from '../../tests/helpers/fixtures.js';
+
+/**
+ * 파서 픽스처 갱신
+ * 실제 스크래핑에서 저장한 실패 HTML(SCRAPE_ARTIFACTS_DIR)을 tests/fixtures/<포털>/로 복사하고
+ * 현재 파서 결과로 기대값(*.expected.json)을 만든다.
+ *
+ * 사용법:
+ *   npm run fixtures:refresh                     # 새 실패 HTML을 픽스처로 추가 (기존 픽스처는 그대로)
+ *   npm run fixtures:refresh -- --portal naver   # 한 포털만
+ *   npm run fixtures:refresh -- --update         # 기존 픽스처 기대값도 현재 파서 결과로 다시 작성
+ *
+ * 리뷰를 하나도 읽지 못한 HTML(차단 페이지, 네이버맵 바깥 페이지 등)은 건너뛴다.
+ * 기대값은 반드시 눈으로 확인한 뒤 커밋한다 (파서 버그가 그대로 기대값이 될 수 있음).
+ */
+
+/** job12-naver-empty-1718000000000.html, job12-naver-empty-1718000000000-frame.html */
+const ARTIFACT_HTML = /^(?:job\d+-)?([a-z]+)-([a-z]+)-(\d+)(?:-frame)?\.html$/;
+
+function parseArgs(argv) {
+  const args = { portal: null, update: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--portal') args.portal = argv[++i];
+    else if (argv[i] === '--update') args.update = true;
+  }
+  return args;
+}
+
+/**
+ * 픽스처 페이지를 파싱해 기대값 파일 작성
+ * @returns {Promise<number>} 읽은 리뷰 수
+ */
+async function writeExpected(browser, baseUrl, portal, name, { now, source }) {
+  // 테스트(tests/parsers.spec.js)와 같게 페이지 스크립트는 끔
+  const context = await browser.newContext({ javaScriptEnabled: false });
+  const page = await context.newPage();
+  try {
+    await openFixturePage(page, baseUrl, portal, name);
+    const reviews = await parseReviewsFromPage(page, portal, { now });
+    if (reviews.length === 0) return 0;
+    const expected = { now: now.toISOString(), source, reviews: reviews.map(toFixtureRecord) };
+    await fs.writeFile(path.join(FIXTURES_DIR, portal, `${name}.expected.json`), `${JSON.stringify(expected, null, 2)}\n`, 'utf8');
+    return reviews.length;
+  } finally {
+    await context.close();
+  }
+}
+
+async function importArtifacts(browser, baseUrl, portals) {
+  const artifactsDir = getArtifactsDir();
+  const files = await fs.readdir(artifactsDir).catch(() => []);
+  let added = 0;
+  for (const file of files) {
+    const match = file.match(ARTIFACT_HTML);
+    if (!match) continue;
+    const [, portal, label, timestamp] = match;
+    if (!portals.includes(portal) || label === 'blocked') continue;
+
+    const name = file.slice(0, -'.html'.length);
+    const target = path.join(FIXTURES_DIR, portal, file);
+    if (listFixtures(portal).some((fixture) => fixture.name === name)) continue;
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(path.join(artifactsDir, file), target);
+    const count = await writeExpected(browser, baseUrl, portal, name, { now: new Date(Number(timestamp)), source: file });
+    if (count === 0) {
+      await fs.rm(target);
+      console.log(`[픽스처] ${file}: 리뷰 0건 - 건너뜀`);
+      continue;
+    }
+    added++;
+    console.log(`[픽스처] ${portal}/${file} 추가 (리뷰 ${count}건)`);
+  }
+  console.log(`[픽스처] 실패 HTML ${added}개 추가 (${artifactsDir})`);
+}
+
+async function updateExisting(browser, baseUrl, portals) {
+  for (const portal of portals) {
+    for (const fixture of listFixtures(portal)) {
+      const previous = JSON.parse(await fs.readFile(fixture.expectedPath, 'utf8').catch(() => '{}'));
+      const now = previous.now ? new Date(previous.now) : new Date();
+      const count = await writeExpected(browser, baseUrl, portal, fixture.name, { now, source: previous.source || `${fixture.name}.html` });
+      console.log(`[픽스처] ${portal}/${fixture.name} 기대값 갱신 (리뷰 ${count}건)`);
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const portals = args.portal ? [args.portal] : Object.keys(PORTAL_PARSERS);
+  if (args.portal && !PORTAL_PARSERS[args.portal]) {
+    throw new Error(`파서가 없는 포털입니다: ${args.portal} (가능: ${Object.keys(PORTAL_PARSERS).join(', ')})`);
+  }
+
+  const server = await startFixtureServer();
+  const browser = await chromium.launch({ headless: true });
+  try {
+    await importArtifacts(browser, server.baseUrl, portals);
+    if (args.update) await updateExisting(browser, server.baseUrl, portals);
+  } finally {
+    await browser.close();
+    await server.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('[픽스처] 갱신 실패:', error.message);
+  process.exit(1);
+});
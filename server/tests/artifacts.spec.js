@@ -0,0 +1,21 @@
+import path from 'path';
+import { test, expect } from '@playwright/test';
+import { createArtifactPrefix, getArtifactsDir, resolveArtifactPath } from '../src/services/artifacts.js';
+
+/**
+ * 실패 파일 이름/경로 규칙 테스트 (브라우저/DB 불필요)
+ */
+test.describe('Artifacts', () => {
+  test('파일 이름 접두어', () => {
+    expect(createArtifactPrefix({ jobId: 12, portal: 'naver', label: 'blocked' })).toMatch(/^job12-naver-blocked-\d+$/);
+    expect(createArtifactPrefix({ label: 'error' })).toMatch(/^error-\d+$/);
+  });
+
+  test('다운로드 경로는 저장 디렉터리 안의 파일만', () => {
+    expect(resolveArtifactPath('job12-naver-error-1.png')).toBe(path.join(getArtifactsDir(), 'job12-naver-error-1.png'));
+    expect(resolveArtifactPath('../.env')).toBeNull();
+    expect(resolveArtifactPath('sub/file.png')).toBeNull();
+    expect(resolveArtifactPath('.hidden')).toBeNull();
+    expect(resolveArtifactPath('')).toBeNull();
+  });
+});
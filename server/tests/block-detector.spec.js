@@ -0,0 +1,66 @@
+import { test, expect } from '@playwright/test';
+import { detectBlockPage, PortalBlockedError } from '../src/services/blockDetector.js';
+import { getPortal } from '../src/services/portalRegistry.js';
+
+/**
+ * 차단 페이지 감지 테스트 (브라우저 불필요)
+ * page.evaluate는 가짜 document로 Node에서 실행한다.
+ */
+function fakePage({ url = 'https://example.com/', title = '', body = '', selectors = [] }) {
+  const document = {
+    title,
+    body: { innerText: body },
+    querySelector: (selector) => (selectors.includes(selector) ? {} : null),
+  };
+  return {
+    url: () => url,
+    evaluate: async (fn, arg) => {
+      globalThis.document = document;
+      try {
+        return fn(arg);
+      } finally {
+        delete globalThis.document;
+      }
+    },
+  };
+}
+
+test.describe('Block Detector', () => {
+  test('구글 sorry 페이지 (URL)', async () => {
+    const page = fakePage({ url: 'https://www.google.com/sorry/index?continue=...' });
+    expect(await detectBlockPage(page, getPortal('google'))).toBe('URL: google.com/sorry/');
+  });
+
+  test('네이버 보안 확인 문구', async () => {
+    const page = fakePage({ body: '자동입력 방지 문자를 입력해 주세요' });
+    expect(await detectBlockPage(page, getPortal('naver'))).toBe('문구: 자동입력 방지');
+  });
+
+  test('아고다 PerimeterX 위젯 (요소)', async () => {
+    const page = fakePage({ selectors: ['#px-captcha'] });
+    expect(await detectBlockPage(page, getPortal('agoda'))).toBe('요소: #px-captcha');
+  });
+
+  test('공통 패턴은 모든 포털에 적용', async () => {
+    const page = fakePage({ title: 'Attention Required! | Cloudflare' });
+    expect(await detectBlockPage(page, getPortal('kakao'))).toContain('Cloudflare');
+  });
+
+  test('포털 패턴은 다른 포털에 적용하지 않음, 정상 페이지는 null', async () => {
+    expect(await detectBlockPage(fakePage({ body: '자동입력 방지' }), getPortal('google'))).toBeNull();
+    expect(await detectBlockPage(fakePage({ title: '춘천 베어스호텔 리뷰', body: '좋았어요' }), getPortal('naver'))).toBeNull();
+  });
+
+  test('본문 뒷부분(리뷰 내용)의 문구는 무시', async () => {
+    const page = fakePage({ body: `${'리뷰 '.repeat(2000)}Access Denied` });
+    expect(await detectBlockPage(page, getPortal('agoda'))).toBeNull();
+  });
+
+  test('PortalBlockedError', () => {
+    const error = new PortalBlockedError('naver', 'HTTP 429', { screenshot: 'blocked-naver-1.png' });
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('PortalBlockedError');
+    expect(error.category).toBe('blocked');
+    expect(error.screenshot).toBe('blocked-naver-1.png');
+  });
+});
@@ -0,0 +1,150 @@
+import { test, expect } from '@playwright/test';
+import { pool } from '../src/db/connection.js';
+import ScraperService from '../src/services/scraper.js';
+import {
+  CompanyImportError,
+  decodeCsvBuffer,
+  importCompaniesCsv,
+  parseCsv,
+  validateCompanyRows,
+} from '../src/services/companyImport.js';
+
+const scraper = new ScraperService();
+const validate = (csv) => validateCompanyRows(parseCsv(csv), scraper);
+
+/**
+ * 기업 일괄 등록 CSV 검사 테스트 (브라우저/DB 불필요)
+ */
+test.describe('기업 CSV 가져오기', () => {
+  test('큰따옴표 안의 쉼표/줄바꿈, "" 이스케이프, BOM, CRLF', () => {
+    const rows = parseCsv('\uFEFFcompany_name,address\r\n"호텔, 본관","강원 ""동해""\n1층"\r\n');
+    expect(rows).toEqual([
+      ['company_name', 'address'],
+      ['호텔, 본관', '강원 "동해"\n1층'],
+    ]);
+    expect(() => parseCsv('company_name\n"닫히지 않음')).toThrow(CompanyImportError);
+  });
+
+  test('UTF-8이 아니면 EUC-KR로 읽고, XLSX는 거절', () => {
+    const eucKr = Buffer.from([0xb1, 0xe2, 0xbe, 0xf7]); // '기업'
+    expect(decodeCsvBuffer(Buffer.from('기업', 'utf8'))).toBe('기업');
+    expect(decodeCsvBuffer(eucKr)).toBe('기업');
+    expect(() => decodeCsvBuffer(Buffer.from('PK\u0003\u0004'))).toThrow(/XLSX/);
+  });
+
+  test('헤더: 컬럼명/필드명 허용, 모르는 헤더는 무시, 필수 컬럼 없으면 오류', () => {
+    const { ignoredColumns, records } = validate('companyName,type,비고\n동해호텔,숙박시설,메모');
+    expect(ignoredColumns).toEqual(['비고']);
+    expect(records[0]).toMatchObject({ line: 2, companyName: '동해호텔', status: 'valid', errors: [] });
+    // is_member 칸이 없으면 null (새 기업은 N으로 저장, 기존 기업은 값 유지)
+    expect(records[0].company.isMember).toBeNull();
+    expect(() => validate('company_name,naver_url\n동해호텔,')).toThrow(/type/);
+    expect(() => validate('')).toThrow(CompanyImportError);
+  });
+
+  test('행 검사: 필수값, is_member, 길이, email, 기업명 중복 (빈 줄은 건너뛰고 행 번호 유지)', () => {
+    const { records } = validate(
+      [
+        'company_name,type,is_member,phone,email',
+        '동해호텔,숙박시설,y,,',
+        ',숙박시설,N,,',
+        '',
+        '춘천호텔,숙박시설,예,,',
+        `강릉호텔,숙박시설,N,${'0'.repeat(51)},not-an-email`,
+        '동해호텔,음식점,N,,',
+      ].join('\n')
+    );
+    expect(records.map(({ line, status }) => [line, status])).toEqual([
+      [2, 'valid'],
+      [3, 'invalid'],
+      [5, 'invalid'],
+      [6, 'invalid'],
+      [7, 'invalid'],
+    ]);
+    expect(records[0].company).toMatchObject({ companyName: '동해호텔', isMember: 'Y', phone: null });
+    expect(records[1].errors.join()).toContain('company_name');
+    expect(records[2].errors.join()).toContain('is_member');
+    expect(records[3].errors).toHaveLength(2);
+    expect(records[4].errors.join()).toContain('2행');
+  });
+
+  test('포털 URL: 도메인 검사 후 정규화', () => {
+    const { records } = validate(
+      [
+        'company_name,type,naver_url,goodchoice_url,kakao_url',
+        '동해호텔,숙박시설,https://map.naver.com/p/entry/place/11658902?c=15.00&placePath=/review,https://www.goodchoice.kr/product/detail?ano=1234,',
+        '춘천호텔,숙박시설,https://map.kakao.com/?itemId=1,,https://evil-kakao.com.example/1',
+      ].join('\n')
+    );
+    expect(records[0].status).toBe('valid');
+    expect(records[0].company.naverUrl).toBe('https://map.naver.com/p/entry/place/11658902');
+    expect(records[0].company.goodchoiceUrl).toBe('https://www.yeogi.com/domestic-accommodations/1234');
+    expect(records[0].company.kakaoUrl).toBeNull();
+    expect(records[1].status).toBe('invalid');
+    expect(records[1].errors).toHaveLength(2);
+    expect(records[1].errors[0]).toContain('naver_url');
+    expect(records[1].errors[1]).toContain('kakao_url');
+  });
+});
+
+/**
+ * 저장 경로 테스트 (DB 필요, DATABASE_URL이 없으면 스킵 / npm run migrate로 스키마를 먼저 만들어 둘 것)
+ */
+test.describe('기업 CSV 가져오기 저장', () => {
+  test.skip(!pool, 'DATABASE_URL이 설정되지 않음');
+
+  const EXISTING = 'CSV테스트 기존호텔';
+  const CREATED = 'CSV테스트 새호텔';
+  const cleanup = () => pool.query('DELETE FROM companies WHERE company_name = ANY($1)', [[EXISTING, CREATED]]);
+
+  test.beforeEach(async () => {
+    await cleanup();
+    await pool.query(
+      `INSERT INTO companies (company_name, type, is_member, address, phone, kakao_url)
+       VALUES ($1, '숙박시설', 'Y', '강원 동해시', '033-000-0000', 'https://place.map.kakao.com/1')`,
+      [EXISTING]
+    );
+  });
+
+  test.afterAll(async () => {
+    if (pool) await cleanup();
+  });
+
+  test('기존 기업은 값이 있는 칸만 갱신, 새 기업은 추가 (미리보기는 저장하지 않음)', async () => {
+    const csv = [
+      'company_name,type,is_member,address,phone,manager,naver_url',
+      `${EXISTING},음식점,,,033-111-1111,홍길동,https://map.naver.com/p/entry/place/11658902`,
+      `${CREATED},숙박시설,,강원 강릉시,,,`,
+    ].join('\n');
+
+    const preview = await importCompaniesCsv(csv, { dryRun: true, scraper });
+    expect(preview.rows.map(({ action, status }) => [action, status])).toEqual([
+      ['update', 'valid'],
+      ['create', 'valid'],
+    ]);
+    expect(preview.rows[0].warnings[0]).toContain('type, phone, manager, naver_url');
+    const afterPreview = await pool.query('SELECT COUNT(*)::int AS count FROM companies WHERE company_name = $1', [CREATED]);
+    expect(afterPreview.rows[0].count).toBe(0);
+
+    const report = await importCompaniesCsv(csv, { scraper });
+    expect(report.summary).toMatchObject({ created: 1, updated: 1, failed: 0 });
+    expect(report.rows.map((row) => row.status)).toEqual(['saved', 'saved']);
+
+    const rows = await pool.query(
+      'SELECT * FROM companies WHERE company_name = ANY($1) ORDER BY company_name',
+      [[EXISTING, CREATED]]
+    );
+    const byName = Object.fromEntries(rows.rows.map((row) => [row.company_name, row]));
+    expect(rows.rows).toHaveLength(2);
+    expect(byName[EXISTING]).toMatchObject({
+      type: '음식점',
+      is_member: 'Y',
+      address: '강원 동해시',
+      phone: '033-111-1111',
+      manager: '홍길동',
+      naver_url: 'https://map.naver.com/p/entry/place/11658902',
+      kakao_url: 'https://place.map.kakao.com/1',
+    });
+    expect(byName[CREATED]).toMatchObject({ type: '숙박시설', is_member: 'N', address: '강원 강릉시', phone: null });
+  });
+});
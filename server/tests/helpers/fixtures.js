@@ -0,0 +1,76 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * 포털 파서 픽스처 도구 (tests/parsers.spec.js, npm run fixtures:refresh에서 사용)
+ * 픽스처: tests/fixtures/<포털>/<이름>.html + <이름>.expected.json ({ now, source, reviews })
+ */
+
+export const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+/** 기대값으로 비교하는 리뷰 필드 (키워드는 visitKeyword/reviewKeyword, 날짜 정밀도는 datePrecision) */
+export const FIXTURE_FIELDS = ['nickname', 'date', 'datePrecision', 'rating', 'content', 'visitKeyword', 'reviewKeyword'];
+
+/** 파서 결과에서 비교 필드만 남김 */
+export function toFixtureRecord(review) {
+  return Object.fromEntries(FIXTURE_FIELDS.map((field) => [field, review[field] ?? null]));
+}
+
+/**
+ * 포털의 픽스처 목록 (테스트 정의 시점에 필요해서 동기)
+ * @param {string} portal
+ * @returns {{name: string, htmlPath: string, expectedPath: string}[]}
+ */
+export function listFixtures(portal) {
+  const dir = path.join(FIXTURES_DIR, portal);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((file) => file.endsWith('.html'))
+    .sort()
+    .map((file) => {
+      const name = file.slice(0, -'.html'.length);
+      return { name, htmlPath: path.join(dir, file), expectedPath: path.join(dir, `${name}.expected.json`) };
+    });
+}
+
+/**
+ * 픽스처 디렉터리를 내려주는 로컬 정적 서버 (127.0.0.1, 빈 포트)
+ * @returns {Promise<{baseUrl: string, close: () => Promise<void>}>}
+ */
+export function startFixtureServer() {
+  const server = http.createServer((req, res) => {
+    const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const filePath = path.join(FIXTURES_DIR, pathname);
+    if (!filePath.startsWith(FIXTURES_DIR + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': filePath.endsWith('.html') ? 'text/html; charset=utf-8' : 'application/octet-stream' });
+    fs.createReadStream(filePath).pipe(res);
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+/**
+ * 픽스처 페이지 열기
+ * 실제 실행에서 저장한 HTML은 외부 스크립트/이미지를 참조하므로 로컬 서버 밖 요청은 모두 막는다.
+ * (페이지 스크립트가 DOM을 바꾸지 않도록 컨텍스트는 javaScriptEnabled: false로 만든다)
+ * @param {import('playwright').Page} page
+ * @param {string} baseUrl
+ * @param {string} portal
+ * @param {string} name
+ */
+export async function openFixturePage(page, baseUrl, portal, name) {
+  await page.route('**/*', (route) => (route.request().url().startsWith(baseUrl) ? route.continue() : route.abort()));
+  await page.goto(`${baseUrl}/${portal}/${encodeURIComponent(name)}.html`, { waitUntil: 'domcontentloaded' });
+}
@@ -0,0 +1,411 @@
+import http from 'http';
+import { getKstDateInfo, kstDaysAgo } from '../../src/services/parsers/common.js';
+
+/**
+ * 목업 포털 서버 (인터넷 없이 작업 전체를 실행하는 end-to-end 테스트용)
+ * 네이버맵/카카오맵/야놀자/아고다/구글의 검색 결과, 장소 페이지, 리뷰 목록, "더보기"/무한 스크롤/페이지 이동을
+ * 고정 데이터로 흉내 낸다. 페이지 구조는 tests/fixtures의 파서 픽스처와 같다.
+ *
+ * 스크래퍼는 SCRAPE_BASE_URLS로 포털 요청을 이 서버로 돌린다 (src/services/portalBaseUrls.js).
+ * 요청 경로는 `/<원래 호스트><원래 경로>` (예: /map.naver.com/p/entry/place/1900001)
+ * 리뷰 날짜는 요청 시점의 KST 오늘 기준 N일 전으로 만든다.
+ */
+
+/** 목업 숙소 (모든 포털에 같은 이름/주소로 등록) */
+export const MOCK_PLACE = {
+  name: '목업호텔 해변점',
+  address: '강원 강릉시 해안로 100',
+  category: '호텔',
+  ids: { naver: '1900001', kakao: '2900001', yanolja: '3900001', google: 'CgoImockhotel' },
+};
+
+/** companies에 저장하는 포털 URL (실제 포털 주소 형식) */
+export const MOCK_PLACE_URLS = {
+  naver: `https://map.naver.com/p/entry/place/${MOCK_PLACE.ids.naver}`,
+  kakao: `https://place.map.kakao.com/${MOCK_PLACE.ids.kakao}`,
+  yanolja: `https://nol.yanolja.com/stay/domestic/${MOCK_PLACE.ids.yanolja}`,
+  agoda: 'https://www.agoda.com/ko-kr/mock-beach-hotel/hotel/gangneung-kr.html',
+  google: `https://www.google.com/travel/hotels/entity/${MOCK_PLACE.ids.google}/reviews`,
+};
+
+/** 목업 서버가 흉내 내는 포털 */
+export const MOCK_PORTALS = ['naver', 'kakao', 'yanolja', 'agoda', 'google'];
+
+/**
+ * 리뷰 목록 (최신순, 모든 포털 공통)
+ * - 7일 이내 4개 + 같은 작성자가 같은 내용을 다시 올린 1개 (DB 중복 키가 같아 저장되지 않아야 함)
+ * - 7일 밖 2개 (일주일 필터에서 제외)
+ */
+export const MOCK_REVIEWS = [
+  { nickname: '바다보러왔어요', daysAgo: 0, rating: 5, visitType: '연인·배우자', content: '오션뷰 객실이 정말 좋았어요. 조식도 맛있었습니다.' },
+  { nickname: '주말여행자', daysAgo: 1, rating: 4, visitType: '친구', content: '체크인이 빠르고 직원분들이 친절했어요.' },
+  { nickname: '출장러', daysAgo: 3, rating: 4, visitType: '혼자', content: '역에서 가깝고 책상이 넓어서 일하기 편했습니다.' },
+  { nickname: '가족나들이', daysAgo: 5, rating: 5, visitType: '가족', content: '아이들이 수영장을 정말 좋아했어요. 또 올게요.' },
+  { nickname: '바다보러왔어요', daysAgo: 6, rating: 5, visitType: '연인·배우자', content: '오션뷰 객실이 정말 좋았어요. 조식도 맛있었습니다.' },
+  { nickname: '지난달손님', daysAgo: 20, rating: 3, visitType: '혼자', content: '주차 공간이 부족해서 조금 불편했어요.' },
+  { nickname: '작년손님', daysAgo: 45, rating: 2, visitType: '가족', content: '방음이 아쉬웠지만 위치는 좋았습니다.' },
+];
+
+/** 한 번에 보여 주는 리뷰 수 ("더보기"/스크롤/페이지마다) */
+const PAGE_SIZE = 3;
+
+const WEEKDAYS = ['일', '월', '화', '수', '목', '금', '토'];
+
+const escapeHtml = (s) =>
+  String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+/** N일 전 날짜 (KST) → { y, m, d, weekday } */
+function dateParts(daysAgo) {
+  const ymd = kstDaysAgo(getKstDateInfo(), { days: daysAgo });
+  const [y, m, d] = ymd.split('-').map(Number);
+  return { y, m, d, weekday: WEEKDAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()] };
+}
+
+/** 구글 작성 시점 표현 ("5시간 전", "3일 전", "2주 전", "1개월 전") */
+function googleRelative(daysAgo) {
+  if (daysAgo === 0) return '5시간 전';
+  if (daysAgo < 7) return `${daysAgo}일 전`;
+  if (daysAgo < 28) return `${Math.floor(daysAgo / 7)}주 전`;
+  return `${Math.floor(daysAgo / 30) || 1}개월 전`;
+}
+
+function chunk(items, size) {
+  const pages = [];
+  for (let i = 0; i < items.length; i += size) pages.push(items.slice(i, i + size));
+  return pages;
+}
+
+const matchesPlace = (query) => {
+  const q = String(query || '').replace(/\s+/g, '');
+  return q.length > 0 && MOCK_PLACE.name.replace(/\s+/g, '').includes(q);
+};
+
+// ===== 리뷰 항목 (포털별 실제 구조, tests/fixtures와 동일) =====
+
+const ITEM_RENDERERS = {
+  naver: (r) => {
+    const { y, m, d, weekday } = dateParts(r.daysAgo);
+    return `<li class="place_apply_pui">
+      <div class="pui__q2fg8o pui__A7NplK"><a class="pui__hvyFHZ" href="#"><div class="pui__JiVbY3"><span><span class="pui__NMi-Dp">${escapeHtml(r.nickname)}</span></span></div></a></div>
+      <span class="pui__star" aria-label="별점 ${r.rating}점"></span>
+      <div class="pui__-0Ter1"><a href="#"><span>${escapeHtml(r.visitType)}</span></a></div>
+      <div class="pui__vn15t2"><a href="#">${escapeHtml(r.content)}</a></div>
+      <div class="pui__QKE5Pr"><span class="pui__gfuUIT"><time aria-hidden="true">${String(y).slice(2)}.${m}.${d}.${weekday}</time></span></div>
+    </li>`;
+  },
+  kakao: (r) => {
+    const { y, m, d } = dateParts(r.daysAgo);
+    return `<li style="min-height: 240px">
+      <div>
+        <div class="area_reviewer"><div><div class="wrap_user">
+          <a href="#"><span>리뷰어 이름, ${escapeHtml(r.nickname)}</span></a>
+          <div><ul><li>후기 1</li><li>별점 ${r.rating}</li></ul></div>
+        </div></div></div>
+        <div class="area_review"><div>
+          <div class="review_detail">
+            <div class="info_grade"><span class="txt_date">${y}.${String(m).padStart(2, '0')}.${String(d).padStart(2, '0')}.</span></div>
+            <div class="wrap_review"><a href="#"><p>${escapeHtml(r.content)}</p></a></div>
+          </div>
+          <div class="review_unit"><button type="button"><span class="txt_btn">좋아요 0</span></button></div>
+        </div></div>
+      </div>
+    </li>`;
+  },
+  yanolja: (r) => {
+    const { y, m, d } = dateParts(r.daysAgo);
+    const star = (filled) =>
+      filled
+        ? '<svg viewBox="0 0 24 24"><path fill="currentColor" d="M12 2l3 7h7l-6 5 2 8-6-4-6 4 2-8-6-5h7z"></path></svg>'
+        : '<svg viewBox="0 0 24 24"><path clip-rule="evenodd" fill-rule="evenodd" d="M12 2l3 7h7l-6 5 2 8-6-4-6 4 2-8-6-5h7z"></path></svg>';
+    const stars = [1, 2, 3, 4, 5].map((n) => star(n <= r.rating)).join('');
+    return `<div style="min-height: 240px">
+      <div class="css-5u8v0o">객실 후기</div>
+      <div>
+        <div>
+          <div class="css-1toaz2b">
+            <div>
+              <div class="css-1mdp7n">${stars}</div>
+              <div class="css-1ivchjf">${y}.${String(m).padStart(2, '0')}.${String(d).padStart(2, '0')}</div>
+            </div>
+            <div>오션뷰 더블</div>
+            <div><div><p><span>${escapeHtml(r.nickname)}</span><span class="css-2bwu0q">${escapeHtml(r.visitType)}</span></p></div></div>
+          </div>
+          <div>사진 없음</div>
+          <div><div class="css-1kpa3g"><p>${escapeHtml(r.content)}</p></div></div>
+        </div>
+      </div>
+    </div>`;
+  },
+  agoda: (r, index) => {
+    const { y, m, d } = dateParts(r.daysAgo);
+    return `<div class="Review-comment" id="review-${9000 + index}">
+      <div class="Review-comment-left"><div>
+        <div class="Review-comment-leftHeader"><div class="Review-comment-leftScore">${(r.rating * 2).toFixed(1)}</div><div class="Review-comment-leftScoreText">${r.rating >= 4 ? '최고' : '보통'}</div></div>
+        <div class="Review-comment-reviewer" data-info-type="reviewer-name"><strong>${escapeHtml(r.nickname)}</strong> <span>대한민국</span></div>
+        <div class="Review-comment-reviewer" data-info-type="group-name"><span>${escapeHtml(r.visitType)}</span></div>
+      </div></div>
+      <div class="Review-comment-right">
+        <div class="Review-comment-body"><h4 data-testid="review-title">"${escapeHtml(r.content.split('.')[0])}"</h4><p class="Review-comment-bodyText">${escapeHtml(r.content)}</p></div>
+        <div class="Review-statusBar"><div class="Review-statusBar-left"><span>작성일: ${y}년 ${m}월 ${d}일</span></div></div>
+      </div>
+    </div>`;
+  },
+  google: (r, index) => `<div class="Svr5cf bKhjM" style="min-height: 260px">
+      <div class="aAs4ib">
+        <div class="jUkSGf WwUTAf"><span><a class="DHIhE QB2Jof" href="https://www.google.com/maps/contrib/${9000 + index}">${escapeHtml(r.nickname)}</a></span><span><span>${googleRelative(r.daysAgo)}에 Google에서 작성</span></span></div>
+      </div>
+      <div class="GDWaad">${r.rating}/5</div>
+      <div class="ThUm5b"><span>${escapeHtml(r.visitType)}</span></div>
+      <div class="K7oBsc"><div jsname="NwoMSd"><span>${escapeHtml(r.content)}</span></div></div>
+    </div>`,
+};
+
+/**
+ * 첫 묶음은 목록에 넣고, 나머지 묶음은 <template>로 숨겨 두었다가 페이지 스크립트가 하나씩 꺼낸다.
+ * (요청 없이 바로 DOM에 붙여 대기 시간을 줄여도 결과가 흔들리지 않게)
+ * @returns {{first: string, templates: string}}
+ */
+function renderBatches(portal) {
+  const render = ITEM_RENDERERS[portal];
+  const pages = chunk(MOCK_REVIEWS.map((r, i) => render(r, i)), PAGE_SIZE);
+  return {
+    first: pages[0].join('\n'),
+    templates: pages
+      .slice(1)
+      .map((items) => `<template class="mock-batch">${items.join('\n')}</template>`)
+      .join('\n'),
+  };
+}
+
+/** 다음 묶음 꺼내기 (replace면 목록을 갈아 끼움 = 페이지 이동) */
+const NEXT_BATCH_SCRIPT = `
+  function mockNextBatch(list, replace) {
+    var template = document.querySelector('template.mock-batch');
+    if (!template) return false;
+    if (replace) list.innerHTML = '';
+    list.appendChild(template.content.cloneNode(true));
+    template.remove();
+    return !!document.querySelector('template.mock-batch');
+  }
+`;
+
+function page(title, body, script = '') {
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin: 0">
+${body}
+${script ? `<script>${NEXT_BATCH_SCRIPT}${script}</script>` : ''}
+</body>
+</html>`;
+}
+
+// ===== 포털별 페이지 =====
+
+/** 네이버 통합검색: 플레이스 영역의 "리뷰 정보 보기" 링크 */
+function naverSearchPage(url) {
+  const query = url.searchParams.get('query');
+  const result = matchesPlace(query)
+    ? `<div id="place-main-section-root"><section><div>
+        <h2>${escapeHtml(MOCK_PLACE.name)}</h2>
+        <div class="mod_more_wrap"><a href="${MOCK_PLACE_URLS.naver}">리뷰 정보 보기</a></div>
+      </div></section></div>`
+    : '<p>검색 결과가 없습니다.</p>';
+  return page(`${query} : 네이버 검색`, result);
+}
+
+/** 네이버맵 장소 페이지: 리뷰는 place iframe 안에 있음 */
+function naverEntryPage(placeId) {
+  return page(
+    `${MOCK_PLACE.name} - 네이버지도`,
+    `<iframe id="entryIframe" title="Naver Place Entry" src="https://pcmap.place.naver.com/place/${placeId}/review/visitor" style="width: 400px; height: 780px; border: 0"></iframe>`
+  );
+}
+
+/** 네이버 place iframe: 리뷰 목록 + 목록 하단 "더보기" */
+function naverReviewFrame() {
+  const { first, templates } = renderBatches('naver');
+  return page(
+    `${MOCK_PLACE.name} 방문자 리뷰`,
+    `<div id="app-root">
+      <div role="tablist"><a role="tab" href="#" aria-selected="true">리뷰</a></div>
+      <div class="place_section k1QQ5">
+        <ul id="_review_list">${first}</ul>
+        <div class="NSTUp"><div><a class="place_btn_more" href="#" role="button">펼쳐서 더보기</a></div></div>
+      </div>
+    </div>
+    ${templates}`,
+    `document.querySelector('a.place_btn_more').addEventListener('click', function (e) {
+      e.preventDefault();
+      if (!mockNextBatch(document.getElementById('_review_list'), false)) {
+        document.querySelector('div.NSTUp').remove();
+      }
+    });`
+  );
+}
+
+/** 카카오맵 메인: 검색어 입력 후 Enter → 장소 목록 */
+function kakaoSearchPage() {
+  const place = { id: MOCK_PLACE.ids.kakao, name: MOCK_PLACE.name, address: MOCK_PLACE.address, category: MOCK_PLACE.category };
+  return page(
+    '카카오맵',
+    `<input id="search.keyword.query" type="text" placeholder="장소, 주소 검색">
+    <ul id="info.search.place.list"></ul>`,
+    `var PLACES = ${JSON.stringify([place])};
+    document.getElementById('search.keyword.query').addEventListener('keydown', function (e) {
+      if (e.key !== 'Enter') return;
+      var q = e.target.value.replace(/\\s+/g, '');
+      var list = document.getElementById('info.search.place.list');
+      list.innerHTML = PLACES.filter(function (p) { return q && p.name.replace(/\\s+/g, '').indexOf(q) !== -1; })
+        .map(function (p) {
+          return '<li data-id="' + p.id + '"><div class="head_item"><strong class="tit_name"><a class="link_name" href="#">' + p.name +
+            '</a></strong><span class="subcategory">' + p.category + '</span></div><div class="info_item"><div class="addr"><p data-id="address">' +
+            p.address + '</p></div></div><a href="https://place.map.kakao.com/' + p.id + '">상세보기</a></li>';
+        })
+        .join('');
+    });`
+  );
+}
+
+/** 카카오맵 장소 상세 후기: 페이지 끝까지 내리면 다음 후기 */
+function kakaoPlacePage() {
+  const { first, templates } = renderBatches('kakao');
+  return page(
+    `${MOCK_PLACE.name} | 카카오맵`,
+    `<div id="mainContent">
+      <div class="main_detail">
+        <div class="detail_cont">
+          <div style="height: 300px"><h2>${escapeHtml(MOCK_PLACE.name)}</h2></div>
+          <div class="section_comm section_review">
+            <div class="group_review"><ul>${first}</ul></div>
+          </div>
+        </div>
+      </div>
+    </div>
+    ${templates}`,
+    `window.addEventListener('scroll', function () {
+      if (window.innerHeight + window.scrollY < document.documentElement.scrollHeight - 50) return;
+      mockNextBatch(document.querySelector('div.group_review > ul'), false);
+    });`
+  );
+}
+
+/** 야놀자 검색 결과 */
+function yanoljaSearchPage(url) {
+  const keyword = url.searchParams.get('keyword');
+  const result = matchesPlace(keyword)
+    ? `<a href="/stay/domestic/${MOCK_PLACE.ids.yanolja}"><div>${MOCK_PLACE.category}</div><h3>${escapeHtml(MOCK_PLACE.name)}</h3><div>${escapeHtml(MOCK_PLACE.address)}</div></a>`
+    : '<p>검색 결과가 없습니다.</p>';
+  return page(`${keyword} - 야놀자`, `<main>${result}</main>`);
+}
+
+/** 야놀자 숙소 후기: 무한 스크롤 */
+function yanoljaStayPage() {
+  const { first, templates } = renderBatches('yanolja');
+  return page(
+    `${MOCK_PLACE.name} - 야놀자`,
+    `<div id="__next"><section><div>
+      <div class="css-1js0bc8">${first}</div>
+    </div></section></div>
+    ${templates}`,
+    `window.addEventListener('scroll', function () {
+      if (window.innerHeight + window.scrollY < document.documentElement.scrollHeight - 50) return;
+      mockNextBatch(document.querySelector('div.css-1js0bc8'), false);
+    });`
+  );
+}
+
+/** 아고다 숙소 상세: 이용후기 페이지 이동 (마지막 페이지에서 "다음" 비활성) */
+function agodaHotelPage() {
+  const { first, templates } = renderBatches('agoda');
+  return page(
+    `${MOCK_PLACE.name} - 아고다`,
+    `<div style="height: 420px"><h1>${escapeHtml(MOCK_PLACE.name)}</h1></div>
+    <div class="Review-comments">${first}</div>
+    <div class="Review-pager"><button type="button" aria-label="다음 페이지">다음</button></div>
+    ${templates}`,
+    `document.querySelector('button[aria-label="다음 페이지"]').addEventListener('click', function (e) {
+      if (!mockNextBatch(document.querySelector('div.Review-comments'), true)) {
+        e.currentTarget.setAttribute('disabled', 'disabled');
+      }
+    });`
+  );
+}
+
+/** 구글 여행 호텔 리뷰: #reviews 안에서 스크롤하면 다음 리뷰 (검색도 같은 화면) */
+function googleReviewsPage() {
+  const { first, templates } = renderBatches('google');
+  return page(
+    `${MOCK_PLACE.name} - Google 호텔 검색`,
+    `<div id="reviews" style="height: 600px; overflow-y: auto">${first}</div>
+    ${templates}`,
+    `var reviews = document.getElementById('reviews');
+    reviews.addEventListener('scroll', function () {
+      if (reviews.scrollTop + reviews.clientHeight < reviews.scrollHeight - 50) return;
+      mockNextBatch(reviews, false);
+    });`
+  );
+}
+
+/**
+ * 요청 → 페이지 HTML
+ * @param {string} host - 원래 호스트 (map.naver.com 등)
+ * @param {URL} url - 원래 경로/쿼리를 담은 URL
+ * @returns {string|null} 흉내 내지 않는 경로면 null
+ */
+export function renderMockPortalPage(host, url) {
+  const { pathname } = url;
+  let m;
+  if (host === 'search.naver.com' && pathname === '/search.naver') return naverSearchPage(url);
+  if (host === 'map.naver.com' && (m = pathname.match(/^\/p\/entry\/place\/(\d+)/)) && m[1] === MOCK_PLACE.ids.naver) {
+    return naverEntryPage(m[1]);
+  }
+  if (host === 'pcmap.place.naver.com' && (m = pathname.match(/^\/place\/(\d+)\/review/)) && m[1] === MOCK_PLACE.ids.naver) {
+    return naverReviewFrame();
+  }
+  if (host === 'map.kakao.com' && pathname === '/') return kakaoSearchPage();
+  if (host === 'place.map.kakao.com' && pathname === `/${MOCK_PLACE.ids.kakao}`) return kakaoPlacePage();
+  if (host === 'nol.yanolja.com' && pathname === '/results') return yanoljaSearchPage(url);
+  if (host === 'nol.yanolja.com' && pathname === `/stay/domestic/${MOCK_PLACE.ids.yanolja}`) return yanoljaStayPage();
+  if (host === 'www.agoda.com' && MOCK_PLACE_URLS.agoda.endsWith(pathname)) return agodaHotelPage();
+  if (host === 'www.google.com' && pathname === `/travel/hotels/entity/${MOCK_PLACE.ids.google}/reviews`) return googleReviewsPage();
+  if (host === 'www.google.com' && pathname === '/travel/search' && matchesPlace(url.searchParams.get('q'))) return googleReviewsPage();
+  return null;
+}
+
+/**
+ * 목업 포털 서버 시작
+ * @param {{port?: number, host?: string}} options - port 0이면 빈 포트
+ * @returns {Promise<{baseUrl: string, close: () => Promise<void>}>}
+ */
+export function startMockPortalServer({ port = 0, host = '127.0.0.1' } = {}) {
+  const server = http.createServer((req, res) => {
+    // /<원래 호스트>/<원래 경로>?<쿼리>
+    const requested = new URL(req.url, 'http://localhost');
+    const [, originalHost = '', ...rest] = requested.pathname.split('/');
+    const original = new URL(`/${rest.join('/')}${requested.search}`, `https://${originalHost || 'localhost'}`);
+    const html = renderMockPortalPage(originalHost, original);
+    if (html === null) {
+      res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' }).end(page('404', '<p>목업 포털에 없는 페이지입니다.</p>'));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' }).end(html);
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        baseUrl: `http://${host}:${server.address().port}`,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+/**
+ * 목업 서버를 쓰는 SCRAPE_BASE_URLS 값
+ * @param {string} baseUrl
+ */
+export function mockBaseUrlsEnv(baseUrl) {
+  return MOCK_PORTALS.map((portal) => `${portal}=${baseUrl}`).join(',');
+}
@@ -0,0 +1,53 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { listMigrations } from '../src/db/migrationRunner.js';
+
+/**
+ * 마이그레이션 파일 목록 테스트 (브라우저/DB 불필요)
+ */
+function makeMigrationDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  for (const file of files) fs.writeFileSync(path.join(dir, file), `-- ${file}\n`);
+  return dir;
+}
+
+test.describe('마이그레이션 파일 목록', () => {
+  test('버전 순 정렬, down 파일 연결, 형식이 다른 파일은 무시', () => {
+    const dir = makeMigrationDir(['010_b.sql', '002_a.sql', '002_a.down.sql', 'README.md', 'notes.sql']);
+    try {
+      const migrations = listMigrations(dir);
+      expect(migrations.map(({ version, name }) => [version, name])).toEqual([
+        ['002', 'a'],
+        ['010', 'b'],
+      ]);
+      expect(path.basename(migrations[0].downPath)).toBe('002_a.down.sql');
+      expect(migrations[1].downPath).toBeNull();
+      expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('버전 중복, up 파일 없는 down 파일은 오류', () => {
+    const duplicated = makeMigrationDir(['003_a.sql', '003_b.sql']);
+    const orphan = makeMigrationDir(['001_a.sql', '002_b.down.sql']);
+    try {
+      expect(() => listMigrations(duplicated)).toThrow(/003/);
+      expect(() => listMigrations(orphan)).toThrow(/002/);
+    } finally {
+      fs.rmSync(duplicated, { recursive: true, force: true });
+      fs.rmSync(orphan, { recursive: true, force: true });
+    }
+  });
+
+  test('저장소의 마이그레이션은 번호가 이어지고 모두 되돌릴 수 있음', () => {
+    const migrations = listMigrations();
+    expect(migrations.length).toBeGreaterThan(0);
+    migrations.forEach((migration, index) => {
+      expect(Number(migration.version), migration.name).toBe(index + 1);
+      expect(migration.downPath, `${migration.version}_${migration.name}.down.sql`).not.toBeNull();
+    });
+  });
+});
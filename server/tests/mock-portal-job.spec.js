@@ -0,0 +1,145 @@
+import os from 'os';
+import path from 'path';
+import { test, expect } from '@playwright/test';
+import { pool } from '../src/db/connection.js';
+import jobService from '../src/services/jobService.js';
+import { getKstDateInfo } from '../src/services/parsers/common.js';
+import {
+  MOCK_PLACE,
+  MOCK_PLACE_URLS,
+  MOCK_PORTALS,
+  MOCK_REVIEWS,
+  mockBaseUrlsEnv,
+  startMockPortalServer,
+} from './helpers/mockPortals.js';
+
+/**
+ * 목업 포털 서버로 스크래핑 작업 전체 실행 (인터넷 불필요, Playwright 브라우저 + DB 필요)
+ * 네이버/카카오는 장소 자동 매칭, 야놀자/아고다/구글은 저장된 URL로 들어간다.
+ * DATABASE_URL이 없으면 스킵 (npm run migrate로 스키마를 먼저 만들어 둘 것)
+ */
+test.describe.configure({ mode: 'serial' });
+
+const COMPANY_NAME = MOCK_PLACE.name;
+const JOB_TIMEOUT_MS = 8 * 60 * 1000;
+
+/** 일주일 필터 기준 기대값 (포털마다 같은 리뷰 목록) */
+const weekReviews = MOCK_REVIEWS.filter((r) => r.daysAgo <= 7);
+const savedKeys = new Set(weekReviews.map((r) => `${r.nickname}|${r.content}`));
+const EXPECTED_PER_PORTAL = {
+  extracted: weekReviews.length,
+  saved: savedKeys.size,
+  duplicate: weekReviews.length - savedKeys.size,
+};
+
+const ENV_KEYS = ['SCRAPE_BASE_URLS', 'SCRAPE_PAUSE_SCALE', 'SCRAPE_RATE_LIMITS', 'PLAYWRIGHT_HEADED', 'SCRAPE_ARTIFACTS_DIR'];
+let savedEnv = {};
+let server;
+
+async function cleanup() {
+  await pool.query('DELETE FROM reviews WHERE company_name = $1', [COMPANY_NAME]);
+  await pool.query('DELETE FROM scraping_jobs WHERE company_name = $1', [COMPANY_NAME]);
+  await pool.query('DELETE FROM companies WHERE company_name = $1', [COMPANY_NAME]);
+}
+
+async function runJobToEnd() {
+  const job = await jobService.enqueueJob({ companyName: COMPANY_NAME, portals: MOCK_PORTALS, dateFilter: 'week' });
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+  let current = job;
+  while (Date.now() < deadline) {
+    current = await jobService.getJob(job.id);
+    if (!['pending', 'running'].includes(current.status)) break;
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+  }
+  const items = await jobService.getJobItems(job.id);
+  return { job: current, items: Object.fromEntries(items.map((item) => [item.portal, item])) };
+}
+
+/** 기업에 company_id로 연결된 리뷰 수 */
+async function countReviews() {
+  const result = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM reviews r JOIN companies c ON c.id = r.company_id WHERE c.company_name = $1',
+    [COMPANY_NAME]
+  );
+  return result.rows[0].count;
+}
+
+test.describe('목업 포털 end-to-end 작업', () => {
+  test.skip(!pool, 'DATABASE_URL이 설정되지 않음');
+  test.setTimeout(2 * JOB_TIMEOUT_MS + 60 * 1000);
+
+  test.beforeAll(async () => {
+    server = await startMockPortalServer();
+    savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+    process.env.SCRAPE_BASE_URLS = mockBaseUrlsEnv(server.baseUrl);
+    process.env.SCRAPE_PAUSE_SCALE = '0.1';
+    process.env.SCRAPE_RATE_LIMITS = JSON.stringify(
+      Object.fromEntries(MOCK_PORTALS.map((portal) => [portal, { minGapMs: 0, maxPerMinute: 0, jitterRatio: 0 }]))
+    );
+    process.env.PLAYWRIGHT_HEADED = '0';
+    process.env.SCRAPE_ARTIFACTS_DIR = path.join(os.tmpdir(), `mock-portal-artifacts-${process.pid}`);
+
+    await cleanup();
+    await pool.query(
+      `INSERT INTO companies (company_name, type, address, yanolja_url, agoda_url, google_url)
+       VALUES ($1, '숙박시설', $2, $3, $4, $5)`,
+      [COMPANY_NAME, MOCK_PLACE.address, MOCK_PLACE_URLS.yanolja, MOCK_PLACE_URLS.agoda, MOCK_PLACE_URLS.google]
+    );
+  });
+
+  test.afterAll(async () => {
+    if (pool) await cleanup();
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await server?.close();
+  });
+
+  test('일주일 필터: 기간 안의 리뷰만 저장하고 같은 리뷰는 중복 처리', async () => {
+    const { job, items } = await runJobToEnd();
+
+    expect(job.status).toBe('completed');
+    for (const portal of MOCK_PORTALS) {
+      expect(items[portal], `${portal} 항목`).toMatchObject({
+        status: 'completed',
+        extracted_count: EXPECTED_PER_PORTAL.extracted,
+        saved_count: EXPECTED_PER_PORTAL.saved,
+        duplicate_count: EXPECTED_PER_PORTAL.duplicate,
+      });
+    }
+    expect(job.total_reviews).toBe(EXPECTED_PER_PORTAL.extracted * MOCK_PORTALS.length);
+    expect(job.success_count).toBe(EXPECTED_PER_PORTAL.saved * MOCK_PORTALS.length);
+    expect(job.error_count).toBe(EXPECTED_PER_PORTAL.duplicate * MOCK_PORTALS.length);
+
+    expect(await countReviews()).toBe(EXPECTED_PER_PORTAL.saved * MOCK_PORTALS.length);
+    const nicknames = await pool.query('SELECT DISTINCT nickname FROM reviews WHERE company_name = $1 ORDER BY nickname', [COMPANY_NAME]);
+    expect(nicknames.rows.map((row) => row.nickname)).toEqual([...new Set(weekReviews.map((r) => r.nickname))].sort());
+    const old = await pool.query('SELECT COUNT(*)::int AS count FROM reviews WHERE company_name = $1 AND review_date < $2::date', [
+      COMPANY_NAME,
+      getKstDateInfo().filterDateWeek,
+    ]);
+    expect(old.rows[0].count).toBe(0);
+
+    // 네이버/카카오는 URL 없이 검색 후보에서 자동 매칭되어 저장됨
+    const company = await pool.query('SELECT naver_url, kakao_url FROM companies WHERE company_name = $1', [COMPANY_NAME]);
+    expect(company.rows[0].naver_url).toBe(MOCK_PLACE_URLS.naver);
+    expect(company.rows[0].kakao_url).toBe(MOCK_PLACE_URLS.kakao);
+  });
+
+  test('같은 작업을 다시 실행하면 새로 저장되는 리뷰 없음', async () => {
+    const before = await countReviews();
+    const { job, items } = await runJobToEnd();
+
+    expect(job.status).toBe('completed');
+    for (const portal of MOCK_PORTALS) {
+      expect(items[portal], `${portal} 항목`).toMatchObject({
+        status: 'completed',
+        saved_count: 0,
+        duplicate_count: EXPECTED_PER_PORTAL.extracted,
+      });
+    }
+    expect(job.success_count).toBe(0);
+    expect(await countReviews()).toBe(before);
+  });
+});
@@ -0,0 +1,40 @@
+import fs from 'fs';
+import { test, expect } from '@playwright/test';
+import { PORTAL_PARSERS, parseReviewsFromPage } from '../src/services/parsers/index.js';
+import { listFixtures, openFixturePage, startFixtureServer, toFixtureRecord } from './helpers/fixtures.js';
+
+/**
+ * 포털 파서 픽스처 테스트 (네트워크/DB 불필요, Playwright 브라우저 필요)
+ * tests/fixtures/<포털>/*.html을 로컬 정적 서버로 열어 파서 결과를 *.expected.json과 비교한다.
+ * 실제 실행에서 저장한 HTML로 픽스처를 추가/갱신: npm run fixtures:refresh
+ */
+test.use({ javaScriptEnabled: false });
+
+let server;
+
+test.beforeAll(async () => {
+  server = await startFixtureServer();
+});
+
+test.afterAll(async () => {
+  await server?.close();
+});
+
+for (const portal of Object.keys(PORTAL_PARSERS)) {
+  test.describe(`파서 픽스처: ${portal}`, () => {
+    const fixtures = listFixtures(portal);
+
+    test('픽스처가 하나 이상 있음', () => {
+      expect(fixtures.length).toBeGreaterThan(0);
+    });
+
+    for (const fixture of fixtures) {
+      test(fixture.name, async ({ page }) => {
+        const expected = JSON.parse(fs.readFileSync(fixture.expectedPath, 'utf8'));
+        await openFixturePage(page, server.baseUrl, portal, fixture.name);
+        const reviews = await parseReviewsFromPage(page, portal, { now: new Date(expected.now) });
+        expect(reviews.map(toFixtureRecord)).toEqual(expected.reviews);
+      });
+    }
+  });
+}
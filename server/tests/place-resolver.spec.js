@@ -0,0 +1,58 @@
+import { test, expect } from '@playwright/test';
+import {
+  nameSimilarity,
+  addressSimilarity,
+  rankCandidates,
+  decideMatch,
+  MIN_CONFIDENCE,
+} from '../src/services/placeResolver.js';
+
+/**
+ * 장소 매칭 점수 테스트 (브라우저/DB 불필요)
+ */
+test.describe('Place Resolver', () => {
+  const company = {
+    company_name: '춘천 베어스호텔',
+    address: '강원도 춘천시 중앙로 12',
+    type: '숙박시설',
+  };
+
+  test('기업명 유사도', () => {
+    expect(nameSimilarity('춘천 베어스호텔', '춘천베어스호텔')).toBe(1);
+    expect(nameSimilarity('베어스호텔', '춘천 베어스호텔')).toBeGreaterThan(0.7);
+    expect(nameSimilarity('베어스호텔', '신라스테이')).toBeLessThan(0.3);
+  });
+
+  test('주소 유사도 (시/도 약칭 통일)', () => {
+    expect(addressSimilarity('강원도 춘천시 중앙로 12', '강원 춘천시 중앙로 12')).toBe(1);
+    expect(addressSimilarity('강원도 춘천시 중앙로 12', '서울 강남구 테헤란로 1')).toBe(0);
+    expect(addressSimilarity(null, '서울 강남구')).toBeNull();
+  });
+
+  test('이름과 주소가 맞는 후보는 자동 확정', () => {
+    const ranked = rankCandidates(company, [
+      { name: '베어스모텔', address: '서울 강남구', category: '모텔', url: 'https://place.map.kakao.com/2' },
+      { name: '베어스호텔', address: '강원 춘천시 중앙로 12', category: '호텔', url: 'https://place.map.kakao.com/1' },
+    ]);
+    expect(ranked[0].url).toBe('https://place.map.kakao.com/1');
+
+    const match = decideMatch(ranked);
+    expect(match.status).toBe('matched');
+    expect(match.confidence).toBeGreaterThanOrEqual(MIN_CONFIDENCE);
+  });
+
+  test('같은 이름의 체인점이 여러 개면 확인 필요', () => {
+    const chain = { company_name: '신라스테이', address: null, type: '숙박시설' };
+    const match = decideMatch(rankCandidates(chain, [
+      { name: '신라스테이 역삼', address: '서울 강남구', category: '호텔', url: 'a' },
+      { name: '신라스테이 광화문', address: '서울 종로구', category: '호텔', url: 'b' },
+    ]));
+    expect(match.status).toBe('needs_review');
+  });
+
+  test('후보가 없으면 not_found', () => {
+    const match = decideMatch(rankCandidates(company, []));
+    expect(match.status).toBe('not_found');
+    expect(match.url).toBeNull();
+  });
+});
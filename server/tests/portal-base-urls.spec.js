@@ -0,0 +1,31 @@
+import { test, expect } from '@playwright/test';
+import { parsePortalBaseUrls, rewriteToBaseUrl } from '../src/services/portalBaseUrls.js';
+import { getPortalIds } from '../src/services/portalRegistry.js';
+
+/**
+ * 포털 기본 URL 덮어쓰기 테스트 (브라우저/DB 불필요)
+ */
+test.describe('포털 기본 URL 덮어쓰기', () => {
+  test('환경 변수 형식 해석', () => {
+    expect(parsePortalBaseUrls('naver=http://127.0.0.1:4100/, kakao = http://localhost:4200')).toEqual({
+      naver: 'http://127.0.0.1:4100',
+      kakao: 'http://localhost:4200',
+    });
+    expect(parsePortalBaseUrls('naver=127.0.0.1:4100,=http://x,unknown=http://x')).toEqual({});
+    expect(parsePortalBaseUrls('')).toEqual({});
+    expect(Object.keys(parsePortalBaseUrls('*=http://127.0.0.1:4100'))).toEqual(getPortalIds());
+  });
+
+  test('포털 도메인(하위 도메인 포함)만 경로/쿼리를 유지해 변환', () => {
+    const baseUrls = { naver: 'http://127.0.0.1:4100', agoda: 'http://127.0.0.1:4200' };
+    expect(rewriteToBaseUrl('https://pcmap.place.naver.com/place/123/review/visitor?x=1', baseUrls)).toBe(
+      'http://127.0.0.1:4100/pcmap.place.naver.com/place/123/review/visitor?x=1'
+    );
+    expect(rewriteToBaseUrl('https://www.agoda.com/ko-kr/a/hotel/b.html', baseUrls)).toBe(
+      'http://127.0.0.1:4200/www.agoda.com/ko-kr/a/hotel/b.html'
+    );
+    expect(rewriteToBaseUrl('https://map.kakao.com/', baseUrls)).toBeNull();
+    expect(rewriteToBaseUrl('https://notnaver.com/', baseUrls)).toBeNull();
+    expect(rewriteToBaseUrl('data:text/html,hi', baseUrls)).toBeNull();
+  });
+});
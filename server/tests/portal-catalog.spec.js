@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { findPortalByName, listPortals, toPublicPortal } from '../src/services/portalRegistry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DB_DIR = path.join(__dirname, '..', 'src', 'db');
+
+/** SQL의 portals 초기 데이터 행 → [code, name_ko, name_en, base_url] */
+function readPortalSeed(file) {
+  const sql = fs.readFileSync(path.join(DB_DIR, file), 'utf8');
+  const rows = [...sql.matchAll(/\('(\w+)', '([^']+)', '([^']+)', '([^']+)', \d+\)/g)];
+  return rows.map((m) => m.slice(1));
+}
+
+/**
+ * 포털 참조 테이블(portals) 테스트 (브라우저/DB 불필요)
+ */
+test.describe('포털 참조 테이블', () => {
+  test('모든 어댑터에 영어 이름과 기본 주소가 있음', () => {
+    for (const adapter of listPortals()) {
+      expect(adapter.nameEn, adapter.id).toBeTruthy();
+      expect(adapter.baseUrl, adapter.id).toMatch(/^https:\/\//);
+      expect(adapter.hosts.some((host) => adapter.baseUrl.includes(host)), adapter.id).toBe(true);
+      expect(toPublicPortal(adapter)).toMatchObject({ id: adapter.id, name: adapter.name, nameEn: adapter.nameEn });
+    }
+  });
+
+  test('표시 이름(reviews.portal_url)으로 포털 코드 찾기', () => {
+    expect(findPortalByName('네이버맵')?.id).toBe('naver');
+    expect(findPortalByName('여기어때')?.id).toBe('goodchoice');
+    expect(findPortalByName('알 수 없음')).toBeNull();
+    expect(findPortalByName(null)).toBeNull();
+  });
+
+  test('마이그레이션/스키마 초기 데이터가 레지스트리와 같음', () => {
+    const expected = listPortals().map((adapter) => [adapter.id, adapter.name, adapter.nameEn, adapter.baseUrl]);
+    expect(readPortalSeed('migrations/013_add_portals.sql')).toEqual(expected);
+    expect(readPortalSeed('schema.sql')).toEqual(expected);
+  });
+});
@@ -0,0 +1,82 @@
+import { test, expect } from '@playwright/test';
+import {
+  DEFAULT_RATE_LIMIT,
+  acquireNavigation,
+  applyJitter,
+  computeNavigationWait,
+  getRateLimit,
+  reportPortalFailure,
+  reportPortalSuccess,
+  onRateLimitEvent,
+  resetRateLimits,
+} from '../src/services/rateLimiter.js';
+
+/**
+ * 포털 속도 제한 테스트 (브라우저/DB 불필요)
+ */
+test.describe('Rate Limiter', () => {
+  const policy = { ...DEFAULT_RATE_LIMIT, minGapMs: 3000, maxPerMinute: 3 };
+  const now = 1_000_000;
+
+  test.beforeEach(() => {
+    resetRateLimits();
+  });
+
+  test('지터는 ±jitterRatio 범위', () => {
+    expect(applyJitter(1000, 0.3, () => 0)).toBe(700);
+    expect(applyJitter(1000, 0.3, () => 1)).toBe(1300);
+    expect(applyJitter(1000, 0, () => 1)).toBe(1000);
+  });
+
+  test('최소 간격', () => {
+    const state = { lastAt: now - 1000, recent: [now - 1000], cooldownUntil: 0 };
+    expect(computeNavigationWait(state, policy, now)).toEqual({ waitMs: 2000, reason: 'gap' });
+    expect(computeNavigationWait({ ...state, lastAt: now - 5000 }, policy, now).waitMs).toBe(0);
+  });
+
+  test('분당 한도', () => {
+    const state = { lastAt: now - 10000, recent: [now - 50000, now - 30000, now - 10000], cooldownUntil: 0 };
+    expect(computeNavigationWait(state, policy, now)).toEqual({ waitMs: 10000, reason: 'perMinute' });
+    // 1분 지난 기록은 세지 않음
+    const old = { ...state, recent: [now - 70000, now - 30000, now - 10000] };
+    expect(computeNavigationWait(old, policy, now).waitMs).toBe(0);
+  });
+
+  test('cooldown이 가장 길면 cooldown 대기', () => {
+    const state = { lastAt: now - 1000, recent: [], cooldownUntil: now + 60000 };
+    expect(computeNavigationWait(state, policy, now)).toEqual({ waitMs: 60000, reason: 'cooldown' });
+  });
+
+  test('어댑터 설정이 기본값을 덮어씀', () => {
+    expect(getRateLimit('naver').minGapMs).toBe(5000);
+    expect(getRateLimit('kakao').minGapMs).toBe(DEFAULT_RATE_LIMIT.minGapMs);
+  });
+
+  test('연속 오류 임계치 / 차단 시 cooldown, 반복되면 두 배', () => {
+    const events = [];
+    const off = onRateLimitEvent((event) => events.push(event));
+    const { errorThreshold, cooldownMs } = getRateLimit('kakao');
+    for (let i = 1; i < errorThreshold; i++) {
+      expect(reportPortalFailure('kakao', { reason: 'timeout' })).toBe(0);
+    }
+    expect(reportPortalFailure('kakao', { reason: 'timeout' })).toBe(cooldownMs);
+    expect(reportPortalFailure('kakao', { blocked: true, reason: 'HTTP 429' })).toBe(cooldownMs * 2);
+    reportPortalSuccess('kakao');
+    expect(reportPortalFailure('kakao', { blocked: true, reason: 'HTTP 429' })).toBe(cooldownMs);
+    off();
+    expect(events.map((e) => e.type)).toEqual(['cooldown', 'cooldown', 'cooldown']);
+  });
+
+  test('작업 중지 신호가 오면 cooldown 대기를 끊고 뒤에 선 요청도 바로 reject', async () => {
+    reportPortalFailure('kakao', { blocked: true, reason: 'HTTP 429' });
+    const controller = new AbortController();
+    const cancelled = new Error('중지');
+    const startedAt = Date.now();
+    const first = acquireNavigation('kakao', { signal: controller.signal });
+    const second = acquireNavigation('kakao', { signal: controller.signal });
+    setTimeout(() => controller.abort(cancelled), 50);
+    await expect(first).rejects.toBe(cancelled);
+    await expect(second).rejects.toBe(cancelled);
+    expect(Date.now() - startedAt).toBeLessThan(5000);
+  });
+});
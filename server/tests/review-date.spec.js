@@ -0,0 +1,168 @@
+import { test, expect } from '@playwright/test';
+import { getKstDateInfo } from '../src/services/parsers/common.js';
+import {
+  earliestReviewDate,
+  isBeforeDateFilter,
+  parseReviewDate,
+  toReviewDateStr,
+} from '../src/services/parsers/reviewDate.js';
+
+/**
+ * 리뷰 날짜 정규화 테스트 (브라우저/DB 불필요)
+ * 기준 시각: 2026-01-20 12:00 KST (화요일)
+ * 표 한 줄 = [포털 화면 텍스트, 기대 날짜, 기대 정밀도] (날짜가 null이면 읽지 못해야 함)
+ */
+const NOW = new Date('2026-01-20T03:00:00.000Z');
+const kst = getKstDateInfo(NOW);
+
+const CASES = {
+  '연/월/일 숫자': [
+    ['2024.05.12', '2024-05-12', 'day'],
+    ['2024.05.12.', '2024-05-12', 'day'],
+    ['2024. 5. 12.', '2024-05-12', 'day'],
+    ['2024-05-12', '2024-05-12', 'day'],
+    ['2024/05/12', '2024-05-12', 'day'],
+    ['2024-05-12T23:30:00+09:00', '2024-05-12', 'day'],
+    ['25.11.21.금', '2025-11-21', 'day'],
+    ['25.12.28.일', '2025-12-28', 'day'],
+    ['99.1.2', '1999-01-02', 'day'],
+    ['방문일 2024.05.12.', '2024-05-12', 'day'],
+    ['2026.01.15.', '2026-01-15', 'day'],
+  ],
+  '한국어/영문 날짜': [
+    ['2024년 5월 20일', '2024-05-20', 'day'],
+    ['작성일: 2026년 1월 14일', '2026-01-14', 'day'],
+    ['January 5, 2026', '2026-01-05', 'day'],
+    ['Written December 29, 2025', '2025-12-29', 'day'],
+    ['Jan. 5, 2026', '2026-01-05', 'day'],
+    ['5 January 2026', '2026-01-05', 'day'],
+  ],
+  '연도 없는 월/일 (올해, 미래면 작년)': [
+    ['1.12.월', '2026-01-12', 'day'],
+    ['1.12.', '2026-01-12', 'day'],
+    ['1.20.화', '2026-01-20', 'day'],
+    ['1.21.수', '2025-01-21', 'day'],
+    ['12.25.', '2025-12-25', 'day'],
+    ['5월 12일', '2025-05-12', 'day'],
+  ],
+  '오늘 기준 일 단위': [
+    ['오늘', '2026-01-20', 'day'],
+    ['방금 전', '2026-01-20', 'day'],
+    ['5시간 전', '2026-01-20', 'day'],
+    ['30분 전', '2026-01-20', 'day'],
+    ['2 hours ago', '2026-01-20', 'day'],
+    ['어제', '2026-01-19', 'day'],
+    ['Yesterday', '2026-01-19', 'day'],
+    ['그저께', '2026-01-18', 'day'],
+    ['3일 전', '2026-01-17', 'day'],
+    ['a day ago', '2026-01-19', 'day'],
+    ['20 days ago', '2025-12-31', 'day'],
+  ],
+  '주 단위': [
+    ['2주 전', '2026-01-06', 'week'],
+    ['2주 전에 Google에서 작성', '2026-01-06', 'week'],
+    ['일주일 전', '2026-01-13', 'week'],
+    ['1주일 전', '2026-01-13', 'week'],
+    ['a week ago', '2026-01-13', 'week'],
+    ['3 weeks ago on Google', '2025-12-30', 'week'],
+  ],
+  '월/년 단위': [
+    ['3개월 전', '2025-10-20', 'month'],
+    ['한 달 전', '2025-12-20', 'month'],
+    ['2 달 전에 Google에서 작성', '2025-11-20', 'month'],
+    ['a month ago on Google', '2025-12-20', 'month'],
+    ['5 months ago', '2025-08-20', 'month'],
+    ['2024년 5월', '2024-05-01', 'month'],
+    ['May 2024', '2024-05-01', 'month'],
+    ['Date of stay: May 2024', '2024-05-01', 'month'],
+    ['1년 전', '2025-01-20', 'year'],
+    ['2 years ago', '2024-01-20', 'year'],
+  ],
+  '읽지 못하는 값': [
+    ['', null, null],
+    ['   ', null, null],
+    ['리뷰 없음', null, null],
+    ['4.5', null, null],
+    ['2025.02.29', null, null],
+    ['2026.13.01', null, null],
+    ['2월 30일', null, null],
+  ],
+};
+
+test.describe('리뷰 날짜 정규화', () => {
+  for (const [group, rows] of Object.entries(CASES)) {
+    test(group, () => {
+      for (const [text, date, precision] of rows) {
+        const expected = date ? { date, precision } : null;
+        expect(parseReviewDate(text, kst), JSON.stringify(text)).toEqual(expected);
+      }
+    });
+  }
+
+  test('KST 자정 기준 (UTC로는 전날이어도 KST 날짜로 계산)', () => {
+    const kstEarly = getKstDateInfo(new Date('2026-01-19T16:30:00.000Z')); // KST 2026-01-20 01:30
+    expect(parseReviewDate('오늘', kstEarly)).toEqual({ date: '2026-01-20', precision: 'day' });
+    expect(parseReviewDate('1일 전', kstEarly)).toEqual({ date: '2026-01-19', precision: 'day' });
+  });
+
+  test('월 단위 계산은 말일을 넘지 않음', () => {
+    const endOfMarch = getKstDateInfo(new Date('2026-03-31T03:00:00.000Z'));
+    expect(parseReviewDate('1개월 전', endOfMarch)).toEqual({ date: '2026-02-28', precision: 'month' });
+    const leapDay = getKstDateInfo(new Date('2024-02-29T03:00:00.000Z'));
+    expect(parseReviewDate('1년 전', leapDay)).toEqual({ date: '2023-02-28', precision: 'year' });
+  });
+
+  test('numericOnly: 본문이 섞인 텍스트에서는 숫자 날짜만', () => {
+    expect(parseReviewDate('2주 전에 다녀왔는데 좋았어요 25.12.28.일 1번째 방문', kst, { numericOnly: true })).toEqual({
+      date: '2025-12-28',
+      precision: 'day',
+    });
+    expect(parseReviewDate('재방문 1.12.월 영수증', kst, { numericOnly: true })).toEqual({ date: '2026-01-12', precision: 'day' });
+    expect(parseReviewDate('2주 전에 다녀왔어요. 어제도 생각남', kst, { numericOnly: true })).toBeNull();
+  });
+
+  test('저장용 변환 (Date, YYYY-MM-DD, 텍스트)', () => {
+    expect(toReviewDateStr('2026-01-05', kst)).toBe('2026-01-05');
+    expect(toReviewDateStr('2026-02-30', kst)).toBeNull();
+    expect(toReviewDateStr(new Date('2026-01-05T00:00:00.000Z'), kst)).toBe('2026-01-05');
+    expect(toReviewDateStr(new Date('invalid'), kst)).toBeNull();
+    expect(toReviewDateStr(Date.UTC(2026, 0, 5), kst)).toBe('2026-01-05');
+    expect(toReviewDateStr('3일 전', kst)).toBe('2026-01-17');
+    expect(toReviewDateStr('알 수 없음', kst)).toBeNull();
+    expect(toReviewDateStr(null, kst)).toBeNull();
+    expect(toReviewDateStr('', kst)).toBeNull();
+  });
+
+  test('정밀도별 가장 이른 작성일', () => {
+    expect(earliestReviewDate('2026-01-15', 'day')).toBe('2026-01-15');
+    expect(earliestReviewDate('2026-01-13', 'week')).toBe('2026-01-07');
+    expect(earliestReviewDate('2025-12-20', 'month')).toBe('2025-11-21');
+    expect(earliestReviewDate('2026-03-31', 'month')).toBe('2026-03-01');
+    expect(earliestReviewDate('2025-01-20', 'year')).toBe('2024-01-21');
+    expect(earliestReviewDate('2026-01-15')).toBe('2026-01-15');
+  });
+
+  test('일주일/2주 필터: 대략적인 날짜는 가장 이른 작성일로 비교', () => {
+    // 기준일: 일주일 2026-01-13, 2주 2026-01-06
+    const inWeek = (text) => {
+      const { date, precision } = parseReviewDate(text, kst);
+      return !isBeforeDateFilter(date, precision, kst.filterDateWeek);
+    };
+    const inTwoWeeks = (text) => {
+      const { date, precision } = parseReviewDate(text, kst);
+      return !isBeforeDateFilter(date, precision, kst.filterDateTwoWeeks);
+    };
+    expect(inWeek('3일 전')).toBe(true);
+    expect(inWeek('7일 전')).toBe(true);
+    expect(inWeek('8일 전')).toBe(false);
+    expect(inWeek('1주 전')).toBe(false);
+    expect(inTwoWeeks('1주 전')).toBe(true);
+    expect(inTwoWeeks('2주 전')).toBe(false);
+    expect(inWeek('1개월 전')).toBe(false);
+    expect(inTwoWeeks('1개월 전')).toBe(false);
+    expect(inWeek('2026.01.13.')).toBe(true);
+    expect(isBeforeDateFilter('2026-01-01', null, kst.filterDateWeek)).toBe(true);
+    expect(isBeforeDateFilter('2026-01-01', 'day', null)).toBe(false);
+    expect(isBeforeDateFilter(null, 'day', kst.filterDateWeek)).toBe(false);
+  });
+});